@@ -3,6 +3,9 @@ import cors from 'cors';
 import swaggerUi from 'swagger-ui-express';
 import configRoutes from './routes/config.js';
 import draftsRoutes from './routes/drafts.js';
+import importJobsRoutes from './routes/importJobs.js';
+import preconditionsRoutes from './routes/preconditions.js';
+import resultsRoutes from './routes/results.js';
 import settingsRoutes from './routes/settings.js';
 import xrayRoutes from './routes/xray.js';
 import { swaggerSpec } from './swagger.js';
@@ -15,6 +18,8 @@ export function createApp() {
   app.use(cors({
     origin: isProduction ? false : true,
   }));
+  // Result files from CI can be large; parsed here first so the default limit doesn't apply
+  app.use('/api/results', express.json({ limit: '20mb' }));
   app.use(express.json({ limit: '1mb' }));
 
   // Swagger docs
@@ -23,6 +28,9 @@ export function createApp() {
   // API Routes
   app.use('/api/config', configRoutes);
   app.use('/api/drafts', draftsRoutes);
+  app.use('/api/import-jobs', importJobsRoutes);
+  app.use('/api/preconditions', preconditionsRoutes);
+  app.use('/api/results', resultsRoutes);
   app.use('/api/settings', settingsRoutes);
   app.use('/api/xray', xrayRoutes);
 
@@ -2,6 +2,7 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import express from 'express';
 import { createApp } from './app.js';
+import { recoverTempFiles, loadDraftIndex } from './utils/fileOperations.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,7 +20,16 @@ if (isProduction) {
   });
 }
 
+// Drop writes a previous run left unfinished
+const unfinishedWrites = recoverTempFiles();
+if (unfinishedWrites > 0) {
+  console.warn(`Removed ${unfinishedWrites} unfinished write(s) left by the previous run`);
+}
+
+// Index drafts before the first request instead of scanning them on it
+const draftCount = loadDraftIndex();
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`RayDrop server running on http://localhost:${PORT}`);
+  console.log(`RayDrop server running on http://localhost:${PORT} (${draftCount} drafts)`);
 });
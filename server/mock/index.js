@@ -0,0 +1,11 @@
+import { createMockXrayApp } from './xrayMockApp.js';
+
+const PORT = process.env.MOCK_XRAY_PORT || 4010;
+const jobDelayMs = Number(process.env.MOCK_XRAY_JOB_DELAY_MS || 500);
+
+const app = createMockXrayApp({ jobDelayMs });
+
+app.listen(PORT, () => {
+  console.log(`Mock Xray server running on http://localhost:${PORT}`);
+  console.log('Set the Xray Base URL in Setup to this address; any client ID/secret is accepted.');
+});
@@ -0,0 +1,651 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+
+/**
+ * In-memory stand-in for the Xray Cloud API.
+ *
+ * Implements the endpoints RayDrop uses: authentication, bulk test import,
+ * import job status, execution results import and the GraphQL
+ * queries/mutations in xrayClient.js.
+ * Each project is seeded with a Test Plan, Test Set, Test Execution and
+ * Precondition the first time it is referenced. Point the app at it by
+ * setting the Xray Base URL (e.g. http://localhost:4010) in Setup.
+ */
+
+// Kind of each test type the mock knows
+const TEST_TYPE_KINDS = { Manual: 'Steps', Cucumber: 'Gherkin', Generic: 'Unstructured' };
+
+/**
+ * Extract the project key from a JQL query like "project = 'PROJ'"
+ */
+function getJqlProject(jql) {
+  return /project\s*=\s*['"]?([A-Za-z][A-Za-z0-9_]*)['"]?/i.exec(jql || '')?.[1]?.toUpperCase() || null;
+}
+
+/**
+ * Extract the search words and optional key from a JQL query like
+ * 'summary ~ "log* flow*"' or '(summary ~ "proj* 1*" OR key = "PROJ-1")'
+ */
+function getJqlSearch(jql) {
+  const summary = /summary\s*~\s*['"]([^'"]*)['"]/i.exec(jql || '')?.[1];
+  if (!summary) return null;
+  return {
+    words: summary.toLowerCase().replace(/\*/g, '').split(/\s+/).filter(Boolean),
+    key: /key\s*=\s*['"]([^'"]+)['"]/i.exec(jql)?.[1]?.toUpperCase() || null,
+  };
+}
+
+// Attributes of an XML start tag, e.g. ' name="a" time="1"' -> {name: 'a', time: '1'}
+function getXmlAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attributes[name] = value;
+  }
+  return attributes;
+}
+
+// JUnit <testcase> elements as {definition, summary, status}
+function parseJUnitResults(xml) {
+  return [...xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)].map(([, tag, body = '']) => {
+    const { name = '', classname = '' } = getXmlAttributes(tag);
+    let status = 'PASSED';
+    if (/<(failure|error)\b/.test(body)) status = 'FAILED';
+    else if (/<skipped\b/.test(body)) status = 'SKIPPED';
+    return { definition: classname ? `${classname}.${name}` : name, summary: name, status };
+  });
+}
+
+// TestNG <test-method> elements (excluding configuration methods) as {definition, summary, status}
+function parseTestNGResults(xml) {
+  const statuses = { PASS: 'PASSED', FAIL: 'FAILED', SKIP: 'SKIPPED' };
+  const results = [];
+  for (const [, classTag, body] of xml.matchAll(/<class\b([^>]*)>([\s\S]*?)<\/class>/g)) {
+    const className = getXmlAttributes(classTag).name || '';
+    for (const [, methodTag] of body.matchAll(/<test-method\b([^>]*?)\/?>/g)) {
+      const method = getXmlAttributes(methodTag);
+      if (method['is-config'] === 'true') continue;
+      results.push({
+        definition: `${className}.${method.name}`,
+        summary: method.name,
+        status: statuses[method.status] || 'TODO',
+      });
+    }
+  }
+  return results;
+}
+
+// CSV rows as arrays of values; quoted values may contain commas, quotes and line breaks
+function parseCsv(csv) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+    if (quoted) {
+      if (char === '"' && csv[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csv[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value || row.length > 0) rows.push([...row, value]);
+  return rows;
+}
+
+// Root field of a GraphQL operation, e.g. "getTestPlans" or "addTestsToFolder"
+function getRootField(query) {
+  return /^\s*(?:query|mutation)?\s*\w*\s*(?:\([^)]*\))?\s*\{\s*(\w+)/.exec(query || '')?.[1] || null;
+}
+
+/**
+ * Create the mock Xray express app
+ * @param {Object} options
+ * @param {number} options.jobDelayMs - How long import jobs stay 'working' (default: 500)
+ * @returns {express.Application} App with the in-memory store exposed as app.locals.store
+ */
+export function createMockXrayApp({ jobDelayMs = 500 } = {}) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  const store = {
+    tokens: new Set(),
+    projects: new Map(), // key -> {id, key, nextIssueNumber, folders: Set<path>}
+    issues: new Map(), // issueId -> issue
+    jobs: new Map(), // jobId -> {readyAt, status, result}
+    nextIssueId: 10000,
+  };
+  app.locals.store = store;
+
+  function createIssue(project, type, fields, extra = {}) {
+    const issueId = String(store.nextIssueId++);
+    const issue = {
+      issueId,
+      type,
+      projectId: project.id,
+      projectKey: project.key,
+      key: `${project.key}-${project.nextIssueNumber++}`,
+      summary: fields.summary || '',
+      description: fields.description || '',
+      labels: fields.labels || [],
+      priority: fields.priority?.name || 'Medium',
+      links: new Set(), // linked test issue ids (plans, sets, executions)
+      runs: new Map(), // test issue id -> {id, status, comment, steps} (executions)
+      preconditions: new Set(),
+      folderPath: '/',
+      created: new Date().toISOString(),
+      ...extra,
+    };
+    store.issues.set(issueId, issue);
+    return issue;
+  }
+
+  function getProject(key) {
+    const projectKey = key.toUpperCase();
+    if (!store.projects.has(projectKey)) {
+      const project = {
+        id: String(20000 + store.projects.size),
+        key: projectKey,
+        nextIssueNumber: 1,
+        folders: new Set(['/']),
+      };
+      store.projects.set(projectKey, project);
+      createIssue(project, 'testPlan', { summary: 'Regression Plan' });
+      createIssue(project, 'testSet', { summary: 'Smoke Set' });
+      createIssue(project, 'testExecution', { summary: 'Sprint Execution' });
+      createIssue(project, 'precondition', { summary: 'User is logged in' });
+    }
+    return store.projects.get(projectKey);
+  }
+
+  function getProjectById(projectId) {
+    return [...store.projects.values()].find((p) => p.id === projectId) || null;
+  }
+
+  function findIssues(type, jql) {
+    const projectKey = getJqlProject(jql);
+    if (projectKey) getProject(projectKey);
+    const search = getJqlSearch(jql);
+    const matchesSearch = (issue) => {
+      if (!search || issue.key === search.key) return true;
+      const summaryWords = issue.summary.toLowerCase().split(/\s+/);
+      return search.words.every((word) => summaryWords.some((summaryWord) => summaryWord.startsWith(word)));
+    };
+    return [...store.issues.values()].filter((issue) =>
+      issue.type === type &&
+      (!projectKey || issue.projectKey === projectKey) &&
+      matchesSearch(issue)
+    );
+  }
+
+  function toIssueRef(issue) {
+    return { issueId: issue.issueId, jira: { key: issue.key, summary: issue.summary } };
+  }
+
+  function toConnection(issues, start = 0, limit = 100) {
+    return { total: issues.length, start, limit, results: issues.slice(start, start + limit).map(toIssueRef) };
+  }
+
+  // Issues of a type that link to the given test
+  function getLinkedTo(test, type) {
+    return [...store.issues.values()].filter((issue) => issue.type === type && issue.links.has(test.issueId));
+  }
+
+  function toTest(test) {
+    return {
+      issueId: test.issueId,
+      projectId: test.projectId,
+      testType: { name: test.testType, kind: TEST_TYPE_KINDS[test.testType] },
+      steps: test.steps,
+      gherkin: test.gherkin || null,
+      unstructured: test.unstructured || null,
+      folder: { path: test.folderPath },
+      jira: {
+        key: test.key,
+        summary: test.summary,
+        description: test.description,
+        labels: test.labels,
+        priority: { name: test.priority },
+      },
+      preconditions: toConnection([...test.preconditions].map((id) => store.issues.get(id)).filter(Boolean)),
+      testPlans: toConnection(getLinkedTo(test, 'testPlan')),
+      testSets: toConnection(getLinkedTo(test, 'testSet')),
+      testExecutions: toConnection(getLinkedTo(test, 'testExecution')),
+    };
+  }
+
+  // Run of a test in an execution; tests linked without results are TODO
+  function getRun(execution, test) {
+    if (!execution.runs.has(test.issueId)) {
+      execution.runs.set(test.issueId, { id: randomUUID(), status: 'TODO', comment: '', steps: new Map() });
+    }
+    return execution.runs.get(test.issueId);
+  }
+
+  function toTestRun(execution, test) {
+    const run = getRun(execution, test);
+    return {
+      id: run.id,
+      status: { name: run.status },
+      comment: run.comment,
+      steps: test.steps.map((step) => {
+        const stepRun = run.steps.get(step.id) || {};
+        return {
+          id: step.id,
+          status: { name: stepRun.status || 'TODO' },
+          action: step.action,
+          data: step.data,
+          result: step.result,
+          actualResult: stepRun.actualResult || '',
+          comment: stepRun.comment || '',
+        };
+      }),
+      test: {
+        issueId: test.issueId,
+        unstructured: test.unstructured || null,
+        jira: { key: test.key, summary: test.summary, created: test.created },
+      },
+    };
+  }
+
+  function requireTestRun(testRunId) {
+    for (const execution of store.issues.values()) {
+      for (const [testIssueId, run] of execution.runs) {
+        if (run.id === testRunId) return { run, test: store.issues.get(testIssueId) };
+      }
+    }
+    throw new Error(`Test run ${testRunId} not found`);
+  }
+
+  function toFolder(project, path) {
+    const prefix = path === '/' ? '/' : `${path}/`;
+    const children = [...project.folders]
+      .filter((p) => p !== path && p.startsWith(prefix) && !p.slice(prefix.length).includes('/'))
+      .sort();
+    const testsCount = [...store.issues.values()]
+      .filter((issue) => issue.type === 'test' && issue.projectId === project.id && issue.folderPath === path)
+      .length;
+    return {
+      name: path === '/' ? '' : path.split('/').pop(),
+      path,
+      testsCount,
+      folders: children.map((child) => toFolder(project, child)),
+    };
+  }
+
+  function requireProject(projectId) {
+    const project = getProjectById(projectId);
+    if (!project) throw new Error(`Project ${projectId} not found`);
+    return project;
+  }
+
+  function requireFolder(project, path) {
+    if (!project.folders.has(path)) throw new Error(`Folder ${path} does not exist`);
+  }
+
+  const getParentPath = (path) => path.slice(0, path.lastIndexOf('/')) || '/';
+  const isWithin = (path, folder) => path === folder || path.startsWith(`${folder}/`);
+
+  // Re-root a folder and everything under it, carrying its tests along
+  function relocateFolder(project, from, to) {
+    for (const path of [...project.folders]) {
+      if (isWithin(path, from)) {
+        project.folders.delete(path);
+        project.folders.add(`${to}${path.slice(from.length)}`);
+      }
+    }
+    for (const issue of store.issues.values()) {
+      if (issue.type === 'test' && issue.projectId === project.id && isWithin(issue.folderPath, from)) {
+        issue.folderPath = `${to}${issue.folderPath.slice(from.length)}`;
+      }
+    }
+    return { folder: toFolder(project, to), warnings: [] };
+  }
+
+  function requireIssue(issueId, type) {
+    const issue = store.issues.get(issueId);
+    if (!issue || (type && issue.type !== type)) {
+      throw new Error(`Issue with id ${issueId} not found`);
+    }
+    return issue;
+  }
+
+  function addLinks(entityId, type, testIssueIds) {
+    const entity = requireIssue(entityId, type);
+    const added = testIssueIds.filter((id) => store.issues.has(id) && !entity.links.has(id));
+    added.forEach((id) => entity.links.add(id));
+    const skipped = testIssueIds.length - added.length;
+    return { addedTests: added, warning: skipped ? `${skipped} test(s) were already added or not found` : null };
+  }
+
+  function removeLinks(entityId, type, testIssueIds) {
+    const entity = requireIssue(entityId, type);
+    testIssueIds.forEach((id) => entity.links.delete(id));
+    return { removedTests: testIssueIds, warning: null };
+  }
+
+  function moveToFolder(projectId, path, testIssueIds) {
+    const project = requireProject(projectId);
+    requireFolder(project, path);
+    testIssueIds.forEach((id) => { requireIssue(id, 'test').folderPath = path; });
+    return { folder: { name: path.split('/').pop(), path, testsCount: testIssueIds.length }, warnings: [] };
+  }
+
+  function createEntity(type, jira) {
+    const { summary, project } = jira?.fields || {};
+    if (!summary || !project?.key) {
+      throw new Error('jira.fields.summary and jira.fields.project.key are required');
+    }
+    return toIssueRef(createIssue(getProject(project.key), type, jira.fields));
+  }
+
+  const resolvers = {
+    getTestPlans: ({ jql, start, limit }) => toConnection(findIssues('testPlan', jql), start, limit),
+    getTestSets: ({ jql, start, limit }) => toConnection(findIssues('testSet', jql), start, limit),
+    getTestExecutions: ({ jql, start, limit }) => toConnection(findIssues('testExecution', jql), start, limit),
+    getPreconditions: ({ jql, start, limit }) => toConnection(findIssues('precondition', jql), start, limit),
+    getTest: ({ issueId }) => {
+      const test = store.issues.get(issueId);
+      return test?.type === 'test' ? toTest(test) : null;
+    },
+    getTests: ({ jql, start = 0, limit = 100 }) => {
+      const tests = findIssues('test', jql);
+      return { total: tests.length, start, limit, results: tests.slice(start, start + limit).map(toTest) };
+    },
+    getTestExecution: ({ issueId, start = 0, limit = 100 }) => {
+      const execution = store.issues.get(issueId);
+      if (execution?.type !== 'testExecution') return null;
+      const runs = [...execution.links].map((testId) => toTestRun(execution, store.issues.get(testId)));
+      return {
+        ...toIssueRef(execution),
+        testRuns: { total: runs.length, start, limit, results: runs.slice(start, start + limit) },
+      };
+    },
+    getTestRun: ({ testIssueId, testExecIssueId }) => {
+      const execution = store.issues.get(testExecIssueId);
+      if (execution?.type !== 'testExecution' || !execution.links.has(testIssueId)) return null;
+      return toTestRun(execution, store.issues.get(testIssueId));
+    },
+    getProjectSettings: ({ projectIdOrKey }) => {
+      const project = getProjectById(projectIdOrKey) || getProject(projectIdOrKey);
+      return { projectId: project.id };
+    },
+    getFolder: ({ projectId, path = '/' }) => {
+      const project = getProjectById(projectId);
+      if (!project) throw new Error(`Project ${projectId} not found`);
+      return project.folders.has(path) ? toFolder(project, path) : null;
+    },
+    createTestPlan: ({ jira }) => ({ testPlan: createEntity('testPlan', jira), warnings: [] }),
+    createTestSet: ({ jira }) => ({ testSet: createEntity('testSet', jira), warnings: [] }),
+    createTestExecution: ({ jira, testEnvironments = [] }) => ({
+      testExecution: createEntity('testExecution', jira),
+      warnings: [],
+      createdTestEnvironments: testEnvironments,
+    }),
+    createPrecondition: ({ jira }) => ({ precondition: createEntity('precondition', jira), warnings: [] }),
+    addTestsToTestPlan: ({ issueId, testIssueIds }) => addLinks(issueId, 'testPlan', testIssueIds),
+    addTestsToTestSet: ({ issueId, testIssueIds }) => addLinks(issueId, 'testSet', testIssueIds),
+    addTestsToTestExecution: ({ issueId, testIssueIds }) => addLinks(issueId, 'testExecution', testIssueIds),
+    removeTestsFromTestPlan: ({ issueId, testIssueIds }) => removeLinks(issueId, 'testPlan', testIssueIds),
+    removeTestsFromTestSet: ({ issueId, testIssueIds }) => removeLinks(issueId, 'testSet', testIssueIds),
+    removeTestsFromTestExecution: ({ issueId, testIssueIds }) => removeLinks(issueId, 'testExecution', testIssueIds),
+    addTestsToFolder: ({ projectId, path, testIssueIds }) => moveToFolder(projectId, path, testIssueIds),
+    removeTestsFromFolder: ({ projectId, testIssueIds }) => moveToFolder(projectId, '/', testIssueIds),
+    createFolder: ({ projectId, path }) => {
+      const project = requireProject(projectId);
+      if (project.folders.has(path)) throw new Error(`Folder ${path} already exists`);
+      requireFolder(project, getParentPath(path));
+      project.folders.add(path);
+      return { folder: toFolder(project, path), warnings: [] };
+    },
+    renameFolder: ({ projectId, path, newName }) => {
+      const project = requireProject(projectId);
+      requireFolder(project, path);
+      const parent = getParentPath(path);
+      return relocateFolder(project, path, `${parent === '/' ? '' : parent}/${newName}`);
+    },
+    moveFolder: ({ projectId, path, destinationPath }) => {
+      const project = requireProject(projectId);
+      requireFolder(project, path);
+      requireFolder(project, destinationPath);
+      return relocateFolder(project, path, `${destinationPath === '/' ? '' : destinationPath}/${path.split('/').pop()}`);
+    },
+    deleteFolder: ({ projectId, path }) => {
+      const project = requireProject(projectId);
+      requireFolder(project, path);
+      const parent = getParentPath(path);
+      for (const folder of [...project.folders]) {
+        if (isWithin(folder, path)) project.folders.delete(folder);
+      }
+      for (const issue of store.issues.values()) {
+        if (issue.type === 'test' && issue.projectId === project.id && isWithin(issue.folderPath, path)) {
+          issue.folderPath = parent;
+        }
+      }
+      return `Folder ${path} deleted`;
+    },
+    addPreconditionsToTest: ({ issueId, preconditionIssueIds }) => {
+      const test = requireIssue(issueId, 'test');
+      preconditionIssueIds.forEach((id) => test.preconditions.add(requireIssue(id, 'precondition').issueId));
+      return { addedPreconditions: preconditionIssueIds, warning: null };
+    },
+    removePreconditionsFromTest: ({ issueId, preconditionIssueIds }) => {
+      const test = requireIssue(issueId, 'test');
+      preconditionIssueIds.forEach((id) => test.preconditions.delete(id));
+      return { removedPreconditions: preconditionIssueIds, warning: null };
+    },
+    updateTestRunStep: ({ testRunId, stepId, updateData = {} }) => {
+      const { run, test } = requireTestRun(testRunId);
+      if (!test.steps.some((step) => step.id === stepId)) throw new Error(`Step ${stepId} not found`);
+      run.steps.set(stepId, { ...run.steps.get(stepId), ...updateData });
+      return { warnings: [] };
+    },
+    updateTestRunStatus: ({ id, status }) => {
+      requireTestRun(id).run.status = status;
+      return `Test run ${id} updated`;
+    },
+    updateTestRunComment: ({ id, comment }) => {
+      requireTestRun(id).run.comment = comment;
+      return `Test run ${id} updated`;
+    },
+  };
+
+  // Create or update the tests of a finished bulk import job
+  function runImport(tests) {
+    const errors = [];
+    tests.forEach((test, index) => {
+      if (!test.fields?.summary) errors.push(`Test ${index + 1}: summary is required`);
+      if (!test.fields?.project?.key) errors.push(`Test ${index + 1}: project key is required`);
+      (test.steps || []).filter((step) => step.callTestKey).forEach((step) => {
+        if (![...store.issues.values()].some((issue) => issue.type === 'test' && issue.key === step.callTestKey)) {
+          errors.push(`Test ${index + 1}: called test ${step.callTestKey} not found`);
+        }
+      });
+    });
+    if (errors.length > 0) {
+      return { status: 'failed', result: { errors } };
+    }
+
+    const issues = tests.map((test) => {
+      const definition = {
+        testType: test.testtype || 'Manual',
+        steps: (test.steps || []).map((step) => ({ id: randomUUID(), ...step })),
+        gherkin: test.gherkin_def,
+        unstructured: test.unstructured_def,
+      };
+      if (test.update_key) {
+        const existing = [...store.issues.values()].find((issue) => issue.key === test.update_key);
+        if (existing) {
+          Object.assign(existing, definition, {
+            summary: test.fields.summary,
+            description: test.fields.description || '',
+            labels: test.fields.labels || [],
+          });
+          return existing;
+        }
+      }
+      return createIssue(getProject(test.fields.project.key), 'test', test.fields, definition);
+    });
+
+    return {
+      status: 'successful',
+      result: { issues: issues.map((issue) => ({ id: issue.issueId, key: issue.key })) },
+    };
+  }
+
+  app.post('/api/v2/authenticate', (req, res) => {
+    const { client_id: clientId, client_secret: clientSecret } = req.body || {};
+    if (!clientId || !clientSecret) {
+      return res.status(401).json({ error: 'Invalid client credentials' });
+    }
+    const token = `mock-token-${randomUUID()}`;
+    store.tokens.add(token);
+    res.json(token);
+  });
+
+  // Everything else requires a token from /authenticate
+  app.use((req, res, next) => {
+    const token = req.headers.authorization?.replace(/^Bearer\s+/i, '');
+    if (!token || !store.tokens.has(token)) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+  });
+
+  app.post('/api/v1/import/test/bulk', (req, res) => {
+    if (!Array.isArray(req.body)) {
+      return res.status(400).json({ error: 'Request body must be an array of tests' });
+    }
+    const jobId = randomUUID();
+    store.jobs.set(jobId, { readyAt: Date.now() + jobDelayMs, tests: req.body, outcome: null });
+    res.json({ jobId });
+  });
+
+  app.get('/api/v1/import/test/bulk/:jobId/status', (req, res) => {
+    const job = store.jobs.get(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (Date.now() < job.readyAt) {
+      return res.json({ status: 'working' });
+    }
+    job.outcome = job.outcome || runImport(job.tests);
+    res.json(job.outcome);
+  });
+
+  // Record results in the given execution (or a new one), matching or creating tests
+  function recordResults(res, { projectKey, testExecKey, results }) {
+    let execution = null;
+    if (testExecKey) {
+      execution = [...store.issues.values()].find((issue) => issue.type === 'testExecution' && issue.key === testExecKey);
+      if (!execution) {
+        return res.status(400).json({ error: `Test Execution ${testExecKey} not found` });
+      }
+    } else if (projectKey) {
+      execution = createIssue(getProject(projectKey), 'testExecution', {
+        summary: `Execution results ${new Date().toISOString()}`,
+      });
+    } else {
+      return res.status(400).json({ error: 'projectKey or testExecKey is required' });
+    }
+
+    const project = getProject(execution.projectKey);
+    for (const result of results) {
+      let test = result.testKey
+        ? [...store.issues.values()].find((issue) => issue.type === 'test' && issue.key === result.testKey)
+        : [...store.issues.values()].find((issue) =>
+          issue.type === 'test' && issue.projectId === project.id && issue.unstructured === result.definition
+        );
+      if (!test && result.testKey) {
+        return res.status(400).json({ error: `Test ${result.testKey} not found` });
+      }
+      if (!test) {
+        test = createIssue(project, 'test', { summary: result.summary }, {
+          testType: 'Generic',
+          steps: [],
+          unstructured: result.definition,
+        });
+      }
+      execution.links.add(test.issueId);
+      getRun(execution, test).status = result.status;
+    }
+
+    res.json({ id: execution.issueId, key: execution.key, self: `/rest/api/2/issue/${execution.issueId}` });
+  }
+
+  const xmlBody = express.text({ type: ['text/xml', 'application/xml'], limit: '10mb' });
+
+  app.post('/api/v2/import/execution/junit', xmlBody, (req, res) => {
+    recordResults(res, { ...req.query, results: parseJUnitResults(String(req.body || '')) });
+  });
+
+  app.post('/api/v2/import/execution/testng', xmlBody, (req, res) => {
+    recordResults(res, { ...req.query, results: parseTestNGResults(String(req.body || '')) });
+  });
+
+  app.post('/api/v2/import/execution', (req, res) => {
+    const { testExecutionKey, info = {}, tests } = req.body || {};
+    if (!Array.isArray(tests)) {
+      return res.status(400).json({ error: 'tests must be an array' });
+    }
+    recordResults(res, {
+      projectKey: info.project,
+      testExecKey: testExecutionKey,
+      results: tests.map((test) => ({
+        testKey: test.testKey,
+        definition: test.testInfo?.definition || test.testInfo?.summary,
+        summary: test.testInfo?.summary || 'Imported test',
+        status: test.status || 'TODO',
+      })),
+    });
+  });
+
+  // Replaces the dataset of a test: a header row of parameters, then one row per iteration
+  app.post('/api/v2/dataset/import', express.text({ type: 'text/csv', limit: '10mb' }), (req, res) => {
+    const test = [...store.issues.values()].find((issue) => issue.type === 'test' && issue.key === req.query.testIssueKey);
+    if (!test) {
+      return res.status(400).json({ error: `Test ${req.query.testIssueKey} not found` });
+    }
+    const [parameters = [], ...rows] = parseCsv(String(req.body || ''));
+    if (parameters.length === 0 || parameters.some((name) => !name.trim())) {
+      return res.status(400).json({ error: 'Dataset must start with a row of parameter names' });
+    }
+    test.dataset = { parameters, rows };
+    res.json({ parameters: parameters.length, rows: rows.length });
+  });
+
+  app.post('/api/v2/graphql', (req, res) => {
+    const { query, variables = {} } = req.body || {};
+    const field = getRootField(query);
+    const resolver = resolvers[field];
+    if (!resolver) {
+      return res.json({ errors: [{ message: `Mock Xray does not implement ${field || 'this operation'}` }] });
+    }
+    try {
+      res.json({ data: { [field]: resolver(variables) } });
+    } catch (error) {
+      res.json({ errors: [{ message: error.message }] });
+    }
+  });
+
+  return app;
+}
+
+export default createMockXrayApp;
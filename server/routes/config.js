@@ -1,6 +1,6 @@
 import express from 'express';
 import { configExists, readConfig, writeConfig, CONFIG_PATH } from '../utils/fileOperations.js';
-import { validateCredentials } from '../utils/xrayClient.js';
+import { validateCredentials, DEFAULT_XRAY_BASE_URL } from '../utils/xrayClient.js';
 
 const router = express.Router();
 
@@ -50,6 +50,7 @@ router.get('/', (req, res) => {
         xrayClientId: config.xrayClientId,
         xrayClientSecret: config.xrayClientSecret,
         jiraBaseUrl: config.jiraBaseUrl,
+        xrayBaseUrl: config.xrayBaseUrl || DEFAULT_XRAY_BASE_URL,
       },
     });
   } catch (error) {
@@ -85,6 +86,10 @@ router.get('/', (req, res) => {
  *               jiraBaseUrl:
  *                 type: string
  *                 format: uri
+ *               xrayBaseUrl:
+ *                 type: string
+ *                 format: uri
+ *                 description: Xray API host (regional host or a local mock). Defaults to https://xray.cloud.getxray.app
  *     responses:
  *       200:
  *         description: Config saved successfully
@@ -97,7 +102,7 @@ router.get('/', (req, res) => {
  */
 router.post('/', async (req, res) => {
   try {
-    const { xrayClientId, xrayClientSecret, jiraBaseUrl } = req.body;
+    const { xrayClientId, xrayClientSecret, jiraBaseUrl, xrayBaseUrl } = req.body;
 
     // Validation
     const errors = [];
@@ -120,6 +125,16 @@ router.post('/', async (req, res) => {
       }
     }
 
+    if (xrayBaseUrl != null && typeof xrayBaseUrl !== 'string') {
+      errors.push('xrayBaseUrl must be a string');
+    } else if (xrayBaseUrl) {
+      try {
+        new URL(xrayBaseUrl);
+      } catch {
+        errors.push('xrayBaseUrl must be a valid URL');
+      }
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -129,9 +144,11 @@ router.post('/', async (req, res) => {
     }
 
     // Validate credentials against Xray API
+    const trimmedXrayBaseUrl = xrayBaseUrl?.trim().replace(/\/+$/, '') || null;
     const validationResult = await validateCredentials({
       xrayClientId: xrayClientId.trim(),
       xrayClientSecret: xrayClientSecret.trim(),
+      xrayBaseUrl: trimmedXrayBaseUrl,
     });
 
     if (!validationResult.success) {
@@ -147,6 +164,10 @@ router.post('/', async (req, res) => {
       xrayClientSecret: xrayClientSecret.trim(),
       jiraBaseUrl: jiraBaseUrl.trim(),
     };
+    // Only stored when it differs from the default host
+    if (trimmedXrayBaseUrl && trimmedXrayBaseUrl !== DEFAULT_XRAY_BASE_URL) {
+      config.xrayBaseUrl = trimmedXrayBaseUrl;
+    }
 
     const configPath = writeConfig(config);
 
@@ -3,37 +3,121 @@ import { randomUUID } from 'crypto';
 import {
   readConfig,
   readSettings,
+  getProjectSettings,
   listDrafts,
   readDraft,
   writeDraft,
   deleteDraft,
+  migrateDraft,
+  migrateDraftFiles,
+  withDraftLock,
+  withDraftLocks,
+  DRAFT_SCHEMA_VERSION,
 } from '../utils/fileOperations.js';
-import { importToXrayAndWait } from '../utils/xrayClient.js';
+import { importToXrayAndWait, getTests, updateTestInXray, importDataset, getCustomFieldErrors } from '../utils/xrayClient.js';
+import { createImportJob } from '../utils/importJobs.js';
+import { linkImportedTests } from '../utils/xrayLinking.js';
+import { hasDataset } from '../utils/datasets.js';
+import { getSharedSteps, isSharedStepsLink, expandSharedSteps } from '../utils/sharedSteps.js';
+import { isComplete } from '../utils/completeness.js';
+import { validate } from '../utils/schemas.js';
 
 const router = express.Router();
 
 /**
- * Check if test case has all required fields for import
+ * Build the test case object sent to Xray from a stored draft,
+ * resolving its custom field values against the project's field definitions
  */
-function isComplete(draft) {
-  const hasRequiredFields =
-    draft.summary?.trim() &&
-    draft.description?.trim() &&
-    draft.testType &&
-    Array.isArray(draft.steps) &&
-    draft.steps.length > 0;
-
-  if (!hasRequiredFields) {
-    return false;
-  }
+function toImportTestCase(draft) {
+  const projectSettings = getProjectSettings(draft.projectKey);
+  return {
+    summary: draft.summary,
+    description: draft.description || '',
+    testType: draft.testType,
+    priority: draft.priority || '',
+    labels: draft.labels || [],
+    steps: draft.steps || [],
+    gherkin: draft.gherkin || '',
+    definition: draft.definition || '',
+    customFields: draft.customFields || {},
+    fieldDefinitions: projectSettings.customFields || [],
+    sharedSteps: projectSettings.sharedSteps || [],
+    projectKey: draft.projectKey,
+  };
+}
 
-  const allStepsComplete = draft.steps.every(
-    (step) => step.action?.trim() && step.result?.trim()
-  );
+/**
+ * Custom field values of a draft that don't fit the project's field definitions
+ */
+function getDraftFieldErrors(draft) {
+  return getCustomFieldErrors(draft.customFields, getProjectSettings(draft.projectKey).customFields);
+}
+
+/**
+ * Steps an imported draft keeps: Xray holds its own copy of linked shared
+ * steps, so later library updates no longer apply to the test
+ */
+function toImportedSteps(draft) {
+  if (!draft.steps?.some(isSharedStepsLink)) return draft.steps;
+  return expandSharedSteps(draft.steps, getSharedSteps(draft.projectKey));
+}
+
+// Convert linked issues to the ids/displays pair stored in xrayLinking
+function toLinkSelection(issues) {
+  return {
+    ids: issues.map((issue) => issue.issueId),
+    displays: issues.map((issue) => ({ id: issue.issueId, display: `${issue.key}: ${issue.summary}` })),
+  };
+}
 
-  return allStepsComplete;
+/**
+ * Build an imported draft from a test fetched from Xray
+ */
+function fromXrayTest(test, projectKey) {
+  const testPlans = toLinkSelection(test.testPlans);
+  const testExecutions = toLinkSelection(test.testExecutions);
+  const testSets = toLinkSelection(test.testSets);
+  const preconditions = toLinkSelection(test.preconditions);
+
+  return {
+    summary: test.summary,
+    description: test.description,
+    testType: test.testType,
+    priority: test.priority,
+    labels: test.labels,
+    steps: test.steps,
+    gherkin: test.gherkin,
+    definition: test.definition,
+    projectKey,
+    status: 'imported',
+    testIssueId: test.issueId,
+    testKey: test.key,
+    xrayLinking: {
+      testPlanIds: testPlans.ids,
+      testPlanDisplays: testPlans.displays,
+      testExecutionIds: testExecutions.ids,
+      testExecutionDisplays: testExecutions.displays,
+      testSetIds: testSets.ids,
+      testSetDisplays: testSets.displays,
+      folderPath: test.folderPath,
+      projectId: test.projectId || null,
+      preconditionIds: preconditions.ids,
+      preconditionDisplays: preconditions.displays,
+    },
+  };
+}
+
+/**
+ * Entity tag of a draft, from the revision writeDraft stamps on it.
+ * Drafts written before revisions were tracked count as revision 0.
+ */
+function draftETag(draft) {
+  return `"${draft.revision || 0}"`;
 }
 
+// Run a handler holding the lock of the draft named by :id
+const locked = (handler) => (req, res) => withDraftLock(req.params.id, () => handler(req, res));
+
 /**
  * Determine status - only 'draft' or 'imported'
  * - 'imported' is permanent once set
@@ -84,12 +168,7 @@ router.get('/', (req, res) => {
       projectKey = settings.activeProject;
     }
 
-    const drafts = listDrafts(projectKey).map((draft) => ({
-      ...draft,
-      // Compute isComplete if not present (for older drafts)
-      isComplete: draft.isComplete !== undefined ? draft.isComplete : isComplete(draft),
-    }));
-    res.json({ success: true, drafts, projectKey });
+    res.json({ success: true, drafts: listDrafts(projectKey), projectKey });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -114,6 +193,12 @@ router.get('/', (req, res) => {
  *     responses:
  *       200:
  *         description: Draft found
+ *         headers:
+ *           ETag:
+ *             description: Revision of the draft, to send back as If-Match when updating it
+ *             schema:
+ *               type: string
+ *               example: '"3"'
  *         content:
  *           application/json:
  *             schema:
@@ -132,12 +217,7 @@ router.get('/:id', (req, res) => {
     if (!draft) {
       return res.status(404).json({ success: false, error: 'Draft not found' });
     }
-    // Compute isComplete if not present
-    const draftWithComplete = {
-      ...draft,
-      isComplete: draft.isComplete !== undefined ? draft.isComplete : isComplete(draft),
-    };
-    res.json({ success: true, draft: draftWithComplete });
+    res.set('ETag', draftETag(draft)).json({ success: true, draft });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -172,7 +252,7 @@ router.get('/:id', (req, res) => {
  *       200:
  *         description: Draft created
  *       400:
- *         description: Draft data required
+ *         description: Draft data required, or fields that fail the Draft schema (listed in details)
  */
 router.post('/', (req, res) => {
   try {
@@ -181,6 +261,11 @@ router.post('/', (req, res) => {
       return res.status(400).json({ success: false, error: 'Draft data required' });
     }
 
+    const invalid = validate('Draft', draft, '/draft');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid draft', details: invalid });
+    }
+
     // Get project from query, draft, or use active project
     let projectKey = req.query.project || draft.projectKey;
     if (!projectKey) {
@@ -200,9 +285,10 @@ router.post('/', (req, res) => {
       id,
       projectKey,
       status: determineStatus(draft, null),
-      isComplete: isComplete(draft),
+      isComplete: isComplete(draft, projectKey),
       createdAt: now,
       updatedAt: now,
+      schemaVersion: DRAFT_SCHEMA_VERSION,
     };
 
     const filePath = writeDraft(id, newDraft);
@@ -210,7 +296,7 @@ router.post('/', (req, res) => {
     res.json({
       success: true,
       id,
-      draft: newDraft,
+      draft: readDraft(id),
       filePath,
     });
   } catch (error) {
@@ -227,6 +313,7 @@ router.post('/', (req, res) => {
  * /drafts/{id}:
  *   put:
  *     summary: Update existing draft
+ *     description: Only applies when If-Match still names the stored revision, so edits made in another tab are not overwritten
  *     tags: [Drafts]
  *     parameters:
  *       - in: path
@@ -234,6 +321,13 @@ router.post('/', (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: header
+ *         name: If-Match
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: '"3"'
+ *         description: ETag of the draft the edits were made on (its revision, quoted)
  *     requestBody:
  *       required: true
  *       content:
@@ -246,10 +340,16 @@ router.post('/', (req, res) => {
  *     responses:
  *       200:
  *         description: Draft updated
+ *       400:
+ *         description: Draft data required, or fields that fail the Draft schema (listed in details)
  *       404:
  *         description: Draft not found
+ *       409:
+ *         description: The draft was changed since that revision; the stored draft is returned in draft
+ *       428:
+ *         description: If-Match header required
  */
-router.put('/:id', (req, res) => {
+router.put('/:id', locked((req, res) => {
   try {
     const { id } = req.params;
     const { draft } = req.body;
@@ -258,11 +358,32 @@ router.put('/:id', (req, res) => {
       return res.status(400).json({ success: false, error: 'Draft data required' });
     }
 
+    const invalid = validate('Draft', draft, '/draft');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid draft', details: invalid });
+    }
+
     const existing = readDraft(id);
     if (!existing) {
       return res.status(404).json({ success: false, error: 'Draft not found' });
     }
 
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) {
+      return res.status(428).json({
+        success: false,
+        error: 'If-Match header required',
+        details: 'Send the ETag of the draft being edited',
+      });
+    }
+    if (ifMatch !== '*' && ifMatch.replace(/^W\//, '') !== draftETag(existing)) {
+      return res.status(409).set('ETag', draftETag(existing)).json({
+        success: false,
+        error: 'Draft was changed in another tab or window',
+        draft: existing,
+      });
+    }
+
     // Use provided projectKey, or keep existing
     const projectKey = draft.projectKey || existing.projectKey;
 
@@ -271,16 +392,19 @@ router.put('/:id', (req, res) => {
       id,
       projectKey,
       status: determineStatus(draft, existing.status),
-      isComplete: isComplete(draft),
+      isComplete: isComplete(draft, projectKey),
       createdAt: existing.createdAt,
       updatedAt: Date.now(),
+      schemaVersion: DRAFT_SCHEMA_VERSION,
     };
 
     const filePath = writeDraft(id, updatedDraft);
+    // Respond with the stored draft, which carries the revision writeDraft gave it
+    const stored = readDraft(id);
 
-    res.json({
+    res.set('ETag', draftETag(stored)).json({
       success: true,
-      draft: updatedDraft,
+      draft: stored,
       filePath,
     });
   } catch (error) {
@@ -290,7 +414,7 @@ router.put('/:id', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -310,7 +434,7 @@ router.put('/:id', (req, res) => {
  *       404:
  *         description: Draft not found
  */
-router.delete('/:id', (req, res) => {
+router.delete('/:id', locked((req, res) => {
   try {
     const deleted = deleteDraft(req.params.id);
     if (!deleted) {
@@ -324,7 +448,7 @@ router.delete('/:id', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -356,7 +480,7 @@ router.delete('/:id', (req, res) => {
  *       404:
  *         description: Draft not found
  */
-router.patch('/:id/status', (req, res) => {
+router.patch('/:id/status', locked((req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -381,7 +505,7 @@ router.patch('/:id/status', (req, res) => {
 
     res.json({
       success: true,
-      draft: updatedDraft,
+      draft: readDraft(id),
     });
   } catch (error) {
     res.status(500).json({
@@ -390,7 +514,7 @@ router.patch('/:id/status', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -412,17 +536,16 @@ router.patch('/:id/status', (req, res) => {
  *             type: object
  *             properties:
  *               xrayLinking:
- *                 type: object
- *                 description: Updated xrayLinking data
+ *                 $ref: '#/components/schemas/XrayLinking'
  *     responses:
  *       200:
  *         description: xrayLinking updated
  *       400:
- *         description: xrayLinking data required
+ *         description: xrayLinking data required or invalid
  *       404:
  *         description: Draft not found
  */
-router.patch('/:id/xray-links', (req, res) => {
+router.patch('/:id/xray-links', locked((req, res) => {
   try {
     const { id } = req.params;
     const { xrayLinking } = req.body;
@@ -431,6 +554,11 @@ router.patch('/:id/xray-links', (req, res) => {
       return res.status(400).json({ success: false, error: 'xrayLinking data required' });
     }
 
+    const invalid = validate('XrayLinking', xrayLinking, '/xrayLinking');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid xrayLinking', details: invalid });
+    }
+
     const draft = readDraft(id);
     if (!draft) {
       return res.status(404).json({ success: false, error: 'Draft not found' });
@@ -446,7 +574,7 @@ router.patch('/:id/xray-links', (req, res) => {
 
     res.json({
       success: true,
-      draft: updatedDraft,
+      draft: readDraft(id),
     });
   } catch (error) {
     res.status(500).json({
@@ -455,7 +583,7 @@ router.patch('/:id/xray-links', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -482,11 +610,11 @@ router.patch('/:id/xray-links', (req, res) => {
  *                 jobId:
  *                   type: string
  *       400:
- *         description: Config not found or already imported
+ *         description: Config not found, already imported, incomplete, or custom field values that do not fit their field (listed in details)
  *       404:
  *         description: Draft not found
  */
-router.post('/:id/import', async (req, res) => {
+router.post('/:id/import', locked(async (req, res) => {
   try {
     const config = readConfig();
     if (!config) {
@@ -518,20 +646,34 @@ router.post('/:id/import', async (req, res) => {
       });
     }
 
+    const fieldErrors = getDraftFieldErrors(draft);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid custom field values',
+        details: fieldErrors,
+      });
+    }
+
     // Import directly to Xray and wait for completion
-    const result = await importToXrayAndWait([{
-      summary: draft.summary,
-      description: draft.description || '',
-      testType: draft.testType,
-      labels: draft.labels || [],
-      steps: draft.steps || [],
-      projectKey: draft.projectKey,
-    }], draft.projectKey);
+    const result = await importToXrayAndWait([toImportTestCase(draft)], draft.projectKey);
 
+    const warnings = [];
     // Mark as imported immediately on success
     if (result.success) {
+      // The bulk import has no dataset field; a failure here leaves the test without one
+      const testKey = result.testKeys?.[0];
+      if (testKey && draft.testType === 'Manual' && hasDataset(draft.dataset)) {
+        try {
+          await importDataset(testKey, draft.dataset);
+        } catch (error) {
+          warnings.push(`Dataset upload failed: ${error.message}`);
+        }
+      }
+
       const updatedDraft = {
         ...draft,
+        steps: toImportedSteps(draft),
         status: 'imported',
         importedAt: Date.now(),
         updatedAt: Date.now(),
@@ -549,6 +691,8 @@ router.post('/:id/import', async (req, res) => {
       message: result.success ? 'Import successful' : (result.error || 'Import failed'),
       error: result.error,
       draftId: draft.id,
+      retries: result.retries || 0,
+      warnings,
     });
   } catch (error) {
     res.status(500).json({
@@ -557,7 +701,308 @@ router.post('/:id/import', async (req, res) => {
       details: error.message,
     });
   }
-});
+}));
+
+// Human-readable progress messages for import job phases
+function describeProgress(progress) {
+  if (progress.retrying) {
+    const reason = progress.retryStatus === 429 ? 'Xray rate limit reached' : `Xray request failed (${progress.retryStatus})`;
+    return `${reason}, retrying in ${Math.ceil(progress.delayMs / 1000)}s (retry ${progress.retries})`;
+  }
+  switch (progress.phase) {
+    case 'authenticating':
+      return 'Authenticating with Xray';
+    case 'submitted':
+      return 'Submitted to Xray';
+    case 'working':
+      return `Xray job ${progress.xrayStatus || 'working'} (check ${progress.attempt})`;
+    default:
+      return progress.message || progress.phase;
+  }
+}
+
+// Drafts sent to Xray per import job; large batches are split into several jobs
+const DEFAULT_IMPORT_CHUNK_SIZE = 50;
+const MAX_IMPORT_CHUNK_SIZE = 1000;
+
+function toChunks(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Import drafts to Xray in chunks and mark each chunk as imported once it succeeds
+ * (runs inside an import job). A failed chunk doesn't stop the rest, so only the
+ * failed drafts need to be retried. Each chunk holds its drafts' locks from the
+ * moment it reads them until they are marked imported, so what Xray receives is
+ * the latest saved version and edits can't land in between and be overwritten.
+ * @param {string[]} ids - Draft IDs, validated when the job was queued
+ * @param {string} projectKey - Target project
+ * @param {number} chunkSize - Drafts per Xray import job
+ * @param {Function} report - Publishes job progress
+ */
+async function runBulkImport(ids, projectKey, chunkSize, report) {
+  const results = new Map();
+  const pending = [];
+
+  // Re-read drafts: they may have changed while the job was queued
+  const readPending = (id) => {
+    const draft = readDraft(id);
+    if (!draft) {
+      results.set(id, { draftId: id, success: false, error: 'Draft was deleted before the import started' });
+    } else if (draft.status === 'imported') {
+      results.set(id, { draftId: id, summary: draft.summary, success: false, error: 'Draft was already imported', testKey: draft.testKey });
+    } else {
+      return draft;
+    }
+    return null;
+  };
+  for (const id of ids) {
+    if (readPending(id)) pending.push(id);
+  }
+
+  const chunks = toChunks(pending, chunkSize);
+  const jobIds = [];
+  let retries = 0;
+  const linkTargets = [];
+
+  for (let c = 0; c < chunks.length; c++) {
+    await withDraftLocks(chunks[c], async () => {
+      // Earlier chunks took a while; read this chunk again now that nothing else can write it
+      const chunkDrafts = chunks[c].map(readPending).filter(Boolean);
+      if (chunkDrafts.length === 0) return;
+      const chunkProgress = { current: c + 1, total: chunks.length };
+      const prefix = chunks.length > 1 ? `Chunk ${c + 1}/${chunks.length}: ` : '';
+
+      let result;
+      try {
+        result = await importToXrayAndWait(
+          chunkDrafts.map(toImportTestCase),
+          projectKey,
+          (progress) => {
+            // Retry counts restart with each chunk; report the total for the whole job
+            const update = progress.retrying ? { ...progress, retries: retries + progress.retries } : progress;
+            report({ ...update, chunkProgress, message: prefix + describeProgress(update) });
+          }
+        );
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+
+      if (result.jobId) jobIds.push(result.jobId);
+      retries += result.retries || 0;
+
+      if (!result.success) {
+        for (const draft of chunkDrafts) {
+          results.set(draft.id, {
+            draftId: draft.id,
+            summary: draft.summary,
+            success: false,
+            chunk: c + 1,
+            jobId: result.jobId,
+            error: result.error || 'Import failed',
+          });
+        }
+        return;
+      }
+
+      // Mark this chunk as imported right away so a later failure can't lose it
+      chunkDrafts.forEach((draft, i) => {
+        const testIssueId = result.testIssueIds?.[i];
+        const testKey = result.testKeys?.[i];
+        writeDraft(draft.id, {
+          ...draft,
+          steps: toImportedSteps(draft),
+          status: 'imported',
+          importedAt: Date.now(),
+          updatedAt: Date.now(),
+          testIssueId,
+          testKey,
+        });
+        results.set(draft.id, {
+          draftId: draft.id,
+          summary: draft.summary,
+          success: true,
+          chunk: c + 1,
+          jobId: result.jobId,
+          testIssueId,
+          testKey,
+        });
+        linkTargets.push({
+          draftId: draft.id,
+          testIssueId,
+          testKey,
+          xrayLinking: draft.xrayLinking,
+          dataset: draft.testType === 'Manual' ? draft.dataset : null,
+        });
+      });
+    });
+  }
+
+  // Link each test as configured in its own draft; failures don't undo the import
+  const linkResults = await linkImportedTests(
+    linkTargets,
+    projectKey,
+    ({ completed, total }) => report({
+      phase: 'linking',
+      message: `Linking tests (${completed}/${total})`,
+      linkProgress: { completed, total },
+    })
+  );
+
+  const draftResults = ids.map((id) => results.get(id));
+  const imported = draftResults.filter((r) => r.success);
+  const failedCount = draftResults.length - imported.length;
+
+  return {
+    success: failedCount === 0,
+    partial: failedCount > 0 && imported.length > 0,
+    error: failedCount > 0 ? `${failedCount} of ${ids.length} test cases failed to import` : undefined,
+    jobId: jobIds[jobIds.length - 1],
+    jobIds,
+    testIssueIds: imported.map((r) => r.testIssueId),
+    testKeys: imported.map((r) => r.testKey),
+    importedCount: imported.length,
+    draftIds: imported.map((r) => r.draftId),
+    retries,
+    results: draftResults,
+    linkResults,
+    linkWarnings: linkResults.flatMap((link) =>
+      link.warnings.map((warning) => `${link.testKey || link.testIssueId}: ${warning}`)
+    ),
+  };
+}
+
+// Fields of an imported test that can be edited and pushed back to Xray
+const UPDATABLE_FIELDS = ['summary', 'description', 'labels', 'steps'];
+
+/**
+ * @swagger
+ * /drafts/{id}/update-xray:
+ *   post:
+ *     summary: Push edits of an imported test to its existing Xray issue
+ *     description: Applies summary, description, labels and steps to the test identified by the draft's testIssueId. The local draft is only updated once Xray accepts the change.
+ *     tags: [Import]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               changes:
+ *                 type: object
+ *                 properties:
+ *                   summary:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   labels:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   steps:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Step'
+ *     responses:
+ *       200:
+ *         description: Test updated in Xray
+ *       400:
+ *         description: Config not found, draft not imported, changes incomplete, or custom field values that do not fit their field (listed in details)
+ *       404:
+ *         description: Draft not found
+ */
+router.post('/:id/update-xray', locked(async (req, res) => {
+  try {
+    const config = readConfig();
+    if (!config) {
+      return res.status(400).json({
+        success: false,
+        error: 'Config not found. Please configure the application first.',
+      });
+    }
+
+    const { id } = req.params;
+    const { changes } = req.body;
+
+    if (!changes || typeof changes !== 'object') {
+      return res.status(400).json({ success: false, error: 'Changes required' });
+    }
+
+    const draft = readDraft(id);
+    if (!draft) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
+    }
+
+    if (draft.status !== 'imported' || !draft.testIssueId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only tests imported to Xray can be updated',
+      });
+    }
+
+    const updatedDraft = { ...draft };
+    for (const field of UPDATABLE_FIELDS) {
+      if (changes[field] !== undefined) {
+        updatedDraft[field] = changes[field];
+      }
+    }
+
+    if (!isComplete(updatedDraft)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot update test with incomplete fields. Please complete all required fields.',
+      });
+    }
+
+    const fieldErrors = getDraftFieldErrors(updatedDraft);
+    if (fieldErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid custom field values',
+        details: fieldErrors,
+      });
+    }
+
+    const result = await updateTestInXray(
+      draft.testIssueId,
+      toImportTestCase(updatedDraft),
+      draft.projectKey
+    );
+
+    if (!result.success) {
+      return res.json({ success: false, error: result.error });
+    }
+
+    const now = Date.now();
+    updatedDraft.isComplete = true;
+    updatedDraft.updatedAt = now;
+    updatedDraft.syncedAt = now;
+    updatedDraft.testKey = result.testKey || draft.testKey;
+    writeDraft(id, updatedDraft);
+
+    res.json({
+      success: true,
+      draft: readDraft(id),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update test in Xray',
+      details: error.message,
+    });
+  }
+}));
 
 /**
  * @swagger
@@ -576,9 +1021,16 @@ router.post('/:id/import', async (req, res) => {
  *                 type: array
  *                 items:
  *                   type: string
+ *                 description: Draft IDs; duplicates are imported once
+ *               chunkSize:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 description: Drafts per Xray import job (defaults to the project's importChunkSize, then 50)
+ *     description: Validates the drafts and queues a background import job. Drafts are sent to Xray in chunks; each chunk is marked imported as soon as it succeeds, and a failed chunk doesn't stop the rest. The job result lists the outcome per draft. Once Xray has created the tests, each one is linked to the Test Plans, Executions, Sets, folder and preconditions saved in its own draft. Progress is streamed from /import-jobs/{id}/events.
  *     responses:
- *       200:
- *         description: Bulk import initiated
+ *       202:
+ *         description: Bulk import queued
  *         content:
  *           application/json:
  *             schema:
@@ -586,23 +1038,33 @@ router.post('/:id/import', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 jobId:
+ *                 importJobId:
  *                   type: string
- *                 importedCount:
- *                   type: integer
+ *                   description: Local import job id
+ *                 job:
+ *                   $ref: '#/components/schemas/ImportJob'
  *       400:
- *         description: No IDs provided or config not found
+ *         description: No IDs provided, config not found, or a draft already imported, incomplete, or with custom field values that do not fit their field (listed in details)
  */
 router.post('/bulk-import', async (req, res) => {
   try {
-    const { ids } = req.body;
+    const { ids: requestedIds, chunkSize } = req.body;
 
-    if (!Array.isArray(ids) || ids.length === 0) {
+    if (!Array.isArray(requestedIds) || requestedIds.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'No draft IDs provided',
       });
     }
+    // A draft listed twice is imported once
+    const ids = [...new Set(requestedIds)];
+
+    if (chunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_IMPORT_CHUNK_SIZE)) {
+      return res.status(400).json({
+        success: false,
+        error: `chunkSize must be an integer between 1 and ${MAX_IMPORT_CHUNK_SIZE}`,
+      });
+    }
 
     const config = readConfig();
     if (!config) {
@@ -633,52 +1095,194 @@ router.post('/bulk-import', async (req, res) => {
           error: `Cannot import incomplete test case: ${draft.summary || id}`,
         });
       }
+      const fieldErrors = getDraftFieldErrors(draft);
+      if (fieldErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid custom field values in test case: ${draft.summary || id}`,
+          details: fieldErrors,
+        });
+      }
       drafts.push(draft);
     }
 
-    // Import directly to Xray and wait for completion
-    const testCasesForImport = drafts.map((draft) => ({
-      summary: draft.summary,
-      description: draft.description || '',
-      testType: draft.testType,
-      labels: draft.labels || [],
-      steps: draft.steps || [],
-      projectKey: draft.projectKey,
-    }));
-
-    // Use first draft's projectKey for bulk import (all should be same project)
-    const result = await importToXrayAndWait(testCasesForImport, drafts[0]?.projectKey);
-
-    // Mark all drafts as imported immediately on success
-    if (result.success) {
-      for (let i = 0; i < drafts.length; i++) {
-        const draft = drafts[i];
-        const updatedDraft = {
-          ...draft,
-          status: 'imported',
-          importedAt: Date.now(),
-          updatedAt: Date.now(),
-          testIssueId: result.testIssueIds?.[i],
-          testKey: result.testKeys?.[i],
+    // Run the import in the background; clients follow progress over SSE
+    const projectKey = drafts[0]?.projectKey;
+    const resolvedChunkSize = chunkSize
+      || getProjectSettings(projectKey).importChunkSize
+      || DEFAULT_IMPORT_CHUNK_SIZE;
+    const job = createImportJob(
+      { draftIds: ids, projectKey, total: drafts.length, chunkSize: resolvedChunkSize },
+      (report) => runBulkImport(ids, projectKey, resolvedChunkSize, report)
+    );
+
+    res.status(202).json({
+      success: true,
+      importJobId: job.id,
+      job,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Bulk import failed',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /drafts/fetch-from-xray:
+ *   post:
+ *     summary: Pull existing Xray tests into local imported drafts
+ *     description: Runs a JQL query against Xray and writes each test as an imported draft. Tests already present locally (same testIssueId) are updated in place.
+ *     tags: [Import]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               projectKey:
+ *                 type: string
+ *                 description: Project key (uses active project if not specified)
+ *               jql:
+ *                 type: string
+ *                 description: JQL query (defaults to all tests in the project)
+ *                 example: "project = 'PROJ' AND labels = smoke"
+ *     responses:
+ *       200:
+ *         description: Tests fetched
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 created:
+ *                   type: integer
+ *                 updated:
+ *                   type: integer
+ *                 ids:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Config not found or no project specified
+ */
+router.post('/fetch-from-xray', async (req, res) => {
+  try {
+    const config = readConfig();
+    if (!config) {
+      return res.status(400).json({
+        success: false,
+        error: 'Config not found. Please configure the application first.',
+      });
+    }
+
+    const projectKey = req.body.projectKey || readSettings().activeProject;
+    if (!projectKey) {
+      return res.status(400).json({ success: false, error: 'No project specified' });
+    }
+
+    const jql = req.body.jql?.trim() || `project = '${projectKey}'`;
+    const tests = await getTests(jql);
+
+    // Match already-known tests so re-fetching updates instead of duplicating
+    const existingByIssueId = new Map(
+      listDrafts(projectKey)
+        .filter((d) => d.testIssueId)
+        .map((d) => [d.testIssueId, d])
+    );
+
+    const ids = [];
+    let created = 0;
+    let updated = 0;
+    const now = Date.now();
+
+    for (const test of tests) {
+      const known = existingByIssueId.get(test.issueId);
+      const id = known?.id || randomUUID();
+      // Wait for an import or update of this draft that is still in flight, then build on what it wrote
+      await withDraftLock(id, () => {
+        const existing = known && readDraft(id);
+        const draft = {
+          ...existing,
+          ...fromXrayTest(test, projectKey),
+          id,
+          createdAt: existing?.createdAt || now,
+          updatedAt: now,
+          importedAt: existing?.importedAt || now,
         };
-        writeDraft(draft.id, updatedDraft);
+        draft.isComplete = isComplete(draft);
+
+        writeDraft(id, draft);
+      });
+      ids.push(id);
+      if (known) {
+        updated++;
+      } else {
+        created++;
       }
     }
 
     res.json({
-      success: result.success,
-      jobId: result.jobId,
-      testIssueIds: result.testIssueIds,
-      testKeys: result.testKeys,
-      message: result.success ? 'Import successful' : (result.error || 'Import failed'),
-      error: result.error,
-      importedCount: drafts.length,
-      draftIds: ids,
+      success: true,
+      created,
+      updated,
+      ids,
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Bulk import failed',
+      // Surface the Xray message (e.g. invalid JQL) to the user
+      error: error.message || 'Failed to fetch tests from Xray',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /drafts/migrate-schema:
+ *   post:
+ *     summary: Rewrite draft files stored in an older schema version
+ *     description: Drafts are upgraded in memory whenever they are read; this persists the upgrade once.
+ *     tags: [Drafts]
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Only migrate this project's drafts (all projects if not specified)
+ *     responses:
+ *       200:
+ *         description: Drafts migrated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 migrated:
+ *                   type: integer
+ *                   description: Draft files rewritten
+ *                 total:
+ *                   type: integer
+ *                   description: Draft files checked
+ *                 schemaVersion:
+ *                   type: integer
+ */
+router.post('/migrate-schema', (req, res) => {
+  try {
+    const { migrated, total } = migrateDraftFiles(req.query.project || null);
+    res.json({ success: true, migrated, total, schemaVersion: DRAFT_SCHEMA_VERSION });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Schema migration failed',
       details: error.message,
     });
   }
@@ -705,7 +1309,7 @@ router.post('/bulk-import', async (req, res) => {
  *       200:
  *         description: Migration successful
  *       400:
- *         description: testCases must be an array
+ *         description: testCases must be an array of valid drafts
  */
 router.post('/migrate', (req, res) => {
   try {
@@ -718,8 +1322,15 @@ router.post('/migrate', (req, res) => {
       });
     }
 
+    // Stored test cases may predate the current schema; nothing is written unless every one is valid
+    const upgraded = testCases.map((tc) => (tc?.constructor === Object ? migrateDraft(tc) : tc));
+    const invalid = upgraded.flatMap((tc, i) => validate('Draft', tc, `/testCases/${i}`));
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid test cases', details: invalid });
+    }
+
     const migrated = [];
-    for (const tc of testCases) {
+    for (const tc of upgraded) {
       const id = tc.id || randomUUID();
       const draft = {
         ...tc,
@@ -728,7 +1339,7 @@ router.post('/migrate', (req, res) => {
         createdAt: tc.createdAt || Date.now(),
         updatedAt: tc.updatedAt || Date.now(),
       };
-      delete draft.isComplete;
+      draft.isComplete = isComplete(draft);
       writeDraft(id, draft);
       migrated.push(id);
     }
@@ -0,0 +1,116 @@
+import express from 'express';
+import {
+  getImportJob,
+  listImportJobs,
+  subscribeToImportJob,
+  isImportJobFinished,
+} from '../utils/importJobs.js';
+
+const router = express.Router();
+
+// Keep idle SSE connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * @swagger
+ * /import-jobs:
+ *   get:
+ *     summary: List background import jobs (newest first)
+ *     tags: [Import]
+ *     responses:
+ *       200:
+ *         description: List of import jobs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportJob'
+ */
+router.get('/', (req, res) => {
+  res.json({ success: true, jobs: listImportJobs() });
+});
+
+/**
+ * @swagger
+ * /import-jobs/{id}:
+ *   get:
+ *     summary: Get the current state of an import job
+ *     tags: [Import]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import job
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/:id', (req, res) => {
+  const job = getImportJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found' });
+  }
+  res.json({ success: true, job });
+});
+
+/**
+ * @swagger
+ * /import-jobs/{id}/events:
+ *   get:
+ *     summary: Stream import job progress as Server-Sent Events
+ *     description: Sends the current job state immediately, then one `data:` event per change. The stream closes once the job is done or failed.
+ *     tags: [Import]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: text/event-stream of ImportJob snapshots
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/:id/events', (req, res) => {
+  const job = getImportJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Import job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  function send(snapshot) {
+    res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+    if (isImportJobFinished(snapshot)) {
+      cleanup();
+      res.end();
+    }
+  }
+
+  const unsubscribe = subscribeToImportJob(job.id, send);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  function cleanup() {
+    unsubscribe();
+    clearInterval(heartbeat);
+  }
+
+  req.on('close', cleanup);
+  send(job);
+});
+
+export default router;
@@ -0,0 +1,339 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import {
+  readConfig,
+  readSettings,
+  listPreconditions,
+  readPrecondition,
+  writePrecondition,
+  deletePrecondition,
+  withPreconditionLock,
+} from '../utils/fileOperations.js';
+import { PRECONDITION_TYPES, importPrecondition } from '../utils/preconditions.js';
+
+const router = express.Router();
+
+// Run a handler holding the lock of the precondition named by :id
+const locked = (handler) => (req, res) => withPreconditionLock(req.params.id, () => handler(req, res));
+
+/**
+ * Validate precondition fields shared by create and update
+ */
+function validatePrecondition(precondition) {
+  const errors = [];
+  if (!precondition.summary?.trim()) {
+    errors.push('Summary is required');
+  }
+  if (precondition.preconditionType && !PRECONDITION_TYPES.includes(precondition.preconditionType)) {
+    errors.push(`preconditionType must be one of ${PRECONDITION_TYPES.join(', ')}`);
+  }
+  return errors;
+}
+
+// Only the authored fields are taken from the request body
+function toPreconditionFields(precondition) {
+  return {
+    summary: precondition.summary.trim(),
+    description: precondition.description || '',
+    preconditionType: precondition.preconditionType || 'Manual',
+    definition: precondition.definition || '',
+  };
+}
+
+/**
+ * @swagger
+ * /preconditions:
+ *   get:
+ *     summary: List local preconditions
+ *     tags: [Preconditions]
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Filter by project key
+ *     responses:
+ *       200:
+ *         description: List of preconditions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 preconditions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Precondition'
+ */
+router.get('/', (req, res) => {
+  try {
+    const preconditions = listPreconditions(req.query.project || null);
+    res.json({ success: true, preconditions });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list preconditions',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /preconditions/{id}:
+ *   get:
+ *     summary: Get a local precondition
+ *     tags: [Preconditions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Precondition
+ *       404:
+ *         description: Precondition not found
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const precondition = readPrecondition(req.params.id);
+    if (!precondition) {
+      return res.status(404).json({ success: false, error: 'Precondition not found' });
+    }
+    res.json({ success: true, precondition });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read precondition',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /preconditions:
+ *   post:
+ *     summary: Create a local precondition
+ *     tags: [Preconditions]
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Project key (uses active project if not specified)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               precondition:
+ *                 $ref: '#/components/schemas/Precondition'
+ *     responses:
+ *       200:
+ *         description: Precondition created
+ *       400:
+ *         description: Validation failed or no project specified
+ */
+router.post('/', (req, res) => {
+  try {
+    const { precondition } = req.body;
+    if (!precondition) {
+      return res.status(400).json({ success: false, error: 'Precondition data required' });
+    }
+
+    const errors = validatePrecondition(precondition);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const projectKey = req.query.project || precondition.projectKey || readSettings().activeProject;
+    if (!projectKey) {
+      return res.status(400).json({ success: false, error: 'No project specified' });
+    }
+
+    const id = randomUUID();
+    const now = Date.now();
+    const newPrecondition = {
+      ...toPreconditionFields(precondition),
+      id,
+      projectKey,
+      status: 'draft',
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    writePrecondition(id, newPrecondition);
+    res.json({ success: true, id, precondition: newPrecondition });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create precondition',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /preconditions/{id}:
+ *   put:
+ *     summary: Update a local precondition
+ *     description: Only preconditions that haven't been created in Xray yet can be edited.
+ *     tags: [Preconditions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               precondition:
+ *                 $ref: '#/components/schemas/Precondition'
+ *     responses:
+ *       200:
+ *         description: Precondition updated
+ *       400:
+ *         description: Validation failed or already in Xray
+ *       404:
+ *         description: Precondition not found
+ */
+router.put('/:id', locked((req, res) => {
+  try {
+    const { id } = req.params;
+    const { precondition } = req.body;
+    if (!precondition) {
+      return res.status(400).json({ success: false, error: 'Precondition data required' });
+    }
+
+    const existing = readPrecondition(id);
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Precondition not found' });
+    }
+    if (existing.status === 'imported') {
+      return res.status(400).json({
+        success: false,
+        error: `This precondition is already in Xray as ${existing.xrayKey}. Edit it in Xray instead.`,
+      });
+    }
+
+    const errors = validatePrecondition(precondition);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const updatedPrecondition = {
+      ...existing,
+      ...toPreconditionFields(precondition),
+      updatedAt: Date.now(),
+    };
+
+    writePrecondition(id, updatedPrecondition);
+    res.json({ success: true, precondition: updatedPrecondition });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update precondition',
+      details: error.message,
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /preconditions/{id}:
+ *   delete:
+ *     summary: Delete a local precondition
+ *     description: Removes the local file only; a precondition already created in Xray is kept there.
+ *     tags: [Preconditions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Precondition deleted
+ *       404:
+ *         description: Precondition not found
+ */
+router.delete('/:id', locked((req, res) => {
+  try {
+    const deleted = deletePrecondition(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Precondition not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete precondition',
+      details: error.message,
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /preconditions/{id}/import:
+ *   post:
+ *     summary: Create a local precondition in Xray
+ *     tags: [Preconditions]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Precondition created in Xray and marked imported
+ *       400:
+ *         description: Config not found or already imported
+ *       404:
+ *         description: Precondition not found
+ */
+router.post('/:id/import', async (req, res) => {
+  try {
+    if (!readConfig()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Config not found. Please configure the application first.',
+      });
+    }
+
+    const precondition = readPrecondition(req.params.id);
+    if (!precondition) {
+      return res.status(404).json({ success: false, error: 'Precondition not found' });
+    }
+    if (precondition.status === 'imported') {
+      return res.status(400).json({
+        success: false,
+        error: `This precondition is already in Xray as ${precondition.xrayKey}.`,
+      });
+    }
+
+    const result = await importPrecondition(precondition);
+    res.json({ success: true, precondition: result.precondition, warnings: result.warnings });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create precondition in Xray',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import { readConfig, readSettings } from '../utils/fileOperations.js';
+import {
+  RESULT_FORMATS,
+  detectResultFormat,
+  validateResults,
+  importResults,
+} from '../utils/executionResults.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /results/import:
+ *   post:
+ *     summary: Import test execution results into Xray
+ *     description: >
+ *       Posts a JUnit XML, TestNG XML or Xray JSON results file to Xray and records it in an
+ *       existing Test Execution, or in a new one created first. Xray matches results to existing
+ *       tests and creates Generic tests for the rest; the response lists which is which.
+ *     tags: [Results]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content, testExecution]
+ *             properties:
+ *               projectKey:
+ *                 type: string
+ *                 description: Project key (uses active project if not specified)
+ *               format:
+ *                 type: string
+ *                 enum: [junit, testng, xray]
+ *                 description: Detected from the content when omitted
+ *               content:
+ *                 type: string
+ *                 description: Results file content
+ *               testExecution:
+ *                 type: object
+ *                 description: "{ key } of an existing Test Execution, or { summary, description } for a new one"
+ *                 properties:
+ *                   key:
+ *                     type: string
+ *                     example: PROJ-120
+ *                   summary:
+ *                     type: string
+ *                     example: Nightly CI run
+ *                   description:
+ *                     type: string
+ *               testPlanKey:
+ *                 type: string
+ *               testEnvironments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Results imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResultsImport'
+ *       400:
+ *         description: Config not found, unknown format, invalid results file or fields of the wrong type
+ *       500:
+ *         description: Xray rejected the import
+ */
+router.post('/import', async (req, res) => {
+  try {
+    if (!readConfig()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Config not found. Please configure the application first.',
+      });
+    }
+
+    const { content, testExecution = {}, testPlanKey, testEnvironments = [] } = req.body;
+    const projectKey = req.body.projectKey || readSettings().activeProject;
+    if (!projectKey) {
+      return res.status(400).json({ success: false, error: 'No project specified' });
+    }
+
+    const format = req.body.format || detectResultFormat(content);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not detect the results format. Choose one of ${RESULT_FORMATS.join(', ')}.`,
+      });
+    }
+
+    const errors = validateResults(format, content);
+    if (!testExecution || typeof testExecution !== 'object' || Array.isArray(testExecution)) {
+      errors.push('testExecution must be an object');
+    } else if (['key', 'summary', 'description'].some((field) => testExecution[field] != null && typeof testExecution[field] !== 'string')) {
+      errors.push('testExecution key, summary and description must be strings');
+    } else if (!testExecution.key?.trim() && !testExecution.summary?.trim()) {
+      errors.push('Choose a Test Execution or enter a summary for a new one');
+    }
+    if (testPlanKey != null && typeof testPlanKey !== 'string') {
+      errors.push('testPlanKey must be a string');
+    }
+    if (!Array.isArray(testEnvironments) || testEnvironments.some((env) => typeof env !== 'string')) {
+      errors.push('testEnvironments must be an array of strings');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const result = await importResults({
+      projectKey,
+      format,
+      content,
+      testExecution: testExecution.key?.trim()
+        ? { key: testExecution.key.trim() }
+        : { summary: testExecution.summary.trim(), description: testExecution.description || '' },
+      testPlanKey: testPlanKey?.trim() || undefined,
+      testEnvironments: testEnvironments.map((env) => env.trim()).filter(Boolean),
+    });
+
+    res.json({ success: true, format, ...result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.response?.data?.error || error.message || 'Failed to import results',
+    });
+  }
+});
+
+export default router;
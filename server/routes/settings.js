@@ -9,10 +9,17 @@ import {
   unhideProject,
   setActiveProject,
   getSettingsSynced,
+  listDrafts,
+  withSettingsLock,
 } from '../utils/fileOperations.js';
+import { validateSharedSteps } from '../utils/sharedSteps.js';
+import { validate } from '../utils/schemas.js';
 
 const router = express.Router();
 
+// Handlers that read, change and write the settings file take turns
+const locked = (handler) => (req, res) => withSettingsLock(() => handler(req, res));
+
 // ============ Global Settings ============
 
 /**
@@ -52,19 +59,25 @@ router.get('/', (req, res) => {
  *             type: object
  *             properties:
  *               settings:
- *                 type: object
+ *                 $ref: '#/components/schemas/Settings'
  *     responses:
  *       200:
  *         description: Settings saved
  *       400:
- *         description: Settings required
+ *         description: Settings required, or fields that fail the Settings schema (listed in details)
  */
-router.put('/', (req, res) => {
+router.put('/', locked((req, res) => {
   try {
     const { settings } = req.body;
     if (!settings) {
       return res.status(400).json({ success: false, error: 'Settings required' });
     }
+
+    const invalid = validate('Settings', settings, '/settings');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid settings', details: invalid });
+    }
+
     writeSettings(settings);
     res.json({ success: true, settings });
   } catch (error) {
@@ -74,7 +87,7 @@ router.put('/', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 // ============ Project Management ============
 
@@ -88,7 +101,7 @@ router.put('/', (req, res) => {
  *       200:
  *         description: List of projects
  */
-router.get('/projects', (req, res) => {
+router.get('/projects', locked((req, res) => {
   try {
     // Use synced settings to auto-remove projects whose folders were deleted
     const settings = getSettingsSynced();
@@ -106,7 +119,7 @@ router.get('/projects', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -132,7 +145,7 @@ router.get('/projects', (req, res) => {
  *       400:
  *         description: Invalid project key
  */
-router.post('/projects', (req, res) => {
+router.post('/projects', locked((req, res) => {
   try {
     const { projectKey, color } = req.body;
 
@@ -160,7 +173,7 @@ router.post('/projects', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -178,7 +191,7 @@ router.post('/projects', (req, res) => {
  *       200:
  *         description: Project hidden
  */
-router.post('/projects/:projectKey/hide', (req, res) => {
+router.post('/projects/:projectKey/hide', locked((req, res) => {
   try {
     const { projectKey } = req.params;
     hideProject(projectKey);
@@ -196,7 +209,7 @@ router.post('/projects/:projectKey/hide', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -214,7 +227,7 @@ router.post('/projects/:projectKey/hide', (req, res) => {
  *       200:
  *         description: Project unhidden
  */
-router.post('/projects/:projectKey/unhide', (req, res) => {
+router.post('/projects/:projectKey/unhide', locked((req, res) => {
   try {
     const { projectKey } = req.params;
     unhideProject(projectKey);
@@ -231,7 +244,7 @@ router.post('/projects/:projectKey/unhide', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -251,7 +264,7 @@ router.post('/projects/:projectKey/unhide', (req, res) => {
  *       404:
  *         description: Project not found
  */
-router.post('/projects/:projectKey/activate', (req, res) => {
+router.post('/projects/:projectKey/activate', locked((req, res) => {
   try {
     const { projectKey } = req.params;
     const result = setActiveProject(projectKey);
@@ -274,7 +287,7 @@ router.post('/projects/:projectKey/activate', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -331,12 +344,14 @@ router.get('/projects/:projectKey', (req, res) => {
  *             type: object
  *             properties:
  *               settings:
- *                 type: object
+ *                 $ref: '#/components/schemas/ProjectSettings'
  *     responses:
  *       200:
  *         description: Project settings updated
+ *       400:
+ *         description: Settings required, or fields that fail the ProjectSettings schema (listed in details)
  */
-router.put('/projects/:projectKey', (req, res) => {
+router.put('/projects/:projectKey', locked((req, res) => {
   try {
     const { projectKey } = req.params;
     const { settings } = req.body;
@@ -345,6 +360,11 @@ router.put('/projects/:projectKey', (req, res) => {
       return res.status(400).json({ success: false, error: 'Settings required' });
     }
 
+    const invalid = validate('ProjectSettings', settings, '/settings');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid project settings', details: invalid });
+    }
+
     saveProjectSettings(projectKey, settings);
 
     res.json({
@@ -359,7 +379,7 @@ router.put('/projects/:projectKey', (req, res) => {
       details: error.message,
     });
   }
-});
+}));
 
 // ============ Per-Project Settings (Functional Areas, Labels, Collections) ============
 
@@ -428,9 +448,9 @@ router.get('/functional-areas', (req, res) => {
  *       200:
  *         description: Areas saved
  *       400:
- *         description: Areas must be an array
+ *         description: Areas must be an array of strings
  */
-router.put('/functional-areas', (req, res) => {
+router.put('/functional-areas', locked((req, res) => {
   try {
     const { areas } = req.body;
     const projectKey = req.query.project;
@@ -439,6 +459,11 @@ router.put('/functional-areas', (req, res) => {
       return res.status(400).json({ success: false, error: 'Areas must be an array' });
     }
 
+    const invalid = validate('ProjectSettings/properties/functionalAreas', areas, '/areas');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid areas', details: invalid });
+    }
+
     const settings = readSettings();
     const targetProject = projectKey || settings.activeProject;
 
@@ -459,7 +484,7 @@ router.put('/functional-areas', (req, res) => {
       error: 'Failed to save functional areas',
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -525,9 +550,9 @@ router.get('/labels', (req, res) => {
  *       200:
  *         description: Labels saved
  *       400:
- *         description: Labels must be an array
+ *         description: Labels must be an array of strings
  */
-router.put('/labels', (req, res) => {
+router.put('/labels', locked((req, res) => {
   try {
     const { labels } = req.body;
     const projectKey = req.query.project;
@@ -536,6 +561,11 @@ router.put('/labels', (req, res) => {
       return res.status(400).json({ success: false, error: 'Labels must be an array' });
     }
 
+    const invalid = validate('ProjectSettings/properties/labels', labels, '/labels');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid labels', details: invalid });
+    }
+
     const settings = readSettings();
     const targetProject = projectKey || settings.activeProject;
 
@@ -555,7 +585,7 @@ router.put('/labels', (req, res) => {
       error: 'Failed to save labels',
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -621,9 +651,9 @@ router.get('/collections', (req, res) => {
  *       200:
  *         description: Collections saved
  *       400:
- *         description: Collections must be an array
+ *         description: Collections must be an array of valid collections
  */
-router.put('/collections', (req, res) => {
+router.put('/collections', locked((req, res) => {
   try {
     const { collections } = req.body;
     const projectKey = req.query.project;
@@ -632,6 +662,11 @@ router.put('/collections', (req, res) => {
       return res.status(400).json({ success: false, error: 'Collections must be an array' });
     }
 
+    const invalid = validate('ProjectSettings/properties/collections', collections, '/collections');
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid collections', details: invalid });
+    }
+
     const settings = readSettings();
     const targetProject = projectKey || settings.activeProject;
 
@@ -651,7 +686,7 @@ router.put('/collections', (req, res) => {
       error: 'Failed to save collections',
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -686,7 +721,7 @@ router.put('/collections', (req, res) => {
  *       400:
  *         description: Name required
  */
-router.post('/collections', (req, res) => {
+router.post('/collections', locked((req, res) => {
   try {
     const { name, color } = req.body;
     const projectKey = req.query.project;
@@ -704,6 +739,11 @@ router.post('/collections', (req, res) => {
       color: color || '#6366f1',
     };
 
+    const invalid = validate('Collection', newCollection);
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid collection', details: invalid });
+    }
+
     if (targetProject) {
       const projectSettings = getProjectSettings(targetProject);
       const collections = projectSettings.collections || [];
@@ -724,7 +764,7 @@ router.post('/collections', (req, res) => {
       error: 'Failed to create collection',
     });
   }
-});
+}));
 
 /**
  * @swagger
@@ -750,7 +790,7 @@ router.post('/collections', (req, res) => {
  *       404:
  *         description: Collection not found
  */
-router.delete('/collections/:id', (req, res) => {
+router.delete('/collections/:id', locked((req, res) => {
   try {
     const { id } = req.params;
     const projectKey = req.query.project;
@@ -786,6 +826,251 @@ router.delete('/collections/:id', (req, res) => {
       error: 'Failed to delete collection',
     });
   }
+}));
+
+// ============ Shared Steps Library ============
+
+// Project whose library a request targets: ?project= or the active project
+function getLibraryProject(req) {
+  return req.query.project || readSettings().activeProject;
+}
+
+function toSharedStepsEntry({ name, steps, callTestKey }) {
+  return {
+    name: name.trim(),
+    steps: steps.map((step) => ({ action: step.action, data: step.data || '', result: step.result })),
+    callTestKey: callTestKey?.trim() || '',
+  };
+}
+
+/**
+ * @swagger
+ * /settings/shared-steps:
+ *   get:
+ *     summary: Get the shared steps library of a project
+ *     tags: [Shared Steps]
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Project key (uses active project if not specified)
+ *     responses:
+ *       200:
+ *         description: Shared steps of the project
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sharedSteps:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SharedSteps'
+ */
+router.get('/shared-steps', (req, res) => {
+  try {
+    const projectKey = getLibraryProject(req);
+    if (!projectKey) {
+      return res.json({ success: true, sharedSteps: [] });
+    }
+    res.json({ success: true, sharedSteps: getProjectSettings(projectKey).sharedSteps || [] });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read shared steps',
+      details: error.message,
+    });
+  }
 });
 
+/**
+ * @swagger
+ * /settings/shared-steps:
+ *   post:
+ *     summary: Add steps to the shared steps library of a project
+ *     tags: [Shared Steps]
+ *     parameters:
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Project key (uses active project if not specified)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SharedSteps'
+ *     responses:
+ *       200:
+ *         description: Shared steps created
+ *       400:
+ *         description: Missing name or incomplete steps, or no project
+ */
+router.post('/shared-steps', locked((req, res) => {
+  try {
+    const projectKey = getLibraryProject(req);
+    if (!projectKey) {
+      return res.status(400).json({ success: false, error: 'No project specified' });
+    }
+
+    const validationError = validateSharedSteps(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const invalid = validate('SharedSteps', req.body);
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid shared steps', details: invalid });
+    }
+
+    const entry = {
+      id: `shs-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      ...toSharedStepsEntry(req.body),
+      updatedAt: Date.now(),
+    };
+
+    const projectSettings = getProjectSettings(projectKey);
+    projectSettings.sharedSteps = [...(projectSettings.sharedSteps || []), entry];
+    saveProjectSettings(projectKey, projectSettings);
+
+    res.json({ success: true, sharedStep: entry, sharedSteps: projectSettings.sharedSteps });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create shared steps',
+      details: error.message,
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /settings/shared-steps/{id}:
+ *   put:
+ *     summary: Update shared steps; drafts that link them pick up the change
+ *     tags: [Shared Steps]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Project key (uses active project if not specified)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SharedSteps'
+ *     responses:
+ *       200:
+ *         description: Shared steps updated
+ *       400:
+ *         description: Missing name or incomplete steps
+ *       404:
+ *         description: Shared steps not found
+ */
+router.put('/shared-steps/:id', locked((req, res) => {
+  try {
+    const { id } = req.params;
+    const projectKey = getLibraryProject(req);
+    const projectSettings = projectKey ? getProjectSettings(projectKey) : {};
+    const sharedSteps = projectSettings.sharedSteps || [];
+    const index = sharedSteps.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Shared steps not found' });
+    }
+
+    const validationError = validateSharedSteps(req.body);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const invalid = validate('SharedSteps', req.body);
+    if (invalid.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid shared steps', details: invalid });
+    }
+
+    sharedSteps[index] = { id, ...toSharedStepsEntry(req.body), updatedAt: Date.now() };
+    projectSettings.sharedSteps = sharedSteps;
+    saveProjectSettings(projectKey, projectSettings);
+
+    res.json({ success: true, sharedStep: sharedSteps[index], sharedSteps });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update shared steps',
+      details: error.message,
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /settings/shared-steps/{id}:
+ *   delete:
+ *     summary: Delete shared steps that no draft links to
+ *     tags: [Shared Steps]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Project key (uses active project if not specified)
+ *     responses:
+ *       200:
+ *         description: Shared steps deleted
+ *       404:
+ *         description: Shared steps not found
+ *       409:
+ *         description: Drafts still link the shared steps
+ */
+router.delete('/shared-steps/:id', locked((req, res) => {
+  try {
+    const { id } = req.params;
+    const projectKey = getLibraryProject(req);
+    const projectSettings = projectKey ? getProjectSettings(projectKey) : {};
+    const sharedSteps = projectSettings.sharedSteps || [];
+    if (!sharedSteps.some((entry) => entry.id === id)) {
+      return res.status(404).json({ success: false, error: 'Shared steps not found' });
+    }
+
+    // Imported drafts keep expanded copies, so only unimported ones still depend on the entry
+    const linkedDrafts = listDrafts(projectKey).filter((draft) => (
+      draft.status !== 'imported' && draft.steps?.some((step) => step.sharedStepsId === id)
+    ));
+    if (linkedDrafts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Shared steps are used by ${linkedDrafts.length} draft${linkedDrafts.length === 1 ? '' : 's'}`,
+        details: linkedDrafts.map((draft) => draft.summary),
+      });
+    }
+
+    projectSettings.sharedSteps = sharedSteps.filter((entry) => entry.id !== id);
+    saveProjectSettings(projectKey, projectSettings);
+
+    res.json({ success: true, sharedSteps: projectSettings.sharedSteps });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete shared steps',
+      details: error.message,
+    });
+  }
+}));
+
 export default router;
@@ -4,8 +4,15 @@ import {
   getTestExecutions,
   getTestSets,
   getPreconditions,
-  getFolders,
+  getFolderLevel,
   getProjectId,
+  renameFolder,
+  moveFolder,
+  deleteFolder,
+  ensureFolderPath,
+  createTestPlan,
+  createTestExecution,
+  createTestSet,
   addTestsToTestPlan,
   addTestsToTestExecution,
   addTestsToTestSet,
@@ -16,10 +23,29 @@ import {
   removeTestsFromTestSet,
   removeTestsFromFolder,
   removePreconditionsFromTest,
+  getTestRun,
+  updateTestRunStep,
+  updateTestRunStatus,
+  updateTestRunComment,
 } from '../utils/xrayClient.js';
+import { resolvePreconditionIds } from '../utils/preconditions.js';
+import { rewriteDraftFolderPaths } from '../utils/fileOperations.js';
 
 const router = express.Router();
 
+// "Auth/Login/" -> "/Auth/Login"; null for the root, which can't be managed
+function normalizeFolderPath(path) {
+  const segments = String(path || '').split('/').map((segment) => segment.trim()).filter(Boolean);
+  return segments.length > 0 ? `/${segments.join('/')}` : null;
+}
+
+function getParentPath(path) {
+  return path.slice(0, path.lastIndexOf('/')) || '/';
+}
+
+// Statuses Xray Cloud defines for test runs and their steps
+const TEST_RUN_STATUSES = ['TODO', 'EXECUTING', 'PASSED', 'FAILED'];
+
 /**
  * @swagger
  * /xray/test-plans/{projectKey}:
@@ -32,14 +58,19 @@ const router = express.Router();
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only return test plans whose summary or key matches
  *     responses:
  *       200:
- *         description: List of test plans
+ *         description: List of test plans (all pages, or the first page of matches when searching)
  */
 router.get('/test-plans/:projectKey', async (req, res) => {
   try {
     const { projectKey } = req.params;
-    const testPlans = await getTestPlans(projectKey);
+    const testPlans = await getTestPlans(projectKey, req.query.search);
     res.json({ success: true, testPlans });
   } catch (error) {
     res.status(500).json({
@@ -61,14 +92,19 @@ router.get('/test-plans/:projectKey', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only return test executions whose summary or key matches
  *     responses:
  *       200:
- *         description: List of test executions
+ *         description: List of test executions (all pages, or the first page of matches when searching)
  */
 router.get('/test-executions/:projectKey', async (req, res) => {
   try {
     const { projectKey } = req.params;
-    const testExecutions = await getTestExecutions(projectKey);
+    const testExecutions = await getTestExecutions(projectKey, req.query.search);
     res.json({ success: true, testExecutions });
   } catch (error) {
     res.status(500).json({
@@ -90,14 +126,19 @@ router.get('/test-executions/:projectKey', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only return test sets whose summary or key matches
  *     responses:
  *       200:
- *         description: List of test sets
+ *         description: List of test sets (all pages, or the first page of matches when searching)
  */
 router.get('/test-sets/:projectKey', async (req, res) => {
   try {
     const { projectKey } = req.params;
-    const testSets = await getTestSets(projectKey);
+    const testSets = await getTestSets(projectKey, req.query.search);
     res.json({ success: true, testSets });
   } catch (error) {
     res.status(500).json({
@@ -119,14 +160,19 @@ router.get('/test-sets/:projectKey', async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Only return preconditions whose summary or key matches
  *     responses:
  *       200:
- *         description: List of preconditions
+ *         description: List of preconditions (all pages, or the first page of matches when searching)
  */
 router.get('/preconditions/:projectKey', async (req, res) => {
   try {
     const { projectKey } = req.params;
-    const preconditions = await getPreconditions(projectKey);
+    const preconditions = await getPreconditions(projectKey, req.query.search);
     res.json({ success: true, preconditions });
   } catch (error) {
     res.status(500).json({
@@ -136,11 +182,177 @@ router.get('/preconditions/:projectKey', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /xray/test-plans/{projectKey}:
+ *   post:
+ *     summary: Create a Test Plan in a project
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: projectKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - summary
+ *             properties:
+ *               summary:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Created Test Plan ({issueId, key, summary, warnings})
+ *       400:
+ *         description: Summary missing
+ */
+router.post('/test-plans/:projectKey', async (req, res) => {
+  try {
+    const { projectKey } = req.params;
+    const { summary, description } = req.body;
+
+    if (!summary?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Summary is required',
+      });
+    }
+
+    const testPlan = await createTestPlan(projectKey, { summary, description });
+    res.json({ success: true, testPlan });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create test plan',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /xray/test-executions/{projectKey}:
+ *   post:
+ *     summary: Create a Test Execution in a project
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: projectKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - summary
+ *             properties:
+ *               summary:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               testEnvironments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Created Test Execution ({issueId, key, summary, warnings})
+ *       400:
+ *         description: Summary missing
+ */
+router.post('/test-executions/:projectKey', async (req, res) => {
+  try {
+    const { projectKey } = req.params;
+    const { summary, description, testEnvironments } = req.body;
+
+    if (!summary?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Summary is required',
+      });
+    }
+
+    const testExecution = await createTestExecution(projectKey, { summary, description, testEnvironments });
+    res.json({ success: true, testExecution });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create test execution',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /xray/test-sets/{projectKey}:
+ *   post:
+ *     summary: Create a Test Set in a project
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: projectKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - summary
+ *             properties:
+ *               summary:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Created Test Set ({issueId, key, summary, warnings})
+ *       400:
+ *         description: Summary missing
+ */
+router.post('/test-sets/:projectKey', async (req, res) => {
+  try {
+    const { projectKey } = req.params;
+    const { summary, description } = req.body;
+
+    if (!summary?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Summary is required',
+      });
+    }
+
+    const testSet = await createTestSet(projectKey, { summary, description });
+    res.json({ success: true, testSet });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create test set',
+    });
+  }
+});
+
 /**
  * @swagger
  * /xray/folders/{projectKey}:
  *   get:
- *     summary: Get folder structure for a project
+ *     summary: Get one level of the folder tree for a project
+ *     description: >
+ *       Returns the folder at `path` with its direct subfolders. Subtrees are cached on the
+ *       server, so expanding folders below one already fetched doesn't query Xray again.
  *     tags: [Xray]
  *     parameters:
  *       - in: path
@@ -153,18 +365,35 @@ router.get('/preconditions/:projectKey', async (req, res) => {
  *         schema:
  *           type: string
  *         description: "Folder path (default: root)"
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Bypass the server-side folder cache
  *     responses:
  *       200:
- *         description: Folder structure
+ *         description: The folder and its direct subfolders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 projectId:
+ *                   type: string
+ *                 folders:
+ *                   $ref: '#/components/schemas/FolderLevel'
  */
 router.get('/folders/:projectKey', async (req, res) => {
   try {
     const { projectKey } = req.params;
-    const { path = '/' } = req.query;
+    const path = normalizeFolderPath(req.query.path) || '/';
+    const refresh = req.query.refresh === 'true';
 
     // First get the project ID
     const projectId = await getProjectId(projectKey);
-    const folders = await getFolders(projectId, path);
+    const folders = await getFolderLevel(projectId, path, { refresh });
 
     res.json({ success: true, folders, projectId });
   } catch (error) {
@@ -175,6 +404,345 @@ router.get('/folders/:projectKey', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /xray/folders/{projectKey}:
+ *   post:
+ *     summary: Create a folder in the Test Repository
+ *     description: Missing parent folders are created as well.
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: projectKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [path]
+ *             properties:
+ *               path:
+ *                 type: string
+ *                 example: /Auth/Login
+ *     responses:
+ *       200:
+ *         description: Paths of the folders that were created
+ *       400:
+ *         description: Missing path
+ */
+router.post('/folders/:projectKey', async (req, res) => {
+  try {
+    const path = normalizeFolderPath(req.body.path);
+    if (!path) {
+      return res.status(400).json({ success: false, error: 'Folder path is required' });
+    }
+
+    const projectId = await getProjectId(req.params.projectKey);
+    const created = await ensureFolderPath(projectId, path);
+    res.json({ success: true, path, created });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to create folder',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /xray/folders/{projectKey}/rename:
+ *   post:
+ *     summary: Rename a folder in the Test Repository
+ *     description: Drafts linked to the folder or its subfolders are updated to the new path.
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: projectKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [path, newName]
+ *             properties:
+ *               path:
+ *                 type: string
+ *               newName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Folder renamed
+ *       400:
+ *         description: Missing path or invalid name
+ */
+router.post('/folders/:projectKey/rename', async (req, res) => {
+  try {
+    const path = normalizeFolderPath(req.body.path);
+    const newName = req.body.newName?.trim();
+    if (!path) {
+      return res.status(400).json({ success: false, error: 'Folder path is required' });
+    }
+    if (!newName || newName.includes('/')) {
+      return res.status(400).json({ success: false, error: 'New name is required and cannot contain "/"' });
+    }
+
+    const projectId = await getProjectId(req.params.projectKey);
+    const result = await renameFolder(projectId, path, newName);
+    const parentPath = getParentPath(path);
+    const newPath = `${parentPath === '/' ? '' : parentPath}/${newName}`;
+    const draftsUpdated = await rewriteDraftFolderPaths(req.params.projectKey, path, newPath);
+
+    res.json({ success: true, path: newPath, draftsUpdated, warnings: result?.warnings || [] });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to rename folder',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /xray/folders/{projectKey}/move:
+ *   post:
+ *     summary: Move a folder under another folder
+ *     description: Drafts linked to the folder or its subfolders are updated to the new path.
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: projectKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [path, destinationPath]
+ *             properties:
+ *               path:
+ *                 type: string
+ *               destinationPath:
+ *                 type: string
+ *                 description: New parent folder ("/" for the root)
+ *     responses:
+ *       200:
+ *         description: Folder moved
+ *       400:
+ *         description: Missing path or invalid destination
+ */
+router.post('/folders/:projectKey/move', async (req, res) => {
+  try {
+    const path = normalizeFolderPath(req.body.path);
+    const destinationPath = normalizeFolderPath(req.body.destinationPath) || '/';
+    if (!path) {
+      return res.status(400).json({ success: false, error: 'Folder path is required' });
+    }
+    if (destinationPath === path || destinationPath.startsWith(`${path}/`)) {
+      return res.status(400).json({ success: false, error: 'A folder cannot be moved into itself' });
+    }
+
+    const projectId = await getProjectId(req.params.projectKey);
+    const result = await moveFolder(projectId, path, destinationPath);
+    const newPath = `${destinationPath === '/' ? '' : destinationPath}${path.slice(path.lastIndexOf('/'))}`;
+    const draftsUpdated = await rewriteDraftFolderPaths(req.params.projectKey, path, newPath);
+
+    res.json({ success: true, path: newPath, draftsUpdated, warnings: result?.warnings || [] });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to move folder',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /xray/folders/{projectKey}:
+ *   delete:
+ *     summary: Delete a folder from the Test Repository
+ *     description: Drafts linked to the folder or its subfolders are moved to its parent folder.
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: projectKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Folder deleted
+ *       400:
+ *         description: Missing path
+ */
+router.delete('/folders/:projectKey', async (req, res) => {
+  try {
+    const path = normalizeFolderPath(req.query.path);
+    if (!path) {
+      return res.status(400).json({ success: false, error: 'Folder path is required' });
+    }
+
+    const projectId = await getProjectId(req.params.projectKey);
+    await deleteFolder(projectId, path);
+    const draftsUpdated = await rewriteDraftFolderPaths(req.params.projectKey, path, getParentPath(path), { keepSubfolders: false });
+
+    res.json({ success: true, draftsUpdated });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete folder',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /xray/test-runs/{testExecutionId}/{testIssueId}:
+ *   get:
+ *     summary: Get the run of a test in a Test Execution
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: testExecutionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: testIssueId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test run with its step results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 testRun:
+ *                   $ref: '#/components/schemas/TestRun'
+ */
+router.get('/test-runs/:testExecutionId/:testIssueId', async (req, res) => {
+  try {
+    const testRun = await getTestRun(req.params.testIssueId, req.params.testExecutionId);
+    res.json({ success: true, testRun });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to fetch test run',
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /xray/test-runs/{testRunId}:
+ *   put:
+ *     summary: Record step results, status and comment of a test run
+ *     description: Only the fields that are sent are changed. Steps are updated one by one, before the run status.
+ *     tags: [Xray]
+ *     parameters:
+ *       - in: path
+ *         name: testRunId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [TODO, EXECUTING, PASSED, FAILED]
+ *               comment:
+ *                 type: string
+ *               steps:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [id]
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [TODO, EXECUTING, PASSED, FAILED]
+ *                     actualResult:
+ *                       type: string
+ *                     comment:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Test run updated
+ *       400:
+ *         description: Unknown status or step without an id
+ */
+router.put('/test-runs/:testRunId', async (req, res) => {
+  try {
+    const { testRunId } = req.params;
+    const { status, comment, steps = [] } = req.body;
+
+    const errors = [];
+    if (status !== undefined && !TEST_RUN_STATUSES.includes(status)) {
+      errors.push(`status must be one of ${TEST_RUN_STATUSES.join(', ')}`);
+    }
+    if (!Array.isArray(steps)) {
+      errors.push('steps must be an array');
+    } else {
+      steps.forEach((step, index) => {
+        if (!step?.id) errors.push(`steps[${index}].id is required`);
+        if (step?.status !== undefined && !TEST_RUN_STATUSES.includes(step.status)) {
+          errors.push(`steps[${index}].status must be one of ${TEST_RUN_STATUSES.join(', ')}`);
+        }
+      });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+    }
+
+    const warnings = [];
+    // One at a time: Xray recalculates the run after each step update
+    for (const { id, ...updateData } of steps) {
+      const result = await updateTestRunStep(testRunId, id, updateData);
+      warnings.push(...result.warnings);
+    }
+    if (status !== undefined) {
+      await updateTestRunStatus(testRunId, status);
+    }
+    if (comment !== undefined) {
+      await updateTestRunComment(testRunId, comment);
+    }
+
+    res.json({ success: true, stepsUpdated: steps.length, warnings });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to update test run',
+    });
+  }
+});
+
 /**
  * @swagger
  * /xray/link:
@@ -294,16 +862,19 @@ router.post('/link', async (req, res) => {
     // Folder linking promise
     if (resolvedProjectId && folderPath) {
       linkingPromises.push(
-        addTestsToFolder(resolvedProjectId, folderPath, [testIssueId])
+        ensureFolderPath(resolvedProjectId, folderPath)
+          .then(() => addTestsToFolder(resolvedProjectId, folderPath, [testIssueId]))
           .then((result) => ({ type: 'folder', success: true, result }))
           .catch((error) => ({ type: 'folder', success: false, error: error.message }))
       );
     }
 
-    // Preconditions linking promise
-    if (preconditionIds && preconditionIds.length > 0) {
+    // Preconditions linking promise (local preconditions are created in Xray first)
+    const preconditions = await resolvePreconditionIds(preconditionIds || []);
+    warnings.push(...preconditions.warnings);
+    if (preconditions.issueIds.length > 0) {
       linkingPromises.push(
-        addPreconditionsToTest(testIssueId, preconditionIds)
+        addPreconditionsToTest(testIssueId, preconditions.issueIds)
           .then((result) => ({ type: 'preconditions', success: true, result }))
           .catch((error) => ({ type: 'preconditions', success: false, error: error.message }))
       );
@@ -561,6 +1132,7 @@ router.post('/update-links', async (req, res) => {
 
             // Add to new folder
             if (diff.folder.current && diff.folder.current !== '/') {
+              await ensureFolderPath(resolvedProjectId, diff.folder.current);
               const folderResult = await addTestsToFolder(resolvedProjectId, diff.folder.current, [testIssueId]);
               return { type: 'folder', action: 'move', success: true, result: folderResult, warnings: folderWarnings };
             }
@@ -573,19 +1145,22 @@ router.post('/update-links', async (req, res) => {
       );
     }
 
-    // Preconditions - Add
-    if (diff.preconditions?.toAdd?.length > 0) {
+    // Preconditions - Add (local preconditions are created in Xray first)
+    const preconditionsToAdd = await resolvePreconditionIds(diff.preconditions?.toAdd || []);
+    warnings.push(...preconditionsToAdd.warnings);
+    if (preconditionsToAdd.issueIds.length > 0) {
       updatePromises.push(
-        addPreconditionsToTest(testIssueId, diff.preconditions.toAdd)
+        addPreconditionsToTest(testIssueId, preconditionsToAdd.issueIds)
           .then((result) => ({ type: 'preconditions', action: 'add', success: true, result }))
           .catch((error) => ({ type: 'preconditions', action: 'add', success: false, error: error.message }))
       );
     }
 
-    // Preconditions - Remove
-    if (diff.preconditions?.toRemove?.length > 0) {
+    // Preconditions - Remove (local preconditions never created in Xray are skipped)
+    const preconditionsToRemove = await resolvePreconditionIds(diff.preconditions?.toRemove || [], { create: false });
+    if (preconditionsToRemove.issueIds.length > 0) {
       updatePromises.push(
-        removePreconditionsFromTest(testIssueId, diff.preconditions.toRemove)
+        removePreconditionsFromTest(testIssueId, preconditionsToRemove.issueIds)
           .then((result) => ({ type: 'preconditions', action: 'remove', success: true, result }))
           .catch((error) => ({ type: 'preconditions', action: 'remove', success: false, error: error.message }))
       );
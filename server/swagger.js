@@ -1,4 +1,5 @@
 import swaggerJsdoc from 'swagger-jsdoc';
+import { schemas } from './utils/schemas.js';
 
 const options = {
   definition: {
@@ -35,101 +36,225 @@ const options = {
               type: 'string',
               example: 'https://company.atlassian.net',
             },
+            xrayBaseUrl: {
+              type: 'string',
+              description: 'Xray API host; regional hosts or a local mock can be used',
+              example: 'https://eu.xray.cloud.getxray.app',
+            },
           },
         },
-        Step: {
+        ...schemas,
+        Precondition: {
           type: 'object',
           properties: {
-            action: {
+            id: {
               type: 'string',
-              example: 'Click login button',
             },
-            data: {
+            projectKey: {
               type: 'string',
-              example: 'username: admin',
+              example: 'PROJ',
             },
-            result: {
+            summary: {
               type: 'string',
-              example: 'Login form appears',
+              example: 'User is logged in as admin',
             },
-          },
-          required: ['action', 'result'],
-        },
-        Draft: {
-          type: 'object',
-          properties: {
-            id: {
+            description: {
               type: 'string',
-              example: 'uuid-123',
             },
-            summary: {
+            preconditionType: {
               type: 'string',
-              example: 'User Management | UI | Verify login',
+              enum: ['Manual', 'Cucumber', 'Generic'],
             },
-            description: {
+            definition: {
               type: 'string',
-              example: 'Test case description',
+              example: 'Log in with the admin account',
             },
-            testType: {
+            status: {
               type: 'string',
-              enum: ['Manual'],
-              example: 'Manual',
+              enum: ['draft', 'imported'],
             },
-            priority: {
+            xrayIssueId: {
               type: 'string',
-              enum: ['Medium'],
-              example: 'Medium',
+              description: 'Set once the precondition has been created in Xray',
             },
-            labels: {
-              type: 'array',
-              items: { type: 'string' },
-              example: ['smoke', 'regression'],
+            xrayKey: {
+              type: 'string',
+              example: 'PROJ-42',
             },
-            collectionId: {
+          },
+          required: ['summary'],
+        },
+        FolderLevel: {
+          type: 'object',
+          description: 'A Test Repository folder with its direct subfolders',
+          properties: {
+            name: {
               type: 'string',
-              nullable: true,
-              example: 'col-123',
+              example: 'Auth',
             },
-            steps: {
+            path: {
+              type: 'string',
+              example: '/Auth',
+            },
+            testsCount: {
+              type: 'integer',
+              example: 4,
+            },
+            folders: {
               type: 'array',
-              items: { $ref: '#/components/schemas/Step' },
+              items: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'Login' },
+                  path: { type: 'string', example: '/Auth/Login' },
+                  testsCount: { type: 'integer', example: 12 },
+                  hasChildren: {
+                    type: 'boolean',
+                    description: 'Whether the folder has subfolders to expand',
+                  },
+                },
+              },
             },
-            status: {
+          },
+        },
+        ResultsImport: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            format: {
               type: 'string',
-              enum: ['draft', 'imported'],
-              example: 'draft',
+              enum: ['junit', 'testng', 'xray'],
             },
-            isComplete: {
-              type: 'boolean',
-              example: true,
+            testExecution: {
+              type: 'object',
+              properties: {
+                issueId: { type: 'string' },
+                key: { type: 'string', example: 'PROJ-120' },
+                created: {
+                  type: 'boolean',
+                  description: 'Whether the Test Execution was created for this import',
+                },
+              },
             },
-            createdAt: {
-              type: 'integer',
-              example: 1705700000000,
+            tests: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  issueId: { type: 'string' },
+                  key: { type: 'string', example: 'PROJ-7' },
+                  summary: { type: 'string' },
+                  status: { type: 'string', example: 'PASSED' },
+                  outcome: {
+                    type: 'string',
+                    enum: ['matched', 'created'],
+                    description: 'Whether the result matched an existing test or Xray created one',
+                  },
+                },
+              },
             },
-            updatedAt: {
-              type: 'integer',
-              example: 1705700000000,
+            matched: { type: 'integer', example: 12 },
+            created: { type: 'integer', example: 3 },
+            warnings: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+          },
+        },
+        TestRun: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', example: 'EXECUTING' },
+            comment: { type: 'string' },
+            steps: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  status: { type: 'string', example: 'PASSED' },
+                  action: { type: 'string' },
+                  data: { type: 'string' },
+                  result: { type: 'string' },
+                  actualResult: { type: 'string' },
+                  comment: { type: 'string' },
+                },
+              },
             },
           },
         },
-        Collection: {
+        ImportJob: {
           type: 'object',
           properties: {
             id: {
               type: 'string',
-              example: 'col-123',
+              example: '3f1c2a9e-7b1d-4c55-9a0e-2d8b6f4e1a22',
             },
-            name: {
+            phase: {
               type: 'string',
-              example: 'Sprint 1',
+              enum: ['queued', 'authenticating', 'submitted', 'working', 'linking', 'done', 'failed'],
+              example: 'working',
             },
-            color: {
+            message: {
               type: 'string',
-              example: '#6366f1',
+              example: 'Xray job working (check 3)',
+            },
+            draftIds: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            projectKey: {
+              type: 'string',
+              example: 'PROJ',
+            },
+            total: {
+              type: 'integer',
+              example: 5,
+            },
+            chunkSize: {
+              type: 'integer',
+              example: 50,
+            },
+            chunkProgress: {
+              type: 'object',
+              description: 'Chunk currently being imported',
+              properties: {
+                current: { type: 'integer', example: 2 },
+                total: { type: 'integer', example: 6 },
+              },
+            },
+            retries: {
+              type: 'integer',
+              description: 'Xray requests retried so far (rate limits, transient errors)',
+              example: 2,
+            },
+            linkProgress: {
+              type: 'object',
+              description: 'Linking batches completed during the linking phase',
+              properties: {
+                completed: { type: 'integer', example: 2 },
+                total: { type: 'integer', example: 4 },
+              },
+            },
+            result: {
+              type: 'object',
+              nullable: true,
+              description: 'Import result once the job is done or failed. Includes results (per-draft import outcome), linkResults (per-test linking outcome) and linkWarnings.',
+            },
+            error: {
+              type: 'string',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'integer',
+              example: 1705700000000,
+            },
+            updatedAt: {
+              type: 'integer',
+              example: 1705700000000,
             },
           },
-          required: ['id', 'name', 'color'],
         },
         SuccessResponse: {
           type: 'object',
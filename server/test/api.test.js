@@ -4,6 +4,18 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createApp } from '../app.js';
+import {
+  getTests,
+  importToXrayAndWait,
+  addTestsToTestPlan,
+  createPrecondition,
+  createTestExecution,
+  importExecutionResults,
+  getTestExecutionRuns,
+  importDataset,
+} from '../utils/xrayClient.js';
+import { importPrecondition } from '../utils/preconditions.js';
+import { withSettingsLock } from '../utils/fileOperations.js';
 
 // Mock xrayClient to avoid real API calls during tests
 vi.mock('../utils/xrayClient.js', async (importOriginal) => {
@@ -11,6 +23,14 @@ vi.mock('../utils/xrayClient.js', async (importOriginal) => {
   return {
     ...actual,
     validateCredentials: vi.fn().mockResolvedValue({ success: true }),
+    getTests: vi.fn(),
+    importToXrayAndWait: vi.fn(),
+    addTestsToTestPlan: vi.fn(),
+    createPrecondition: vi.fn(),
+    createTestExecution: vi.fn(),
+    importExecutionResults: vi.fn(),
+    getTestExecutionRuns: vi.fn(),
+    importDataset: vi.fn(),
   };
 });
 
@@ -183,6 +203,55 @@ describe('Server API', () => {
       expect(res.body.success).toBe(false);
     });
 
+    it('POST /api/config should reject an invalid Xray base URL', async () => {
+      const res = await request(app)
+        .post('/api/config')
+        .send({
+          xrayClientId: 'test-client-id',
+          xrayClientSecret: 'test-client-secret',
+          jiraBaseUrl: 'https://test.atlassian.net/',
+          xrayBaseUrl: 'localhost',
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toContain('xrayBaseUrl must be a valid URL');
+    });
+
+    it('POST /api/config should reject an Xray base URL that is not a string', async () => {
+      const res = await request(app)
+        .post('/api/config')
+        .send({
+          xrayClientId: 'test-client-id',
+          xrayClientSecret: 'test-client-secret',
+          jiraBaseUrl: 'https://test.atlassian.net/',
+          xrayBaseUrl: { host: 'localhost' },
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(['xrayBaseUrl must be a string']);
+    });
+
+    it('POST /api/config should validate credentials against a custom Xray base URL', async () => {
+      const xrayClient = await import('../utils/xrayClient.js');
+
+      const res = await request(app)
+        .post('/api/config')
+        .send({
+          xrayClientId: 'test-client-id',
+          xrayClientSecret: 'test-client-secret',
+          jiraBaseUrl: 'https://test.atlassian.net/',
+          xrayBaseUrl: 'http://localhost:4010/',
+        });
+
+      expect(res.status).toBe(200);
+      expect(xrayClient.validateCredentials).toHaveBeenLastCalledWith(
+        expect.objectContaining({ xrayBaseUrl: 'http://localhost:4010' })
+      );
+
+      const configRes = await request(app).get('/api/config');
+      expect(configRes.body.config.xrayBaseUrl).toBe('http://localhost:4010');
+    });
+
     // Note: projectKey validation is no longer part of config - it's managed in project settings
   });
 
@@ -314,6 +383,26 @@ describe('Server API', () => {
         expect(res.status).toBe(404);
         expect(res.body.success).toBe(false);
       });
+
+      it('POST /api/settings/collections should wait for the settings lock and keep concurrent creates', async () => {
+        let release;
+        const held = withSettingsLock(() => new Promise((resolve) => { release = resolve; }));
+        const creates = ['Lock A', 'Lock B', 'Lock C'].map((name) =>
+          request(app).post('/api/settings/collections').send({ name, color: '#123456' }).then((res) => res)
+        );
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        let res = await request(app).get('/api/settings/collections');
+        expect(res.body.collections.map((c) => c.name)).not.toContain('Lock A');
+
+        release();
+        await held;
+        const results = await Promise.all(creates);
+        expect(results.every((r) => r.status === 200)).toBe(true);
+
+        res = await request(app).get('/api/settings/collections');
+        expect(res.body.collections.map((c) => c.name)).toEqual(expect.arrayContaining(['Lock A', 'Lock B', 'Lock C']));
+      });
     });
   });
 
@@ -350,6 +439,204 @@ describe('Server API', () => {
       testDraftId = res.body.id;
     });
 
+    it('POST /api/drafts should mark Cucumber draft complete from its scenario', async () => {
+      const draft = {
+        summary: 'Cucumber Summary',
+        description: 'Cucumber Description',
+        testType: 'Cucumber',
+        gherkin: 'Scenario: Login\n  Given a user\n  Then it works',
+        steps: [],
+      };
+
+      const res = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({ draft });
+
+      expect(res.status).toBe(200);
+      expect(res.body.draft.isComplete).toBe(true);
+
+      const incomplete = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({ draft: { ...draft, gherkin: 'Scenario: Missing steps' } });
+
+      expect(incomplete.body.draft.isComplete).toBe(false);
+
+      await request(app).delete(`/api/drafts/${res.body.id}`);
+      await request(app).delete(`/api/drafts/${incomplete.body.id}`);
+    });
+
+    it('POST /api/drafts should mark Generic draft complete from its definition', async () => {
+      const draft = {
+        summary: 'Generic Summary',
+        description: 'Generic Description',
+        testType: 'Generic',
+        definition: 'com.example.LoginTest',
+      };
+
+      const res = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({ draft });
+
+      expect(res.body.draft.isComplete).toBe(true);
+
+      const incomplete = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({ draft: { ...draft, definition: '  ' } });
+
+      expect(incomplete.body.draft.isComplete).toBe(false);
+
+      await request(app).delete(`/api/drafts/${res.body.id}`);
+      await request(app).delete(`/api/drafts/${incomplete.body.id}`);
+    });
+
+    it('POST /api/drafts should require every step parameter to be in the dataset', async () => {
+      const draft = {
+        summary: 'Parameterized Summary',
+        description: 'Parameterized Description',
+        testType: 'Manual',
+        steps: [{ action: 'Sign in as ${username}', data: '${password}', result: 'Signed in' }],
+        dataset: { parameters: ['username'], rows: [['alice']] },
+      };
+
+      const incomplete = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({ draft });
+
+      expect(incomplete.body.draft.isComplete).toBe(false);
+
+      const res = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({ draft: { ...draft, dataset: { parameters: ['username', 'password'], rows: [['alice', 'secret']] } } });
+
+      expect(res.body.draft.isComplete).toBe(true);
+
+      await request(app).delete(`/api/drafts/${res.body.id}`);
+      await request(app).delete(`/api/drafts/${incomplete.body.id}`);
+    });
+
+    it('POST /api/drafts/:id/import should upload the dataset of a parameterized test', async () => {
+      const dataset = { parameters: ['username'], rows: [['alice'], ['bob']] };
+      const createRes = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({
+          draft: {
+            summary: 'Parameterized Summary',
+            description: 'Parameterized Description',
+            testType: 'Manual',
+            steps: [{ action: 'Sign in as ${username}', data: '', result: 'Signed in' }],
+            dataset,
+          },
+        });
+      importToXrayAndWait.mockResolvedValueOnce({ success: true, jobId: 'job-1', testIssueIds: ['10001'], testKeys: ['TEST-1'] });
+      importDataset.mockRejectedValueOnce(new Error('Request failed with status code 400'));
+
+      const res = await request(app).post(`/api/drafts/${createRes.body.id}/import`);
+
+      expect(res.body.success).toBe(true);
+      expect(importDataset).toHaveBeenCalledWith('TEST-1', dataset);
+      expect(res.body.warnings).toEqual(['Dataset upload failed: Request failed with status code 400']);
+
+      await request(app).delete(`/api/drafts/${createRes.body.id}`);
+    });
+
+    it('POST /api/drafts/:id/import should expand linked shared steps into the imported draft', async () => {
+      const sharedRes = await request(app)
+        .post('/api/settings/shared-steps?project=TEST')
+        .send({ name: 'Login', steps: [{ action: 'Sign in', data: 'admin', result: 'Signed in' }] });
+      const sharedStepsId = sharedRes.body.sharedStep.id;
+      const createRes = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({
+          draft: {
+            summary: 'Shared Summary',
+            description: 'Shared Description',
+            testType: 'Manual',
+            steps: [{ sharedStepsId }, { action: 'Open cart', data: '', result: 'Cart shown' }],
+          },
+        });
+      expect(createRes.body.draft.isComplete).toBe(true);
+
+      const deleteRes = await request(app).delete(`/api/settings/shared-steps/${sharedStepsId}?project=TEST`);
+      expect(deleteRes.status).toBe(409);
+
+      importToXrayAndWait.mockResolvedValueOnce({ success: true, jobId: 'job-1', testIssueIds: ['10001'], testKeys: ['TEST-1'] });
+      await request(app).post(`/api/drafts/${createRes.body.id}/import`);
+
+      expect(importToXrayAndWait.mock.calls.at(-1)[0][0].sharedSteps).toEqual([sharedRes.body.sharedStep]);
+      const draftRes = await request(app).get(`/api/drafts/${createRes.body.id}`);
+      expect(draftRes.body.draft.steps).toEqual([
+        { action: 'Sign in', data: 'admin', result: 'Signed in' },
+        { action: 'Open cart', data: '', result: 'Cart shown' },
+      ]);
+
+      await request(app).delete(`/api/drafts/${createRes.body.id}`);
+      await request(app).delete(`/api/settings/shared-steps/${sharedStepsId}?project=TEST`);
+    });
+
+    it('POST /api/drafts/:id/import should reject a number field holding text', async () => {
+      const { body } = await request(app).get('/api/settings/projects/TEST');
+      await request(app)
+        .put('/api/settings/projects/TEST')
+        .send({ settings: { ...body.settings, customFields: [{ key: 'customfield_1', label: 'Story points', type: 'number' }] } });
+      const createRes = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({
+          draft: {
+            summary: 'Pointed Summary',
+            description: 'Pointed Description',
+            testType: 'Manual',
+            steps: [{ action: 'Do it', data: '', result: 'Done' }],
+            customFields: { customfield_1: 'five' },
+          },
+        });
+      importToXrayAndWait.mockClear();
+
+      try {
+        const res = await request(app).post(`/api/drafts/${createRes.body.id}/import`);
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ success: false, error: 'Invalid custom field values', details: ['Story points must be a number'] });
+
+        const bulkRes = await request(app).post('/api/drafts/bulk-import').send({ ids: [createRes.body.id] });
+        expect(bulkRes.status).toBe(400);
+        expect(bulkRes.body.details).toEqual(['Story points must be a number']);
+        expect(importToXrayAndWait).not.toHaveBeenCalled();
+      } finally {
+        await request(app).delete(`/api/drafts/${createRes.body.id}`);
+        await request(app).put('/api/settings/projects/TEST').send({ settings: body.settings });
+      }
+    });
+
+    it('PUT /api/drafts/:id should wait for an import in flight and then report the conflict', async () => {
+      const draft = {
+        summary: 'Importing Summary',
+        description: 'Importing Description',
+        testType: 'Manual',
+        steps: [{ action: 'Act', data: '', result: 'Done' }],
+      };
+      const createRes = await request(app).post('/api/drafts?project=TEST').send({ draft });
+      const { id } = createRes.body;
+      const etag = (await request(app).get(`/api/drafts/${id}`)).headers.etag;
+
+      let finishImport;
+      importToXrayAndWait.mockImplementationOnce(() => new Promise((resolve) => { finishImport = resolve; }));
+      const importing = request(app).post(`/api/drafts/${id}/import`).then((res) => res);
+      await vi.waitFor(() => expect(finishImport).toBeDefined());
+
+      const saving = request(app)
+        .put(`/api/drafts/${id}`)
+        .set('If-Match', etag)
+        .send({ draft: { ...draft, summary: 'Edited During Import' } })
+        .then((res) => res);
+      finishImport({ success: true, jobId: 'job-1', testIssueIds: ['10001'], testKeys: ['TEST-1'] });
+
+      expect((await importing).body.success).toBe(true);
+      const saveRes = await saving;
+      expect(saveRes.status).toBe(409);
+      expect(saveRes.body.draft).toMatchObject({ summary: 'Importing Summary', status: 'imported' });
+
+      await request(app).delete(`/api/drafts/${id}`);
+    });
+
     it('POST /api/drafts should reject empty request', async () => {
       const res = await request(app)
         .post('/api/drafts')
@@ -359,6 +646,28 @@ describe('Server API', () => {
       expect(res.body.success).toBe(false);
     });
 
+    it('POST /api/drafts should reject fields that fail the Draft schema', async () => {
+      const res = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({
+          draft: {
+            summary: 42,
+            testType: 'Exploratory',
+            steps: [{ action: 'Open', result: ['Opened'] }],
+            owner: 'alice',
+          },
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid draft');
+      expect(res.body.details).toEqual([
+        '/draft/owner is not an allowed property',
+        '/draft/summary must be string',
+        '/draft/testType must be one of Manual, Cucumber, Generic',
+        '/draft/steps/0/result must be string',
+      ]);
+    });
+
     it('GET /api/drafts/:id should return a specific draft', async () => {
       if (!testDraftId) return;
 
@@ -366,6 +675,7 @@ describe('Server API', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.draft.id).toBe(testDraftId);
+      expect(res.headers.etag).toBe(`"${res.body.draft.revision}"`);
     });
 
     it('GET /api/drafts/:id should return 404 for non-existent draft', async () => {
@@ -385,13 +695,59 @@ describe('Server API', () => {
         steps: [{ action: 'Updated action', data: '', result: 'Updated result' }],
       };
 
+      const current = await request(app).get(`/api/drafts/${testDraftId}`);
       const res = await request(app)
         .put(`/api/drafts/${testDraftId}`)
+        .set('If-Match', current.headers.etag)
         .send({ draft: updatedDraft });
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.draft.summary).toBe('Updated Summary');
+      expect(res.body.draft.revision).toBe(current.body.draft.revision + 1);
+      expect(res.headers.etag).toBe(`"${res.body.draft.revision}"`);
+    });
+
+    it('PUT /api/drafts/:id should require If-Match', async () => {
+      if (!testDraftId) return;
+
+      const res = await request(app)
+        .put(`/api/drafts/${testDraftId}`)
+        .send({ draft: { summary: 'No revision' } });
+
+      expect(res.status).toBe(428);
+      expect(res.body.error).toBe('If-Match header required');
+    });
+
+    it('PUT /api/drafts/:id should return the stored draft when edited from an older revision', async () => {
+      if (!testDraftId) return;
+
+      const current = await request(app).get(`/api/drafts/${testDraftId}`);
+      const res = await request(app)
+        .put(`/api/drafts/${testDraftId}`)
+        .set('If-Match', `"${current.body.draft.revision - 1}"`)
+        .send({ draft: { summary: 'Edited in a stale tab' } });
+
+      expect(res.status).toBe(409);
+      expect(res.headers.etag).toBe(current.headers.etag);
+      expect(res.body.draft).toEqual(current.body.draft);
+
+      const stored = await request(app).get(`/api/drafts/${testDraftId}`);
+      expect(stored.body.draft.summary).toBe('Updated Summary');
+    });
+
+    it('PUT /api/drafts/:id should not write a draft that fails the Draft schema', async () => {
+      if (!testDraftId) return;
+
+      const res = await request(app)
+        .put(`/api/drafts/${testDraftId}`)
+        .send({ draft: { summary: 'Still valid', labels: 'smoke' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(['/draft/labels must be array']);
+
+      const stored = await request(app).get(`/api/drafts/${testDraftId}`);
+      expect(stored.body.draft.summary).toBe('Updated Summary');
     });
 
     it('PUT /api/drafts/:id should return 404 for non-existent draft', async () => {
@@ -424,6 +780,10 @@ describe('Server API', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.draft.status).toBe('imported');
+
+      // Server-side changes invalidate the ETag an editor holds too
+      const stored = await request(app).get(`/api/drafts/${testDraftId}`);
+      expect(stored.body.draft.revision).toBeGreaterThan(2);
     });
 
     it('PATCH /api/drafts/:id/status should reject invalid status', async () => {
@@ -522,6 +882,23 @@ describe('Server API', () => {
       expect(res.body.success).toBe(false);
     });
 
+    it('POST /api/drafts/:id/update-xray should reject drafts that are not imported', async () => {
+      const res = await request(app)
+        .post(`/api/drafts/${completeDraftId}/update-xray`)
+        .send({ changes: { summary: 'Changed' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Only tests imported to Xray can be updated');
+    });
+
+    it('POST /api/drafts/:id/update-xray should return 404 for non-existent draft', async () => {
+      const res = await request(app)
+        .post('/api/drafts/non-existent-id/update-xray')
+        .send({ changes: {} });
+
+      expect(res.status).toBe(404);
+    });
+
     it('POST /api/drafts/bulk-import should reject empty ids array', async () => {
       const res = await request(app)
         .post('/api/drafts/bulk-import')
@@ -548,6 +925,278 @@ describe('Server API', () => {
       expect(res.status).toBe(404);
       expect(res.body.success).toBe(false);
     });
+
+    it('POST /api/drafts/bulk-import should queue a job and stream its progress', async () => {
+      importToXrayAndWait.mockImplementationOnce(async (testCases, projectKey, onProgress) => {
+        onProgress({ phase: 'submitted', xrayJobId: 'xray-job-1' });
+        return { success: true, jobId: 'xray-job-1', testIssueIds: ['10001'], testKeys: ['TEST-1'] };
+      });
+      addTestsToTestPlan.mockResolvedValueOnce({ addedTests: ['10001'], warning: null });
+
+      await request(app)
+        .patch(`/api/drafts/${completeDraftId}/xray-links`)
+        .send({ xrayLinking: { testPlanIds: ['plan-1'], testPlanDisplays: [], folderPath: '/' } });
+
+      const res = await request(app)
+        .post('/api/drafts/bulk-import')
+        .send({ ids: [completeDraftId] });
+
+      expect(res.status).toBe(202);
+      expect(res.body.success).toBe(true);
+      expect(res.body.job).toMatchObject({ phase: 'queued', draftIds: [completeDraftId], total: 1 });
+
+      const events = await request(app).get(`/api/import-jobs/${res.body.importJobId}/events`);
+      expect(events.headers['content-type']).toContain('text/event-stream');
+      expect(events.text).toContain('"phase":"done"');
+      expect(events.text).toContain('"linkProgress":{"completed":1,"total":1}');
+      expect(addTestsToTestPlan).toHaveBeenCalledWith('plan-1', ['10001']);
+
+      const jobRes = await request(app).get(`/api/import-jobs/${res.body.importJobId}`);
+      expect(jobRes.body.job.result).toMatchObject({
+        success: true,
+        testKeys: ['TEST-1'],
+        importedCount: 1,
+        linkResults: [{ testIssueId: '10001', testKey: 'TEST-1', draftId: completeDraftId, success: true }],
+        linkWarnings: [],
+      });
+
+      const draftRes = await request(app).get(`/api/drafts/${completeDraftId}`);
+      expect(draftRes.body.draft).toMatchObject({ status: 'imported', testKey: 'TEST-1', testIssueId: '10001' });
+    });
+
+    it('POST /api/drafts/bulk-import should import a draft listed twice once', async () => {
+      const created = await request(app)
+        .post('/api/drafts?project=TEST')
+        .send({
+          draft: {
+            summary: 'Listed twice',
+            description: 'Duplicate ids',
+            testType: 'Manual',
+            steps: [{ action: 'Do it', data: '', result: 'Done' }],
+          },
+        });
+      const id = created.body.id;
+      importToXrayAndWait.mockResolvedValueOnce({ success: true, jobId: 'xray-dup', testIssueIds: ['301'], testKeys: ['TEST-31'] });
+
+      try {
+        const res = await request(app)
+          .post('/api/drafts/bulk-import')
+          .send({ ids: [id, id] });
+
+        expect(res.status).toBe(202);
+        expect(res.body.job).toMatchObject({ draftIds: [id], total: 1 });
+
+        const events = await request(app).get(`/api/import-jobs/${res.body.importJobId}/events`);
+        expect(events.text).toContain('"phase":"done"');
+        expect(importToXrayAndWait).toHaveBeenCalledTimes(1);
+        expect(importToXrayAndWait.mock.calls[0][0]).toHaveLength(1);
+
+        const draftRes = await request(app).get(`/api/drafts/${id}`);
+        expect(draftRes.body.draft).toMatchObject({ status: 'imported', testKey: 'TEST-31' });
+      } finally {
+        await request(app).delete(`/api/drafts/${id}`);
+      }
+    });
+
+    it('POST /api/drafts/bulk-import should reject an invalid chunkSize', async () => {
+      const res = await request(app)
+        .post('/api/drafts/bulk-import')
+        .send({ ids: ['any-id'], chunkSize: 0 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('chunkSize must be an integer between 1 and 1000');
+    });
+
+    it('POST /api/drafts/bulk-import should import in chunks and keep successful chunks on failure', async () => {
+      const ids = [];
+      for (const summary of ['Chunk A', 'Chunk B', 'Chunk C']) {
+        const created = await request(app)
+          .post('/api/drafts?project=TEST')
+          .send({
+            draft: {
+              summary,
+              description: 'Chunked import',
+              testType: 'Manual',
+              steps: [{ action: 'Do it', data: '', result: 'Done' }],
+            },
+          });
+        ids.push(created.body.id);
+      }
+
+      importToXrayAndWait
+        .mockImplementationOnce(async (testCases, projectKey, onProgress) => {
+          onProgress({ phase: 'working', retrying: true, retries: 1, retryStatus: 429, delayMs: 5000 });
+          return { success: true, jobId: 'xray-1', testIssueIds: ['201', '202'], testKeys: ['TEST-21', 'TEST-22'], retries: 1 };
+        })
+        .mockResolvedValueOnce({ success: false, jobId: 'xray-2', error: 'Xray rejected the batch', retries: 0 });
+
+      try {
+        const res = await request(app)
+          .post('/api/drafts/bulk-import')
+          .send({ ids, chunkSize: 2 });
+
+        expect(res.status).toBe(202);
+        expect(res.body.job.chunkSize).toBe(2);
+
+        const events = await request(app).get(`/api/import-jobs/${res.body.importJobId}/events`);
+        expect(events.text).toContain('"phase":"failed"');
+
+        expect(importToXrayAndWait).toHaveBeenCalledTimes(2);
+        expect(importToXrayAndWait.mock.calls[0][0]).toHaveLength(2);
+        expect(importToXrayAndWait.mock.calls[1][0]).toHaveLength(1);
+
+        const jobRes = await request(app).get(`/api/import-jobs/${res.body.importJobId}`);
+        const { result } = jobRes.body.job;
+        expect(jobRes.body.job.error).toBe('1 of 3 test cases failed to import');
+        expect(result).toMatchObject({
+          success: false,
+          partial: true,
+          importedCount: 2,
+          draftIds: [ids[0], ids[1]],
+          testKeys: ['TEST-21', 'TEST-22'],
+          jobIds: ['xray-1', 'xray-2'],
+          retries: 1,
+        });
+        expect(jobRes.body.job.retries).toBe(1);
+        expect(result.results).toEqual([
+          expect.objectContaining({ draftId: ids[0], success: true, chunk: 1, testKey: 'TEST-21' }),
+          expect.objectContaining({ draftId: ids[1], success: true, chunk: 1, testKey: 'TEST-22' }),
+          expect.objectContaining({ draftId: ids[2], success: false, chunk: 2, error: 'Xray rejected the batch' }),
+        ]);
+
+        const imported = await request(app).get(`/api/drafts/${ids[0]}`);
+        expect(imported.body.draft.status).toBe('imported');
+        const failed = await request(app).get(`/api/drafts/${ids[2]}`);
+        expect(failed.body.draft.status).toBe('draft');
+      } finally {
+        for (const id of ids) {
+          await request(app).delete(`/api/drafts/${id}`);
+        }
+      }
+    });
+
+    it('POST /api/drafts/bulk-import should import edits saved while earlier chunks were in flight', async () => {
+      const draft = {
+        description: 'Chunked import',
+        testType: 'Manual',
+        steps: [{ action: 'Do it', data: '', result: 'Done' }],
+      };
+      const ids = [];
+      for (const summary of ['Queued A', 'Queued B']) {
+        const created = await request(app).post('/api/drafts?project=TEST').send({ draft: { ...draft, summary } });
+        ids.push(created.body.id);
+      }
+
+      let finishFirstChunk;
+      importToXrayAndWait
+        .mockImplementationOnce(() => new Promise((resolve) => { finishFirstChunk = resolve; }))
+        .mockResolvedValueOnce({ success: true, jobId: 'xray-2', testIssueIds: ['302'], testKeys: ['TEST-32'] });
+
+      try {
+        const res = await request(app).post('/api/drafts/bulk-import').send({ ids, chunkSize: 1 });
+        await vi.waitFor(() => expect(finishFirstChunk).toBeDefined());
+
+        const etag = (await request(app).get(`/api/drafts/${ids[1]}`)).headers.etag;
+        const saveRes = await request(app)
+          .put(`/api/drafts/${ids[1]}`)
+          .set('If-Match', etag)
+          .send({ draft: { ...draft, summary: 'Queued B edited' } });
+        expect(saveRes.status).toBe(200);
+        finishFirstChunk({ success: true, jobId: 'xray-1', testIssueIds: ['301'], testKeys: ['TEST-31'] });
+
+        const events = await request(app).get(`/api/import-jobs/${res.body.importJobId}/events`);
+        expect(events.text).toContain('"phase":"done"');
+        expect(importToXrayAndWait.mock.calls[1][0][0].summary).toBe('Queued B edited');
+        const imported = await request(app).get(`/api/drafts/${ids[1]}`);
+        expect(imported.body.draft).toMatchObject({ summary: 'Queued B edited', status: 'imported' });
+      } finally {
+        for (const id of ids) {
+          await request(app).delete(`/api/drafts/${id}`);
+        }
+      }
+    });
+
+    it('GET /api/import-jobs/:id should return 404 for unknown job', async () => {
+      const res = await request(app).get('/api/import-jobs/unknown-job');
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+
+    it('GET /api/import-jobs should list jobs', async () => {
+      const res = await request(app).get('/api/import-jobs');
+
+      expect(res.status).toBe(200);
+      expect(Array.isArray(res.body.jobs)).toBe(true);
+    });
+  });
+
+  describe('Fetch from Xray API', () => {
+    const xrayTest = {
+      issueId: '10001',
+      projectId: '10000',
+      key: 'TEST-1',
+      summary: 'Login | Fetched test',
+      description: 'From Xray',
+      labels: ['smoke'],
+      priority: 'High',
+      testType: 'Manual',
+      steps: [{ action: 'Open app', data: '', result: 'App opens' }],
+      gherkin: '',
+      definition: '',
+      folderPath: '/Login',
+      preconditions: [],
+      testPlans: [{ issueId: '20001', key: 'TEST-5', summary: 'Release plan' }],
+      testSets: [],
+      testExecutions: [],
+    };
+
+    it('POST /api/drafts/fetch-from-xray should write imported drafts and update on re-fetch', async () => {
+      getTests.mockResolvedValue([xrayTest]);
+
+      const res = await request(app)
+        .post('/api/drafts/fetch-from-xray')
+        .send({ projectKey: 'TEST', jql: "project = 'TEST'" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, created: 1, updated: 0 });
+      expect(getTests).toHaveBeenCalledWith("project = 'TEST'");
+
+      const draftRes = await request(app).get(`/api/drafts/${res.body.ids[0]}`);
+      expect(draftRes.body.draft).toMatchObject({
+        status: 'imported',
+        testIssueId: '10001',
+        testKey: 'TEST-1',
+        priority: 'High',
+        isComplete: true,
+      });
+      expect(draftRes.body.draft.xrayLinking).toMatchObject({
+        testPlanIds: ['20001'],
+        testPlanDisplays: [{ id: '20001', display: 'TEST-5: Release plan' }],
+        folderPath: '/Login',
+        projectId: '10000',
+      });
+
+      const refetch = await request(app)
+        .post('/api/drafts/fetch-from-xray')
+        .send({ projectKey: 'TEST' });
+
+      expect(refetch.body).toMatchObject({ created: 0, updated: 1, ids: res.body.ids });
+
+      // Cleanup
+      await request(app).delete(`/api/drafts/${res.body.ids[0]}`);
+    });
+
+    it('POST /api/drafts/fetch-from-xray should surface Xray errors', async () => {
+      getTests.mockRejectedValueOnce(new Error('Invalid JQL'));
+
+      const res = await request(app)
+        .post('/api/drafts/fetch-from-xray')
+        .send({ projectKey: 'TEST', jql: 'nonsense' });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Invalid JQL');
+    });
   });
 
   describe('Drafts Migration API', () => {
@@ -574,6 +1223,87 @@ describe('Server API', () => {
       await request(app).delete(`/api/drafts/${res.body.ids[0]}`);
     });
 
+    it('POST /api/drafts/migrate should migrate nothing when a test case is invalid', async () => {
+      const res = await request(app)
+        .post('/api/drafts/migrate')
+        .send({ testCases: [{ summary: 'Valid', projectKey: 'TEST' }, { summary: 'Invalid', steps: 'none' }] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(['/testCases/1/steps must be array']);
+    });
+
+    it('POST /api/drafts/migrate should upgrade single-select links from stored test cases', async () => {
+      const res = await request(app)
+        .post('/api/drafts/migrate')
+        .send({ testCases: [{ summary: 'Old Links', projectKey: 'TEST', xrayLinking: { testSetId: 'set-1' } }] });
+
+      expect(res.status).toBe(200);
+      const draft = await request(app).get(`/api/drafts/${res.body.ids[0]}`);
+      expect(draft.body.draft.xrayLinking).toEqual({ testSetIds: ['set-1'], testSetDisplays: [] });
+      expect(draft.body.draft.isComplete).toBe(false);
+
+      await request(app).delete(`/api/drafts/${res.body.ids[0]}`);
+    });
+
+    it('POST /api/drafts/migrate-schema should upgrade draft files in place', async () => {
+      const id = 'legacy00-0000-4000-8000-000000000000';
+      const dir = path.join(TEST_DRAFTS_DIR, 'TEST', 'Legacy');
+      const filePath = path.join(dir, `old-links-${id.substring(0, 8)}.json`);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        id,
+        projectKey: 'TEST',
+        summary: 'Legacy | UI | Old links',
+        status: 'draft',
+        xrayLinking: { testPlanId: 'plan-1', testPlanDisplay: 'TEST-1: Plan' },
+      }));
+
+      // Reads see the upgraded draft before the file is rewritten
+      const read = await vi.waitFor(async () => {
+        const res = await request(app).get(`/api/drafts/${id}`);
+        expect(res.status).toBe(200);
+        return res;
+      });
+      expect(read.body.draft.xrayLinking.testPlanIds).toEqual(['plan-1']);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).schemaVersion).toBeUndefined();
+
+      const res = await request(app).post('/api/drafts/migrate-schema?project=TEST');
+
+      expect(res.status).toBe(200);
+      expect(res.body.migrated).toBeGreaterThanOrEqual(1);
+      expect(res.body.schemaVersion).toBe(2);
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toMatchObject({
+        schemaVersion: 2,
+        isComplete: false,
+        xrayLinking: { testPlanIds: ['plan-1'], testPlanDisplays: [{ id: 'plan-1', display: 'TEST-1: Plan' }] },
+      });
+
+      await request(app).delete(`/api/drafts/${id}`);
+    });
+
+    it('GET /api/drafts should pick up draft files added and removed outside the server', async () => {
+      const id = 'external0-0000-4000-8000-000000000000';
+      const dir = path.join(TEST_DRAFTS_DIR, 'TEST', 'External');
+      const filePath = path.join(dir, `copied-in-${id.substring(0, 8)}.json`);
+      const listedIds = async () => (await request(app).get('/api/drafts?project=TEST')).body.drafts.map((d) => d.id);
+
+      // Index the drafts before the file shows up
+      expect(await listedIds()).not.toContain(id);
+
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        id,
+        projectKey: 'TEST',
+        summary: 'External | UI | Copied in',
+        status: 'draft',
+        schemaVersion: 2,
+      }));
+      await vi.waitFor(async () => expect(await listedIds()).toContain(id));
+
+      fs.rmSync(dir, { recursive: true });
+      await vi.waitFor(async () => expect(await listedIds()).not.toContain(id));
+    });
+
     it('POST /api/drafts/migrate should reject non-array', async () => {
       const res = await request(app)
         .post('/api/drafts/migrate')
@@ -643,6 +1373,21 @@ describe('Server API', () => {
       expect(res.body.success).toBe(false);
     });
 
+    it('PATCH /api/drafts/:id/xray-links should reject invalid xrayLinking', async () => {
+      if (!testDraftId) return;
+
+      const res = await request(app)
+        .patch(`/api/drafts/${testDraftId}/xray-links`)
+        .send({ xrayLinking: { testPlanIds: 'plan-1', testPlanDisplays: [{ display: 'WCP-100' }] } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid xrayLinking');
+      expect(res.body.details).toEqual([
+        '/xrayLinking/testPlanIds must be array',
+        '/xrayLinking/testPlanDisplays/0/id is required',
+      ]);
+    });
+
     it('PATCH /api/drafts/:id/xray-links should reject missing xrayLinking', async () => {
       if (!testDraftId) return;
 
@@ -654,4 +1399,217 @@ describe('Server API', () => {
       expect(res.body.success).toBe(false);
     });
   });
+
+  describe('Preconditions API', () => {
+    let preconditionId;
+
+    afterAll(async () => {
+      if (preconditionId) {
+        await request(app).delete(`/api/preconditions/${preconditionId}`);
+      }
+    });
+
+    it('POST /api/preconditions should create a local precondition', async () => {
+      const res = await request(app)
+        .post('/api/preconditions?project=TEST')
+        .send({ precondition: { summary: ' User is admin ', preconditionType: 'Generic', definition: 'Grant admin role' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.precondition).toMatchObject({
+        summary: 'User is admin',
+        preconditionType: 'Generic',
+        definition: 'Grant admin role',
+        projectKey: 'TEST',
+        status: 'draft',
+      });
+      preconditionId = res.body.id;
+    });
+
+    it('POST /api/preconditions should validate summary and type', async () => {
+      const res = await request(app)
+        .post('/api/preconditions?project=TEST')
+        .send({ precondition: { summary: '', preconditionType: 'Scripted' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([
+        'Summary is required',
+        'preconditionType must be one of Manual, Cucumber, Generic',
+      ]);
+    });
+
+    it('GET /api/preconditions should list preconditions for a project', async () => {
+      const res = await request(app).get('/api/preconditions?project=TEST');
+
+      expect(res.status).toBe(200);
+      expect(res.body.preconditions.map((p) => p.id)).toContain(preconditionId);
+    });
+
+    it('GET /api/drafts should not list preconditions as drafts', async () => {
+      const res = await request(app).get('/api/drafts?project=TEST');
+
+      expect(res.body.drafts.map((d) => d.id)).not.toContain(preconditionId);
+    });
+
+    it('PUT /api/preconditions/:id should update a local precondition', async () => {
+      const res = await request(app)
+        .put(`/api/preconditions/${preconditionId}`)
+        .send({ precondition: { summary: 'User is an admin', preconditionType: 'Manual' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.precondition.summary).toBe('User is an admin');
+      expect(res.body.precondition.projectKey).toBe('TEST');
+    });
+
+    it('POST /api/preconditions/:id/import should create it in Xray and lock editing', async () => {
+      createPrecondition.mockResolvedValueOnce({ issueId: '5001', key: 'TEST-50', summary: 'User is an admin', warnings: [] });
+
+      const res = await request(app).post(`/api/preconditions/${preconditionId}/import`);
+
+      expect(res.status).toBe(200);
+      expect(createPrecondition).toHaveBeenCalledWith('TEST', expect.objectContaining({ summary: 'User is an admin' }));
+      expect(res.body.precondition).toMatchObject({ status: 'imported', xrayIssueId: '5001', xrayKey: 'TEST-50' });
+
+      const putRes = await request(app)
+        .put(`/api/preconditions/${preconditionId}`)
+        .send({ precondition: { summary: 'Changed' } });
+      expect(putRes.status).toBe(400);
+      expect(putRes.body.error).toContain('TEST-50');
+    });
+
+    it('importPrecondition should create a precondition once when imports overlap', async () => {
+      const createRes = await request(app)
+        .post('/api/preconditions?project=TEST')
+        .send({ precondition: { summary: 'Cart is empty', preconditionType: 'Manual' } });
+      const { precondition } = createRes.body;
+
+      let finishCreate;
+      createPrecondition.mockImplementationOnce(() => new Promise((resolve) => { finishCreate = resolve; }));
+      // A single import and a bulk import linking the same new precondition
+      const first = importPrecondition(precondition);
+      const second = importPrecondition(precondition);
+      await vi.waitFor(() => expect(finishCreate).toBeDefined());
+      finishCreate({ issueId: '5002', key: 'TEST-51', summary: 'Cart is empty', warnings: [] });
+
+      const results = await Promise.all([first, second]);
+      expect(createPrecondition).toHaveBeenCalledTimes(1);
+      expect(results.map((result) => result.precondition.xrayKey)).toEqual(['TEST-51', 'TEST-51']);
+
+      await request(app).delete(`/api/preconditions/${precondition.id}`);
+    });
+
+    it('should return 404 for unknown preconditions', async () => {
+      const getRes = await request(app).get('/api/preconditions/non-existent-id');
+      const deleteRes = await request(app).delete('/api/preconditions/non-existent-id');
+
+      expect(getRes.status).toBe(404);
+      expect(deleteRes.status).toBe(404);
+    });
+  });
+
+  describe('Results API', () => {
+    const junit = '<testsuite name="auth"><testcase classname="auth.Login" name="works"/><testcase classname="auth.Logout" name="works"/></testsuite>';
+    const longAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    it('POST /api/results/import should import into an existing execution and report matched and created tests', async () => {
+      importExecutionResults.mockResolvedValueOnce({ issueId: '7001', key: 'TEST-70' });
+      getTestExecutionRuns.mockResolvedValueOnce([
+        { id: 'r1', status: 'PASSED', testIssueId: '1', key: 'TEST-1', summary: 'Login', definition: 'auth.Login.works', created: longAgo },
+        { id: 'r2', status: 'FAILED', testIssueId: '2', key: 'TEST-2', summary: 'works', definition: 'auth.Logout.works', created: new Date().toISOString() },
+        // Recorded by an earlier import; not in this file
+        { id: 'r3', status: 'PASSED', testIssueId: '3', key: 'TEST-3', summary: 'Signup', definition: 'auth.Signup.works', created: longAgo },
+      ]);
+
+      const res = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', content: junit, testExecution: { key: 'TEST-70' }, testEnvironments: [' chrome ', ''] });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        success: true,
+        format: 'junit',
+        testExecution: { issueId: '7001', key: 'TEST-70', created: false },
+        matched: 1,
+        created: 1,
+      });
+      expect(res.body.tests.map((t) => [t.key, t.outcome])).toEqual([['TEST-1', 'matched'], ['TEST-2', 'created']]);
+      expect(importExecutionResults).toHaveBeenCalledWith('junit', junit, {
+        projectKey: 'TEST',
+        testExecKey: 'TEST-70',
+        testPlanKey: undefined,
+        testEnvironments: ['chrome'],
+      });
+      expect(createTestExecution).not.toHaveBeenCalled();
+    });
+
+    it('POST /api/results/import should create the Test Execution first when given a summary', async () => {
+      createTestExecution.mockResolvedValueOnce({ issueId: '7002', key: 'TEST-71', summary: 'Nightly', warnings: [] });
+      importExecutionResults.mockResolvedValueOnce({ issueId: '7002', key: 'TEST-71' });
+      getTestExecutionRuns.mockResolvedValueOnce([]);
+
+      const res = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', format: 'xray', content: '{"tests":[{"testKey":"TEST-1","status":"PASSED"}]}', testExecution: { summary: ' Nightly ' } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.testExecution).toMatchObject({ key: 'TEST-71', created: true });
+      expect(createTestExecution).toHaveBeenCalledWith('TEST', expect.objectContaining({ summary: 'Nightly' }));
+      expect(importExecutionResults).toHaveBeenCalledWith('xray', expect.any(String), expect.objectContaining({ testExecKey: 'TEST-71' }));
+    });
+
+    it('POST /api/results/import should reject files it cannot read', async () => {
+      const unknownRes = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', content: 'not a results file', testExecution: { key: 'TEST-70' } });
+      expect(unknownRes.status).toBe(400);
+      expect(unknownRes.body.error).toContain('Could not detect the results format');
+
+      const invalidRes = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', format: 'xray', content: '{"tests":[]}', testExecution: {} });
+      expect(invalidRes.status).toBe(400);
+      expect(invalidRes.body.details).toEqual([
+        'Xray JSON must contain a non-empty "tests" array',
+        'Choose a Test Execution or enter a summary for a new one',
+      ]);
+
+      const nullRes = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', format: 'xray', content: 'null', testExecution: { key: 'TEST-70' } });
+      expect(nullRes.status).toBe(400);
+      expect(nullRes.body.details).toEqual(['Xray JSON must be an object']);
+    });
+
+    it('POST /api/results/import should reject fields of the wrong type', async () => {
+      const res = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', content: junit, testExecution: { summary: 5 }, testPlanKey: ['TEST-5'], testEnvironments: 'chrome' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([
+        'testExecution key, summary and description must be strings',
+        'testPlanKey must be a string',
+        'testEnvironments must be an array of strings',
+      ]);
+
+      const listRes = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', content: junit, testExecution: ['TEST-70'] });
+      expect(listRes.status).toBe(400);
+      expect(listRes.body.details).toEqual(['testExecution must be an object']);
+      expect(importExecutionResults).not.toHaveBeenCalled();
+    });
+
+    it('POST /api/results/import should report errors from Xray', async () => {
+      importExecutionResults.mockRejectedValueOnce(
+        Object.assign(new Error('Request failed'), { response: { data: { error: 'Test Execution TEST-99 not found' } } })
+      );
+
+      const res = await request(app)
+        .post('/api/results/import')
+        .send({ projectKey: 'TEST', content: junit, testExecution: { key: 'TEST-99' } });
+
+      expect(res.status).toBe(500);
+      expect(res.body.error).toBe('Test Execution TEST-99 not found');
+    });
+  });
 });
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { getParameters, getStepParameters, getUndefinedParameters, toDatasetCsv } from '../utils/datasets.js';
+
+describe('datasets', () => {
+  const steps = [
+    { action: 'Sign in as ${username}', data: '${ password }', result: 'Welcome ${username}' },
+    { action: 'Open ${page}', data: '', result: 'Page shown' },
+  ];
+
+  it('should find each ${param} once, in order', () => {
+    expect(getParameters('Sign in as ${username} with ${password}, then ${username}')).toEqual(['username', 'password']);
+    expect(getParameters('No parameters, just $ and {braces}')).toEqual([]);
+    expect(getStepParameters(steps)).toEqual(['username', 'password', 'page']);
+  });
+
+  it('should report parameters missing from the dataset', () => {
+    expect(getUndefinedParameters(steps, { parameters: ['username', 'page'], rows: [] })).toEqual(['password']);
+    expect(getUndefinedParameters(steps, null)).toEqual(['username', 'password', 'page']);
+    expect(getUndefinedParameters([{ action: 'Plain', result: 'Done' }], undefined)).toEqual([]);
+  });
+
+  it('should write a header row and one row per iteration', () => {
+    const csv = toDatasetCsv({ parameters: ['user', 'note'], rows: [['alice', 'a, b'], ['bob']] });
+
+    expect(csv).toBe('user,note\r\nalice,"a, b"\r\nbob,\r\n');
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { detectResultFormat, validateResults, getResultTests } from '../utils/executionResults.js';
+
+describe('executionResults', () => {
+  describe('detectResultFormat', () => {
+    it('should recognize JUnit, TestNG and Xray JSON files', () => {
+      expect(detectResultFormat('<?xml version="1.0"?>\n<testsuites><testsuite name="a"/></testsuites>')).toBe('junit');
+      expect(detectResultFormat('<testsuite name="a"></testsuite>')).toBe('junit');
+      expect(detectResultFormat('<testng-results skipped="0"></testng-results>')).toBe('testng');
+      expect(detectResultFormat('  {"tests": []}')).toBe('xray');
+    });
+
+    it('should return null for anything else', () => {
+      expect(detectResultFormat('name,status')).toBeNull();
+      expect(detectResultFormat(undefined)).toBeNull();
+    });
+  });
+
+  describe('validateResults', () => {
+    it('should accept well-formed files', () => {
+      expect(validateResults('junit', '<testsuite><testcase name="a"/></testsuite>')).toEqual([]);
+      expect(validateResults('xray', '{"tests":[{"testKey":"PROJ-1","status":"PASSED"}]}')).toEqual([]);
+    });
+
+    it('should explain what is wrong', () => {
+      expect(validateResults('csv', 'a,b')).toEqual(['format must be one of junit, testng, xray']);
+      expect(validateResults('junit', '  ')).toEqual(['Results file is empty']);
+      expect(validateResults('testng', '<testsuite/>')).toEqual(['TestNG results must have a <testng-results> root element']);
+      expect(validateResults('xray', '{tests')[0]).toMatch(/^Invalid Xray JSON: /);
+      expect(validateResults('xray', '{"info":{}}')).toEqual(['Xray JSON must contain a non-empty "tests" array']);
+    });
+
+    it('should reject Xray JSON that is not an object', () => {
+      for (const content of ['null', '5', '"x"', '[{"testKey":"PROJ-1"}]']) {
+        expect(validateResults('xray', content)).toEqual(['Xray JSON must be an object']);
+      }
+      expect(validateResults('xray', '{"tests":[null]}')).toEqual(['Each entry of the Xray JSON "tests" array must be an object']);
+    });
+  });
+
+  describe('getResultTests', () => {
+    it('should name JUnit test cases by class and name', () => {
+      const junit = '<testsuites><testsuite><testcase classname="auth.Login" name="works"/>'
+        + '<testcase classname="auth.Login" name="fails &amp; retries"><failure/></testcase><testcase name="bare"/></testsuite></testsuites>';
+
+      expect(getResultTests('junit', junit)).toEqual({
+        keys: new Set(),
+        definitions: new Set(['auth.Login.works', 'auth.Login.fails & retries', 'bare']),
+      });
+    });
+
+    it('should name TestNG methods by class, leaving out configuration methods', () => {
+      const testng = '<testng-results><suite><test><class name="shop.Cart">'
+        + '<test-method status="PASS" name="setUp" is-config="true"/><test-method status="FAIL" name="adds"></test-method>'
+        + '</class></test></suite></testng-results>';
+
+      expect(getResultTests('testng', testng).definitions).toEqual(new Set(['shop.Cart.adds']));
+    });
+
+    it('should name Xray JSON tests by key, or by the definition of a new test', () => {
+      const xray = JSON.stringify({
+        tests: [
+          { testKey: 'PROJ-1', status: 'PASSED' },
+          { testInfo: { definition: 'shop.Cart.adds', summary: 'Adds' }, status: 'FAILED' },
+          { testInfo: { summary: 'Checkout' }, status: 'PASSED' },
+        ],
+      });
+
+      expect(getResultTests('xray', xray)).toEqual({
+        keys: new Set(['PROJ-1']),
+        definitions: new Set(['shop.Cart.adds', 'Checkout']),
+      });
+    });
+  });
+});
@@ -6,6 +6,12 @@ describe('fileOperations', () => {
   let fileOps;
 
   beforeEach(async () => {
+    // Without a watcher the draft functions scan the (mocked) files on every call
+    vi.spyOn(fs, 'watch').mockImplementation(() => {
+      throw new Error('recursive watch not supported');
+    });
+    // Writes go to a temp file that is renamed over the target
+    vi.spyOn(fs, 'renameSync').mockReturnValue(undefined);
     vi.resetModules();
     fileOps = await import('../utils/fileOperations.js');
   });
@@ -189,9 +195,10 @@ describe('fileOperations', () => {
 
       expect(result).toBe(SETTINGS_PATH);
       expect(writeSpy).toHaveBeenCalledWith(
-        SETTINGS_PATH,
+        `${SETTINGS_PATH}.tmp`,
         JSON.stringify(settings, null, 2)
       );
+      expect(fs.renameSync).toHaveBeenCalledWith(`${SETTINGS_PATH}.tmp`, SETTINGS_PATH);
     });
   });
 
@@ -253,8 +260,8 @@ describe('fileOperations', () => {
     });
 
     it('should return drafts from hierarchical project/area structure', async () => {
-      const draft1 = { id: '1', summary: 'Draft 1', updatedAt: 1000, projectKey: 'TEST' };
-      const draft2 = { id: '2', summary: 'Draft 2', updatedAt: 3000, projectKey: 'TEST' };
+      const draft1 = { id: '1', summary: 'Draft 1', updatedAt: 1000, projectKey: 'TEST', schemaVersion: 2 };
+      const draft2 = { id: '2', summary: 'Draft 2', updatedAt: 3000, projectKey: 'TEST', schemaVersion: 2 };
 
       vi.spyOn(fs, 'existsSync').mockReturnValue(true);
 
@@ -289,7 +296,7 @@ describe('fileOperations', () => {
     });
 
     it('should filter drafts by projectKey', async () => {
-      const draft = { id: '1', summary: 'Draft 1', updatedAt: 1000, projectKey: 'DEMO' };
+      const draft = { id: '1', summary: 'Draft 1', updatedAt: 1000, projectKey: 'DEMO', schemaVersion: 2 };
 
       vi.spyOn(fs, 'existsSync').mockReturnValue(true);
 
@@ -315,7 +322,7 @@ describe('fileOperations', () => {
 
     it('should handle errors and continue processing', async () => {
       const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
-      const validDraft = { id: '1', summary: 'Valid Draft', updatedAt: 1000 };
+      const validDraft = { id: '1', summary: 'Valid Draft', updatedAt: 1000, schemaVersion: 2 };
 
       vi.spyOn(fs, 'existsSync').mockReturnValue(true);
 
@@ -364,7 +371,7 @@ describe('fileOperations', () => {
     });
 
     it('should find draft by ID in hierarchical structure', async () => {
-      const draft = { id: 'test-id-12345678', summary: 'Test Draft', projectKey: 'TEST' };
+      const draft = { id: 'test-id-12345678', summary: 'Test Draft', projectKey: 'TEST', schemaVersion: 2 };
 
       vi.spyOn(fs, 'existsSync').mockReturnValue(true);
 
@@ -405,7 +412,7 @@ describe('fileOperations', () => {
     });
 
     it('should return parsed draft when found', async () => {
-      const draft = { id: 'test-id-12345678', summary: 'Test Draft', projectKey: 'TEST' };
+      const draft = { id: 'test-id-12345678', summary: 'Test Draft', projectKey: 'TEST', schemaVersion: 2 };
 
       vi.spyOn(fs, 'existsSync').mockReturnValue(true);
 
@@ -506,6 +513,104 @@ describe('fileOperations', () => {
     });
   });
 
+  describe('safe writes', () => {
+    it('should write the moved draft before removing its old file', async () => {
+      const draft = { id: 'test-id-12345678', summary: 'Old | UI | Title', projectKey: 'TEST', updatedAt: 1000 };
+      vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+      vi.spyOn(fs, 'mkdirSync').mockReturnValue(undefined);
+      vi.spyOn(fs, 'writeFileSync').mockReturnValue(undefined);
+      vi.spyOn(fs, 'rmdirSync').mockReturnValue(undefined);
+      const unlinkSpy = vi.spyOn(fs, 'unlinkSync').mockReturnValue(undefined);
+      vi.spyOn(fs, 'readdirSync').mockImplementation((dir, options) => {
+        if (dir.endsWith('testCases')) {
+          return options?.withFileTypes ? [{ name: 'TEST', isDirectory: () => true }] : ['TEST'];
+        } else if (dir.endsWith('TEST')) {
+          return options?.withFileTypes ? [{ name: 'Old', isDirectory: () => true }] : ['Old'];
+        } else if (dir.endsWith('Old')) {
+          return ['title-test-id-.json'];
+        }
+        return [];
+      });
+      vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify(draft));
+
+      vi.resetModules();
+      const { writeDraft } = await import('../utils/fileOperations.js');
+
+      const result = writeDraft(draft.id, { ...draft, summary: 'New | UI | Title' });
+
+      expect(result).toMatch(/TEST[\\/]New[\\/]title-test-id-\.json$/);
+      expect(fs.renameSync).toHaveBeenCalledWith(`${result}.tmp`, result);
+      expect(unlinkSpy).toHaveBeenCalledWith(expect.stringMatching(/TEST[\\/]Old[\\/]title-test-id-\.json$/));
+      expect(fs.renameSync.mock.invocationCallOrder[0]).toBeLessThan(unlinkSpy.mock.invocationCallOrder[0]);
+    });
+
+    it('should remove temp files left in the config and draft folders', async () => {
+      const { SETTINGS_PATH, DRAFTS_DIR } = fileOps;
+      const configDir = path.dirname(SETTINGS_PATH);
+      const tree = {
+        [configDir]: ['settings.json', 'settings.json.tmp'],
+        [DRAFTS_DIR]: ['TEST'],
+        [path.join(DRAFTS_DIR, 'TEST')]: ['General'],
+        [path.join(DRAFTS_DIR, 'TEST', 'General')]: ['login-1234.json', 'login-1234.json.tmp'],
+      };
+      vi.spyOn(fs, 'existsSync').mockImplementation((dir) => dir in tree);
+      vi.spyOn(fs, 'readdirSync').mockImplementation((dir) => tree[dir].map((name) => ({
+        name,
+        isDirectory: () => path.join(dir, name) in tree,
+      })));
+      const unlinkSpy = vi.spyOn(fs, 'unlinkSync').mockReturnValue(undefined);
+
+      expect(fileOps.recoverTempFiles()).toBe(2);
+      expect(unlinkSpy.mock.calls).toEqual([
+        [`${SETTINGS_PATH}.tmp`],
+        [path.join(DRAFTS_DIR, 'TEST', 'General', 'login-1234.json.tmp')],
+      ]);
+    });
+
+    it('should run callers of the same file one after another', async () => {
+      const order = [];
+      const slowWrite = (name) => async () => {
+        order.push(`${name} start`);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        order.push(`${name} end`);
+        return name;
+      };
+
+      const first = fileOps.withFileLock('a.json', slowWrite('first'));
+      const failing = fileOps.withFileLock('a.json', () => {
+        throw new Error('Write failed');
+      });
+      const second = fileOps.withFileLock('a.json', slowWrite('second'));
+      const other = fileOps.withFileLock('b.json', slowWrite('other'));
+
+      await expect(first).resolves.toBe('first');
+      await expect(failing).rejects.toThrow('Write failed');
+      await expect(second).resolves.toBe('second');
+      await other;
+      expect(order.filter((step) => !step.startsWith('other'))).toEqual(['first start', 'first end', 'second start', 'second end']);
+      // Other files don't wait
+      expect(order.indexOf('other start')).toBeLessThan(order.indexOf('first end'));
+    });
+
+    it('should hold every lock of a group of drafts until fn is done', async () => {
+      const order = [];
+      let release;
+      const group = fileOps.withDraftLocks(['d-2', 'd-1'], () => new Promise((resolve) => { release = resolve; }));
+      const single = fileOps.withDraftLock('d-1', () => order.push('single'));
+
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      expect(order).toEqual([]);
+      release();
+      await group;
+      await single;
+      expect(order).toEqual(['single']);
+    });
+
+    it('should lock a draft listed twice once', async () => {
+      await expect(fileOps.withDraftLocks(['d-1', 'd-1'], () => 'done')).resolves.toBe('done');
+    });
+  });
+
   describe('writeDraft with hierarchical structure', () => {
     it('should create project/area directories and write draft', async () => {
       vi.spyOn(fs, 'existsSync').mockReturnValue(false);
@@ -544,6 +649,340 @@ describe('fileOperations', () => {
     });
   });
 
+  describe('draft index', () => {
+    let draftsDir;
+    let files;
+    let watchers;
+
+    beforeEach(() => {
+      draftsDir = fileOps.DRAFTS_DIR;
+      files = {
+        [path.join(draftsDir, 'TEST', 'Auth', 'login-draft-1.json')]: { id: 'draft-1', summary: 'Auth | UI | Login', projectKey: 'TEST', updatedAt: 1000, schemaVersion: 2 },
+        [path.join(draftsDir, 'DEMO', 'General', 'home-draft-2.json')]: { id: 'draft-2', summary: 'Home', projectKey: 'DEMO', updatedAt: 2000, schemaVersion: 2 },
+      };
+      const dirEntries = (dir) => [...new Set(Object.keys(files)
+        .filter((file) => file.startsWith(dir + path.sep))
+        .map((file) => file.slice(dir.length + 1).split(path.sep)[0]))];
+
+      vi.spyOn(fs, 'existsSync').mockImplementation((p) => p === draftsDir || dirEntries(p).length > 0 || p in files);
+      vi.spyOn(fs, 'readdirSync').mockImplementation((dir, options) => (options?.withFileTypes
+        ? dirEntries(dir).map((name) => ({ name, isDirectory: () => !name.endsWith('.json') }))
+        : dirEntries(dir)));
+      vi.spyOn(fs, 'readFileSync').mockImplementation((file) => JSON.stringify(files[file]));
+      vi.spyOn(fs, 'writeFileSync').mockImplementation((file, content) => {
+        files[file] = JSON.parse(content);
+      });
+      vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+        files[to] = files[from];
+        delete files[from];
+      });
+      vi.spyOn(fs, 'unlinkSync').mockImplementation((file) => {
+        delete files[file];
+      });
+      vi.spyOn(fs, 'mkdirSync').mockReturnValue(undefined);
+      vi.spyOn(fs, 'rmdirSync').mockReturnValue(undefined);
+      watchers = {};
+      vi.spyOn(fs, 'watch').mockImplementation((dir, options, listener) => {
+        watchers[dir] = listener;
+        return { on: vi.fn(), close: vi.fn() };
+      });
+    });
+
+    it('should read the draft files once and serve later calls from memory', async () => {
+      vi.resetModules();
+      const { loadDraftIndex, listDrafts, readDraft } = await import('../utils/fileOperations.js');
+
+      expect(loadDraftIndex()).toBe(2);
+      expect(fs.readFileSync).toHaveBeenCalledTimes(2);
+
+      expect(listDrafts().map((d) => d.id)).toEqual(['draft-2', 'draft-1']);
+      expect(listDrafts('TEST').map((d) => d.id)).toEqual(['draft-1']);
+      expect(readDraft('draft-2').summary).toBe('Home');
+      expect(fs.readFileSync).toHaveBeenCalledTimes(2);
+    });
+
+    it('should hand out copies of the indexed drafts', async () => {
+      vi.resetModules();
+      const { loadDraftIndex, readDraft } = await import('../utils/fileOperations.js');
+
+      loadDraftIndex();
+      readDraft('draft-1').summary = 'Changed';
+      expect(readDraft('draft-1').summary).toBe('Auth | UI | Login');
+    });
+
+    it('should keep the index current on write and delete', async () => {
+      vi.resetModules();
+      const { loadDraftIndex, listDrafts, writeDraft, deleteDraft } = await import('../utils/fileOperations.js');
+
+      loadDraftIndex();
+      writeDraft('draft-3', { id: 'draft-3', summary: 'Auth | API | Token', projectKey: 'TEST', updatedAt: 3000 });
+      writeDraft('draft-1', { ...files[path.join(draftsDir, 'TEST', 'Auth', 'login-draft-1.json')], summary: 'Auth | UI | Sign in' });
+      deleteDraft('draft-2');
+
+      expect(listDrafts().map((d) => [d.id, d.summary])).toEqual([
+        ['draft-3', 'Auth | API | Token'],
+        ['draft-1', 'Auth | UI | Sign in'],
+      ]);
+      expect(fs.readFileSync).toHaveBeenCalledTimes(2);
+    });
+
+    it('should re-read files the watcher reports as changed outside the server', async () => {
+      vi.resetModules();
+      const { loadDraftIndex, listDrafts } = await import('../utils/fileOperations.js');
+
+      loadDraftIndex();
+      files[path.join(draftsDir, 'TEST', 'Auth', 'logout-draft-4.json')] = { id: 'draft-4', summary: 'Auth | UI | Logout', projectKey: 'TEST', updatedAt: 4000, schemaVersion: 2 };
+      watchers[path.join(draftsDir, 'TEST', 'Auth')]('rename', 'logout-draft-4.json');
+      delete files[path.join(draftsDir, 'DEMO', 'General', 'home-draft-2.json')];
+      watchers[path.join(draftsDir, 'DEMO', 'General')]('rename', 'home-draft-2.json');
+
+      expect(listDrafts().map((d) => d.id)).toEqual(['draft-4', 'draft-1']);
+      expect(fs.readFileSync).toHaveBeenCalledTimes(3);
+    });
+
+    it('should rebuild the index when a folder is added or removed', async () => {
+      vi.resetModules();
+      const { loadDraftIndex, listDrafts } = await import('../utils/fileOperations.js');
+
+      loadDraftIndex();
+      files[path.join(draftsDir, 'TEST', 'Reports', 'export-draft-5.json')] = { id: 'draft-5', summary: 'Reports | UI | Export', projectKey: 'TEST', updatedAt: 5000, schemaVersion: 2 };
+      watchers[path.join(draftsDir, 'TEST')]('rename', 'Reports');
+
+      expect(listDrafts().map((d) => d.id)).toEqual(['draft-5', 'draft-2', 'draft-1']);
+    });
+
+    it('should keep the newer copy of a draft left in two files', async () => {
+      files[path.join(draftsDir, 'TEST', 'Session', 'login-draft-1.json')] = { id: 'draft-1', summary: 'Session | UI | Login', projectKey: 'TEST', updatedAt: 3000, schemaVersion: 2 };
+      vi.resetModules();
+      const { loadDraftIndex, readDraft } = await import('../utils/fileOperations.js');
+
+      expect(loadDraftIndex()).toBe(2);
+      expect(readDraft('draft-1').summary).toBe('Session | UI | Login');
+    });
+
+    it('should rescan the files on every call without a watcher', async () => {
+      fs.watch.mockImplementation(() => {
+        throw new Error('recursive watch not supported');
+      });
+      vi.resetModules();
+      const { loadDraftIndex, listDrafts } = await import('../utils/fileOperations.js');
+
+      loadDraftIndex();
+      delete files[path.join(draftsDir, 'DEMO', 'General', 'home-draft-2.json')];
+
+      expect(listDrafts().map((d) => d.id)).toEqual(['draft-1']);
+    });
+  });
+
+  describe('draft schema migrations', () => {
+    const legacyDraft = {
+      id: 'legacy-1',
+      summary: 'Auth | UI | Login',
+      description: 'Sign in',
+      testType: 'Cucumber',
+      gherkin: 'Scenario: Login\n  Given I am on the login page',
+      xrayLinking: { testPlanId: 'plan-1', testPlanDisplay: 'PROJ-1: Plan', testSetId: 'set-1', folderPath: '/Auth' },
+    };
+
+    it('should turn single-select links into lists and compute isComplete', () => {
+      const draft = fileOps.migrateDraft(legacyDraft);
+
+      expect(draft).toEqual({
+        ...legacyDraft,
+        xrayLinking: {
+          testPlanIds: ['plan-1'],
+          testPlanDisplays: [{ id: 'plan-1', display: 'PROJ-1: Plan' }],
+          testSetIds: ['set-1'],
+          testSetDisplays: [],
+          folderPath: '/Auth',
+        },
+        isComplete: true,
+        schemaVersion: fileOps.DRAFT_SCHEMA_VERSION,
+      });
+      expect(legacyDraft.xrayLinking.testPlanId).toBe('plan-1');
+    });
+
+    it('should keep lists that were already set over the single-select value', () => {
+      const draft = fileOps.migrateDraft({
+        ...legacyDraft,
+        isComplete: false,
+        xrayLinking: { testPlanId: 'old', testPlanIds: ['new'], testPlanDisplays: [] },
+      });
+
+      expect(draft.xrayLinking).toEqual({ testPlanIds: ['new'], testPlanDisplays: [] });
+      expect(draft.isComplete).toBe(false);
+    });
+
+    it('should return current drafts unchanged', () => {
+      const draft = { id: 'current', schemaVersion: fileOps.DRAFT_SCHEMA_VERSION };
+      expect(fileOps.migrateDraft(draft)).toBe(draft);
+    });
+
+    it('should rewrite only the files below the current version', async () => {
+      const current = { id: 'current-1', summary: 'Current', schemaVersion: 2 };
+      vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+      vi.spyOn(fs, 'readdirSync').mockImplementation((dir, options) => {
+        if (dir.endsWith('testCases')) {
+          return options?.withFileTypes ? [{ name: 'TEST', isDirectory: () => true }] : ['TEST'];
+        } else if (dir.endsWith('TEST')) {
+          return options?.withFileTypes ? [{ name: 'Auth', isDirectory: () => true }] : ['Auth'];
+        }
+        return ['legacy-1.json', 'current-1.json'];
+      });
+      vi.spyOn(fs, 'readFileSync').mockImplementation((file) =>
+        JSON.stringify(file.includes('legacy') ? legacyDraft : current)
+      );
+      const writeSpy = vi.spyOn(fs, 'writeFileSync').mockReturnValue(undefined);
+
+      vi.resetModules();
+      const { migrateDraftFiles } = await import('../utils/fileOperations.js');
+
+      expect(migrateDraftFiles('TEST')).toEqual({ migrated: 1, total: 2 });
+      expect(writeSpy).toHaveBeenCalledTimes(1);
+      expect(writeSpy.mock.calls[0][0]).toContain('legacy-1.json');
+      expect(JSON.parse(writeSpy.mock.calls[0][1])).toMatchObject({ schemaVersion: 2, isComplete: true });
+    });
+
+    it('should stamp written drafts with the current version', async () => {
+      vi.spyOn(fs, 'existsSync').mockReturnValue(false);
+      vi.spyOn(fs, 'mkdirSync').mockReturnValue(undefined);
+      const writeSpy = vi.spyOn(fs, 'writeFileSync').mockReturnValue(undefined);
+
+      vi.resetModules();
+      const { writeDraft, DRAFT_SCHEMA_VERSION } = await import('../utils/fileOperations.js');
+
+      writeDraft('new-1', { id: 'new-1', summary: 'New', projectKey: 'TEST' });
+      expect(JSON.parse(writeSpy.mock.calls[0][1]).schemaVersion).toBe(DRAFT_SCHEMA_VERSION);
+    });
+  });
+
+  describe('rewriteDraftFolderPaths', () => {
+    async function rewriteWith(drafts, ...args) {
+      vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+      vi.spyOn(fs, 'readdirSync').mockImplementation((dir, options) => {
+        if (dir.endsWith('testCases')) {
+          return options?.withFileTypes ? [{ name: 'TEST', isDirectory: () => true }] : ['TEST'];
+        } else if (dir.endsWith('TEST')) {
+          return options?.withFileTypes ? [{ name: 'General', isDirectory: () => true }] : ['General'];
+        }
+        return drafts.map((draft) => `${draft.id}.json`);
+      });
+      vi.spyOn(fs, 'unlinkSync').mockReturnValue(undefined);
+      vi.spyOn(fs, 'readFileSync').mockImplementation((file) =>
+        JSON.stringify(drafts.find((draft) => file.includes(draft.id)))
+      );
+      vi.spyOn(fs, 'mkdirSync').mockReturnValue(undefined);
+      const writeSpy = vi.spyOn(fs, 'writeFileSync').mockReturnValue(undefined);
+
+      vi.resetModules();
+      const { rewriteDraftFolderPaths, withDraftLock } = await import('../utils/fileOperations.js');
+
+      let release;
+      const held = withDraftLock('d1', () => new Promise((resolve) => { release = resolve; }));
+      const rewrite = rewriteDraftFolderPaths('TEST', ...args);
+      // A draft being saved elsewhere is rewritten only once that save is done
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      const writtenWhileLocked = writeSpy.mock.calls.length;
+      release();
+      await held;
+
+      const count = await rewrite;
+      const written = writeSpy.mock.calls.map(([, content]) => JSON.parse(content));
+      return { count, written, writtenWhileLocked };
+    }
+
+    const drafts = [
+      { id: 'd1', summary: 'One', projectKey: 'TEST', xrayLinking: { folderPath: '/Auth' } },
+      { id: 'd2', summary: 'Two', projectKey: 'TEST', xrayLinking: { folderPath: '/Auth/Login' } },
+      { id: 'd3', summary: 'Three', projectKey: 'TEST', xrayLinking: { folderPath: '/Authors' } },
+    ];
+
+    it('should move drafts in the folder and its subfolders to the new path', async () => {
+      const { count, written } = await rewriteWith(drafts, '/Auth', '/Access');
+
+      expect(count).toBe(2);
+      expect(written.map((d) => d.xrayLinking.folderPath)).toEqual(['/Access', '/Access/Login']);
+    });
+
+    it('should wait for the lock of a draft before rewriting it', async () => {
+      const { writtenWhileLocked, written } = await rewriteWith(drafts, '/Auth', '/Access');
+
+      expect(writtenWhileLocked).toBe(0);
+      expect(written).toHaveLength(2);
+    });
+
+    it('should flatten subfolders when they are removed with the folder', async () => {
+      const { written } = await rewriteWith(drafts, '/Auth', '/', { keepSubfolders: false });
+
+      expect(written.map((d) => d.xrayLinking.folderPath)).toEqual(['/', '/']);
+    });
+  });
+
+  describe('precondition functions', () => {
+    it('should skip the preconditions folder when listing drafts', async () => {
+      const draft = { id: '1', summary: 'Draft 1', updatedAt: 1000, projectKey: 'TEST', schemaVersion: 2 };
+
+      vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+      vi.spyOn(fs, 'readdirSync').mockImplementation((dir, options) => {
+        if (dir.endsWith('testCases')) {
+          return options?.withFileTypes ? [{ name: 'TEST', isDirectory: () => true }] : ['TEST'];
+        } else if (dir.endsWith('TEST')) {
+          return options?.withFileTypes
+            ? [{ name: 'General', isDirectory: () => true }, { name: '_preconditions', isDirectory: () => true }]
+            : ['General', '_preconditions'];
+        }
+        return dir.includes('_preconditions') ? ['user-is-admin-pre-1234.json'] : ['draft-1-12345678.json'];
+      });
+      vi.spyOn(fs, 'readFileSync').mockReturnValue(JSON.stringify(draft));
+
+      vi.resetModules();
+      const { listDrafts } = await import('../utils/fileOperations.js');
+
+      expect(listDrafts('TEST')).toEqual([draft]);
+    });
+
+    it('should list preconditions of a project newest first', async () => {
+      const older = { id: 'a', summary: 'Older', updatedAt: 1000, projectKey: 'TEST' };
+      const newer = { id: 'b', summary: 'Newer', updatedAt: 2000, projectKey: 'TEST' };
+
+      vi.spyOn(fs, 'existsSync').mockReturnValue(true);
+      const readdirSpy = vi.spyOn(fs, 'readdirSync').mockReturnValue(['older-a.json', 'newer-b.json']);
+      vi.spyOn(fs, 'readFileSync')
+        .mockReturnValueOnce(JSON.stringify(older))
+        .mockReturnValueOnce(JSON.stringify(newer));
+
+      vi.resetModules();
+      const { listPreconditions } = await import('../utils/fileOperations.js');
+
+      expect(listPreconditions('TEST')).toEqual([newer, older]);
+      expect(readdirSpy).toHaveBeenCalledWith(expect.stringMatching(/TEST[\\/]_preconditions$/));
+    });
+
+    it('should write preconditions under the project preconditions folder', async () => {
+      vi.spyOn(fs, 'existsSync').mockReturnValue(false);
+      vi.spyOn(fs, 'mkdirSync').mockReturnValue(undefined);
+      const writeSpy = vi.spyOn(fs, 'writeFileSync').mockReturnValue(undefined);
+
+      vi.resetModules();
+      const { writePrecondition } = await import('../utils/fileOperations.js');
+
+      const result = writePrecondition('abcdef1234', { id: 'abcdef1234', summary: 'User is admin', projectKey: 'TEST' });
+
+      expect(result).toMatch(/TEST[\\/]_preconditions[\\/]user-is-admin-abcdef12\.json$/);
+      expect(writeSpy).toHaveBeenCalledWith(`${result}.tmp`, expect.any(String));
+      expect(fs.renameSync).toHaveBeenCalledWith(`${result}.tmp`, result);
+    });
+
+    it('should return false when deleting an unknown precondition', async () => {
+      vi.spyOn(fs, 'existsSync').mockReturnValue(false);
+
+      vi.resetModules();
+      const { deletePrecondition } = await import('../utils/fileOperations.js');
+
+      expect(deletePrecondition('missing')).toBe(false);
+    });
+  });
+
   describe('syncSettingsWithFileSystem', () => {
     it('should create DRAFTS_DIR if it does not exist', async () => {
       const existsSyncSpy = vi.spyOn(fs, 'existsSync')
@@ -936,7 +1375,9 @@ describe('fileOperations', () => {
       const { getProjectSettings } = await import('../utils/fileOperations.js');
 
       const result = getProjectSettings('NONEXISTENT');
-      expect(result).toEqual({ functionalAreas: [], labels: [], collections: [] });
+      expect(result).toEqual({
+        functionalAreas: [], labels: [], collections: [], priorities: ['Highest', 'High', 'Medium', 'Low', 'Lowest'],
+      });
     });
 
     it('saveProjectSettings should update project settings', async () => {
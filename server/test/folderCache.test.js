@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  FOLDER_CACHE_TTL_MS,
+  cacheFolderSubtree,
+  getCachedFolder,
+  invalidateFolderCache,
+} from '../utils/folderCache.js';
+
+const tree = {
+  name: '',
+  path: '/',
+  folders: [{ name: 'Auth', path: '/Auth', folders: [{ name: 'Login', path: '/Auth/Login', folders: [] }] }],
+};
+
+describe('folderCache', () => {
+  beforeEach(() => {
+    invalidateFolderCache();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should index every folder of a subtree by path', () => {
+    cacheFolderSubtree('proj-1', tree);
+
+    expect(getCachedFolder('proj-1', '/')).toBe(tree);
+    expect(getCachedFolder('proj-1', '/Auth/Login').name).toBe('Login');
+    expect(getCachedFolder('proj-1', '/Missing')).toBeNull();
+    expect(getCachedFolder('proj-2', '/')).toBeNull();
+  });
+
+  it('should expire entries after the TTL', () => {
+    vi.useFakeTimers();
+    cacheFolderSubtree('proj-1', tree);
+
+    vi.advanceTimersByTime(FOLDER_CACHE_TTL_MS + 1);
+
+    expect(getCachedFolder('proj-1', '/Auth')).toBeNull();
+  });
+
+  it('should invalidate a single project or everything', () => {
+    cacheFolderSubtree('proj-1', tree);
+    cacheFolderSubtree('proj-2', tree);
+
+    invalidateFolderCache('proj-1');
+    expect(getCachedFolder('proj-1', '/')).toBeNull();
+    expect(getCachedFolder('proj-2', '/')).toBe(tree);
+
+    invalidateFolderCache();
+    expect(getCachedFolder('proj-2', '/')).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createImportJob,
+  getImportJob,
+  listImportJobs,
+  subscribeToImportJob,
+  isImportJobFinished,
+} from '../utils/importJobs.js';
+
+// Wait until a job reaches a final phase
+function waitForJob(id) {
+  return new Promise((resolve) => {
+    const current = getImportJob(id);
+    if (isImportJobFinished(current)) {
+      resolve(current);
+      return;
+    }
+    const unsubscribe = subscribeToImportJob(id, (job) => {
+      if (isImportJobFinished(job)) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+}
+
+describe('importJobs', () => {
+  it('should queue a job and return it immediately', async () => {
+    let release;
+    const job = createImportJob(
+      { draftIds: ['a'], total: 1 },
+      () => new Promise((resolve) => { release = resolve; })
+    );
+
+    expect(job.id).toBeDefined();
+    expect(job.draftIds).toEqual(['a']);
+    expect(job.phase).toBe('queued');
+    expect(getImportJob(job.id)).toMatchObject({ id: job.id, total: 1, phase: 'authenticating' });
+
+    release({ success: true });
+    await waitForJob(job.id);
+  });
+
+  it('should publish progress and finish with the handler result', async () => {
+    const phases = [];
+    const job = createImportJob({ draftIds: ['b'] }, async (report) => {
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      report({ phase: 'submitted', message: 'Submitted to Xray' });
+      report({ phase: 'working', message: 'Xray job working (check 1)' });
+      return { success: true, testKeys: ['PROJ-1'] };
+    });
+    subscribeToImportJob(job.id, (snapshot) => phases.push(snapshot.phase));
+
+    const finished = await waitForJob(job.id);
+
+    expect(finished.phase).toBe('done');
+    expect(finished.result).toEqual({ success: true, testKeys: ['PROJ-1'] });
+    expect(phases).toEqual(expect.arrayContaining(['submitted', 'working', 'done']));
+  });
+
+  it('should fail the job when the handler reports failure', async () => {
+    const job = createImportJob({}, async () => ({ success: false, error: 'Xray rejected payload' }));
+
+    const finished = await waitForJob(job.id);
+
+    expect(finished.phase).toBe('failed');
+    expect(finished.error).toBe('Xray rejected payload');
+  });
+
+  it('should fail the job when the handler throws', async () => {
+    const job = createImportJob({}, async () => {
+      throw new Error('Network down');
+    });
+
+    const finished = await waitForJob(job.id);
+
+    expect(finished).toMatchObject({ phase: 'failed', error: 'Network down' });
+  });
+
+  it('should run jobs one at a time in order', async () => {
+    const order = [];
+    const first = createImportJob({}, async () => {
+      order.push('first:start');
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      order.push('first:end');
+      return { success: true };
+    });
+    const second = createImportJob({}, async () => {
+      order.push('second:start');
+      return { success: true };
+    });
+
+    await waitForJob(first.id);
+    await waitForJob(second.id);
+
+    expect(order.indexOf('second:start')).toBeGreaterThan(order.indexOf('first:end'));
+  });
+
+  it('should list jobs newest first', () => {
+    const jobs = listImportJobs();
+    for (let i = 1; i < jobs.length; i++) {
+      expect(jobs[i - 1].createdAt).toBeGreaterThanOrEqual(jobs[i].createdAt);
+    }
+  });
+
+  it('should return null for unknown jobs', () => {
+    expect(getImportJob('missing')).toBeNull();
+  });
+
+  it('should stop notifying after unsubscribe', async () => {
+    const listener = vi.fn();
+    const job = createImportJob({}, async () => ({ success: true }));
+    const unsubscribe = subscribeToImportJob(job.id, listener);
+    unsubscribe();
+
+    await waitForJob(job.id);
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
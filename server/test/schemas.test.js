@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { schemas, validate } from '../utils/schemas.js';
+import { swaggerSpec } from '../swagger.js';
+
+describe('schemas', () => {
+  const draft = {
+    id: 'uuid-1',
+    projectKey: 'PROJ',
+    summary: 'Auth | UI | Login',
+    description: 'Sign in',
+    testType: 'Manual',
+    priority: 'High',
+    labels: ['smoke'],
+    collectionId: null,
+    steps: [{ action: 'Sign in as ${user}', data: '', result: 'Signed in' }, { sharedStepsId: 'shs-1' }],
+    gherkin: '',
+    definition: '',
+    dataset: { parameters: ['user'], rows: [['alice']] },
+    customFields: { components: ['Backend'] },
+    xrayLinking: {
+      testPlanIds: ['1'],
+      testPlanDisplays: [{ id: '1', display: 'PROJ-1: Plan' }],
+      folderPath: '/',
+      projectId: null,
+    },
+    status: 'draft',
+    isComplete: true,
+    createdAt: 1705700000000,
+    updatedAt: 1705700000000,
+  };
+
+  it('should accept a draft as the form saves it', () => {
+    expect(validate('Draft', draft)).toEqual([]);
+    expect(validate('Draft', { ...draft, dataset: null, projectKey: null })).toEqual([]);
+  });
+
+  it('should reject the single-select linking of older drafts', () => {
+    expect(validate('XrayLinking', { testPlanId: '1' }, '/xrayLinking')).toEqual([
+      '/xrayLinking/testPlanId is not an allowed property',
+    ]);
+  });
+
+  it('should report every failing path below the given root', () => {
+    expect(validate('Draft', { ...draft, createdAt: 'yesterday', dataset: { parameters: ['user'] } }, '/draft')).toEqual([
+      '/draft/dataset/rows is required',
+      '/draft/createdAt must be integer',
+    ]);
+    expect(validate('Draft', 'Auth | UI | Login', '/draft')).toEqual(['/draft must be object']);
+  });
+
+  it('should validate against a pointer into a schema', () => {
+    expect(validate('ProjectSettings/properties/collections', [{ id: 'col-1', name: 'Sprint 1' }], '/collections')).toEqual([
+      '/collections/0/color is required',
+    ]);
+  });
+
+  it('should publish the same schemas as Swagger components', () => {
+    for (const [name, schema] of Object.entries(schemas)) {
+      expect(swaggerSpec.components.schemas[name]).toEqual(schema);
+    }
+  });
+});
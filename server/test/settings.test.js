@@ -13,6 +13,8 @@ vi.mock('../utils/fileOperations.js', () => ({
   unhideProject: vi.fn(),
   setActiveProject: vi.fn(),
   getSettingsSynced: vi.fn(),
+  listDrafts: vi.fn(),
+  withSettingsLock: (fn) => Promise.resolve().then(fn),
 }));
 
 import {
@@ -25,6 +27,7 @@ import {
   unhideProject,
   setActiveProject,
   getSettingsSynced,
+  listDrafts,
 } from '../utils/fileOperations.js';
 import settingsRouter from '../routes/settings.js';
 
@@ -86,6 +89,20 @@ describe('Settings Routes', () => {
       expect(response.body.error).toBe('Settings required');
     });
 
+    it('should list the paths that fail the Settings schema', async () => {
+      const response = await request(app)
+        .put('/settings')
+        .send({ settings: { projects: 'PROJ1', activeProject: null, projectSettings: { PROJ1: { labels: [1] } } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid settings');
+      expect(response.body.details).toEqual([
+        '/settings/projects must be array',
+        '/settings/projectSettings/PROJ1/labels/0 must be string',
+      ]);
+      expect(writeSettings).not.toHaveBeenCalled();
+    });
+
     it('should handle errors', async () => {
       writeSettings.mockImplementation(() => {
         throw new Error('Write failed');
@@ -357,6 +374,21 @@ describe('Settings Routes', () => {
       expect(response.body.error).toBe('Settings required');
     });
 
+    it('should reject project settings that fail the schema', async () => {
+      const response = await request(app)
+        .put('/settings/projects/PROJ1')
+        .send({ settings: { importChunkSize: 0, customFields: [{ key: 'customfield_1', type: 'date' }], theme: 'dark' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid project settings');
+      expect(response.body.details).toEqual([
+        '/settings/theme is not an allowed property',
+        '/settings/customFields/0/type must be one of components, fixVersions, assignee, text, number, select, multiselect',
+        '/settings/importChunkSize must be >= 1',
+      ]);
+      expect(saveProjectSettings).not.toHaveBeenCalled();
+    });
+
     it('should handle errors', async () => {
       saveProjectSettings.mockImplementation(() => {
         throw new Error('Save failed');
@@ -569,6 +601,15 @@ describe('Settings Routes', () => {
       expect(response.body.error).toBe('Labels must be an array');
     });
 
+    it('should return 400 if a label is not a string', async () => {
+      const response = await request(app)
+        .put('/settings/labels')
+        .send({ labels: ['smoke', { name: 'regression' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['/labels/1 must be string']);
+    });
+
     it('should handle errors', async () => {
       readSettings.mockImplementation(() => {
         throw new Error('Save failed');
@@ -650,7 +691,7 @@ describe('Settings Routes', () => {
       readSettings.mockReturnValue({ activeProject: 'PROJ1' });
       getProjectSettings.mockReturnValue({});
 
-      const collections = [{ id: 'col-1', name: 'Sprint 1' }];
+      const collections = [{ id: 'col-1', name: 'Sprint 1', color: '#6366f1' }];
 
       const response = await request(app)
         .put('/settings/collections')
@@ -663,7 +704,7 @@ describe('Settings Routes', () => {
     it('should update global settings if no project', async () => {
       readSettings.mockReturnValue({});
 
-      const collections = [{ id: 'global', name: 'Global' }];
+      const collections = [{ id: 'global', name: 'Global', color: '#6366f1' }];
 
       const response = await request(app)
         .put('/settings/collections')
@@ -755,6 +796,18 @@ describe('Settings Routes', () => {
       expect(response.body.error).toBe('Collection name is required');
     });
 
+    it('should return 400 if color is not a string', async () => {
+      readSettings.mockReturnValue({ activeProject: 'PROJ1' });
+
+      const response = await request(app)
+        .post('/settings/collections')
+        .send({ name: 'Sprint 3', color: 255 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['/color must be string']);
+      expect(saveProjectSettings).not.toHaveBeenCalled();
+    });
+
     it('should handle errors', async () => {
       readSettings.mockImplementation(() => {
         throw new Error('Create failed');
@@ -836,4 +889,103 @@ describe('Settings Routes', () => {
       expect(response.body.error).toBe('Failed to delete collection');
     });
   });
+
+  // ============ Shared Steps ============
+  describe('Shared steps library', () => {
+    const login = {
+      id: 'shs-1',
+      name: 'Login',
+      steps: [{ action: 'Sign in', data: '', result: 'Signed in' }],
+      callTestKey: '',
+    };
+
+    beforeEach(() => {
+      readSettings.mockReturnValue({ activeProject: 'PROJ1' });
+      getProjectSettings.mockReturnValue({ collections: [], sharedSteps: [login] });
+      listDrafts.mockReturnValue([]);
+    });
+
+    it('should list the shared steps of the requested project', async () => {
+      const response = await request(app).get('/settings/shared-steps?project=PROJ2');
+
+      expect(response.body).toEqual({ success: true, sharedSteps: [login] });
+      expect(getProjectSettings).toHaveBeenCalledWith('PROJ2');
+    });
+
+    it('should add shared steps to the active project', async () => {
+      const response = await request(app)
+        .post('/settings/shared-steps')
+        .send({ name: ' Logout ', steps: [{ action: 'Sign out', result: 'Signed out' }], callTestKey: ' PROJ1-9 ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.sharedStep).toMatchObject({
+        id: expect.stringMatching(/^shs-/),
+        name: 'Logout',
+        steps: [{ action: 'Sign out', data: '', result: 'Signed out' }],
+        callTestKey: 'PROJ1-9',
+      });
+      expect(saveProjectSettings).toHaveBeenCalledWith('PROJ1', {
+        collections: [],
+        sharedSteps: [login, response.body.sharedStep],
+      });
+    });
+
+    it('should reject shared steps without complete steps', async () => {
+      const response = await request(app)
+        .post('/settings/shared-steps')
+        .send({ name: 'Login', steps: [{ action: 'Sign in', result: 'Signed in' }, { action: 'Check', result: '' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Step 2 needs an action and an expected result');
+      expect(saveProjectSettings).not.toHaveBeenCalled();
+    });
+
+    it('should reject shared steps with fields of the wrong type', async () => {
+      const response = await request(app)
+        .post('/settings/shared-steps')
+        .send({ name: 'Login', steps: [{ action: 'Sign in', data: 5, result: 'Signed in' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['/steps/0/data must be string']);
+      expect(saveProjectSettings).not.toHaveBeenCalled();
+    });
+
+    it('should update shared steps in place', async () => {
+      const response = await request(app)
+        .put('/settings/shared-steps/shs-1')
+        .send({ name: 'Login as admin', steps: [{ action: 'Sign in', data: 'admin', result: 'Signed in' }] });
+
+      expect(response.status).toBe(200);
+      expect(saveProjectSettings.mock.calls[0][1].sharedSteps).toEqual([
+        expect.objectContaining({ id: 'shs-1', name: 'Login as admin', steps: [{ action: 'Sign in', data: 'admin', result: 'Signed in' }] }),
+      ]);
+    });
+
+    it('should return 404 for unknown shared steps', async () => {
+      const response = await request(app).put('/settings/shared-steps/nope').send({ name: 'X', steps: [] });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Shared steps not found');
+    });
+
+    it('should refuse to delete shared steps that drafts still link', async () => {
+      listDrafts.mockReturnValue([
+        { summary: 'Checkout', status: 'draft', steps: [{ sharedStepsId: 'shs-1' }] },
+        { summary: 'Old checkout', status: 'imported', steps: [{ sharedStepsId: 'shs-1' }] },
+      ]);
+
+      const response = await request(app).delete('/settings/shared-steps/shs-1');
+
+      expect(response.status).toBe(409);
+      expect(response.body).toMatchObject({ error: 'Shared steps are used by 1 draft', details: ['Checkout'] });
+      expect(saveProjectSettings).not.toHaveBeenCalled();
+    });
+
+    it('should delete unused shared steps', async () => {
+      const response = await request(app).delete('/settings/shared-steps/shs-1');
+
+      expect(response.body).toEqual({ success: true, sharedSteps: [] });
+      expect(listDrafts).toHaveBeenCalledWith('PROJ1');
+    });
+  });
 });
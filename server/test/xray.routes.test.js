@@ -3,8 +3,10 @@ import request from 'supertest';
 import express from 'express';
 import xrayRoutes from '../routes/xray.js';
 import * as xrayClient from '../utils/xrayClient.js';
+import { rewriteDraftFolderPaths } from '../utils/fileOperations.js';
 
 vi.mock('../utils/xrayClient.js');
+vi.mock('../utils/fileOperations.js');
 
 describe('Xray Routes', () => {
   let app;
@@ -29,7 +31,16 @@ describe('Xray Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.testPlans).toEqual(mockTestPlans);
-      expect(xrayClient.getTestPlans).toHaveBeenCalledWith('WCP');
+      expect(xrayClient.getTestPlans).toHaveBeenCalledWith('WCP', undefined);
+    });
+
+    it('should pass the search term through', async () => {
+      xrayClient.getTestPlans.mockResolvedValue([]);
+
+      const response = await request(app).get('/xray/test-plans/WCP?search=login%20flow');
+
+      expect(response.status).toBe(200);
+      expect(xrayClient.getTestPlans).toHaveBeenCalledWith('WCP', 'login flow');
     });
 
     it('should return 500 on error', async () => {
@@ -120,26 +131,99 @@ describe('Xray Routes', () => {
     });
   });
 
+  describe('POST /xray/test-plans/:projectKey', () => {
+    it('should create a test plan', async () => {
+      const created = { issueId: '10', key: 'WCP-500', summary: 'Release plan', warnings: [] };
+      xrayClient.createTestPlan.mockResolvedValue(created);
+
+      const response = await request(app)
+        .post('/xray/test-plans/WCP')
+        .send({ summary: 'Release plan', description: 'Q3 release' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, testPlan: created });
+      expect(xrayClient.createTestPlan).toHaveBeenCalledWith('WCP', { summary: 'Release plan', description: 'Q3 release' });
+    });
+
+    it('should return 400 when summary is missing', async () => {
+      const response = await request(app).post('/xray/test-plans/WCP').send({ summary: '  ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Summary is required');
+      expect(xrayClient.createTestPlan).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when Xray rejects the mutation', async () => {
+      xrayClient.createTestPlan.mockRejectedValue({});
+
+      const response = await request(app).post('/xray/test-plans/WCP').send({ summary: 'Release plan' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to create test plan');
+    });
+  });
+
+  describe('POST /xray/test-executions/:projectKey', () => {
+    it('should create a test execution with environments', async () => {
+      const created = { issueId: '11', key: 'WCP-501', summary: 'Nightly', warnings: [], createdTestEnvironments: ['staging'] };
+      xrayClient.createTestExecution.mockResolvedValue(created);
+
+      const response = await request(app)
+        .post('/xray/test-executions/WCP')
+        .send({ summary: 'Nightly', testEnvironments: ['staging'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.testExecution).toEqual(created);
+      expect(xrayClient.createTestExecution).toHaveBeenCalledWith('WCP', {
+        summary: 'Nightly',
+        description: undefined,
+        testEnvironments: ['staging'],
+      });
+    });
+  });
+
+  describe('POST /xray/test-sets/:projectKey', () => {
+    it('should create a test set', async () => {
+      xrayClient.createTestSet.mockResolvedValue({ issueId: '12', key: 'WCP-502', summary: 'Smoke', warnings: [] });
+
+      const response = await request(app).post('/xray/test-sets/WCP').send({ summary: 'Smoke' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.testSet.key).toBe('WCP-502');
+    });
+  });
+
   describe('GET /xray/folders/:projectKey', () => {
-    it('should return folders for a project', async () => {
+    it('should return one folder level for a project', async () => {
+      const level = { name: '', path: '/', testsCount: 0, folders: [{ name: 'Auth', path: '/Auth', testsCount: 2, hasChildren: true }] };
       xrayClient.getProjectId.mockResolvedValue('proj-1');
-      xrayClient.getFolders.mockResolvedValue({ path: '/', folders: [] });
+      xrayClient.getFolderLevel.mockResolvedValue(level);
 
       const response = await request(app).get('/xray/folders/WCP');
 
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
-      expect(response.body.folders).toEqual({ path: '/', folders: [] });
+      expect(response.body.folders).toEqual(level);
       expect(response.body.projectId).toBe('proj-1');
+      expect(xrayClient.getFolderLevel).toHaveBeenCalledWith('proj-1', '/', { refresh: false });
     });
 
     it('should use path query parameter', async () => {
       xrayClient.getProjectId.mockResolvedValue('proj-1');
-      xrayClient.getFolders.mockResolvedValue({ path: '/Tests', folders: [] });
+      xrayClient.getFolderLevel.mockResolvedValue({ path: '/Tests', folders: [] });
 
-      const response = await request(app).get('/xray/folders/WCP?path=/Tests');
+      await request(app).get('/xray/folders/WCP?path=/Tests/');
 
-      expect(xrayClient.getFolders).toHaveBeenCalledWith('proj-1', '/Tests');
+      expect(xrayClient.getFolderLevel).toHaveBeenCalledWith('proj-1', '/Tests', { refresh: false });
+    });
+
+    it('should bypass the cache when refresh=true', async () => {
+      xrayClient.getProjectId.mockResolvedValue('proj-1');
+      xrayClient.getFolderLevel.mockResolvedValue({ path: '/', folders: [] });
+
+      await request(app).get('/xray/folders/WCP?refresh=true');
+
+      expect(xrayClient.getFolderLevel).toHaveBeenCalledWith('proj-1', '/', { refresh: true });
     });
 
     it('should return 500 on error', async () => {
@@ -152,6 +236,156 @@ describe('Xray Routes', () => {
     });
   });
 
+  describe('folder management', () => {
+    beforeEach(() => {
+      xrayClient.getProjectId.mockResolvedValue('proj-1');
+      rewriteDraftFolderPaths.mockResolvedValue(2);
+    });
+
+    it('should create a folder and its missing parents', async () => {
+      xrayClient.ensureFolderPath.mockResolvedValue(['/Auth', '/Auth/Login']);
+
+      const response = await request(app).post('/xray/folders/WCP').send({ path: 'Auth/Login/' });
+
+      expect(response.status).toBe(200);
+      expect(xrayClient.ensureFolderPath).toHaveBeenCalledWith('proj-1', '/Auth/Login');
+      expect(response.body).toEqual({ success: true, path: '/Auth/Login', created: ['/Auth', '/Auth/Login'] });
+    });
+
+    it('should reject managing the root folder', async () => {
+      const createRes = await request(app).post('/xray/folders/WCP').send({ path: '/' });
+      const deleteRes = await request(app).delete('/xray/folders/WCP?path=/');
+
+      expect(createRes.status).toBe(400);
+      expect(deleteRes.status).toBe(400);
+      expect(createRes.body.error).toBe('Folder path is required');
+    });
+
+    it('should rename a folder and update drafts linked to it', async () => {
+      xrayClient.renameFolder.mockResolvedValue({ folder: { path: '/Auth/SignIn' }, warnings: [] });
+
+      const response = await request(app)
+        .post('/xray/folders/WCP/rename')
+        .send({ path: '/Auth/Login', newName: 'SignIn' });
+
+      expect(response.status).toBe(200);
+      expect(xrayClient.renameFolder).toHaveBeenCalledWith('proj-1', '/Auth/Login', 'SignIn');
+      expect(rewriteDraftFolderPaths).toHaveBeenCalledWith('WCP', '/Auth/Login', '/Auth/SignIn');
+      expect(response.body).toMatchObject({ path: '/Auth/SignIn', draftsUpdated: 2 });
+    });
+
+    it('should reject names containing a slash', async () => {
+      const response = await request(app)
+        .post('/xray/folders/WCP/rename')
+        .send({ path: '/Auth', newName: 'A/B' });
+
+      expect(response.status).toBe(400);
+      expect(xrayClient.renameFolder).not.toHaveBeenCalled();
+    });
+
+    it('should move a folder under another folder', async () => {
+      xrayClient.moveFolder.mockResolvedValue({ folder: { path: '/Archive/Login' }, warnings: [] });
+
+      const response = await request(app)
+        .post('/xray/folders/WCP/move')
+        .send({ path: '/Auth/Login', destinationPath: '/Archive' });
+
+      expect(xrayClient.moveFolder).toHaveBeenCalledWith('proj-1', '/Auth/Login', '/Archive');
+      expect(rewriteDraftFolderPaths).toHaveBeenCalledWith('WCP', '/Auth/Login', '/Archive/Login');
+      expect(response.body.path).toBe('/Archive/Login');
+    });
+
+    it('should not move a folder into itself', async () => {
+      const response = await request(app)
+        .post('/xray/folders/WCP/move')
+        .send({ path: '/Auth', destinationPath: '/Auth/Login' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A folder cannot be moved into itself');
+    });
+
+    it('should delete a folder and move its drafts to the parent', async () => {
+      xrayClient.deleteFolder.mockResolvedValue('deleted');
+
+      const response = await request(app).delete('/xray/folders/WCP?path=/Auth/Login');
+
+      expect(response.status).toBe(200);
+      expect(xrayClient.deleteFolder).toHaveBeenCalledWith('proj-1', '/Auth/Login');
+      expect(rewriteDraftFolderPaths).toHaveBeenCalledWith('WCP', '/Auth/Login', '/Auth', { keepSubfolders: false });
+    });
+
+    it('should return 500 when Xray rejects the change', async () => {
+      xrayClient.deleteFolder.mockRejectedValueOnce(new Error('Folder /Auth does not exist'));
+
+      const response = await request(app).delete('/xray/folders/WCP?path=/Auth');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Folder /Auth does not exist');
+      expect(rewriteDraftFolderPaths).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('test runs', () => {
+    it('should get the run of a test in an execution', async () => {
+      xrayClient.getTestRun.mockResolvedValue({ id: 'run-1', status: 'TODO', comment: '', steps: [] });
+
+      const response = await request(app).get('/xray/test-runs/7001/1001');
+
+      expect(response.status).toBe(200);
+      expect(xrayClient.getTestRun).toHaveBeenCalledWith('1001', '7001');
+      expect(response.body.testRun.id).toBe('run-1');
+    });
+
+    it('should update steps before the run status and comment', async () => {
+      const calls = [];
+      xrayClient.updateTestRunStep.mockImplementation(async (runId, stepId) => {
+        calls.push(stepId);
+        return { warnings: [] };
+      });
+      xrayClient.updateTestRunStatus.mockImplementation(async () => calls.push('status'));
+      xrayClient.updateTestRunComment.mockImplementation(async () => calls.push('comment'));
+
+      const response = await request(app)
+        .put('/xray/test-runs/run-1')
+        .send({
+          status: 'FAILED',
+          comment: 'Login broken',
+          steps: [
+            { id: 'step-1', status: 'PASSED' },
+            { id: 'step-2', status: 'FAILED', actualResult: 'Error 500', comment: '' },
+          ],
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ success: true, stepsUpdated: 2, warnings: [] });
+      expect(calls).toEqual(['step-1', 'step-2', 'status', 'comment']);
+      expect(xrayClient.updateTestRunStep).toHaveBeenCalledWith('run-1', 'step-2', { status: 'FAILED', actualResult: 'Error 500', comment: '' });
+      expect(xrayClient.updateTestRunStatus).toHaveBeenCalledWith('run-1', 'FAILED');
+    });
+
+    it('should only send the fields that changed', async () => {
+      const response = await request(app).put('/xray/test-runs/run-1').send({ comment: 'Retested' });
+
+      expect(response.status).toBe(200);
+      expect(xrayClient.updateTestRunComment).toHaveBeenCalledWith('run-1', 'Retested');
+      expect(xrayClient.updateTestRunStatus).not.toHaveBeenCalled();
+      expect(xrayClient.updateTestRunStep).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown statuses and steps without an id', async () => {
+      const response = await request(app)
+        .put('/xray/test-runs/run-1')
+        .send({ status: 'BLOCKED', steps: [{ status: 'PASSED' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual([
+        'status must be one of TODO, EXECUTING, PASSED, FAILED',
+        'steps[0].id is required',
+      ]);
+      expect(xrayClient.updateTestRunStep).not.toHaveBeenCalled();
+    });
+  });
+
   describe('POST /xray/link', () => {
     it('should return 400 if testIssueId is missing', async () => {
       const response = await request(app)
@@ -219,6 +453,22 @@ describe('Xray Routes', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.results.folder).toBeDefined();
+      expect(xrayClient.ensureFolderPath).toHaveBeenCalledWith('proj-1', '/Tests');
+    });
+
+    it('should report a folder that could not be created', async () => {
+      xrayClient.ensureFolderPath.mockRejectedValueOnce(new Error('Folder name is invalid'));
+
+      const response = await request(app)
+        .post('/xray/link')
+        .send({
+          testIssueId: 'test-1',
+          projectId: 'proj-1',
+          folderPath: '/Bad:Name',
+        });
+
+      expect(xrayClient.addTestsToFolder).not.toHaveBeenCalled();
+      expect(response.body.warnings).toContain('Folder linking failed: Folder name is invalid');
     });
 
     it('should resolve projectId from projectKey for folder linking', async () => {
@@ -441,6 +691,7 @@ describe('Xray Routes', () => {
 
       expect(response.status).toBe(200);
       expect(xrayClient.removeTestsFromFolder).toHaveBeenCalledWith('proj-1', '/OldFolder', ['test-1']);
+      expect(xrayClient.ensureFolderPath).toHaveBeenCalledWith('proj-1', '/NewFolder');
       expect(xrayClient.addTestsToFolder).toHaveBeenCalledWith('proj-1', '/NewFolder', ['test-1']);
     });
 
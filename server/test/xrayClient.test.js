@@ -2,15 +2,35 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import axios from 'axios';
 import {
   importToXray,
+  getCustomFieldErrors,
   validateCredentials,
   getJobStatus,
   importToXrayAndWait,
   getTestPlans,
+  getTests,
+  getTestKey,
+  updateTestInXray,
   getTestExecutions,
   getTestSets,
   getPreconditions,
   getFolders,
+  getFolderLevel,
+  getTestRun,
+  updateTestRunStep,
+  importDataset,
+  updateTestRunStatus,
   getProjectId,
+  createFolder,
+  renameFolder,
+  moveFolder,
+  deleteFolder,
+  ensureFolderPath,
+  createTestPlan,
+  createTestSet,
+  createTestExecution,
+  createPrecondition,
+  importExecutionResults,
+  getTestExecutionRuns,
   addTestsToTestPlan,
   addTestsToTestExecution,
   addTestsToTestSet,
@@ -23,6 +43,7 @@ import {
   removePreconditionsFromTest,
 } from '../utils/xrayClient.js';
 import * as fileOps from '../utils/fileOperations.js';
+import { invalidateFolderCache } from '../utils/folderCache.js';
 
 vi.mock('axios');
 vi.mock('../utils/fileOperations.js');
@@ -116,6 +137,37 @@ describe('xrayClient', () => {
       expect(fileOps.writeConfig).toHaveBeenCalled();
     });
 
+    it('should cache the token without reverting a config saved meanwhile', async () => {
+      const saved = { ...createMockConfig(), jiraBaseUrl: 'https://renamed.atlassian.net' };
+      fileOps.readConfig
+        .mockImplementationOnce(() => createMockConfig())
+        .mockImplementationOnce(() => saved);
+      axios.post
+        .mockResolvedValueOnce({ data: 'fresh-token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-123' } });
+
+      await importToXray(mockTestCases);
+
+      expect(fileOps.writeConfig).toHaveBeenCalledWith({
+        ...saved,
+        tokenData: expect.objectContaining({ token: 'fresh-token' }),
+      });
+    });
+
+    it('should not cache a token issued for credentials replaced meanwhile', async () => {
+      fileOps.readConfig
+        .mockImplementationOnce(() => createMockConfig())
+        .mockImplementationOnce(() => ({ ...createMockConfig(), xrayClientSecret: 'new-secret' }));
+      axios.post
+        .mockResolvedValueOnce({ data: 'fresh-token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-123' } });
+
+      const result = await importToXray(mockTestCases);
+
+      expect(result.success).toBe(true);
+      expect(fileOps.writeConfig).not.toHaveBeenCalled();
+    });
+
     it('should use cached token if valid', async () => {
       const configWithToken = {
         ...createMockConfig(),
@@ -314,6 +366,120 @@ describe('xrayClient', () => {
       });
     });
 
+    it('should send gherkin_def instead of steps for Cucumber tests', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: 'token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-cucumber' } });
+
+      await importToXray([{
+        summary: 'Cucumber test',
+        testType: 'Cucumber',
+        gherkin: 'Scenario: Login\n  Given a user',
+        steps: [{ action: 'ignored', result: 'ignored' }],
+      }]);
+
+      const payload = axios.post.mock.calls[1][1];
+      expect(payload[0].testtype).toBe('Cucumber');
+      expect(payload[0].gherkin_def).toBe('Scenario: Login\n  Given a user');
+      expect(payload[0].steps).toBeUndefined();
+    });
+
+    it('should send unstructured_def instead of steps for Generic tests', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: 'token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-generic' } });
+
+      await importToXray([{
+        summary: 'Generic test',
+        testType: 'Generic',
+        definition: 'com.example.LoginTest',
+      }]);
+
+      const payload = axios.post.mock.calls[1][1];
+      expect(payload[0].testtype).toBe('Generic');
+      expect(payload[0].unstructured_def).toBe('com.example.LoginTest');
+      expect(payload[0].steps).toBeUndefined();
+    });
+
+    it('should send priority as fields.priority.name when set', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: 'token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-priority' } });
+
+      await importToXray([{ summary: 'Prioritized', priority: 'High', steps: [] }]);
+
+      const payload = axios.post.mock.calls[1][1];
+      expect(payload[0].fields.priority).toEqual({ name: 'High' });
+    });
+
+    it('should map custom field values into Jira fields by type', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: 'token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-fields' } });
+
+      await importToXray([{
+        summary: 'With fields',
+        steps: [],
+        customFields: {
+          components: ['API', ' ', 'UI'],
+          fixVersions: [],
+          assignee: 'acc-1',
+          customfield_1: '5',
+          customfield_2: 'QA',
+          customfield_3: ['Chrome'],
+          customfield_4: '',
+        },
+        fieldDefinitions: [
+          { key: 'components', type: 'components' },
+          { key: 'fixVersions', type: 'fixVersions' },
+          { key: 'assignee', type: 'assignee' },
+          { key: 'customfield_1', type: 'number' },
+          { key: 'customfield_2', type: 'select' },
+          { key: 'customfield_3', type: 'multiselect' },
+          { key: 'customfield_4', type: 'text' },
+        ],
+      }]);
+
+      const { fields } = axios.post.mock.calls[1][1][0];
+      expect(fields.components).toEqual([{ name: 'API' }, { name: 'UI' }]);
+      expect(fields.assignee).toEqual({ accountId: 'acc-1' });
+      expect(fields.customfield_1).toBe(5);
+      expect(fields.customfield_2).toEqual({ value: 'QA' });
+      expect(fields.customfield_3).toEqual([{ value: 'Chrome' }]);
+      expect(fields).not.toHaveProperty('fixVersions');
+      expect(fields).not.toHaveProperty('customfield_4');
+    });
+
+    it('should not send a number field whose value is not a number', async () => {
+      axios.post.mockResolvedValueOnce({ data: 'token' });
+
+      const result = await importToXray([{
+        summary: 'Bad number',
+        steps: [],
+        customFields: { customfield_1: 'five' },
+        fieldDefinitions: [{ key: 'customfield_1', label: 'Story points', type: 'number' }],
+      }]);
+
+      expect(result).toMatchObject({ success: false, error: 'Import failed: Story points must be a number' });
+      expect(axios.post.mock.calls.some(([url]) => url.endsWith('/api/v1/import/test/bulk'))).toBe(false);
+    });
+
+    it('should list custom field values that do not fit their field', () => {
+      const definitions = [
+        { key: 'customfield_1', label: 'Story points', type: 'number' },
+        { key: 'customfield_2', type: 'number' },
+        { key: 'customfield_3', type: 'number' },
+        { key: 'customfield_4', type: 'text' },
+      ];
+
+      expect(getCustomFieldErrors({ customfield_1: '3.5', customfield_2: 8, customfield_3: ' ', customfield_4: 'x' }, definitions)).toEqual([]);
+      expect(getCustomFieldErrors({ customfield_1: 'five', customfield_2: ['1'], customfield_3: true }, definitions)).toEqual([
+        'Story points must be a number',
+        'customfield_2 must be a number',
+        'customfield_3 must be a number',
+      ]);
+    });
+
     it('should handle test case with missing steps', async () => {
       axios.post
         .mockResolvedValueOnce({ data: 'token' })
@@ -351,6 +517,56 @@ describe('xrayClient', () => {
         result: '',
       });
     });
+    it('should expand linked shared steps and call the test that holds them', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: 'token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-shared' } });
+
+      await importToXray([{
+        summary: 'Checkout',
+        steps: [
+          { sharedStepsId: 'shs-login' },
+          { action: 'Pay', data: '', result: 'Paid' },
+          { sharedStepsId: 'shs-logout' },
+        ],
+        sharedSteps: [
+          { id: 'shs-login', name: 'Login', steps: [{ action: 'Open login', result: 'Form shown' }, { action: 'Sign in', data: 'admin', result: 'Signed in' }] },
+          { id: 'shs-logout', name: 'Logout', steps: [{ action: 'Sign out', result: 'Signed out' }], callTestKey: 'WCP-9' },
+        ],
+      }]);
+
+      expect(axios.post.mock.calls[1][1][0].steps).toEqual([
+        { action: 'Open login', data: '', result: 'Form shown' },
+        { action: 'Sign in', data: 'admin', result: 'Signed in' },
+        { action: 'Pay', data: '', result: 'Paid' },
+        { callTestKey: 'WCP-9' },
+      ]);
+    });
+
+    it('should fail before submitting when linked shared steps were deleted', async () => {
+      axios.post.mockResolvedValueOnce({ data: 'token' });
+
+      const result = await importToXray([{ summary: 'Checkout', steps: [{ sharedStepsId: 'shs-gone' }], sharedSteps: [] }]);
+
+      expect(result).toMatchObject({
+        success: false,
+        error: 'Import failed: Shared steps shs-gone no longer exist in the project library',
+      });
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send requests to the configured Xray base URL', async () => {
+      fileOps.readConfig.mockImplementation(() => ({ ...createMockConfig(), xrayBaseUrl: 'http://localhost:4010/' }));
+      axios.post
+        .mockResolvedValueOnce({ data: 'fresh-token' })
+        .mockResolvedValueOnce({ data: { jobId: 'job-123' } });
+
+      const result = await importToXray(mockTestCases);
+
+      expect(result.success).toBe(true);
+      expect(axios.post.mock.calls[0][0]).toBe('http://localhost:4010/api/v2/authenticate');
+      expect(axios.post.mock.calls[1][0]).toBe('http://localhost:4010/api/v1/import/test/bulk');
+    });
   });
 
   describe('validateCredentials', () => {
@@ -376,6 +592,18 @@ describe('xrayClient', () => {
       );
     });
 
+    it('should authenticate against a custom Xray base URL', async () => {
+      axios.post.mockResolvedValueOnce({ data: 'valid-token' });
+
+      await validateCredentials({
+        xrayClientId: 'valid-id',
+        xrayClientSecret: 'valid-secret',
+        xrayBaseUrl: 'https://us.xray.cloud.getxray.app',
+      });
+
+      expect(axios.post.mock.calls[0][0]).toBe('https://us.xray.cloud.getxray.app/api/v2/authenticate');
+    });
+
     it('should return error for invalid credentials', async () => {
       const authError = new Error('Invalid client credentials');
       authError.response = {
@@ -606,6 +834,153 @@ describe('xrayClient', () => {
     });
   });
 
+  describe('request retries', () => {
+    const withCachedToken = () => ({
+      ...createMockConfig(),
+      tokenData: {
+        token: 'cached-token',
+        timestamp: Date.now(),
+        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      },
+    });
+
+    const httpError = (status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = { status, headers, data: {} };
+      return error;
+    };
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      fileOps.readConfig.mockImplementation(() => withCachedToken());
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should retry job status on 5xx with exponential backoff', async () => {
+      axios.get
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValueOnce({ data: { status: 'successful', result: { issues: [] } } });
+
+      const promise = getJobStatus('job-1');
+      await vi.advanceTimersByTimeAsync(999);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(2000);
+
+      const result = await promise;
+      expect(result.success).toBe(true);
+      expect(result.retries).toBe(2);
+    });
+
+    it('should retry timeouts on idempotent calls', async () => {
+      const timeout = new Error('timeout of 30000ms exceeded');
+      timeout.code = 'ECONNABORTED';
+      axios.get
+        .mockRejectedValueOnce(timeout)
+        .mockResolvedValueOnce({ data: { status: 'successful', result: { issues: [] } } });
+
+      const promise = getJobStatus('job-1');
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect((await promise).retries).toBe(1);
+    });
+
+    it('should give up after the maximum number of retries', async () => {
+      axios.get.mockRejectedValue(httpError(500));
+
+      const promise = getJobStatus('job-1');
+      await vi.advanceTimersByTimeAsync(1000 + 2000 + 4000);
+
+      const result = await promise;
+      expect(axios.get).toHaveBeenCalledTimes(4);
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Failed to get job status: Request failed with status code 500');
+      expect(result.retries).toBe(3);
+    });
+
+    it('should honour Retry-After on 429 for the bulk import', async () => {
+      axios.post
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '5' }))
+        .mockResolvedValueOnce({ data: { jobId: 'job-429' } });
+
+      const promise = importToXray(mockTestCases);
+      await vi.advanceTimersByTimeAsync(4999);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+
+      const result = await promise;
+      expect(axios.post).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ success: true, jobId: 'job-429', retries: 1 });
+    });
+
+    it('should not retry a failed bulk import on 5xx', async () => {
+      axios.post.mockRejectedValueOnce(httpError(500));
+
+      const result = await importToXray(mockTestCases);
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(false);
+      expect(result.retries).toBe(0);
+    });
+
+    it('should refresh the token once on 401', async () => {
+      axios.post
+        .mockRejectedValueOnce(httpError(401))
+        .mockResolvedValueOnce({ data: 'refreshed-token' })
+        .mockResolvedValueOnce({ data: { data: { getTestPlans: { total: 0, results: [] } } } });
+
+      await getTestPlans('PROJ');
+
+      expect(axios.post).toHaveBeenCalledTimes(3);
+      expect(axios.post.mock.calls[0][2].headers.Authorization).toBe('Bearer cached-token');
+      expect(axios.post.mock.calls[1][0]).toBe('https://xray.cloud.getxray.app/api/v2/authenticate');
+      expect(axios.post.mock.calls[2][2].headers.Authorization).toBe('Bearer refreshed-token');
+    });
+
+    it('should fail when the refreshed token is also rejected', async () => {
+      axios.post
+        .mockRejectedValueOnce(httpError(401))
+        .mockResolvedValueOnce({ data: 'refreshed-token' })
+        .mockRejectedValueOnce(httpError(401));
+
+      await expect(getTestPlans('PROJ')).rejects.toThrow('Request failed with status code 401');
+      expect(axios.post).toHaveBeenCalledTimes(3);
+    });
+
+    it('should only retry mutations when rate-limited', async () => {
+      axios.post.mockRejectedValueOnce(httpError(503));
+
+      await expect(addTestsToTestPlan('plan-1', ['1'])).rejects.toThrow('Request failed with status code 503');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report retries through importToXrayAndWait progress', async () => {
+      const onProgress = vi.fn();
+      axios.post.mockResolvedValueOnce({ data: { jobId: 'job-1' } });
+      axios.get
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '1' }))
+        .mockResolvedValueOnce({ data: { status: 'successful', result: { issues: [{ id: '1', key: 'K-1' }] } } });
+
+      const promise = importToXrayAndWait(mockTestCases, null, onProgress);
+      await vi.advanceTimersByTimeAsync(1000);
+
+      const result = await promise;
+      expect(result).toMatchObject({ success: true, retries: 1 });
+      expect(onProgress).toHaveBeenCalledWith({
+        phase: 'working',
+        retrying: true,
+        retries: 1,
+        retryStatus: 429,
+        delayMs: 1000,
+      });
+    });
+  });
+
   describe('GraphQL Query Functions', () => {
     const mockConfigWithToken = {
       xrayClientId: 'test-id',
@@ -648,12 +1023,58 @@ describe('xrayClient', () => {
         expect(axios.post).toHaveBeenCalledWith(
           'https://xray.cloud.getxray.app/api/v2/graphql',
           expect.objectContaining({
-            variables: { jql: "project = 'WCP'", limit: 100 },
+            variables: { jql: "project = 'WCP'", start: 0, limit: 100 },
           }),
           expect.any(Object)
         );
       });
 
+      it('should page through results until total is reached', async () => {
+        const page = (start, count) => Array.from({ length: count }, (_, i) => ({
+          issueId: String(start + i),
+          jira: { key: `WCP-${start + i}`, summary: `Plan ${start + i}` },
+        }));
+        axios.post
+          .mockResolvedValueOnce({ data: { data: { getTestPlans: { total: 150, results: page(0, 100) } } } })
+          .mockResolvedValueOnce({ data: { data: { getTestPlans: { total: 150, results: page(100, 50) } } } });
+
+        const result = await getTestPlans('WCP');
+
+        expect(result).toHaveLength(150);
+        expect(result[149]).toEqual({ issueId: '149', key: 'WCP-149', summary: 'Plan 149' });
+        expect(axios.post).toHaveBeenCalledTimes(2);
+        expect(axios.post.mock.calls[1][1].variables).toEqual({ jql: "project = 'WCP'", start: 100, limit: 100 });
+      });
+
+      it('should stop paging when Xray returns an empty page', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getTestPlans: { total: 500, results: [] } } } });
+
+        await expect(getTestPlans('WCP')).resolves.toEqual([]);
+        expect(axios.post).toHaveBeenCalledTimes(1);
+      });
+
+      it('should filter by summary when searching', async () => {
+        axios.post.mockResolvedValueOnce({
+          data: { data: { getTestPlans: { total: 300, results: [{ issueId: '1', jira: { key: 'WCP-1', summary: 'Login flow' } }] } } },
+        });
+
+        const result = await getTestPlans('WCP', ' login "flow ');
+
+        expect(result).toHaveLength(1);
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        expect(axios.post.mock.calls[0][1].variables.jql).toBe(`project = 'WCP' AND summary ~ "login* flow*"`);
+      });
+
+      it('should also match issue keys when searching', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getTestPlans: { total: 0, results: [] } } } });
+
+        await getTestPlans('WCP', 'wcp-12');
+
+        expect(axios.post.mock.calls[0][1].variables.jql).toBe(
+          `project = 'WCP' AND (summary ~ "wcp* 12*" OR key = "WCP-12")`
+        );
+      });
+
       it('should throw error on GraphQL error', async () => {
         axios.post.mockResolvedValueOnce({
           data: {
@@ -671,6 +1092,144 @@ describe('xrayClient', () => {
       });
     });
 
+    describe('getTests', () => {
+      it('should fetch tests with definition and links for a JQL query', async () => {
+        axios.post.mockResolvedValueOnce({
+          data: {
+            data: {
+              getTests: {
+                total: 1,
+                results: [{
+                  issueId: '1',
+                  projectId: '100',
+                  testType: { name: 'Manual' },
+                  steps: [{ action: 'Do', data: null, result: 'Done' }],
+                  gherkin: null,
+                  unstructured: null,
+                  folder: { path: '/Login' },
+                  jira: {
+                    key: 'WCP-1',
+                    summary: 'Login works',
+                    description: 'Desc',
+                    labels: ['smoke'],
+                    priority: { name: 'High' },
+                  },
+                  preconditions: { results: [] },
+                  testPlans: { results: [{ issueId: '9', jira: { key: 'WCP-9', summary: 'Plan' } }] },
+                  testSets: { results: [] },
+                  testExecutions: { results: [] },
+                }],
+              },
+            },
+          },
+        });
+
+        const result = await getTests("project = 'WCP'");
+
+        expect(result).toEqual([{
+          issueId: '1',
+          projectId: '100',
+          key: 'WCP-1',
+          summary: 'Login works',
+          description: 'Desc',
+          labels: ['smoke'],
+          priority: 'High',
+          testType: 'Manual',
+          steps: [{ action: 'Do', data: '', result: 'Done' }],
+          gherkin: '',
+          definition: '',
+          folderPath: '/Login',
+          preconditions: [],
+          testPlans: [{ issueId: '9', key: 'WCP-9', summary: 'Plan' }],
+          testSets: [],
+          testExecutions: [],
+        }]);
+        expect(axios.post).toHaveBeenCalledWith(
+          'https://xray.cloud.getxray.app/api/v2/graphql',
+          expect.objectContaining({
+            variables: { jql: "project = 'WCP'", start: 0, limit: 100 },
+          }),
+          expect.any(Object)
+        );
+      });
+
+      it('should page through every matching test', async () => {
+        const test = (n) => ({ issueId: String(n), jira: { key: `WCP-${n}`, summary: `Test ${n}` } });
+        axios.post
+          .mockResolvedValueOnce({ data: { data: { getTests: { total: 101, results: Array.from({ length: 100 }, (_, i) => test(i)) } } } })
+          .mockResolvedValueOnce({ data: { data: { getTests: { total: 101, results: [test(100)] } } } });
+
+        const result = await getTests("project = 'WCP'");
+
+        expect(result).toHaveLength(101);
+        expect(result[100]).toMatchObject({ issueId: '100', key: 'WCP-100', summary: 'Test 100' });
+        expect(axios.post.mock.calls[1][1].variables).toEqual({ jql: "project = 'WCP'", start: 100, limit: 100 });
+      });
+
+      it('should give tests of custom types the built-in type drafts support', async () => {
+        const test = (n, fields) => ({ issueId: String(n), jira: { key: `WCP-${n}` }, ...fields });
+        axios.post.mockResolvedValueOnce({
+          data: {
+            data: {
+              getTests: {
+                total: 5,
+                results: [
+                  test(1, { testType: { name: 'Exploratory', kind: 'Unstructured' }, steps: [{ action: 'Do' }] }),
+                  test(2, { testType: { name: 'BDD', kind: 'Gherkin' } }),
+                  test(3, { testType: { name: 'Scripted' }, unstructured: 'spec/login.js' }),
+                  test(4, { testType: { name: 'Checklist' }, steps: [{ action: 'Do' }] }),
+                  test(5, { testType: { name: 'Cucumber', kind: 'Gherkin' } }),
+                ],
+              },
+            },
+          },
+        });
+
+        const result = await getTests("project = 'WCP'");
+
+        expect(result.map((t) => t.testType)).toEqual(['Generic', 'Cucumber', 'Generic', 'Manual', 'Cucumber']);
+      });
+    });
+
+    describe('updateTestInXray', () => {
+      it('should resolve the issue key and import with update_key', async () => {
+        axios.post
+          .mockResolvedValueOnce({ data: { data: { getTest: { issueId: '1', jira: { key: 'WCP-1' } } } } })
+          .mockResolvedValueOnce({ data: { jobId: 'job-update' } });
+        axios.get.mockResolvedValueOnce({
+          data: { status: 'successful', result: { issues: [{ id: '1', key: 'WCP-1' }] } },
+        });
+
+        const result = await updateTestInXray('1', { summary: 'Updated', steps: [] }, 'WCP');
+
+        expect(result).toEqual({ success: true, jobId: 'job-update', testKey: 'WCP-1' });
+        const payload = axios.post.mock.calls[1][1];
+        expect(payload[0].update_key).toBe('WCP-1');
+        expect(payload[0].fields.summary).toBe('Updated');
+      });
+
+      it('should fail when the test cannot be found', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getTest: null } } });
+
+        const result = await updateTestInXray('404', { summary: 'x' }, 'WCP');
+
+        expect(result).toEqual({ success: false, error: 'Test 404 not found in Xray' });
+      });
+    });
+
+    describe('getTestKey', () => {
+      it('should return the Jira key of a test', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getTest: { issueId: '1', jira: { key: 'WCP-7' } } } } });
+
+        await expect(getTestKey('1')).resolves.toBe('WCP-7');
+        expect(axios.post).toHaveBeenCalledWith(
+          'https://xray.cloud.getxray.app/api/v2/graphql',
+          expect.objectContaining({ variables: { issueId: '1' } }),
+          expect.any(Object)
+        );
+      });
+    });
+
     describe('getTestExecutions', () => {
       it('should fetch test executions for a project', async () => {
         axios.post.mockResolvedValueOnce({
@@ -815,6 +1374,380 @@ describe('xrayClient', () => {
         );
       });
     });
+
+    describe('getFolderLevel', () => {
+      const tree = {
+        name: '',
+        path: '/',
+        testsCount: 1,
+        folders: [
+          { name: 'Auth', path: '/Auth', testsCount: 2, folders: [{ name: 'Login', path: '/Auth/Login', testsCount: 5, folders: [] }] },
+          { name: 'Smoke', path: '/Smoke', testsCount: 0, folders: [] },
+        ],
+      };
+
+      beforeEach(() => {
+        invalidateFolderCache();
+      });
+
+      it('should return direct subfolders with counts and whether they can be expanded', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getFolder: tree } } });
+
+        const result = await getFolderLevel('proj-123');
+
+        expect(result).toEqual({
+          name: '',
+          path: '/',
+          testsCount: 1,
+          folders: [
+            { name: 'Auth', path: '/Auth', testsCount: 2, hasChildren: true },
+            { name: 'Smoke', path: '/Smoke', testsCount: 0, hasChildren: false },
+          ],
+        });
+      });
+
+      it('should serve folders inside a fetched subtree from the cache', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getFolder: tree } } });
+
+        await getFolderLevel('proj-123', '/');
+        const result = await getFolderLevel('proj-123', '/Auth');
+
+        expect(result.folders).toEqual([{ name: 'Login', path: '/Auth/Login', testsCount: 5, hasChildren: false }]);
+        expect(axios.post).toHaveBeenCalledTimes(1);
+      });
+
+      it('should query Xray again when refresh is requested', async () => {
+        axios.post.mockResolvedValue({ data: { data: { getFolder: tree } } });
+
+        await getFolderLevel('proj-123', '/');
+        await getFolderLevel('proj-123', '/', { refresh: true });
+
+        expect(axios.post).toHaveBeenCalledTimes(2);
+      });
+
+      it('should drop the cache when folders change', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getFolder: tree } } });
+        axios.post.mockResolvedValueOnce({ data: { data: { createFolder: { folder: { name: 'New', path: '/New' }, warnings: [] } } } });
+        axios.post.mockResolvedValueOnce({ data: { data: { getFolder: tree } } });
+
+        await getFolderLevel('proj-123', '/');
+        await createFolder('proj-123', '/New');
+        await getFolderLevel('proj-123', '/');
+
+        expect(axios.post).toHaveBeenCalledTimes(3);
+      });
+
+      it('should throw when the folder does not exist', async () => {
+        axios.post.mockResolvedValueOnce({ data: { data: { getFolder: null } } });
+
+        await expect(getFolderLevel('proj-123', '/Missing')).rejects.toThrow('Folder /Missing not found');
+      });
+    });
+  });
+
+  describe('GraphQL Create Mutations', () => {
+    beforeEach(() => {
+      fileOps.readConfig.mockReturnValue({
+        ...createMockConfig(),
+        tokenData: {
+          token: 'valid-token',
+          timestamp: Date.now(),
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        },
+      });
+    });
+
+    it('should create a test plan in the project', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { data: { createTestPlan: { testPlan: { issueId: '10', jira: { key: 'WCP-500', summary: 'Release plan' } }, warnings: [] } } },
+      });
+
+      const result = await createTestPlan('WCP', { summary: ' Release plan ', description: 'Q3 release' });
+
+      expect(result).toEqual({ issueId: '10', key: 'WCP-500', summary: 'Release plan', warnings: [] });
+      expect(axios.post.mock.calls[0][1].variables).toEqual({
+        jira: { fields: { summary: 'Release plan', project: { key: 'WCP' }, description: 'Q3 release' } },
+      });
+    });
+
+    it('should omit an empty description when creating a test set', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { data: { createTestSet: { testSet: { issueId: '12', jira: { key: 'WCP-502' } }, warnings: null } } },
+      });
+
+      const result = await createTestSet('WCP', { summary: 'Smoke', description: '' });
+
+      expect(result).toEqual({ issueId: '12', key: 'WCP-502', summary: 'Smoke', warnings: [] });
+      expect(axios.post.mock.calls[0][1].variables.jira.fields).toEqual({ summary: 'Smoke', project: { key: 'WCP' } });
+    });
+
+    it('should pass test environments when creating a test execution', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          data: {
+            createTestExecution: {
+              testExecution: { issueId: '11', jira: { key: 'WCP-501', summary: 'Nightly' } },
+              warnings: [],
+              createdTestEnvironments: ['staging'],
+            },
+          },
+        },
+      });
+
+      const result = await createTestExecution('WCP', { summary: 'Nightly', testEnvironments: ['staging', 'chrome'] });
+
+      expect(result.createdTestEnvironments).toEqual(['staging']);
+      expect(axios.post.mock.calls[0][1].variables.testEnvironments).toEqual(['staging', 'chrome']);
+      expect(axios.post.mock.calls[0][1].query).toContain('mutation CreateTestExecution');
+    });
+
+    it('should send the precondition type and definition', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { data: { createPrecondition: { precondition: { issueId: '13', jira: { key: 'WCP-503', summary: 'User is admin' } }, warnings: [] } } },
+      });
+
+      const result = await createPrecondition('WCP', {
+        summary: 'User is admin',
+        preconditionType: 'Generic',
+        definition: 'Grant admin role',
+      });
+
+      expect(result).toEqual({ issueId: '13', key: 'WCP-503', summary: 'User is admin', warnings: [] });
+      expect(axios.post.mock.calls[0][1].variables).toEqual({
+        preconditionType: { name: 'Generic' },
+        definition: 'Grant admin role',
+        jira: { fields: { summary: 'User is admin', project: { key: 'WCP' } } },
+      });
+    });
+  });
+
+  describe('Execution Results Import', () => {
+    beforeEach(() => {
+      fileOps.readConfig.mockReturnValue({
+        ...createMockConfig(),
+        tokenData: {
+          token: 'valid-token',
+          timestamp: Date.now(),
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        },
+      });
+    });
+
+    it('should post JUnit XML with the execution options as query parameters', async () => {
+      axios.post.mockResolvedValueOnce({ data: { id: '7001', key: 'WCP-70', self: '...' } });
+
+      const result = await importExecutionResults('junit', '<testsuite/>', {
+        projectKey: 'WCP',
+        testExecKey: 'WCP-70',
+        testEnvironments: ['chrome', 'staging'],
+      });
+
+      expect(result).toEqual({ issueId: '7001', key: 'WCP-70' });
+      const [url, data, options] = axios.post.mock.calls[0];
+      expect(url).toBe('https://xray.cloud.getxray.app/api/v2/import/execution/junit?projectKey=WCP&testExecKey=WCP-70&testEnvironments=chrome%3Bstaging');
+      expect(data).toBe('<testsuite/>');
+      expect(options.headers['Content-Type']).toBe('text/xml');
+    });
+
+    it('should add the execution key and plan to Xray JSON results', async () => {
+      axios.post.mockResolvedValueOnce({ data: { id: '7001', key: 'WCP-70' } });
+
+      await importExecutionResults('xray', '{"tests":[{"testKey":"WCP-1","status":"PASSED"}]}', {
+        projectKey: 'WCP',
+        testExecKey: 'WCP-70',
+        testPlanKey: 'WCP-5',
+      });
+
+      const [url, data] = axios.post.mock.calls[0];
+      expect(url).toBe('https://xray.cloud.getxray.app/api/v2/import/execution');
+      expect(data).toEqual({
+        tests: [{ testKey: 'WCP-1', status: 'PASSED' }],
+        testExecutionKey: 'WCP-70',
+        info: { testPlanKey: 'WCP-5', project: 'WCP' },
+      });
+    });
+
+    it('should not retry a failed import', async () => {
+      axios.post.mockRejectedValueOnce({ response: { status: 502 } });
+
+      await expect(importExecutionResults('junit', '<testsuite/>', { projectKey: 'WCP' })).rejects.toEqual({ response: { status: 502 } });
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should page through the test runs of an execution', async () => {
+      const run = (n) => ({
+        id: `run-${n}`,
+        status: { name: 'PASSED' },
+        test: { issueId: String(n), unstructured: `wcp.Test${n}`, jira: { key: `WCP-${n}`, summary: `Test ${n}`, created: '2026-01-01T00:00:00.000Z' } },
+      });
+      axios.post
+        .mockResolvedValueOnce({ data: { data: { getTestExecution: { testRuns: { total: 101, results: Array.from({ length: 100 }, (_, i) => run(i)) } } } } })
+        .mockResolvedValueOnce({ data: { data: { getTestExecution: { testRuns: { total: 101, results: [run(100)] } } } } });
+
+      const runs = await getTestExecutionRuns('7001');
+
+      expect(runs).toHaveLength(101);
+      expect(runs[100]).toEqual({
+        id: 'run-100',
+        status: 'PASSED',
+        testIssueId: '100',
+        key: 'WCP-100',
+        summary: 'Test 100',
+        definition: 'wcp.Test100',
+        created: '2026-01-01T00:00:00.000Z',
+      });
+      expect(axios.post.mock.calls[1][1].variables).toEqual({ issueId: '7001', start: 100, limit: 100 });
+    });
+
+    it('should throw when the execution does not exist', async () => {
+      axios.post.mockResolvedValueOnce({ data: { data: { getTestExecution: null } } });
+
+      await expect(getTestExecutionRuns('999')).rejects.toThrow('Test Execution 999 not found');
+    });
+  });
+
+  describe('Datasets', () => {
+    beforeEach(() => {
+      fileOps.readConfig.mockReturnValue({
+        ...createMockConfig(),
+        tokenData: {
+          token: 'valid-token',
+          timestamp: Date.now(),
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        },
+      });
+    });
+
+    it('should upload the dataset as CSV for the test key', async () => {
+      axios.post.mockResolvedValueOnce({ data: {} });
+
+      await importDataset('WCP-7', { parameters: ['user', 'note'], rows: [['alice', 'says "hi", twice']] });
+
+      const [url, data, options] = axios.post.mock.calls[0];
+      expect(url).toBe('https://xray.cloud.getxray.app/api/v2/dataset/import?testIssueKey=WCP-7');
+      expect(data).toBe('user,note\r\nalice,"says ""hi"", twice"\r\n');
+      expect(options.headers['Content-Type']).toBe('text/csv');
+    });
+  });
+
+  describe('Test Runs', () => {
+    beforeEach(() => {
+      fileOps.readConfig.mockReturnValue({
+        ...createMockConfig(),
+        tokenData: {
+          token: 'valid-token',
+          timestamp: Date.now(),
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        },
+      });
+    });
+
+    it('should get a test run with its step results', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          data: {
+            getTestRun: {
+              id: 'run-1',
+              status: { name: 'EXECUTING' },
+              comment: null,
+              steps: [{ id: 'step-1', status: { name: 'PASSED' }, action: 'Open login', data: null, result: 'Form shown', actualResult: null, comment: 'ok' }],
+            },
+          },
+        },
+      });
+
+      const run = await getTestRun('1001', '7001');
+
+      expect(run).toEqual({
+        id: 'run-1',
+        status: 'EXECUTING',
+        comment: '',
+        steps: [{ id: 'step-1', status: 'PASSED', action: 'Open login', data: '', result: 'Form shown', actualResult: '', comment: 'ok' }],
+      });
+      expect(axios.post.mock.calls[0][1].variables).toEqual({ testIssueId: '1001', testExecIssueId: '7001' });
+    });
+
+    it('should throw when the test is not in the execution', async () => {
+      axios.post.mockResolvedValueOnce({ data: { data: { getTestRun: null } } });
+
+      await expect(getTestRun('1001', '7001')).rejects.toThrow('Test 1001 has no run in Test Execution 7001');
+    });
+
+    it('should update a step and the run status through mutations', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { data: { updateTestRunStep: { warnings: ['Step has no evidence'] } } } })
+        .mockResolvedValueOnce({ data: { data: { updateTestRunStatus: 'ok' } } });
+
+      const result = await updateTestRunStep('run-1', 'step-1', { status: 'FAILED', actualResult: 'Error 500' });
+      await updateTestRunStatus('run-1', 'FAILED');
+
+      expect(result).toEqual({ warnings: ['Step has no evidence'] });
+      expect(axios.post.mock.calls[0][1].query).toContain('mutation UpdateTestRunStep');
+      expect(axios.post.mock.calls[0][1].variables).toEqual({
+        testRunId: 'run-1',
+        stepId: 'step-1',
+        updateData: { status: 'FAILED', actualResult: 'Error 500' },
+      });
+      expect(axios.post.mock.calls[1][1].variables).toEqual({ id: 'run-1', status: 'FAILED' });
+    });
+  });
+
+  describe('GraphQL Folder Mutations', () => {
+    beforeEach(() => {
+      fileOps.readConfig.mockReturnValue({
+        ...createMockConfig(),
+        tokenData: {
+          token: 'valid-token',
+          timestamp: Date.now(),
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        },
+      });
+    });
+
+    it('should create only the folders missing from the path', async () => {
+      axios.post
+        .mockResolvedValueOnce({
+          data: { data: { getFolder: { path: '/', folders: [{ name: 'Auth', path: '/Auth', folders: [] }] } } },
+        })
+        .mockResolvedValueOnce({ data: { data: { createFolder: { folder: { path: '/Auth/Login' }, warnings: [] } } } })
+        .mockResolvedValueOnce({ data: { data: { createFolder: { folder: { path: '/Auth/Login/OAuth' }, warnings: [] } } } });
+
+      const created = await ensureFolderPath('proj-1', '/Auth/Login/OAuth');
+
+      expect(created).toEqual(['/Auth/Login', '/Auth/Login/OAuth']);
+      expect(axios.post).toHaveBeenCalledTimes(3);
+      expect(axios.post.mock.calls[1][1].variables).toEqual({ projectId: 'proj-1', path: '/Auth/Login' });
+      expect(axios.post.mock.calls[2][1].variables).toEqual({ projectId: 'proj-1', path: '/Auth/Login/OAuth' });
+    });
+
+    it('should not create anything for existing folders or the root', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { data: { getFolder: { path: '/', folders: [{ name: 'Auth', path: '/Auth', folders: [] }] } } },
+      });
+
+      expect(await ensureFolderPath('proj-1', '/Auth')).toEqual([]);
+      expect(await ensureFolderPath('proj-1', '/')).toEqual([]);
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send folder management mutations', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { data: { createFolder: { folder: { path: '/Auth' }, warnings: [] } } } })
+        .mockResolvedValueOnce({ data: { data: { renameFolder: { folder: { path: '/Access' }, warnings: [] } } } })
+        .mockResolvedValueOnce({ data: { data: { moveFolder: { folder: { path: '/Archive/Access' }, warnings: [] } } } })
+        .mockResolvedValueOnce({ data: { data: { deleteFolder: 'ok' } } });
+
+      await createFolder('proj-1', '/Auth');
+      await renameFolder('proj-1', '/Auth', 'Access');
+      await moveFolder('proj-1', '/Access', '/Archive');
+      await deleteFolder('proj-1', '/Archive/Access');
+
+      const calls = axios.post.mock.calls.map(([, body]) => body);
+      expect(calls[0].query).toContain('mutation CreateFolder');
+      expect(calls[1].variables).toEqual({ projectId: 'proj-1', path: '/Auth', newName: 'Access' });
+      expect(calls[2].variables).toEqual({ projectId: 'proj-1', path: '/Access', destinationPath: '/Archive' });
+      expect(calls[3].variables).toEqual({ projectId: 'proj-1', path: '/Archive/Access' });
+    });
   });
 
   describe('GraphQL Add Mutations', () => {
@@ -0,0 +1,227 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { buildLinkBatches, linkImportedTests } from '../utils/xrayLinking.js';
+import {
+  getProjectId,
+  addTestsToTestPlan,
+  addTestsToTestExecution,
+  addTestsToTestSet,
+  addTestsToFolder,
+  ensureFolderPath,
+  addPreconditionsToTest,
+  createPrecondition,
+  importDataset,
+} from '../utils/xrayClient.js';
+import { readPrecondition, writePrecondition } from '../utils/fileOperations.js';
+
+vi.mock('../utils/xrayClient.js', () => ({
+  getProjectId: vi.fn(),
+  addTestsToTestPlan: vi.fn(),
+  addTestsToTestExecution: vi.fn(),
+  addTestsToTestSet: vi.fn(),
+  addTestsToFolder: vi.fn(),
+  ensureFolderPath: vi.fn(),
+  addPreconditionsToTest: vi.fn(),
+  createPrecondition: vi.fn(),
+  importDataset: vi.fn(),
+}));
+
+vi.mock('../utils/fileOperations.js', () => ({
+  readPrecondition: vi.fn(),
+  writePrecondition: vi.fn(),
+  withPreconditionLock: (id, fn) => Promise.resolve().then(fn),
+}));
+
+describe('xrayLinking', () => {
+  const tests = [
+    {
+      draftId: 'd1',
+      testIssueId: '101',
+      testKey: 'PROJ-1',
+      xrayLinking: {
+        testPlanIds: ['plan-1'],
+        testExecutionIds: ['exec-1'],
+        testSetIds: [],
+        folderPath: '/Auth',
+        projectId: 'project-1',
+        preconditionIds: ['pre-1'],
+      },
+    },
+    {
+      draftId: 'd2',
+      testIssueId: '102',
+      testKey: 'PROJ-2',
+      xrayLinking: {
+        testPlanIds: ['plan-1', 'plan-2'],
+        testExecutionIds: [],
+        testSetIds: ['set-1'],
+        folderPath: '/Auth',
+        projectId: 'project-1',
+        preconditionIds: [],
+      },
+    },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    addTestsToTestPlan.mockResolvedValue({ addedTests: [], warning: null });
+    addTestsToTestExecution.mockResolvedValue({ addedTests: [], warning: null });
+    addTestsToTestSet.mockResolvedValue({ addedTests: [], warning: null });
+    addTestsToFolder.mockResolvedValue({ folder: {}, warnings: [] });
+    ensureFolderPath.mockResolvedValue([]);
+    addPreconditionsToTest.mockResolvedValue({ addedPreconditions: [], warning: null });
+  });
+
+  describe('buildLinkBatches', () => {
+    it('should group tests by shared target', () => {
+      const batches = buildLinkBatches(tests);
+
+      expect(batches.map(({ type, id, testIssueIds }) => ({ type, id, testIssueIds }))).toEqual([
+        { type: 'testPlan', id: 'plan-1', testIssueIds: ['101', '102'] },
+        { type: 'testExecution', id: 'exec-1', testIssueIds: ['101'] },
+        { type: 'folder', id: '/Auth', testIssueIds: ['101', '102'] },
+        { type: 'preconditions', id: undefined, testIssueIds: ['101'] },
+        { type: 'testPlan', id: 'plan-2', testIssueIds: ['102'] },
+        { type: 'testSet', id: 'set-1', testIssueIds: ['102'] },
+      ]);
+    });
+
+    it('should skip the root folder and tests without an issue id', () => {
+      const batches = buildLinkBatches([
+        { testIssueId: '101', xrayLinking: { folderPath: '/' } },
+        { testIssueId: undefined, xrayLinking: { testPlanIds: ['plan-1'] } },
+      ]);
+
+      expect(batches).toEqual([]);
+    });
+
+    it('should upload datasets per test, only for tests with a key', () => {
+      const dataset = { parameters: ['user'], rows: [['alice']] };
+      const batches = buildLinkBatches([
+        { testIssueId: '101', testKey: 'PROJ-1', xrayLinking: {}, dataset },
+        { testIssueId: '102', testKey: 'PROJ-2', xrayLinking: {}, dataset: { parameters: [], rows: [] } },
+        { testIssueId: '103', xrayLinking: {}, dataset },
+      ]);
+
+      expect(batches).toHaveLength(1);
+      expect(batches[0]).toMatchObject({ type: 'dataset', testIssueIds: ['101'] });
+
+      batches[0].run();
+      expect(importDataset).toHaveBeenCalledWith('PROJ-1', dataset);
+    });
+
+    it('should read the legacy single-id format', () => {
+      const batches = buildLinkBatches([
+        { testIssueId: '101', xrayLinking: { testPlanId: 'plan-1' } },
+      ]);
+
+      expect(batches).toHaveLength(1);
+      expect(batches[0]).toMatchObject({ type: 'testPlan', id: 'plan-1' });
+    });
+  });
+
+  describe('linkImportedTests', () => {
+    it('should call each mutation once per target and report progress', async () => {
+      const onProgress = vi.fn();
+
+      const results = await linkImportedTests(tests, 'PROJ', onProgress);
+
+      expect(addTestsToTestPlan).toHaveBeenCalledTimes(2);
+      expect(addTestsToTestPlan).toHaveBeenCalledWith('plan-1', ['101', '102']);
+      expect(addTestsToTestPlan).toHaveBeenCalledWith('plan-2', ['102']);
+      expect(addTestsToTestExecution).toHaveBeenCalledWith('exec-1', ['101']);
+      expect(addTestsToTestSet).toHaveBeenCalledWith('set-1', ['102']);
+      expect(addTestsToFolder).toHaveBeenCalledWith('project-1', '/Auth', ['101', '102']);
+      expect(addPreconditionsToTest).toHaveBeenCalledWith('101', ['pre-1']);
+      expect(getProjectId).not.toHaveBeenCalled();
+
+      expect(onProgress).toHaveBeenCalledTimes(6);
+      expect(onProgress).toHaveBeenLastCalledWith({ completed: 6, total: 6 });
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({ testIssueId: '101', testKey: 'PROJ-1', draftId: 'd1', success: true, warnings: [] });
+      expect(results[0].links).toHaveLength(4);
+      expect(results[1].links).toHaveLength(4);
+    });
+
+    it('should report failures only on the tests in the failed batch', async () => {
+      addTestsToTestSet.mockRejectedValueOnce(new Error('Test Set not found'));
+      addTestsToTestPlan.mockResolvedValueOnce({ addedTests: [], warning: 'Already in plan' });
+
+      const results = await linkImportedTests(tests, 'PROJ');
+
+      expect(results[0].success).toBe(true);
+      expect(results[0].warnings).toEqual(['Test Plan plan-1: Already in plan']);
+      expect(results[1].success).toBe(false);
+      expect(results[1].warnings).toEqual([
+        'Test Plan plan-1: Already in plan',
+        'Test Set set-1 linking failed: Test Set not found',
+      ]);
+      expect(results[1].links).toContainEqual({ type: 'testSet', id: 'set-1', success: false });
+    });
+
+    it('should resolve the project id once when drafts lack it', async () => {
+      getProjectId.mockResolvedValueOnce('resolved-project');
+      const withoutProjectId = tests.map((test) => ({
+        ...test,
+        xrayLinking: { folderPath: test.testIssueId === '101' ? '/Auth' : '/Billing', projectId: null },
+      }));
+
+      await linkImportedTests(withoutProjectId, 'PROJ');
+
+      expect(getProjectId).toHaveBeenCalledTimes(1);
+      expect(addTestsToFolder).toHaveBeenCalledWith('resolved-project', '/Auth', ['101']);
+      expect(addTestsToFolder).toHaveBeenCalledWith('resolved-project', '/Billing', ['102']);
+    });
+
+    it('should fail folder linking when the project id cannot be resolved', async () => {
+      getProjectId.mockRejectedValueOnce(new Error('Jira credentials required'));
+
+      const results = await linkImportedTests(
+        [{ testIssueId: '101', xrayLinking: { folderPath: '/Auth' } }],
+        'PROJ'
+      );
+
+      expect(addTestsToFolder).not.toHaveBeenCalled();
+      expect(results[0].success).toBe(false);
+      expect(results[0].warnings).toEqual(['Folder /Auth linking failed: project id could not be resolved']);
+    });
+
+    it('should create missing folders before moving tests into them', async () => {
+      ensureFolderPath.mockRejectedValueOnce(new Error('Folder name is invalid'));
+      const inFolders = [
+        { testIssueId: '101', xrayLinking: { folderPath: '/Bad:Name', projectId: 'project-1' } },
+        { testIssueId: '102', xrayLinking: { folderPath: '/Auth/Login', projectId: 'project-1' } },
+      ];
+
+      const results = await linkImportedTests(inFolders, 'PROJ');
+
+      expect(ensureFolderPath).toHaveBeenCalledWith('project-1', '/Bad:Name');
+      expect(ensureFolderPath).toHaveBeenCalledWith('project-1', '/Auth/Login');
+      expect(addTestsToFolder).toHaveBeenCalledTimes(1);
+      expect(addTestsToFolder).toHaveBeenCalledWith('project-1', '/Auth/Login', ['102']);
+      expect(results[0].warnings).toEqual(['Folder /Bad:Name linking failed: Folder name is invalid']);
+      expect(results[1].success).toBe(true);
+    });
+
+    it('should create local preconditions once and link their Xray ids', async () => {
+      readPrecondition.mockImplementation((id) => (id === 'abc'
+        ? { id: 'abc', projectKey: 'PROJ', summary: 'User is admin', preconditionType: 'Manual' }
+        : null));
+      createPrecondition.mockResolvedValueOnce({ issueId: '900', key: 'PROJ-900', summary: 'User is admin', warnings: [] });
+      const withLocal = [
+        { testIssueId: '101', xrayLinking: { preconditionIds: ['local:abc', 'pre-1'] } },
+        { testIssueId: '102', xrayLinking: { preconditionIds: ['local:abc', 'local:gone'] } },
+      ];
+
+      const results = await linkImportedTests(withLocal, 'PROJ');
+
+      expect(createPrecondition).toHaveBeenCalledTimes(1);
+      expect(writePrecondition).toHaveBeenCalledWith('abc', expect.objectContaining({ status: 'imported', xrayIssueId: '900' }));
+      expect(addPreconditionsToTest).toHaveBeenCalledWith('101', ['900', 'pre-1']);
+      expect(addPreconditionsToTest).toHaveBeenCalledWith('102', ['900']);
+      expect(results[0].success).toBe(true);
+      expect(results[1].success).toBe(false);
+      expect(results[1].warnings).toEqual(['Local precondition local:gone no longer exists']);
+    });
+  });
+});
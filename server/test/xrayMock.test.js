@@ -0,0 +1,325 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import { createMockXrayApp } from '../mock/xrayMockApp.js';
+
+describe('Mock Xray server', () => {
+  let app;
+  let token;
+
+  const graphql = (query, variables) => request(app)
+    .post('/api/v2/graphql')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ query, variables });
+
+  beforeEach(async () => {
+    app = createMockXrayApp({ jobDelayMs: 0 });
+    const res = await request(app)
+      .post('/api/v2/authenticate')
+      .send({ client_id: 'id', client_secret: 'secret' });
+    token = res.body;
+  });
+
+  it('should reject missing credentials and unknown tokens', async () => {
+    const authRes = await request(app).post('/api/v2/authenticate').send({ client_id: 'id' });
+    expect(authRes.status).toBe(401);
+
+    const graphqlRes = await request(app)
+      .post('/api/v2/graphql')
+      .set('Authorization', 'Bearer nope')
+      .send({ query: 'query { getTestPlans { total } }' });
+    expect(graphqlRes.status).toBe(401);
+  });
+
+  it('should import tests through a bulk job', async () => {
+    const importRes = await request(app)
+      .post('/api/v1/import/test/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send([{ testtype: 'Manual', fields: { summary: 'Login works', project: { key: 'PROJ' } }, steps: [] }]);
+
+    expect(importRes.body.jobId).toBeDefined();
+
+    const statusRes = await request(app)
+      .get(`/api/v1/import/test/bulk/${importRes.body.jobId}/status`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusRes.body.status).toBe('successful');
+    expect(statusRes.body.result.issues).toHaveLength(1);
+    expect(statusRes.body.result.issues[0].key).toMatch(/^PROJ-\d+$/);
+  });
+
+  it('should fail jobs with invalid tests', async () => {
+    const importRes = await request(app)
+      .post('/api/v1/import/test/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send([{ fields: { project: { key: 'PROJ' } } }]);
+
+    const statusRes = await request(app)
+      .get(`/api/v1/import/test/bulk/${importRes.body.jobId}/status`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusRes.body.status).toBe('failed');
+    expect(statusRes.body.result.errors).toEqual(['Test 1: summary is required']);
+  });
+
+  it('should fail jobs with steps that call an unknown test', async () => {
+    const importRes = await request(app)
+      .post('/api/v1/import/test/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send([{ testtype: 'Manual', fields: { summary: 'Checkout', project: { key: 'PROJ' } }, steps: [{ callTestKey: 'PROJ-999' }] }]);
+
+    const statusRes = await request(app)
+      .get(`/api/v1/import/test/bulk/${importRes.body.jobId}/status`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(statusRes.body.status).toBe('failed');
+    expect(statusRes.body.result.errors).toEqual(['Test 1: called test PROJ-999 not found']);
+  });
+
+  it('should list seeded entities and link tests to them', async () => {
+    const plansRes = await graphql(
+      'query($jql: String, $limit: Int!) { getTestPlans(jql: $jql, limit: $limit) { total results { issueId jira(fields: ["key", "summary"]) } } }',
+      { jql: "project = 'PROJ'", limit: 100 }
+    );
+    const plan = plansRes.body.data.getTestPlans.results[0];
+    expect(plan.jira.summary).toBe('Regression Plan');
+
+    const importRes = await request(app)
+      .post('/api/v1/import/test/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send([{ fields: { summary: 'Login works', project: { key: 'PROJ' } } }]);
+    const statusRes = await request(app)
+      .get(`/api/v1/import/test/bulk/${importRes.body.jobId}/status`)
+      .set('Authorization', `Bearer ${token}`);
+    const testIssueId = statusRes.body.result.issues[0].id;
+
+    const addRes = await graphql(
+      'mutation { addTestsToTestPlan(issueId: $issueId, testIssueIds: $testIssueIds) { addedTests warning } }',
+      { issueId: plan.issueId, testIssueIds: [testIssueId] }
+    );
+    expect(addRes.body.data.addTestsToTestPlan.addedTests).toEqual([testIssueId]);
+
+    const testRes = await graphql('query { getTest(issueId: $issueId) { issueId } }', { issueId: testIssueId });
+    expect(testRes.body.data.getTest.testPlans.results).toEqual([
+      { issueId: plan.issueId, jira: { key: plan.jira.key, summary: 'Regression Plan' } },
+    ]);
+  });
+
+  it('should filter and page entity lists like the JQL search', async () => {
+    const searchRes = await graphql(
+      'query($jql: String!, $start: Int!, $limit: Int!) { getTestSets(jql: $jql, start: $start, limit: $limit) { total } }',
+      { jql: `project = 'PROJ' AND summary ~ "smo*"`, start: 0, limit: 100 }
+    );
+    expect(searchRes.body.data.getTestSets.results.map((set) => set.jira.summary)).toEqual(['Smoke Set']);
+
+    const pageRes = await graphql(
+      'query($jql: String!, $start: Int!, $limit: Int!) { getTestSets(jql: $jql, start: $start, limit: $limit) { total } }',
+      { jql: "project = 'PROJ'", start: 1, limit: 100 }
+    );
+    expect(pageRes.body.data.getTestSets).toMatchObject({ total: 1, results: [] });
+  });
+
+  it('should create test plans that then show up in the list', async () => {
+    const createRes = await graphql(
+      'mutation CreateTestPlan($jira: JSON!) { createTestPlan(jira: $jira) { testPlan { issueId } warnings } }',
+      { jira: { fields: { summary: 'Release 2.0', project: { key: 'PROJ' } } } }
+    );
+    const { testPlan } = createRes.body.data.createTestPlan;
+    expect(testPlan.jira.summary).toBe('Release 2.0');
+
+    const plansRes = await graphql(
+      'query($jql: String!, $start: Int!, $limit: Int!) { getTestPlans(jql: $jql, start: $start, limit: $limit) { total } }',
+      { jql: "project = 'PROJ'", start: 0, limit: 100 }
+    );
+    expect(plansRes.body.data.getTestPlans.results.map((plan) => plan.issueId)).toContain(testPlan.issueId);
+  });
+
+  it('should only add tests to folders that exist', async () => {
+    const settingsRes = await graphql('query { getProjectSettings(projectIdOrKey: $projectIdOrKey) { projectId } }', { projectIdOrKey: 'PROJ' });
+    const { projectId } = settingsRes.body.data.getProjectSettings;
+
+    const missingRes = await graphql(
+      'mutation { addTestsToFolder(projectId: $projectId, path: $path, testIssueIds: $testIssueIds) { folder { path } } }',
+      { projectId, path: '/Auth', testIssueIds: [] }
+    );
+    expect(missingRes.body.errors[0].message).toBe('Folder /Auth does not exist');
+
+    const nestedRes = await graphql('mutation { createFolder(projectId: $projectId, path: $path) { folder { path } } }', { projectId, path: '/Auth/Login' });
+    expect(nestedRes.body.errors[0].message).toBe('Folder /Auth does not exist');
+
+    await graphql('mutation { createFolder(projectId: $projectId, path: $path) { folder { path } } }', { projectId, path: '/Auth' });
+    await graphql('mutation { createFolder(projectId: $projectId, path: $path) { folder { path } } }', { projectId, path: '/Auth/Login' });
+
+    const folderRes = await graphql('query { getFolder(projectId: $projectId, path: "/") { path } }', { projectId, path: '/' });
+    expect(folderRes.body.data.getFolder.folders).toEqual([
+      { name: 'Auth', path: '/Auth', testsCount: 0, folders: [{ name: 'Login', path: '/Auth/Login', testsCount: 0, folders: [] }] },
+    ]);
+  });
+
+  it('should rename, move and delete folders with their tests', async () => {
+    const settingsRes = await graphql('query { getProjectSettings(projectIdOrKey: $projectIdOrKey) { projectId } }', { projectIdOrKey: 'PROJ' });
+    const { projectId } = settingsRes.body.data.getProjectSettings;
+    for (const path of ['/Auth', '/Auth/Login', '/Billing']) {
+      await graphql('mutation { createFolder(projectId: $projectId, path: $path) { folder { path } } }', { projectId, path });
+    }
+    const importRes = await request(app)
+      .post('/api/v1/import/test/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send([{ fields: { summary: 'Login works', project: { key: 'PROJ' } } }]);
+    const statusRes = await request(app)
+      .get(`/api/v1/import/test/bulk/${importRes.body.jobId}/status`)
+      .set('Authorization', `Bearer ${token}`);
+    const testIssueId = statusRes.body.result.issues[0].id;
+    await graphql(
+      'mutation { addTestsToFolder(projectId: $projectId, path: $path, testIssueIds: $testIssueIds) { folder { path } } }',
+      { projectId, path: '/Auth/Login', testIssueIds: [testIssueId] }
+    );
+
+    await graphql('mutation { renameFolder(projectId: $projectId, path: $path, newName: $newName) { folder { path } } }', { projectId, path: '/Auth', newName: 'Access' });
+    await graphql('mutation { moveFolder(projectId: $projectId, path: $path, destinationPath: $destinationPath) { folder { path } } }', { projectId, path: '/Access', destinationPath: '/Billing' });
+
+    const testRes = await graphql('query { getTest(issueId: $issueId) { folder { path } } }', { issueId: testIssueId });
+    expect(testRes.body.data.getTest.folder.path).toBe('/Billing/Access/Login');
+
+    await graphql('mutation { deleteFolder(projectId: $projectId, path: $path) }', { projectId, path: '/Billing/Access' });
+
+    const afterDeleteRes = await graphql('query { getTest(issueId: $issueId) { folder { path } } }', { issueId: testIssueId });
+    expect(afterDeleteRes.body.data.getTest.folder.path).toBe('/Billing');
+    const folderRes = await graphql('query { getFolder(projectId: $projectId, path: "/") { path } }', { projectId, path: '/' });
+    expect(folderRes.body.data.getFolder.folders).toEqual([
+      { name: 'Billing', path: '/Billing', testsCount: 1, folders: [] },
+    ]);
+  });
+
+  it('should record JUnit results, creating tests it cannot match', async () => {
+    const junit = `<testsuite name="auth">
+      <testcase classname="auth.Login" name="accepts valid password"/>
+      <testcase classname="auth.Login" name="rejects bad password"><failure message="nope"/></testcase>
+    </testsuite>`;
+    const importJUnit = () => request(app)
+      .post('/api/v2/import/execution/junit?projectKey=PROJ')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/xml')
+      .send(junit);
+
+    const first = await importJUnit();
+    const second = await importJUnit();
+    expect(first.body.key).toMatch(/^PROJ-\d+$/);
+
+    const runsRes = await graphql(
+      'query GetTestExecutionRuns { getTestExecution(issueId: $issueId) { testRuns { total } } }',
+      { issueId: second.body.id }
+    );
+    const { testRuns } = runsRes.body.data.getTestExecution;
+    expect(testRuns.total).toBe(2);
+    expect(testRuns.results.map((run) => run.status.name)).toEqual(['PASSED', 'FAILED']);
+
+    // The second import matched the Generic tests created by the first
+    const testsRes = await graphql('query { getTests(jql: $jql) { total } }', { jql: "project = 'PROJ'" });
+    expect(testsRes.body.data.getTests.total).toBe(2);
+  });
+
+  it('should record Xray JSON results in an existing execution', async () => {
+    const execRes = await graphql('query { getTestExecutions(jql: $jql) { total } }', { jql: "project = 'PROJ'" });
+    const execution = execRes.body.data.getTestExecutions.results[0];
+
+    const importRes = await request(app)
+      .post('/api/v2/import/execution')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        testExecutionKey: execution.jira.key,
+        tests: [{ status: 'PASSED', testInfo: { summary: 'Checkout works', type: 'Generic', projectKey: 'PROJ' } }],
+      });
+    expect(importRes.body.id).toBe(execution.issueId);
+
+    const missingRes = await request(app)
+      .post('/api/v2/import/execution')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ testExecutionKey: 'PROJ-999', tests: [] });
+    expect(missingRes.status).toBe(400);
+    expect(missingRes.body.error).toBe('Test Execution PROJ-999 not found');
+  });
+
+  it('should record step results of a manual test run', async () => {
+    const importRes = await request(app)
+      .post('/api/v1/import/test/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send([{
+        testtype: 'Manual',
+        fields: { summary: 'Login works', project: { key: 'PROJ' } },
+        steps: [{ action: 'Open login', data: '', result: 'Form shown' }, { action: 'Submit', data: 'user', result: 'Signed in' }],
+      }]);
+    const statusRes = await request(app)
+      .get(`/api/v1/import/test/bulk/${importRes.body.jobId}/status`)
+      .set('Authorization', `Bearer ${token}`);
+    const testIssueId = statusRes.body.result.issues[0].id;
+    const execRes = await graphql('query { getTestExecutions(jql: $jql) { total } }', { jql: "project = 'PROJ'" });
+    const testExecIssueId = execRes.body.data.getTestExecutions.results[0].issueId;
+
+    const notLinkedRes = await graphql('query { getTestRun { id } }', { testIssueId, testExecIssueId });
+    expect(notLinkedRes.body.data.getTestRun).toBeNull();
+
+    await graphql('mutation { addTestsToTestExecution { addedTests } }', { issueId: testExecIssueId, testIssueIds: [testIssueId] });
+    const runRes = await graphql('query { getTestRun { id } }', { testIssueId, testExecIssueId });
+    const run = runRes.body.data.getTestRun;
+    expect(run.steps.map((step) => step.status.name)).toEqual(['TODO', 'TODO']);
+
+    await graphql('mutation { updateTestRunStep { warnings } }', {
+      testRunId: run.id,
+      stepId: run.steps[1].id,
+      updateData: { status: 'FAILED', actualResult: 'Error 500' },
+    });
+    await graphql('mutation { updateTestRunStatus }', { id: run.id, status: 'FAILED' });
+    await graphql('mutation { updateTestRunComment }', { id: run.id, comment: 'Blocked by login bug' });
+
+    const updatedRes = await graphql('query { getTestRun { id } }', { testIssueId, testExecIssueId });
+    const updated = updatedRes.body.data.getTestRun;
+    expect(updated.status.name).toBe('FAILED');
+    expect(updated.comment).toBe('Blocked by login bug');
+    expect(updated.steps[1]).toMatchObject({ action: 'Submit', status: { name: 'FAILED' }, actualResult: 'Error 500' });
+
+    const missingStepRes = await graphql('mutation { updateTestRunStep { warnings } }', {
+      testRunId: run.id,
+      stepId: 'nope',
+      updateData: { status: 'PASSED' },
+    });
+    expect(missingStepRes.body.errors[0].message).toBe('Step nope not found');
+  });
+
+  it('should replace the dataset of a test from CSV', async () => {
+    const importRes = await request(app)
+      .post('/api/v1/import/test/bulk')
+      .set('Authorization', `Bearer ${token}`)
+      .send([{ testtype: 'Manual', fields: { summary: 'Login works', project: { key: 'PROJ' } }, steps: [] }]);
+    const statusRes = await request(app)
+      .get(`/api/v1/import/test/bulk/${importRes.body.jobId}/status`)
+      .set('Authorization', `Bearer ${token}`);
+    const { id, key } = statusRes.body.result.issues[0];
+
+    const datasetRes = await request(app)
+      .post(`/api/v2/dataset/import?testIssueKey=${key}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/csv')
+      .send('user,note\r\nalice,"a, ""b"""\r\n');
+
+    expect(datasetRes.body).toEqual({ parameters: 2, rows: 1 });
+    expect(app.locals.store.issues.get(id).dataset).toEqual({ parameters: ['user', 'note'], rows: [['alice', 'a, "b"']] });
+
+    const missingRes = await request(app)
+      .post('/api/v2/dataset/import?testIssueKey=PROJ-999')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'text/csv')
+      .send('user\r\n');
+    expect(missingRes.status).toBe(400);
+  });
+
+  it('should return GraphQL errors for unknown operations and missing issues', async () => {
+    const unknownRes = await graphql('query { getTestRuns { total } }', {});
+    expect(unknownRes.body.errors[0].message).toContain('getTestRuns');
+
+    const missingRes = await graphql(
+      'mutation { addTestsToTestSet(issueId: $issueId, testIssueIds: $ids) { addedTests } }',
+      { issueId: '999', testIssueIds: ['1'] }
+    );
+    expect(missingRes.body.errors[0].message).toBe('Issue with id 999 not found');
+  });
+});
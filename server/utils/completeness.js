@@ -0,0 +1,59 @@
+/**
+ * Whether a draft has everything Xray needs to import it.
+ */
+
+import { getUndefinedParameters } from './datasets.js';
+import { getSharedSteps, isSharedStepsLink, expandSharedSteps } from './sharedSteps.js';
+
+/**
+ * Check if test case has all required fields for import
+ * @param {Object} draft
+ * @param {string} projectKey - Project whose shared steps library the draft links to
+ */
+export function isComplete(draft, projectKey = draft.projectKey) {
+  const hasCommonFields =
+    draft.summary?.trim() &&
+    draft.description?.trim() &&
+    draft.testType;
+
+  if (!hasCommonFields) {
+    return false;
+  }
+
+  // Cucumber tests are defined by a Gherkin scenario instead of steps
+  if (draft.testType === 'Cucumber') {
+    return hasGherkinScenario(draft.gherkin);
+  }
+
+  // Generic tests only carry an unstructured definition
+  if (draft.testType === 'Generic') {
+    return Boolean(draft.definition?.trim());
+  }
+
+  if (!Array.isArray(draft.steps) || draft.steps.length === 0) {
+    return false;
+  }
+
+  // Linked shared steps only need to still exist in the library
+  const library = getSharedSteps(projectKey);
+  const allStepsComplete = draft.steps.every((step) => (
+    isSharedStepsLink(step)
+      ? library.some((entry) => entry.id === step.sharedStepsId)
+      : step.action?.trim() && step.result?.trim()
+  ));
+
+  // Every ${param} used in the steps must be a dataset column
+  return allStepsComplete
+    && getUndefinedParameters(expandSharedSteps(draft.steps, library), draft.dataset).length === 0;
+}
+
+/**
+ * Check that a Gherkin definition contains at least one step line
+ * (Given/When/Then/And/But)
+ */
+function hasGherkinScenario(gherkin) {
+  if (!gherkin?.trim()) {
+    return false;
+  }
+  return /^\s*(Given|When|Then|And|But)\s+\S/m.test(gherkin);
+}
@@ -0,0 +1,62 @@
+/**
+ * Datasets of parameterized Manual tests.
+ *
+ * Steps refer to parameters as ${name}; the draft's dataset defines the
+ * parameter columns and one row of values per iteration:
+ *   { parameters: ['user', 'role'], rows: [['alice', 'admin'], ['bob', 'viewer']] }
+ * Xray has no dataset field in the bulk test import, so the dataset is sent
+ * as CSV once the test exists.
+ */
+
+const PARAMETER_PATTERN = /\$\{([^{}]+)\}/g;
+
+/**
+ * Names of the ${...} parameters used in a text, in order of appearance
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function getParameters(text) {
+  const names = [...String(text || '').matchAll(PARAMETER_PATTERN)].map((match) => match[1].trim());
+  return [...new Set(names)];
+}
+
+/**
+ * Names of the parameters used anywhere in the steps
+ * @param {Array<{action, data, result}>} steps
+ * @returns {Array<string>}
+ */
+export function getStepParameters(steps = []) {
+  return [...new Set(steps.flatMap((step) => [step.action, step.data, step.result].flatMap(getParameters)))];
+}
+
+/**
+ * Whether a draft dataset defines any parameters
+ */
+export function hasDataset(dataset) {
+  return Array.isArray(dataset?.parameters) && dataset.parameters.length > 0;
+}
+
+/**
+ * Parameters used in the steps but missing from the dataset
+ * @returns {Array<string>}
+ */
+export function getUndefinedParameters(steps, dataset) {
+  const defined = new Set(hasDataset(dataset) ? dataset.parameters : []);
+  return getStepParameters(steps).filter((name) => !defined.has(name));
+}
+
+function toCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize a dataset as CSV: a header row of parameter names, then one row per iteration
+ * @param {{parameters: Array<string>, rows: Array<Array<string>>}} dataset
+ * @returns {string}
+ */
+export function toDatasetCsv(dataset) {
+  const lines = [dataset.parameters, ...(dataset.rows || [])]
+    .map((row) => dataset.parameters.map((_, i) => toCsvValue(row[i])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
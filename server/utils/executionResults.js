@@ -0,0 +1,167 @@
+import { createTestExecution, importExecutionResults, getTestExecutionRuns } from './xrayClient.js';
+
+/**
+ * Test execution results produced by CI, imported into Xray Test Executions.
+ *
+ * Xray matches each result to an existing test (by key for Xray JSON, by
+ * definition for JUnit/TestNG) and creates a Generic test for the rest. Its
+ * import response only names the Test Execution, so the tests are read back
+ * afterwards: those named in the file are reported, and the ones created
+ * during the import as created.
+ */
+
+export const RESULT_FORMATS = ['junit', 'testng', 'xray'];
+
+// Jira and RayDrop clocks may disagree slightly
+const CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Guess the format of a results file from its content
+ * @param {string} content - File content
+ * @returns {string|null} 'junit', 'testng', 'xray' or null when unrecognized
+ */
+export function detectResultFormat(content) {
+  const text = String(content || '').trimStart();
+  if (text.startsWith('{')) return 'xray';
+  if (/<testng-results[\s>]/.test(text)) return 'testng';
+  if (/<testsuites?[\s>]/.test(text)) return 'junit';
+  return null;
+}
+
+/**
+ * Check that a results file looks like the given format
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateResults(format, content) {
+  if (!RESULT_FORMATS.includes(format)) {
+    return [`format must be one of ${RESULT_FORMATS.join(', ')}`];
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    return ['Results file is empty'];
+  }
+
+  if (format === 'xray') {
+    let results;
+    try {
+      results = JSON.parse(content);
+    } catch (error) {
+      return [`Invalid Xray JSON: ${error.message}`];
+    }
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(results)) {
+      return ['Xray JSON must be an object'];
+    }
+    if (!Array.isArray(results.tests) || results.tests.length === 0) {
+      return ['Xray JSON must contain a non-empty "tests" array'];
+    }
+    if (!results.tests.every(isObject)) {
+      return ['Each entry of the Xray JSON "tests" array must be an object'];
+    }
+    return [];
+  }
+
+  if (format === 'testng' && !/<testng-results[\s>]/.test(content)) {
+    return ['TestNG results must have a <testng-results> root element'];
+  }
+  if (format === 'junit' && !/<testsuites?[\s>]/.test(content)) {
+    return ['JUnit results must contain a <testsuite> element'];
+  }
+  return [];
+}
+
+// Attributes of an XML start tag, e.g. ' name="a" time="1"' -> {name: 'a', time: '1'}
+function getXmlAttributes(tag) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attributes[name] = value.replace(/&(amp|lt|gt|quot|apos);/g, (entity, key) => entities[key]);
+  }
+  return attributes;
+}
+
+/**
+ * Tests a results file names, as Xray identifies them: by key, or by the
+ * definition of the Generic test a result is matched to or creates
+ * @param {string} format - 'junit', 'testng' or 'xray' (validated)
+ * @param {string} content - File content (validated)
+ * @returns {{keys: Set<string>, definitions: Set<string>}}
+ */
+export function getResultTests(format, content) {
+  const keys = new Set();
+  const definitions = new Set();
+
+  if (format === 'xray') {
+    for (const test of JSON.parse(content).tests) {
+      if (test.testKey) keys.add(test.testKey);
+      const definition = test.testInfo?.definition || test.testInfo?.summary;
+      if (definition) definitions.add(definition);
+    }
+  } else if (format === 'testng') {
+    for (const [, classTag, body] of content.matchAll(/<class\b([^>]*)>([\s\S]*?)<\/class>/g)) {
+      const className = getXmlAttributes(classTag).name || '';
+      for (const [, methodTag] of body.matchAll(/<test-method\b([^>]*?)\/?>/g)) {
+        const method = getXmlAttributes(methodTag);
+        // Configuration methods (@BeforeClass etc.) are not tests
+        if (method['is-config'] !== 'true') definitions.add(`${className}.${method.name}`);
+      }
+    }
+  } else {
+    for (const [, tag] of content.matchAll(/<testcase\b([^>]*?)\/?>/g)) {
+      const { name = '', classname } = getXmlAttributes(tag);
+      definitions.add(classname ? `${classname}.${name}` : name);
+    }
+  }
+
+  return { keys, definitions };
+}
+
+/**
+ * Import a results file into a new or existing Test Execution
+ * @param {Object} options
+ * @param {string} options.projectKey - Jira project key
+ * @param {string} options.format - 'junit', 'testng' or 'xray'
+ * @param {string} options.content - File content
+ * @param {Object} options.testExecution - { key } of an existing execution, or { summary, description } for a new one
+ * @param {string} options.testPlanKey - Optional Test Plan to associate the execution with
+ * @param {Array<string>} options.testEnvironments - Optional test environments
+ * @returns {Promise<{testExecution, tests, matched, created, warnings}>}
+ */
+export async function importResults({ projectKey, format, content, testExecution, testPlanKey, testEnvironments = [] }) {
+  const startedAt = Date.now();
+  const warnings = [];
+
+  let testExecKey = testExecution.key;
+  if (!testExecKey) {
+    const created = await createTestExecution(projectKey, { ...testExecution, testEnvironments });
+    testExecKey = created.key;
+    warnings.push(...created.warnings);
+  }
+
+  const execution = await importExecutionResults(format, content, {
+    projectKey,
+    testExecKey,
+    testPlanKey,
+    testEnvironments,
+  });
+
+  // The execution may hold runs of other tests, from earlier imports or added by hand
+  const named = getResultTests(format, content);
+  const runs = (await getTestExecutionRuns(execution.issueId))
+    .filter((run) => named.keys.has(run.key) || named.definitions.has(run.definition));
+
+  const tests = runs.map((run) => ({
+    issueId: run.testIssueId,
+    key: run.key,
+    summary: run.summary,
+    status: run.status,
+    outcome: run.created && Date.parse(run.created) >= startedAt - CLOCK_SKEW_MS ? 'created' : 'matched',
+  }));
+
+  return {
+    testExecution: { ...execution, created: !testExecution.key },
+    tests,
+    matched: tests.filter((test) => test.outcome === 'matched').length,
+    created: tests.filter((test) => test.outcome === 'created').length,
+    warnings,
+  };
+}
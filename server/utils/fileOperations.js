@@ -2,6 +2,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { isComplete } from './completeness.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,6 +12,9 @@ export const CONFIG_PATH = path.join(PROJECT_ROOT, 'config', 'xray-config.json')
 export const SETTINGS_PATH = path.join(PROJECT_ROOT, 'config', 'settings.json');
 export const DRAFTS_DIR = path.join(PROJECT_ROOT, 'testCases');
 
+// Local preconditions live next to a project's area folders, e.g. testCases/PROJ/_preconditions
+export const PRECONDITIONS_DIR_NAME = '_preconditions';
+
 // ============ Utility Functions ============
 
 /**
@@ -63,6 +67,101 @@ export function parseSummary(summary) {
   }
 }
 
+// ============ Safe Writes ============
+
+// Suffix of the file a write goes to before it replaces the real one
+const TEMP_SUFFIX = '.tmp';
+
+/**
+ * Write a file through a temp file and a rename, so a crash mid-write leaves
+ * the previous version in place instead of a truncated file
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}${TEMP_SUFFIX}`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Remove temp files left by writes that never reached their rename. The file
+ * they were meant to replace still holds the last complete version.
+ * @returns {number} Number of temp files removed
+ */
+export function recoverTempFiles() {
+  let removed = 0;
+  const sweep = (dir) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        sweep(entryPath);
+      } else if (entry.name.endsWith(TEMP_SUFFIX)) {
+        fs.unlinkSync(entryPath);
+        removed++;
+      }
+    }
+  };
+  sweep(path.dirname(SETTINGS_PATH));
+  sweep(DRAFTS_DIR);
+  return removed;
+}
+
+// Tail of the queue of callers waiting for each file, by path
+const fileLocks = new Map();
+
+/**
+ * Run fn once every earlier caller holding the same file is done, so
+ * read-modify-write sequences on a file take turns instead of the last
+ * write dropping the others' changes
+ * @param {string} filePath
+ * @param {Function} fn - May return a promise; the lock is held until it settles
+ * @returns {Promise<*>} What fn returns
+ */
+export function withFileLock(filePath, fn) {
+  const previous = fileLocks.get(filePath) || Promise.resolve();
+  const result = previous.then(() => fn());
+  const tail = result.catch(() => {});
+  fileLocks.set(filePath, tail);
+  tail.then(() => {
+    if (fileLocks.get(filePath) === tail) fileLocks.delete(filePath);
+  });
+  return result;
+}
+
+/**
+ * Run fn holding the settings file lock
+ */
+export function withSettingsLock(fn) {
+  return withFileLock(SETTINGS_PATH, fn);
+}
+
+/**
+ * Run fn holding the lock of a draft. Drafts are locked by id because their
+ * file moves when the summary changes. Routes that await Xray between reading
+ * and writing a draft hold it throughout, and every other draft route waits
+ * for them, so neither overwrites the other's changes.
+ */
+export function withDraftLock(id, fn) {
+  return withFileLock(`draft:${id}`, fn);
+}
+
+/**
+ * Run fn holding the locks of several drafts, taken in a fixed order so two
+ * callers locking overlapping drafts can't wait on each other. Ids listed
+ * twice are locked once, as the second lock would wait on the first forever.
+ */
+export function withDraftLocks(ids, fn) {
+  return [...new Set(ids)].sort().reduceRight((next, id) => () => withDraftLock(id, next), fn)();
+}
+
+/**
+ * Run fn holding the lock of a precondition, locked by id like drafts. Creating
+ * a precondition in Xray holds it, so concurrent imports create it only once.
+ */
+export function withPreconditionLock(id, fn) {
+  return withFileLock(`precondition:${id}`, fn);
+}
+
 // ============ Config Functions ============
 
 /**
@@ -96,7 +195,7 @@ export function writeConfig(config) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
+  writeFileAtomic(CONFIG_PATH, JSON.stringify(config, null, 2));
   return CONFIG_PATH;
 }
 
@@ -197,10 +296,13 @@ export function writeSettings(settings) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+  writeFileAtomic(SETTINGS_PATH, JSON.stringify(settings, null, 2));
   return SETTINGS_PATH;
 }
 
+// Default Jira priority scheme, used until a project configures its own list
+export const DEFAULT_PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
 /**
  * Get settings for a specific project
  */
@@ -210,6 +312,7 @@ export function getProjectSettings(projectKey) {
     functionalAreas: [],
     labels: [],
     collections: [],
+    priorities: [...DEFAULT_PRIORITIES],
   };
 }
 
@@ -264,6 +367,7 @@ export function addProject(projectKey, color) {
     functionalAreas: [],
     labels: [],
     collections: [],
+    priorities: [...DEFAULT_PRIORITIES],
     color: assignedColor,
   };
 
@@ -330,124 +434,277 @@ export function setActiveProject(projectKey) {
   return { success: true };
 }
 
-// ============ Draft Functions ============
-
-/**
- * Get draft file path based on project, area, and title
- */
-export function getDraftPath(projectKey, area, title, id) {
-  const sanitizedArea = sanitizeFolderName(area);
-  const slugifiedTitle = slugify(title);
+// ============ Draft Schema Migrations ============
 
-  // Use short ID suffix to avoid collisions
-  const shortId = id ? id.substring(0, 8) : '';
-  const filename = shortId ? `${slugifiedTitle}-${shortId}.json` : `${slugifiedTitle}.json`;
+// Schema version stamped on every draft written; drafts without one are version 1
+export const DRAFT_SCHEMA_VERSION = 2;
 
-  return path.join(DRAFTS_DIR, projectKey, sanitizedArea, filename);
+// Legacy single-select link, e.g. testPlanId/testPlanDisplay, as the ids/displays pair
+function toMultiSelect(linking, single) {
+  const id = linking[`${single}Id`];
+  const display = linking[`${single}Display`];
+  delete linking[`${single}Id`];
+  delete linking[`${single}Display`];
+  if (!id || linking[`${single}Ids`]?.length) return;
+  linking[`${single}Ids`] = [id];
+  linking[`${single}Displays`] = display ? [{ id, display }] : [];
 }
 
 /**
- * Ensure directory exists for a draft
+ * Upgrade steps keyed by the version they upgrade from. Each one takes a
+ * copy of the draft at that version and returns it at the next version.
  */
-function ensureDraftDir(projectKey, area) {
-  const sanitizedArea = sanitizeFolderName(area);
-  const dir = path.join(DRAFTS_DIR, projectKey, sanitizedArea);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+const DRAFT_MIGRATIONS = {
+  // Single-select Xray links became lists; older drafts may lack isComplete
+  1: (draft) => {
+    if (draft.xrayLinking) {
+      const linking = { ...draft.xrayLinking };
+      ['testPlan', 'testExecution', 'testSet'].forEach((single) => toMultiSelect(linking, single));
+      draft.xrayLinking = linking;
+    }
+    if (draft.isComplete === undefined) {
+      draft.isComplete = Boolean(isComplete(draft));
+    }
+    return draft;
+  },
+};
+
+/**
+ * Bring a draft read from disk up to the current schema version
+ * @param {Object} draft
+ * @returns {Object} The same draft when already current, otherwise an upgraded copy
+ */
+export function migrateDraft(draft) {
+  let version = draft.schemaVersion || 1;
+  if (version >= DRAFT_SCHEMA_VERSION) return draft;
+
+  let migrated = { ...draft };
+  while (version < DRAFT_SCHEMA_VERSION) {
+    migrated = DRAFT_MIGRATIONS[version](migrated);
+    version++;
   }
-  return dir;
+  migrated.schemaVersion = version;
+  return migrated;
 }
 
 /**
- * Find draft file by ID (searches all project/area folders)
+ * Rewrite draft files that are below the current schema version
+ * @param {string|null} projectKey - Only this project's drafts, or all when null
+ * @returns {{ migrated: number, total: number }}
  */
-export function findDraftById(id) {
+export function migrateDraftFiles(projectKey = null) {
+  const files = readDraftFiles(projectKey);
+  let migrated = 0;
+  for (const { draft, filePath } of files) {
+    const current = migrateDraft(draft);
+    if (current === draft) continue;
+    writeFileAtomic(filePath, JSON.stringify(current, null, 2));
+    migrated++;
+  }
+  return { migrated, total: files.length };
+}
+
+// ============ Draft Index ============
+
+// Project or area folders below dir
+function subfolders(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(d => d.isDirectory() && d.name !== PRECONDITIONS_DIR_NAME)
+    .map(d => d.name);
+}
+
+// Read every draft file as stored, optionally for one project
+function readDraftFiles(projectKey = null) {
   if (!fs.existsSync(DRAFTS_DIR)) {
-    return null;
+    fs.mkdirSync(DRAFTS_DIR, { recursive: true });
+    return [];
   }
 
-  // Search through all project/area directories
-  const projects = fs.readdirSync(DRAFTS_DIR, { withFileTypes: true })
-    .filter(d => d.isDirectory())
-    .map(d => d.name);
+  const entries = [];
+
+  // Get projects to scan
+  const projects = projectKey ? [projectKey] : subfolders(DRAFTS_DIR);
 
   for (const project of projects) {
     const projectDir = path.join(DRAFTS_DIR, project);
-    const areas = fs.readdirSync(projectDir, { withFileTypes: true })
-      .filter(d => d.isDirectory())
-      .map(d => d.name);
+    if (!fs.existsSync(projectDir)) continue;
 
-    for (const area of areas) {
+    for (const area of subfolders(projectDir)) {
       const areaDir = path.join(projectDir, area);
       const files = fs.readdirSync(areaDir).filter(f => f.endsWith('.json'));
 
       for (const file of files) {
-        // Check if file contains this ID (either in filename or content)
-        if (file.includes(id.substring(0, 8))) {
+        try {
           const filePath = path.join(areaDir, file);
-          try {
-            const content = fs.readFileSync(filePath, 'utf8');
-            const draft = JSON.parse(content);
-            if (draft.id === id) {
-              return { draft, filePath };
-            }
-          } catch (err) {
-            // Skip invalid files
-          }
+          const content = fs.readFileSync(filePath, 'utf8');
+          entries.push({ draft: JSON.parse(content), filePath });
+        } catch (err) {
+          console.error(`Error reading draft file ${file}:`, err);
         }
       }
     }
   }
+  return entries;
+}
 
-  return null;
+/**
+ * Drafts by id, as { filePath, projectKey, draft } with the draft already
+ * migrated. Built from the draft files on first use (or at startup through
+ * loadDraftIndex), kept current by writeDraft and deleteDraft, and by watchers
+ * on the draft folders for files changed outside the server. When watching
+ * fails (e.g. the system ran out of watches) nothing is cached and every use
+ * scans the files, as listDrafts always did.
+ */
+let draftIndex = null;
+let draftWatchers = [];
+
+function buildDraftIndex(projectKey = null) {
+  const index = new Map();
+  for (const { draft, filePath } of readDraftFiles(projectKey)) {
+    // A crash while writeDraft moved a draft leaves both files; the newer one wins
+    const indexed = index.get(draft.id);
+    if (indexed && (indexed.draft.updatedAt || 0) > (draft.updatedAt || 0)) continue;
+    index.set(draft.id, toIndexEntry(draft, filePath));
+  }
+  return index;
+}
+
+function toIndexEntry(draft, filePath) {
+  // Files sit at DRAFTS_DIR/{projectKey}/{area}/{file}.json
+  const projectKey = path.basename(path.dirname(path.dirname(filePath)));
+  return { filePath, projectKey, draft: migrateDraft(draft) };
+}
+
+function resetDraftIndex() {
+  for (const watcher of draftWatchers) watcher.close();
+  draftWatchers = [];
+  draftIndex = null;
+}
+
+function watchFolder(dir, listener) {
+  const watcher = fs.watch(dir, { persistent: false }, listener);
+  watcher.on('error', resetDraftIndex);
+  draftWatchers.push(watcher);
 }
 
 /**
- * List all drafts, optionally filtered by project
+ * Watch each draft folder rather than DRAFTS_DIR recursively: recursive
+ * watching is not available everywhere, and on Linux it loses folders that
+ * are removed and created again, as cleanEmptyDirs and writeDraft do.
+ * A project or area folder coming or going drops the whole index.
+ * @returns {boolean} Whether every folder is watched
  */
-export function listDrafts(projectKey = null) {
-  if (!fs.existsSync(DRAFTS_DIR)) {
-    fs.mkdirSync(DRAFTS_DIR, { recursive: true });
-    return [];
+function watchDrafts() {
+  try {
+    watchFolder(DRAFTS_DIR, resetDraftIndex);
+    for (const project of subfolders(DRAFTS_DIR)) {
+      const projectDir = path.join(DRAFTS_DIR, project);
+      watchFolder(projectDir, resetDraftIndex);
+      for (const area of subfolders(projectDir)) {
+        const areaDir = path.join(projectDir, area);
+        watchFolder(areaDir, (event, filename) => {
+          if (filename) {
+            refreshDraftFile(path.join(areaDir, filename.toString()));
+          } else {
+            // The platform did not say what changed
+            resetDraftIndex();
+          }
+        });
+      }
+    }
+    return true;
+  } catch (error) {
+    resetDraftIndex();
+    return false;
   }
+}
 
-  const drafts = [];
+// Re-read one draft file after a watcher reported a change to it
+function refreshDraftFile(filePath) {
+  if (!draftIndex || !filePath.endsWith('.json')) return;
+
+  let draft = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      draft = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      // Still being written; the next change event re-reads it
+      return;
+    }
+  }
 
-  // Get projects to scan
-  let projects;
-  if (projectKey) {
-    projects = [projectKey];
-  } else {
-    projects = fs.readdirSync(DRAFTS_DIR, { withFileTypes: true })
-      .filter(d => d.isDirectory())
-      .map(d => d.name);
+  for (const [id, entry] of draftIndex) {
+    if (entry.filePath === filePath) draftIndex.delete(id);
+  }
+  if (draft) {
+    draftIndex.set(draft.id, toIndexEntry(draft, filePath));
   }
+}
 
-  for (const project of projects) {
-    const projectDir = path.join(DRAFTS_DIR, project);
-    if (!fs.existsSync(projectDir)) continue;
+// The cached index, or when the folders can't be watched a fresh one limited to projectKey
+function getDraftIndex(projectKey = null) {
+  if (draftIndex) return draftIndex;
+  if (!fs.existsSync(DRAFTS_DIR) || !watchDrafts()) return buildDraftIndex(projectKey);
+  draftIndex = buildDraftIndex();
+  return draftIndex;
+}
 
-    const areas = fs.readdirSync(projectDir, { withFileTypes: true })
-      .filter(d => d.isDirectory())
-      .map(d => d.name);
+/**
+ * Build the draft index up front so the first requests don't scan the drafts
+ * @returns {number} Number of drafts indexed
+ */
+export function loadDraftIndex() {
+  resetDraftIndex();
+  return getDraftIndex().size;
+}
 
-    for (const area of areas) {
-      const areaDir = path.join(projectDir, area);
-      const files = fs.readdirSync(areaDir).filter(f => f.endsWith('.json'));
+// ============ Draft Functions ============
 
-      for (const file of files) {
-        try {
-          const filePath = path.join(areaDir, file);
-          const content = fs.readFileSync(filePath, 'utf8');
-          const draft = JSON.parse(content);
-          drafts.push(draft);
-        } catch (err) {
-          console.error(`Error reading draft file ${file}:`, err);
-        }
-      }
-    }
+/**
+ * Get draft file path based on project, area, and title
+ */
+export function getDraftPath(projectKey, area, title, id) {
+  const sanitizedArea = sanitizeFolderName(area);
+  const slugifiedTitle = slugify(title);
+
+  // Use short ID suffix to avoid collisions
+  const shortId = id ? id.substring(0, 8) : '';
+  const filename = shortId ? `${slugifiedTitle}-${shortId}.json` : `${slugifiedTitle}.json`;
+
+  return path.join(DRAFTS_DIR, projectKey, sanitizedArea, filename);
+}
+
+/**
+ * Ensure directory exists for a draft
+ */
+function ensureDraftDir(projectKey, area) {
+  const sanitizedArea = sanitizeFolderName(area);
+  const dir = path.join(DRAFTS_DIR, projectKey, sanitizedArea);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
   }
+  return dir;
+}
 
+/**
+ * Find a draft and its file by ID
+ * @returns {{ draft: Object, filePath: string }|null}
+ */
+export function findDraftById(id) {
+  const entry = getDraftIndex().get(id);
+  return entry ? { draft: structuredClone(entry.draft), filePath: entry.filePath } : null;
+}
+
+/**
+ * List all drafts, optionally filtered by project
+ */
+export function listDrafts(projectKey = null) {
+  const drafts = [];
+  for (const entry of getDraftIndex(projectKey).values()) {
+    if (!projectKey || entry.projectKey === projectKey) {
+      drafts.push(structuredClone(entry.draft));
+    }
+  }
   return drafts.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
 }
 
@@ -460,7 +717,8 @@ export function readDraft(id) {
 }
 
 /**
- * Write single draft
+ * Write single draft, stamped with the current schema version and the next
+ * revision, so any change made on the server invalidates the ETag an editor holds
  */
 export function writeDraft(id, draft) {
   const { area, title } = parseSummary(draft.summary);
@@ -469,25 +727,23 @@ export function writeDraft(id, draft) {
   // Ensure directory exists
   ensureDraftDir(projectKey, area);
 
-  // Check if draft already exists (might need to move it)
   const existing = findDraftById(id);
-  if (existing) {
-    // Delete old file if location changed
-    const newPath = getDraftPath(projectKey, area, title, id);
-    if (existing.filePath !== newPath) {
-      fs.unlinkSync(existing.filePath);
-      // Clean up empty directories
-      cleanEmptyDirs(path.dirname(existing.filePath));
-    }
-  }
-
   const filePath = getDraftPath(projectKey, area, title, id);
-  const dir = path.dirname(filePath);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
+  const stored = {
+    ...draft,
+    schemaVersion: DRAFT_SCHEMA_VERSION,
+    revision: (existing?.draft.revision || 0) + 1,
+  };
+  writeFileAtomic(filePath, JSON.stringify(stored, null, 2));
+  draftIndex?.set(id, { filePath, projectKey, draft: structuredClone(stored) });
 
-  fs.writeFileSync(filePath, JSON.stringify(draft, null, 2));
+  // Delete the old file only once the new one is in place, so a crash in
+  // between leaves a duplicate rather than no draft at all
+  if (existing && existing.filePath !== filePath) {
+    fs.unlinkSync(existing.filePath);
+    // Clean up empty directories
+    cleanEmptyDirs(path.dirname(existing.filePath));
+  }
   return filePath;
 }
 
@@ -502,6 +758,7 @@ export function deleteDraft(id) {
 
   try {
     fs.unlinkSync(result.filePath);
+    draftIndex?.delete(id);
     // Clean up empty directories
     cleanEmptyDirs(path.dirname(result.filePath));
     return true;
@@ -542,4 +799,121 @@ export function deleteAllDrafts() {
 
   fs.rmSync(DRAFTS_DIR, { recursive: true, force: true });
   fs.mkdirSync(DRAFTS_DIR, { recursive: true });
+  // The watched folders are gone; watch the new ones on next use
+  resetDraftIndex();
+}
+
+/**
+ * Point drafts at a folder's new path after it was renamed, moved or deleted
+ * in the Test Repository. Drafts in subfolders of fromPath keep their relative
+ * path unless keepSubfolders is false (a deleted folder takes its subfolders with it).
+ * Each draft is rewritten under its lock, so an import or edit in progress
+ * finishes first and the folder change is made to what it saved.
+ * @returns {Promise<number>} Number of drafts updated
+ */
+export async function rewriteDraftFolderPaths(projectKey, fromPath, toPath, { keepSubfolders = true } = {}) {
+  let updated = 0;
+  for (const { id } of listDrafts(projectKey)) {
+    const rewritten = await withDraftLock(id, () => {
+      const draft = readDraft(id);
+      const folderPath = draft?.xrayLinking?.folderPath;
+      if (!folderPath || (folderPath !== fromPath && !folderPath.startsWith(`${fromPath}/`))) return false;
+
+      const newPath = keepSubfolders
+        ? `${toPath === '/' ? '' : toPath}${folderPath.slice(fromPath.length)}` || '/'
+        : toPath;
+      writeDraft(id, { ...draft, xrayLinking: { ...draft.xrayLinking, folderPath: newPath } });
+      return true;
+    });
+    if (rewritten) updated++;
+  }
+  return updated;
+}
+
+// ============ Precondition Functions ============
+
+/**
+ * Get precondition file path based on project and summary
+ */
+export function getPreconditionPath(projectKey, summary, id) {
+  return path.join(DRAFTS_DIR, projectKey, PRECONDITIONS_DIR_NAME, `${slugify(summary)}-${id.substring(0, 8)}.json`);
+}
+
+// Read every precondition file, optionally for one project
+function readPreconditionFiles(projectKey = null) {
+  if (!fs.existsSync(DRAFTS_DIR)) {
+    return [];
+  }
+
+  const projects = projectKey
+    ? [projectKey]
+    : fs.readdirSync(DRAFTS_DIR, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+
+  const entries = [];
+  for (const project of projects) {
+    const dir = path.join(DRAFTS_DIR, project, PRECONDITIONS_DIR_NAME);
+    if (!fs.existsSync(dir)) continue;
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json'))) {
+      const filePath = path.join(dir, file);
+      try {
+        entries.push({ precondition: JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath });
+      } catch (err) {
+        console.error(`Error reading precondition file ${file}:`, err);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * List local preconditions, optionally filtered by project
+ */
+export function listPreconditions(projectKey = null) {
+  return readPreconditionFiles(projectKey)
+    .map(({ precondition }) => precondition)
+    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Find precondition file by ID
+ */
+export function findPreconditionById(id) {
+  return readPreconditionFiles().find(({ precondition }) => precondition.id === id) || null;
+}
+
+/**
+ * Read single precondition by ID
+ */
+export function readPrecondition(id) {
+  return findPreconditionById(id)?.precondition || null;
+}
+
+/**
+ * Write single precondition (renames the file when the summary changes)
+ */
+export function writePrecondition(id, precondition) {
+  const filePath = getPreconditionPath(precondition.projectKey, precondition.summary, id);
+  const existing = findPreconditionById(id);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileAtomic(filePath, JSON.stringify(precondition, null, 2));
+  if (existing && existing.filePath !== filePath) {
+    fs.unlinkSync(existing.filePath);
+  }
+  return filePath;
+}
+
+/**
+ * Delete precondition file
+ */
+export function deletePrecondition(id) {
+  const result = findPreconditionById(id);
+  if (!result) {
+    return false;
+  }
+
+  fs.unlinkSync(result.filePath);
+  cleanEmptyDirs(path.dirname(result.filePath));
+  return true;
 }
@@ -0,0 +1,60 @@
+/**
+ * In-memory cache of Test Repository folder subtrees.
+ *
+ * Xray's getFolder returns the whole subtree below a path, so one query can
+ * answer every later lazy-load request for the folders inside it. Each folder
+ * of a fetched subtree is indexed by path. Entries expire after a TTL and are
+ * dropped for a project whenever RayDrop changes its folders or their tests.
+ */
+
+export const FOLDER_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// projectId -> Map(path -> {folder, cachedAt})
+const cache = new Map();
+
+/**
+ * Store a getFolder result and every folder below it
+ * @param {string} projectId - Jira project ID
+ * @param {Object} folder - Folder with nested `folders`
+ */
+export function cacheFolderSubtree(projectId, folder) {
+  if (!cache.has(projectId)) {
+    cache.set(projectId, new Map());
+  }
+  const entries = cache.get(projectId);
+  const cachedAt = Date.now();
+
+  const index = (node) => {
+    entries.set(node.path, { folder: node, cachedAt });
+    (node.folders || []).forEach(index);
+  };
+  index(folder);
+}
+
+/**
+ * Get a cached folder (with its subtree) if it hasn't expired
+ * @param {string} projectId - Jira project ID
+ * @param {string} path - Folder path
+ * @returns {Object|null}
+ */
+export function getCachedFolder(projectId, path) {
+  const entry = cache.get(projectId)?.get(path);
+  if (!entry) return null;
+  if (Date.now() - entry.cachedAt > FOLDER_CACHE_TTL_MS) {
+    cache.get(projectId).delete(path);
+    return null;
+  }
+  return entry.folder;
+}
+
+/**
+ * Forget cached folders for a project, or for every project
+ * @param {string} projectId - Jira project ID (omit to clear everything)
+ */
+export function invalidateFolderCache(projectId) {
+  if (projectId === undefined) {
+    cache.clear();
+  } else {
+    cache.delete(projectId);
+  }
+}
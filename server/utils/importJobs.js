@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+/**
+ * In-memory queue for background import jobs.
+ *
+ * Jobs run one at a time so concurrent bulk imports don't compete for the
+ * Xray rate limit. Each state change is emitted as a 'job:<id>' event for
+ * SSE subscribers. Jobs live only as long as the server process.
+ */
+
+// Finished jobs kept for clients that reconnect after a reload
+const MAX_FINISHED_JOBS = 50;
+
+export const JOB_PHASES = ['queued', 'authenticating', 'submitted', 'working', 'linking', 'done', 'failed'];
+
+const jobs = new Map();
+const queue = [];
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+let running = false;
+
+/**
+ * Check whether a job has reached a final phase
+ */
+export function isImportJobFinished(job) {
+  return job.phase === 'done' || job.phase === 'failed';
+}
+
+// Drop the oldest finished jobs beyond the retention limit
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(isImportJobFinished);
+  const excess = finished.length - MAX_FINISHED_JOBS;
+  for (let i = 0; i < excess; i++) {
+    jobs.delete(finished[i].id);
+  }
+}
+
+function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  emitter.emit(`job:${job.id}`, getJobSnapshot(job));
+}
+
+async function processQueue() {
+  if (running) return;
+  running = true;
+
+  while (queue.length > 0) {
+    const { job, handler } = queue.shift();
+    updateJob(job, { phase: 'authenticating', message: 'Starting import' });
+
+    try {
+      const result = await handler((progress) => updateJob(job, progress));
+      if (result?.success === false) {
+        updateJob(job, { phase: 'failed', message: result.error || 'Import failed', error: result.error, result });
+      } else {
+        updateJob(job, { phase: 'done', message: 'Import complete', result });
+      }
+    } catch (error) {
+      updateJob(job, { phase: 'failed', message: error.message, error: error.message });
+    }
+
+    pruneFinishedJobs();
+  }
+
+  running = false;
+}
+
+function getJobSnapshot(job) {
+  return { ...job };
+}
+
+/**
+ * Queue a new import job
+ * @param {Object} payload - Job data exposed to clients (e.g. {draftIds, projectKey})
+ * @param {Function} handler - async (report) => result; report({phase, message, ...}) publishes progress
+ * @returns {Object} Snapshot of the queued job
+ */
+export function createImportJob(payload, handler) {
+  const now = Date.now();
+  const job = {
+    ...payload,
+    id: randomUUID(),
+    phase: 'queued',
+    message: 'Waiting in queue',
+    result: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  jobs.set(job.id, job);
+  queue.push({ job, handler });
+
+  // Snapshot before the queue starts it, so callers see the queued state
+  const snapshot = getJobSnapshot(job);
+  processQueue();
+  return snapshot;
+}
+
+/**
+ * Get a job snapshot by id
+ */
+export function getImportJob(id) {
+  const job = jobs.get(id);
+  return job ? getJobSnapshot(job) : null;
+}
+
+/**
+ * List jobs, newest first
+ */
+export function listImportJobs() {
+  return [...jobs.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(getJobSnapshot);
+}
+
+/**
+ * Subscribe to updates of a job
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToImportJob(id, listener) {
+  emitter.on(`job:${id}`, listener);
+  return () => emitter.off(`job:${id}`, listener);
+}
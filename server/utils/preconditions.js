@@ -0,0 +1,99 @@
+import { readPrecondition, writePrecondition, withPreconditionLock } from './fileOperations.js';
+import { createPrecondition } from './xrayClient.js';
+
+/**
+ * Local preconditions are authored in RayDrop and created in Xray on demand.
+ *
+ * Drafts reference them in xrayLinking.preconditionIds as "local:<id>" so they
+ * can be selected before they exist remotely. The first import of a test that
+ * references one creates it in Xray; later imports reuse the stored issue id.
+ */
+
+export const LOCAL_PRECONDITION_PREFIX = 'local:';
+export const PRECONDITION_TYPES = ['Manual', 'Cucumber', 'Generic'];
+
+export function isLocalPreconditionId(id) {
+  return typeof id === 'string' && id.startsWith(LOCAL_PRECONDITION_PREFIX);
+}
+
+/**
+ * Create a local precondition in Xray and mark it imported. Imports of the
+ * same precondition take turns; one that finds it already created reuses it.
+ * @param {Object} precondition - Local precondition
+ * @returns {Promise<{precondition: Object, warnings: Array<string>}>} Updated precondition
+ */
+export function importPrecondition(precondition) {
+  return withPreconditionLock(precondition.id, async () => {
+    const current = readPrecondition(precondition.id);
+    if (!current) {
+      throw new Error(`Precondition "${precondition.summary}" no longer exists`);
+    }
+    if (current.xrayIssueId) {
+      return { precondition: current, warnings: [] };
+    }
+
+    const created = await createPrecondition(current.projectKey, current);
+    const now = Date.now();
+    const updated = {
+      ...current,
+      status: 'imported',
+      xrayIssueId: created.issueId,
+      xrayKey: created.key,
+      importedAt: now,
+      updatedAt: now,
+    };
+    writePrecondition(current.id, updated);
+    return { precondition: updated, warnings: created.warnings };
+  });
+}
+
+// Xray issue id for one local precondition, creating it if allowed. The
+// check here only skips the lock; importPrecondition checks again under it.
+async function resolveLocalPrecondition(id, create) {
+  const precondition = readPrecondition(id.slice(LOCAL_PRECONDITION_PREFIX.length));
+  if (!precondition) {
+    return { warning: `Local precondition ${id} no longer exists` };
+  }
+  if (precondition.xrayIssueId) {
+    return { issueId: precondition.xrayIssueId };
+  }
+  if (!create) {
+    return {};
+  }
+
+  try {
+    const { precondition: imported } = await importPrecondition(precondition);
+    return { issueId: imported.xrayIssueId };
+  } catch (error) {
+    return { warning: `Precondition "${precondition.summary}" could not be created: ${error.message}` };
+  }
+}
+
+/**
+ * Map precondition ids to Xray issue ids. Remote ids pass through; local ids
+ * are created in Xray first unless create is false (e.g. when removing links).
+ * @param {Array<string>} ids - Precondition ids from xrayLinking
+ * @param {Object} options
+ * @param {boolean} options.create - Create local preconditions that aren't in Xray yet (default: true)
+ * @param {Map} options.cache - Shares creations across the tests of one import
+ * @returns {Promise<{issueIds: Array<string>, warnings: Array<string>}>}
+ */
+export async function resolvePreconditionIds(ids = [], { create = true, cache = new Map() } = {}) {
+  const issueIds = [];
+  const warnings = [];
+
+  for (const id of ids) {
+    if (!isLocalPreconditionId(id)) {
+      issueIds.push(id);
+      continue;
+    }
+    if (!cache.has(id)) {
+      cache.set(id, resolveLocalPrecondition(id, create));
+    }
+    const { issueId, warning } = await cache.get(id);
+    if (issueId && !issueIds.includes(issueId)) issueIds.push(issueId);
+    if (warning) warnings.push(warning);
+  }
+
+  return { issueIds, warnings };
+}
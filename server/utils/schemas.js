@@ -0,0 +1,391 @@
+/**
+ * JSON Schemas of the documents stored on disk, and their validators.
+ *
+ * The schemas are written as OpenAPI components (nullable, example,
+ * $ref: '#/components/schemas/...') so server/swagger.js publishes them as is,
+ * and Ajv compiles the very same objects to validate writes.
+ */
+
+import Ajv from 'ajv';
+
+const displaysSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      display: { type: 'string', example: 'PROJ-10: Sprint 1 regression' },
+    },
+    required: ['id'],
+  },
+};
+
+export const schemas = {
+  Step: {
+    type: 'object',
+    properties: {
+      action: {
+        type: 'string',
+        example: 'Click login button',
+      },
+      data: {
+        type: 'string',
+        example: 'username: admin',
+      },
+      result: {
+        type: 'string',
+        example: 'Login form appears',
+      },
+      sharedStepsId: {
+        type: 'string',
+        description: 'Links a shared steps library entry instead of carrying action and result (drafts only)',
+        example: 'shs-1705700000000-abc123def',
+      },
+    },
+    additionalProperties: false,
+  },
+  XrayLinking: {
+    type: 'object',
+    description: 'Xray entities a draft is linked to once imported',
+    properties: {
+      testPlanIds: { type: 'array', items: { type: 'string' } },
+      testPlanDisplays: displaysSchema,
+      testExecutionIds: { type: 'array', items: { type: 'string' } },
+      testExecutionDisplays: displaysSchema,
+      testSetIds: { type: 'array', items: { type: 'string' } },
+      testSetDisplays: displaysSchema,
+      preconditionIds: { type: 'array', items: { type: 'string' } },
+      preconditionDisplays: displaysSchema,
+      folderPath: {
+        type: 'string',
+        example: '/Auth/Login',
+      },
+      projectId: {
+        type: 'string',
+        nullable: true,
+        example: '10000',
+      },
+    },
+    additionalProperties: false,
+  },
+  Draft: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        example: 'uuid-123',
+      },
+      projectKey: {
+        type: 'string',
+        nullable: true,
+        description: 'Defaults to the active project',
+        example: 'PROJ',
+      },
+      summary: {
+        type: 'string',
+        example: 'User Management | UI | Verify login',
+      },
+      description: {
+        type: 'string',
+        example: 'Test case description',
+      },
+      testType: {
+        type: 'string',
+        enum: ['Manual', 'Cucumber', 'Generic'],
+        example: 'Manual',
+      },
+      priority: {
+        type: 'string',
+        description: 'Jira priority name, from the project priority list',
+        example: 'Medium',
+      },
+      labels: {
+        type: 'array',
+        items: { type: 'string' },
+        example: ['smoke', 'regression'],
+      },
+      collectionId: {
+        type: 'string',
+        nullable: true,
+        example: 'col-123',
+      },
+      steps: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/Step' },
+      },
+      gherkin: {
+        type: 'string',
+        description: 'Gherkin scenario (Cucumber tests only)',
+        example: 'Scenario: Login\n  Given I am on the login page\n  When I sign in\n  Then I see the dashboard',
+      },
+      definition: {
+        type: 'string',
+        description: 'Unstructured definition (Generic tests only)',
+        example: 'com.example.tests.LoginTest',
+      },
+      dataset: {
+        type: 'object',
+        nullable: true,
+        description: 'Parameters used as ${name} in the steps and one row of values per iteration (Manual tests only)',
+        properties: {
+          parameters: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['username', 'role'],
+          },
+          rows: {
+            type: 'array',
+            items: {
+              type: 'array',
+              items: { type: 'string' },
+            },
+            example: [['alice', 'admin'], ['bob', 'viewer']],
+          },
+        },
+        required: ['parameters', 'rows'],
+        additionalProperties: false,
+      },
+      customFields: {
+        type: 'object',
+        description: 'Values for the project Jira field definitions, keyed by field key',
+        additionalProperties: true,
+        example: { components: ['Backend'], customfield_10010: '5' },
+      },
+      xrayLinking: {
+        $ref: '#/components/schemas/XrayLinking',
+      },
+      status: {
+        type: 'string',
+        description: 'draft or imported; the server stores any other value as draft',
+        example: 'draft',
+      },
+      isComplete: {
+        type: 'boolean',
+        description: 'Computed by the server',
+        example: true,
+      },
+      testIssueId: {
+        type: 'string',
+        description: 'Set once the draft has been imported',
+      },
+      testKey: {
+        type: 'string',
+        example: 'PROJ-7',
+      },
+      createdAt: {
+        type: 'integer',
+        example: 1705700000000,
+      },
+      updatedAt: {
+        type: 'integer',
+        example: 1705700000000,
+      },
+      importedAt: {
+        type: 'integer',
+        example: 1705700000000,
+      },
+      syncedAt: {
+        type: 'integer',
+        description: 'Last time the imported test was updated in Xray',
+        example: 1705700000000,
+      },
+      schemaVersion: {
+        type: 'integer',
+        description: 'Set by the server; older drafts are upgraded when read',
+        example: 2,
+      },
+      revision: {
+        type: 'integer',
+        description: 'Set by the server and raised on every write; served as the ETag',
+        example: 3,
+      },
+    },
+    additionalProperties: false,
+  },
+  Collection: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        example: 'col-123',
+      },
+      name: {
+        type: 'string',
+        example: 'Sprint 1',
+      },
+      color: {
+        type: 'string',
+        example: '#6366f1',
+      },
+    },
+    required: ['id', 'name', 'color'],
+    additionalProperties: false,
+  },
+  SharedSteps: {
+    type: 'object',
+    properties: {
+      id: {
+        type: 'string',
+        example: 'shs-1705700000000-abc123def',
+      },
+      name: {
+        type: 'string',
+        example: 'Log in as admin',
+      },
+      steps: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/Step' },
+      },
+      callTestKey: {
+        type: 'string',
+        description: 'Xray test holding these steps; when set, linked blocks are imported as a call to it',
+        example: 'PROJ-12',
+      },
+      updatedAt: {
+        type: 'integer',
+        example: 1705700000000,
+      },
+    },
+    required: ['name', 'steps'],
+    additionalProperties: false,
+  },
+  FieldDefinition: {
+    type: 'object',
+    description: 'Jira field offered on the test case form',
+    properties: {
+      key: {
+        type: 'string',
+        example: 'customfield_10010',
+      },
+      label: {
+        type: 'string',
+        example: 'Story points',
+      },
+      type: {
+        type: 'string',
+        enum: ['components', 'fixVersions', 'assignee', 'text', 'number', 'select', 'multiselect'],
+      },
+      options: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Choices of select and multiselect fields',
+      },
+    },
+    required: ['key', 'type'],
+    additionalProperties: false,
+  },
+  ProjectSettings: {
+    type: 'object',
+    properties: {
+      color: {
+        type: 'string',
+        example: '#a5c7e9',
+      },
+      functionalAreas: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      labels: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      collections: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/Collection' },
+      },
+      priorities: {
+        type: 'array',
+        items: { type: 'string' },
+        example: ['Highest', 'High', 'Medium', 'Low', 'Lowest'],
+      },
+      customFields: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/FieldDefinition' },
+      },
+      importChunkSize: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 1000,
+        description: 'Drafts sent to Xray per bulk import request',
+      },
+      sharedSteps: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/SharedSteps' },
+      },
+    },
+    additionalProperties: false,
+  },
+  Settings: {
+    type: 'object',
+    properties: {
+      projects: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      hiddenProjects: {
+        type: 'array',
+        items: { type: 'string' },
+      },
+      activeProject: {
+        type: 'string',
+        nullable: true,
+        example: 'PROJ',
+      },
+      projectSettings: {
+        type: 'object',
+        additionalProperties: { $ref: '#/components/schemas/ProjectSettings' },
+      },
+      functionalAreas: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Used when no project is active',
+      },
+      labels: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Used when no project is active',
+      },
+      collections: {
+        type: 'array',
+        items: { $ref: '#/components/schemas/Collection' },
+        description: 'Used when no project is active',
+      },
+    },
+    additionalProperties: false,
+  },
+};
+
+const ajv = new Ajv({ allErrors: true });
+ajv.addKeyword('example');
+// Lets the schemas resolve their OpenAPI-style $refs
+ajv.addKeyword('components');
+ajv.addSchema({ $id: 'raydrop', components: { schemas } });
+
+// Turn an Ajv error into "<path> <problem>", with the path below `root`
+function formatError(error, root) {
+  const path = `${root}${error.instancePath}`;
+  switch (error.keyword) {
+    case 'required':
+      return `${path}/${error.params.missingProperty} is required`;
+    case 'additionalProperties':
+      return `${path}/${error.params.additionalProperty} is not an allowed property`;
+    case 'enum':
+      return `${path || '/'} must be one of ${error.params.allowedValues.join(', ')}`;
+    default:
+      return `${path || '/'} ${error.message}`;
+  }
+}
+
+/**
+ * Validate a value against one of the schemas
+ * @param {string} name - Schema name, e.g. 'Draft', or a pointer into one,
+ *   e.g. 'ProjectSettings/properties/labels'
+ * @param {*} value
+ * @param {string} root - Path of the value in the request body, e.g. '/draft'
+ * @returns {string[]} Failing paths with their problem, empty when valid
+ */
+export function validate(name, value, root = '') {
+  const check = ajv.getSchema(`raydrop#/components/schemas/${name}`);
+  if (check(value)) return [];
+  return check.errors.map((error) => formatError(error, root));
+}
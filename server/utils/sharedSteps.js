@@ -0,0 +1,90 @@
+/**
+ * Shared steps library of a project.
+ *
+ * Library entries live in the project settings next to collections:
+ *   { id, name, steps: [{action, data, result}], callTestKey }
+ * A draft links an entry with a step of the form { sharedStepsId }, so an
+ * update to the entry applies to every draft that has not been imported yet.
+ * At import the link becomes the entry's steps, or a single "call test" step
+ * when the entry names an Xray test (callTestKey) that holds those steps.
+ */
+
+import { getProjectSettings } from './fileOperations.js';
+
+/**
+ * Shared steps library of a project
+ * @param {string} projectKey
+ * @returns {Array<Object>}
+ */
+export function getSharedSteps(projectKey) {
+  return getProjectSettings(projectKey).sharedSteps || [];
+}
+
+/**
+ * Whether a draft step links a shared steps entry
+ */
+export function isSharedStepsLink(step) {
+  return Boolean(step?.sharedStepsId);
+}
+
+/**
+ * Check the name and steps of a library entry
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSharedSteps({ name, steps, callTestKey } = {}) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    return 'At least one step is required';
+  }
+  const incomplete = steps.findIndex((step) => !step?.action?.trim() || !step?.result?.trim());
+  if (incomplete !== -1) {
+    return `Step ${incomplete + 1} needs an action and an expected result`;
+  }
+  if (callTestKey !== undefined && typeof callTestKey !== 'string') {
+    return 'Call test key must be a string';
+  }
+  return null;
+}
+
+function findEntry(library, id) {
+  const entry = library.find((item) => item.id === id);
+  if (!entry) {
+    throw new Error(`Shared steps ${id} no longer exist in the project library`);
+  }
+  return entry;
+}
+
+function toPlainStep(step) {
+  return { action: step.action || '', data: step.data || '', result: step.result || '' };
+}
+
+/**
+ * Replace linked blocks with the steps of their library entry
+ * @param {Array<Object>} steps - Draft steps, plain or { sharedStepsId }
+ * @param {Array<Object>} library - Shared steps of the draft's project
+ * @returns {Array<{action, data, result}>}
+ */
+export function expandSharedSteps(steps = [], library = []) {
+  return steps.flatMap((step) => (
+    isSharedStepsLink(step) ? findEntry(library, step.sharedStepsId).steps.map(toPlainStep) : [toPlainStep(step)]
+  ));
+}
+
+/**
+ * Steps in the Xray bulk import format: linked blocks become a call to
+ * their Xray test when the entry has one, and are expanded otherwise
+ * @param {Array<Object>} steps - Draft steps, plain or { sharedStepsId }
+ * @param {Array<Object>} library - Shared steps of the draft's project
+ * @returns {Array<Object>}
+ */
+export function toXraySteps(steps = [], library = []) {
+  return steps.flatMap((step) => {
+    if (!isSharedStepsLink(step)) return [toPlainStep(step)];
+    const entry = findEntry(library, step.sharedStepsId);
+    return entry.callTestKey?.trim()
+      ? [{ callTestKey: entry.callTestKey.trim() }]
+      : entry.steps.map(toPlainStep);
+  });
+}
@@ -1,14 +1,40 @@
 import axios from 'axios';
 import { readConfig, writeConfig } from './fileOperations.js';
+import { cacheFolderSubtree, getCachedFolder, invalidateFolderCache } from './folderCache.js';
+import { toDatasetCsv } from './datasets.js';
+import { toXraySteps } from './sharedSteps.js';
 
-const XRAY_AUTH_URL = 'https://xray.cloud.getxray.app/api/v2/authenticate';
-const XRAY_IMPORT_URL = 'https://xray.cloud.getxray.app/api/v1/import/test/bulk';
-const XRAY_JOB_STATUS_URL = 'https://xray.cloud.getxray.app/api/v1/import/test/bulk';
-const XRAY_GRAPHQL_URL = 'https://xray.cloud.getxray.app/api/v2/graphql';
+export const DEFAULT_XRAY_BASE_URL = 'https://xray.cloud.getxray.app';
+
+const XRAY_AUTH_PATH = '/api/v2/authenticate';
+const XRAY_IMPORT_PATH = '/api/v1/import/test/bulk';
+const XRAY_JOB_STATUS_PATH = '/api/v1/import/test/bulk';
+const XRAY_GRAPHQL_PATH = '/api/v2/graphql';
+const XRAY_EXECUTION_IMPORT_PATH = '/api/v2/import/execution';
+const XRAY_DATASET_IMPORT_PATH = '/api/v2/dataset/import';
 
 const TOKEN_EXPIRY_HOURS = 24;
 const TOKEN_REFRESH_BUFFER_MINUTES = 30;
 
+// Retry policy for transient Xray failures
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+// Xray returns at most 100 results per GraphQL list query
+const ENTITY_PAGE_SIZE = 100;
+
+/**
+ * Build an Xray API URL from the configured base URL (regional host or local mock)
+ * @param {Object} config - App config or credentials, optionally with xrayBaseUrl
+ * @param {string} path - API path
+ */
+function getXrayUrl(config, path) {
+  const baseUrl = (config?.xrayBaseUrl || DEFAULT_XRAY_BASE_URL).replace(/\/+$/, '');
+  return `${baseUrl}${path}`;
+}
+
 /**
  * Check if a stored token is still valid
  */
@@ -21,26 +47,104 @@ function isTokenValid(tokenData) {
   return tokenAge < maxAge;
 }
 
+/**
+ * Decide whether a failed request may be sent again.
+ * 429 means Xray rejected the request unprocessed, so it is always safe to
+ * repeat; 5xx and timeouts are only retried for idempotent calls.
+ */
+function isRetryable(error, idempotent) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  if (!idempotent) return false;
+  if (status) return status >= 500;
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Delay before the next attempt: Retry-After when Xray sends it, otherwise exponential backoff
+ */
+function getRetryDelay(error, attempt) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delayMs)) {
+      return Math.min(Math.max(delayMs, 0), MAX_RETRY_DELAY_MS);
+    }
+  }
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Send a request to Xray, retrying transient failures.
+ * @param {Object} request - {method: 'get'|'post', url, data, timeout, contentType}
+ * @param {Object} options
+ * @param {Object} options.config - App config; when set the request is authenticated and a 401 refreshes the token once
+ * @param {boolean} options.idempotent - Whether 5xx/timeouts may be retried (default: true)
+ * @param {Object} options.stats - Optional {retries, onRetry}; retries is incremented and onRetry({retries, status, delayMs}) called per retry
+ * @returns {Promise<Object>} axios response
+ */
+async function xrayRequest(request, { config = null, idempotent = true, stats = null } = {}) {
+  let tokenRefreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    const headers = { 'Content-Type': request.contentType || 'application/json' };
+    if (config) {
+      headers.Authorization = `Bearer ${await getToken(config, stats)}`;
+    }
+    const options = { headers, timeout: request.timeout || 30000 };
+
+    try {
+      return request.method === 'get'
+        ? await axios.get(request.url, options)
+        : await axios.post(request.url, request.data, options);
+    } catch (error) {
+      const status = error.response?.status;
+      let delayMs = 0;
+
+      if (config && status === 401 && !tokenRefreshed) {
+        // Cached token was revoked or expired early: authenticate again once
+        tokenRefreshed = true;
+        config.tokenData = null;
+      } else if (attempt < MAX_RETRIES && isRetryable(error, idempotent)) {
+        delayMs = getRetryDelay(error, attempt);
+      } else {
+        throw error;
+      }
+
+      if (stats) {
+        stats.retries = (stats.retries || 0) + 1;
+        stats.onRetry?.({ retries: stats.retries, status: status || error.code, delayMs });
+      }
+      if (delayMs > 0) {
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+}
+
 /**
  * Get authentication token (cached or fresh)
+ * @param {Object} config - App config; the fresh token is cached in it
+ * @param {Object} stats - Optional retry stats (see xrayRequest)
  */
-async function getToken(config) {
+async function getToken(config, stats = null) {
   // Check for cached valid token
   if (config.tokenData && isTokenValid(config.tokenData)) {
     return config.tokenData.token;
   }
 
   // Request fresh token
-  const response = await axios.post(
-    XRAY_AUTH_URL,
+  const response = await xrayRequest(
     {
-      client_id: config.xrayClientId,
-      client_secret: config.xrayClientSecret,
+      method: 'post',
+      url: getXrayUrl(config, XRAY_AUTH_PATH),
+      data: {
+        client_id: config.xrayClientId,
+        client_secret: config.xrayClientSecret,
+      },
     },
-    {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 30000,
-    }
+    { stats }
   );
 
   const token = response.data;
@@ -51,49 +155,160 @@ async function getToken(config) {
     timestamp: Date.now(),
     expiresAt: new Date(Date.now() + TOKEN_EXPIRY_HOURS * 60 * 60 * 1000).toISOString(),
   };
-  writeConfig(config);
+  // The config may have been saved while the token was requested: store only the
+  // token, and only if it was issued for the credentials stored now
+  const stored = readConfig();
+  if (stored
+    && stored.xrayClientId === config.xrayClientId
+    && stored.xrayClientSecret === config.xrayClientSecret
+    && stored.xrayBaseUrl === config.xrayBaseUrl) {
+    writeConfig({ ...stored, tokenData: config.tokenData });
+  }
 
   return token;
 }
 
+/**
+ * Convert a stored custom field value to the shape Jira expects for its type.
+ * List types are stored as arrays of names/values; returns undefined when empty
+ * so the field is left out of the payload.
+ */
+function toJiraFieldValue(type, value) {
+  if (Array.isArray(value)) {
+    const items = value.map((v) => String(v).trim()).filter(Boolean);
+    if (items.length === 0) return undefined;
+    if (type === 'multiselect') return items.map((v) => ({ value: v }));
+    return items.map((name) => ({ name }));
+  }
+
+  const text = typeof value === 'string' ? value.trim() : value;
+  if (text === undefined || text === null || text === '') return undefined;
+
+  switch (type) {
+    case 'assignee':
+      return { accountId: text };
+    case 'number':
+      return Number(text);
+    case 'select':
+      return { value: text };
+    default:
+      return text;
+  }
+}
+
+// Whether a stored value is one a Jira number field accepts
+function isNumberValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  return typeof value === 'string' && Number.isFinite(Number(value.trim()));
+}
+
+/**
+ * Check a test case's custom field values against the project's field definitions
+ * @param {Object} values - Field values keyed by Jira field key
+ * @param {Array} definitions - [{key, label, type}] from project settings
+ * @returns {Array<string>} Field errors (empty when valid)
+ */
+export function getCustomFieldErrors(values, definitions) {
+  if (!values || !Array.isArray(definitions)) return [];
+
+  return definitions
+    .filter((definition) => {
+      const value = values[definition.key];
+      const text = typeof value === 'string' ? value.trim() : value;
+      if (text === undefined || text === null || text === '') return false;
+      return definition.type === 'number' && !isNumberValue(value);
+    })
+    .map((definition) => `${definition.label || definition.key} must be a number`);
+}
+
+/**
+ * Build extra Jira fields from a project's field definitions and a test case's values
+ * @param {Object} values - Field values keyed by Jira field key
+ * @param {Array} definitions - [{key, label, type}] from project settings
+ * @returns {Object} Jira fields to merge into the issue payload
+ * @throws {Error} When a value doesn't fit its field (see getCustomFieldErrors)
+ */
+export function toJiraFields(values, definitions) {
+  const fields = {};
+  if (!values || !Array.isArray(definitions)) return fields;
+
+  // Jira would clear the field rather than reject the value
+  const errors = getCustomFieldErrors(values, definitions);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+
+  for (const definition of definitions) {
+    const value = toJiraFieldValue(definition.type, values[definition.key]);
+    if (value !== undefined) {
+      fields[definition.key] = value;
+    }
+  }
+  return fields;
+}
+
 /**
  * Convert test cases to Xray bulk import format
  */
 function toBulkImportFormat(testCases, projectKey) {
-  return testCases.map((tc) => ({
-    testtype: tc.testType || 'Manual',
-    fields: {
-      summary: tc.summary,
-      project: { key: projectKey },
-      description: tc.description || '',
-      labels: tc.labels || [],
-    },
-    steps: (tc.steps || []).map((step) => ({
-      action: step.action || '',
-      data: step.data || '',
-      result: step.result || '',
-    })),
-  }));
+  return testCases.map((tc) => {
+    const testType = tc.testType || 'Manual';
+    const test = {
+      testtype: testType,
+      fields: {
+        summary: tc.summary,
+        project: { key: projectKey },
+        description: tc.description || '',
+        labels: tc.labels || [],
+      },
+    };
+
+    // Existing tests are updated in place by issue key
+    if (tc.updateKey) {
+      test.update_key = tc.updateKey;
+    }
+
+    // Only send priority when set, so Jira applies its default otherwise
+    if (tc.priority) {
+      test.fields.priority = { name: tc.priority };
+    }
+
+    // Project-specific fields (components, fix versions, assignee, customfield_*)
+    Object.assign(test.fields, toJiraFields(tc.customFields, tc.fieldDefinitions));
+
+    // Cucumber tests carry a Gherkin definition instead of steps
+    if (testType === 'Cucumber') {
+      test.gherkin_def = tc.gherkin || '';
+      return test;
+    }
+
+    // Generic tests carry an unstructured definition (e.g. a test class path)
+    if (testType === 'Generic') {
+      test.unstructured_def = tc.definition || '';
+      return test;
+    }
+
+    // Linked shared steps are expanded, or called when they live in an Xray test
+    test.steps = toXraySteps(tc.steps, tc.sharedSteps);
+    return test;
+  });
 }
 
 /**
  * Validate Xray credentials by attempting to authenticate
- * @param {Object} credentials - {xrayClientId, xrayClientSecret}
+ * @param {Object} credentials - {xrayClientId, xrayClientSecret, xrayBaseUrl?}
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 export async function validateCredentials(credentials) {
   try {
-    const response = await axios.post(
-      XRAY_AUTH_URL,
-      {
+    const response = await xrayRequest({
+      method: 'post',
+      url: getXrayUrl(credentials, XRAY_AUTH_PATH),
+      data: {
         client_id: credentials.xrayClientId,
         client_secret: credentials.xrayClientSecret,
       },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000,
-      }
-    );
+    });
 
     // If we got a token, credentials are valid
     if (response.data) {
@@ -114,9 +329,16 @@ export async function validateCredentials(credentials) {
  * Import test cases to Xray Cloud
  * @param {Array} testCases - Array of test case objects with projectKey
  * @param {string} projectKey - Project key to import to (optional, uses first test case's projectKey or config default)
- * @returns {Promise<{success: boolean, jobId?: string, error?: string}>}
+ * @param {Object} stats - Optional retry stats (see xrayRequest)
+ * @returns {Promise<{success: boolean, jobId?: string, error?: string, retries: number}>}
  */
-export async function importToXray(testCases, projectKey = null) {
+export async function importToXray(testCases, projectKey = null, stats = { retries: 0 }) {
+  const result = await submitImport(testCases, projectKey, stats);
+  return { ...result, retries: stats.retries || 0 };
+}
+
+// Authenticate and submit the bulk import request
+async function submitImport(testCases, projectKey, stats) {
   try {
     const config = readConfig();
     if (!config) {
@@ -124,9 +346,8 @@ export async function importToXray(testCases, projectKey = null) {
     }
 
     // Get authentication token
-    let token;
     try {
-      token = await getToken(config);
+      await getToken(config, stats);
     } catch (authError) {
       const errorMsg = authError.response?.data?.error || authError.message;
       if (errorMsg?.includes('Invalid client credentials')) {
@@ -144,14 +365,11 @@ export async function importToXray(testCases, projectKey = null) {
     // Convert to Xray format
     const payload = toBulkImportFormat(testCases, targetProject);
 
-    // Make import request
-    const response = await axios.post(XRAY_IMPORT_URL, payload, {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-      timeout: 60000,
-    });
+    // Make import request; not idempotent, so only rate-limited attempts are repeated
+    const response = await xrayRequest(
+      { method: 'post', url: getXrayUrl(config, XRAY_IMPORT_PATH), data: payload, timeout: 60000 },
+      { config, idempotent: false, stats }
+    );
 
     if (response.data?.jobId) {
       return {
@@ -179,25 +397,27 @@ export async function importToXray(testCases, projectKey = null) {
  * @param {string} jobId - The job ID from the bulk import
  * @param {number} maxAttempts - Maximum polling attempts (default: 30)
  * @param {number} intervalMs - Polling interval in ms (default: 2000)
- * @returns {Promise<{success: boolean, testIssueIds?: string[], error?: string}>}
+ * @param {Function} onProgress - Optional callback, called with {phase: 'working', xrayStatus, attempt} while the job runs
+ * @param {Object} stats - Optional retry stats (see xrayRequest)
+ * @returns {Promise<{success: boolean, testIssueIds?: string[], error?: string, retries: number}>}
  */
-export async function getJobStatus(jobId, maxAttempts = 30, intervalMs = 2000) {
+export async function getJobStatus(jobId, maxAttempts = 30, intervalMs = 2000, onProgress = null, stats = { retries: 0 }) {
+  const result = await pollJobStatus(jobId, maxAttempts, intervalMs, onProgress, stats);
+  return { ...result, retries: stats.retries || 0 };
+}
+
+async function pollJobStatus(jobId, maxAttempts, intervalMs, onProgress, stats) {
   const config = readConfig();
   if (!config) {
     return { success: false, error: 'Config not found' };
   }
 
-  const token = await getToken(config);
-
   for (let attempt = 0; attempt < maxAttempts; attempt++) {
     try {
-      const response = await axios.get(`${XRAY_JOB_STATUS_URL}/${jobId}/status`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000,
-      });
+      const response = await xrayRequest(
+        { method: 'get', url: getXrayUrl(config, `${XRAY_JOB_STATUS_PATH}/${jobId}/status`) },
+        { config, stats }
+      );
 
       const { status, result } = response.data;
 
@@ -231,6 +451,7 @@ export async function getJobStatus(jobId, maxAttempts = 30, intervalMs = 2000) {
       }
 
       // Status is 'working' or 'pending', wait and retry
+      onProgress?.({ phase: 'working', xrayStatus: status, attempt: attempt + 1 });
       await new Promise((resolve) => setTimeout(resolve, intervalMs));
     } catch (error) {
       return {
@@ -250,23 +471,39 @@ export async function getJobStatus(jobId, maxAttempts = 30, intervalMs = 2000) {
  * Import test cases and wait for completion
  * @param {Array} testCases - Array of test case objects
  * @param {string} projectKey - Project key to import to (optional)
- * @returns {Promise<{success: boolean, testIssueIds?: string[], error?: string}>}
+ * @param {Function} onProgress - Optional callback receiving phase updates
+ *   ('authenticating', 'submitted', 'working'); retried requests report the
+ *   current phase again with {retrying: true, retries, retryStatus, delayMs}
+ * @returns {Promise<{success: boolean, testIssueIds?: string[], error?: string, retries: number}>}
  */
-export async function importToXrayAndWait(testCases, projectKey = null) {
-  const importResult = await importToXray(testCases, projectKey);
+export async function importToXrayAndWait(testCases, projectKey = null, onProgress = null) {
+  let phase = 'authenticating';
+  const stats = {
+    retries: 0,
+    onRetry: ({ retries, status, delayMs }) =>
+      onProgress?.({ phase, retrying: true, retries, retryStatus: status, delayMs }),
+  };
+
+  onProgress?.({ phase });
+  const importResult = await importToXray(testCases, projectKey, stats);
 
   if (!importResult.success) {
     return importResult;
   }
 
+  phase = 'submitted';
+  onProgress?.({ phase, xrayJobId: importResult.jobId });
+
   // Poll for job completion
-  const jobResult = await getJobStatus(importResult.jobId);
+  phase = 'working';
+  const jobResult = await getJobStatus(importResult.jobId, undefined, undefined, onProgress, stats);
 
   if (!jobResult.success) {
     return {
       success: false,
       jobId: importResult.jobId,
       error: jobResult.error,
+      retries: stats.retries,
     };
   }
 
@@ -275,6 +512,7 @@ export async function importToXrayAndWait(testCases, projectKey = null) {
     jobId: importResult.jobId,
     testIssueIds: jobResult.testIssueIds,
     testKeys: jobResult.testKeys,
+    retries: stats.retries,
   };
 }
 
@@ -290,18 +528,10 @@ async function executeGraphQL(query, variables = {}) {
     throw new Error('Config not found');
   }
 
-  const token = await getToken(config);
-
-  const response = await axios.post(
-    XRAY_GRAPHQL_URL,
-    { query, variables },
-    {
-      headers: {
-        Authorization: `Bearer ${token}`,
-        'Content-Type': 'application/json',
-      },
-      timeout: 30000,
-    }
+  // Queries are safe to repeat; mutations are only retried when rate-limited
+  const response = await xrayRequest(
+    { method: 'post', url: getXrayUrl(config, XRAY_GRAPHQL_PATH), data: { query, variables } },
+    { config, idempotent: !/^\s*mutation\b/.test(query) }
   );
 
   if (response.data.errors) {
@@ -311,15 +541,45 @@ async function executeGraphQL(query, variables = {}) {
   return response.data.data;
 }
 
+// Characters with special meaning in JQL text search
+const JQL_TEXT_SPECIAL_CHARS = /[+\-&|!(){}[\]^~*?\\:"'/]/g;
+const ISSUE_KEY_PATTERN = /^[A-Z][A-Z0-9_]*-\d+$/i;
+
 /**
- * Get Test Plans for a project
+ * Build the JQL for an entity list, optionally narrowed by a search term.
+ * Each word is matched as a prefix of a summary word; a term that looks like
+ * an issue key (PROJ-123) also matches that key.
  * @param {string} projectKey - Jira project key
- * @returns {Promise<Array>} - List of test plans
+ * @param {string} search - Optional search term
+ * @returns {string}
+ */
+function buildEntityJql(projectKey, search = '') {
+  const jql = `project = '${projectKey}'`;
+  const term = search?.trim() || '';
+  const words = term.replace(JQL_TEXT_SPECIAL_CHARS, ' ').split(/\s+/).filter(Boolean);
+  if (words.length === 0) return jql;
+
+  const summaryFilter = `summary ~ "${words.map((word) => `${word}*`).join(' ')}"`;
+  if (ISSUE_KEY_PATTERN.test(term)) {
+    return `${jql} AND (${summaryFilter} OR key = "${term.toUpperCase()}")`;
+  }
+  return `${jql} AND ${summaryFilter}`;
+}
+
+/**
+ * Fetch a project's Test Plans, Executions, Sets or Preconditions.
+ * Pages through start/limit until total is reached; a search only
+ * fetches the first page, since it is used for type-ahead.
+ * @param {string} operation - GraphQL query field (e.g. 'getTestPlans')
+ * @param {string} projectKey - Jira project key
+ * @param {string} search - Optional search term
+ * @returns {Promise<Array<{issueId, key, summary}>>}
  */
-export async function getTestPlans(projectKey) {
+async function getEntities(operation, projectKey, search) {
+  const operationName = operation.charAt(0).toUpperCase() + operation.slice(1);
   const query = `
-    query GetTestPlans($jql: String!, $limit: Int!) {
-      getTestPlans(jql: $jql, limit: $limit) {
+    query ${operationName}($jql: String!, $start: Int!, $limit: Int!) {
+      ${operation}(jql: $jql, start: $start, limit: $limit) {
         total
         results {
           issueId
@@ -328,107 +588,433 @@ export async function getTestPlans(projectKey) {
       }
     }
   `;
+  const jql = buildEntityJql(projectKey, search);
+  const entities = [];
+  let total = Infinity;
+
+  while (entities.length < total) {
+    const data = await executeGraphQL(query, { jql, start: entities.length, limit: ENTITY_PAGE_SIZE });
+    const page = data[operation];
+    total = page.total ?? 0;
+    if (!page.results?.length) break;
+
+    entities.push(...page.results.map((entity) => ({
+      issueId: entity.issueId,
+      key: entity.jira?.key,
+      summary: entity.jira?.summary,
+    })));
+    if (search?.trim()) break;
+  }
 
-  const data = await executeGraphQL(query, {
-    jql: `project = '${projectKey}'`,
-    limit: 100,
-  });
+  return entities;
+}
 
-  return data.getTestPlans.results.map((tp) => ({
-    issueId: tp.issueId,
-    key: tp.jira?.key,
-    summary: tp.jira?.summary,
-  }));
+/**
+ * Get Test Plans for a project
+ * @param {string} projectKey - Jira project key
+ * @param {string} search - Optional summary/key search term
+ * @returns {Promise<Array>} - List of test plans
+ */
+export async function getTestPlans(projectKey, search) {
+  return getEntities('getTestPlans', projectKey, search);
 }
 
 /**
  * Get Test Executions for a project
  * @param {string} projectKey - Jira project key
+ * @param {string} search - Optional summary/key search term
  * @returns {Promise<Array>} - List of test executions
  */
-export async function getTestExecutions(projectKey) {
+export async function getTestExecutions(projectKey, search) {
+  return getEntities('getTestExecutions', projectKey, search);
+}
+
+/**
+ * Get Test Sets for a project
+ * @param {string} projectKey - Jira project key
+ * @param {string} search - Optional summary/key search term
+ * @returns {Promise<Array>} - List of test sets
+ */
+export async function getTestSets(projectKey, search) {
+  return getEntities('getTestSets', projectKey, search);
+}
+
+/**
+ * Get Preconditions for a project
+ * @param {string} projectKey - Jira project key
+ * @param {string} search - Optional summary/key search term
+ * @returns {Promise<Array>} - List of preconditions
+ */
+export async function getPreconditions(projectKey, search) {
+  return getEntities('getPreconditions', projectKey, search);
+}
+
+/**
+ * Get the Jira issue key of a Test
+ * @param {string} testIssueId - Test issue ID
+ * @returns {Promise<string>} - Issue key (e.g. PROJ-123)
+ */
+export async function getTestKey(testIssueId) {
   const query = `
-    query GetTestExecutions($jql: String!, $limit: Int!) {
-      getTestExecutions(jql: $jql, limit: $limit) {
-        total
-        results {
-          issueId
-          jira(fields: ["key", "summary"])
-        }
+    query GetTest($issueId: String!) {
+      getTest(issueId: $issueId) {
+        issueId
+        jira(fields: ["key"])
       }
     }
   `;
 
-  const data = await executeGraphQL(query, {
-    jql: `project = '${projectKey}'`,
-    limit: 100,
-  });
+  const data = await executeGraphQL(query, { issueId: testIssueId });
+
+  if (data.getTest?.jira?.key) {
+    return data.getTest.jira.key;
+  }
+
+  throw new Error(`Test ${testIssueId} not found in Xray`);
+}
+
+/**
+ * Push changes of an already-imported test to its existing Xray issue.
+ * Uses the bulk import with update_key, which replaces fields and steps.
+ * @param {string} testIssueId - Issue ID of the existing test
+ * @param {Object} testCase - Test case object (same shape as for import)
+ * @param {string} projectKey - Project key
+ * @returns {Promise<{success: boolean, testKey?: string, error?: string}>}
+ */
+export async function updateTestInXray(testIssueId, testCase, projectKey = null) {
+  let testKey;
+  try {
+    testKey = await getTestKey(testIssueId);
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const result = await importToXrayAndWait([{ ...testCase, updateKey: testKey }], projectKey);
+
+  if (!result.success) {
+    return { success: false, jobId: result.jobId, error: result.error };
+  }
+
+  return { success: true, jobId: result.jobId, testKey };
+}
+
+// Draft test type for each kind of Xray test type. Custom test types keep
+// one of these kinds under their own name.
+const DRAFT_TEST_TYPES_BY_KIND = { Steps: 'Manual', Gherkin: 'Cucumber', Unstructured: 'Generic' };
+
+// Draft test type of a fetched test: its type when built in, else the one of
+// its kind, else the one its definition fits
+function toDraftTestType(test) {
+  const { name, kind } = test.testType || {};
+  if (Object.values(DRAFT_TEST_TYPES_BY_KIND).includes(name)) return name;
+  if (DRAFT_TEST_TYPES_BY_KIND[kind]) return DRAFT_TEST_TYPES_BY_KIND[kind];
+  if (test.steps?.length) return 'Manual';
+  if (test.gherkin) return 'Cucumber';
+  if (test.unstructured) return 'Generic';
+  return 'Manual';
+}
 
-  return data.getTestExecutions.results.map((te) => ({
-    issueId: te.issueId,
-    key: te.jira?.key,
-    summary: te.jira?.summary,
+// Map linked issues from a GraphQL connection to {issueId, key, summary}
+function toLinkedIssues(connection) {
+  return (connection?.results || []).map((issue) => ({
+    issueId: issue.issueId,
+    key: issue.jira?.key,
+    summary: issue.jira?.summary,
   }));
 }
 
 /**
- * Get Test Sets for a project
- * @param {string} projectKey - Jira project key
- * @returns {Promise<Array>} - List of test sets
+ * Get Tests matching a JQL query, including their definition and links.
+ * Pages through start/limit until total is reached. Tests of custom types
+ * get the built-in type drafts support that matches them.
+ * @param {string} jql - JQL query selecting the tests
+ * @returns {Promise<Array>} - List of tests
  */
-export async function getTestSets(projectKey) {
+export async function getTests(jql) {
   const query = `
-    query GetTestSets($jql: String!, $limit: Int!) {
-      getTestSets(jql: $jql, limit: $limit) {
+    query GetTests($jql: String!, $start: Int!, $limit: Int!) {
+      getTests(jql: $jql, start: $start, limit: $limit) {
         total
         results {
           issueId
-          jira(fields: ["key", "summary"])
+          projectId
+          testType { name kind }
+          steps { action data result }
+          gherkin
+          unstructured
+          folder { path }
+          jira(fields: ["key", "summary", "description", "labels", "priority"])
+          preconditions(limit: 100) { results { issueId jira(fields: ["key", "summary"]) } }
+          testPlans(limit: 100) { results { issueId jira(fields: ["key", "summary"]) } }
+          testSets(limit: 100) { results { issueId jira(fields: ["key", "summary"]) } }
+          testExecutions(limit: 100) { results { issueId jira(fields: ["key", "summary"]) } }
         }
       }
     }
   `;
 
-  const data = await executeGraphQL(query, {
-    jql: `project = '${projectKey}'`,
-    limit: 100,
-  });
+  const tests = [];
+  let total = Infinity;
+
+  while (tests.length < total) {
+    const data = await executeGraphQL(query, { jql, start: tests.length, limit: ENTITY_PAGE_SIZE });
+    const page = data.getTests;
+    total = page.total ?? 0;
+    if (!page.results?.length) break;
+    tests.push(...page.results);
+  }
 
-  return data.getTestSets.results.map((ts) => ({
-    issueId: ts.issueId,
-    key: ts.jira?.key,
-    summary: ts.jira?.summary,
+  return tests.map((test) => ({
+    issueId: test.issueId,
+    projectId: test.projectId,
+    key: test.jira?.key,
+    summary: test.jira?.summary || '',
+    description: typeof test.jira?.description === 'string' ? test.jira.description : '',
+    labels: test.jira?.labels || [],
+    priority: test.jira?.priority?.name || '',
+    testType: toDraftTestType(test),
+    steps: (test.steps || []).map((step) => ({
+      action: step.action || '',
+      data: step.data || '',
+      result: step.result || '',
+    })),
+    gherkin: test.gherkin || '',
+    definition: test.unstructured || '',
+    folderPath: test.folder?.path || '/',
+    preconditions: toLinkedIssues(test.preconditions),
+    testPlans: toLinkedIssues(test.testPlans),
+    testSets: toLinkedIssues(test.testSets),
+    testExecutions: toLinkedIssues(test.testExecutions),
   }));
 }
 
 /**
- * Get Preconditions for a project
- * @param {string} projectKey - Jira project key
- * @returns {Promise<Array>} - List of preconditions
+ * Import test execution results into a Test Execution
+ * @param {string} format - 'junit', 'testng' or 'xray'
+ * @param {string} content - JUnit/TestNG XML, or Xray JSON text
+ * @param {Object} options - { projectKey, testExecKey, testPlanKey, testEnvironments }
+ * @returns {Promise<{issueId, key}>} - Test Execution the results were recorded in
  */
-export async function getPreconditions(projectKey) {
+export async function importExecutionResults(format, content, { projectKey, testExecKey, testPlanKey, testEnvironments = [] } = {}) {
+  const config = readConfig();
+  if (!config) {
+    throw new Error('Config not found');
+  }
+
+  let request;
+  if (format === 'xray') {
+    const results = JSON.parse(content);
+    const info = { ...results.info };
+    if (testPlanKey) info.testPlanKey = testPlanKey;
+    if (testEnvironments.length > 0) info.testEnvironments = testEnvironments;
+    if (Object.keys(info).length > 0 && projectKey) info.project = info.project || projectKey;
+
+    request = {
+      url: getXrayUrl(config, XRAY_EXECUTION_IMPORT_PATH),
+      data: {
+        ...results,
+        ...(testExecKey && { testExecutionKey: testExecKey }),
+        ...(Object.keys(info).length > 0 && { info }),
+      },
+    };
+  } else {
+    const params = new URLSearchParams();
+    if (projectKey) params.set('projectKey', projectKey);
+    if (testExecKey) params.set('testExecKey', testExecKey);
+    if (testPlanKey) params.set('testPlanKey', testPlanKey);
+    if (testEnvironments.length > 0) params.set('testEnvironments', testEnvironments.join(';'));
+
+    request = {
+      url: `${getXrayUrl(config, `${XRAY_EXECUTION_IMPORT_PATH}/${format}`)}?${params}`,
+      data: content,
+      contentType: 'text/xml',
+    };
+  }
+
+  // Not idempotent: repeating an import would record the results twice
+  const response = await xrayRequest(
+    { method: 'post', ...request, timeout: 60000 },
+    { config, idempotent: false }
+  );
+
+  return { issueId: response.data.id, key: response.data.key };
+}
+
+/**
+ * Replace the dataset of a parameterized test
+ * @param {string} testIssueKey - Test issue key (e.g. PROJ-123)
+ * @param {{parameters: Array<string>, rows: Array<Array<string>>}} dataset - Parameters and iteration rows
+ */
+export async function importDataset(testIssueKey, dataset) {
+  const config = readConfig();
+  if (!config) {
+    throw new Error('Config not found');
+  }
+
+  // Safe to retry: the upload replaces the whole dataset
+  await xrayRequest(
+    {
+      method: 'post',
+      url: `${getXrayUrl(config, XRAY_DATASET_IMPORT_PATH)}?${new URLSearchParams({ testIssueKey })}`,
+      data: toDatasetCsv(dataset),
+      contentType: 'text/csv',
+    },
+    { config }
+  );
+}
+
+/**
+ * Get the test runs of a Test Execution
+ * @param {string} testExecutionId - Test Execution issue ID
+ * @returns {Promise<Array<{id, status, testIssueId, key, summary, definition, created}>>} - Test runs
+ */
+export async function getTestExecutionRuns(testExecutionId) {
   const query = `
-    query GetPreconditions($jql: String!, $limit: Int!) {
-      getPreconditions(jql: $jql, limit: $limit) {
-        total
-        results {
-          issueId
-          jira(fields: ["key", "summary"])
+    query GetTestExecutionRuns($issueId: String!, $start: Int!, $limit: Int!) {
+      getTestExecution(issueId: $issueId) {
+        testRuns(start: $start, limit: $limit) {
+          total
+          results {
+            id
+            status { name }
+            test {
+              issueId
+              unstructured
+              jira(fields: ["key", "summary", "created"])
+            }
+          }
         }
       }
     }
   `;
+  const runs = [];
+  let total = Infinity;
 
-  const data = await executeGraphQL(query, {
-    jql: `project = '${projectKey}'`,
-    limit: 100,
-  });
+  while (runs.length < total) {
+    const data = await executeGraphQL(query, { issueId: testExecutionId, start: runs.length, limit: ENTITY_PAGE_SIZE });
+    if (!data.getTestExecution) {
+      throw new Error(`Test Execution ${testExecutionId} not found`);
+    }
+    const page = data.getTestExecution.testRuns;
+    total = page.total ?? 0;
+    if (!page.results?.length) break;
+
+    runs.push(...page.results.map((run) => ({
+      id: run.id,
+      status: run.status?.name || 'TODO',
+      testIssueId: run.test?.issueId,
+      key: run.test?.jira?.key,
+      summary: run.test?.jira?.summary || '',
+      // Generic tests only; results files name them by it
+      definition: run.test?.unstructured || '',
+      created: run.test?.jira?.created || null,
+    })));
+  }
 
-  return data.getPreconditions.results.map((pc) => ({
-    issueId: pc.issueId,
-    key: pc.jira?.key,
-    summary: pc.jira?.summary,
-  }));
+  return runs;
+}
+
+/**
+ * Get the run of a test in a Test Execution, with its step results
+ * @param {string} testIssueId - Test issue ID
+ * @param {string} testExecutionId - Test Execution issue ID
+ * @returns {Promise<{id, status, comment, steps}>} - Test run
+ */
+export async function getTestRun(testIssueId, testExecutionId) {
+  const query = `
+    query GetTestRun($testIssueId: String!, $testExecIssueId: String!) {
+      getTestRun(testIssueId: $testIssueId, testExecIssueId: $testExecIssueId) {
+        id
+        status { name }
+        comment
+        steps {
+          id
+          status { name }
+          action
+          data
+          result
+          actualResult
+          comment
+        }
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(query, { testIssueId, testExecIssueId: testExecutionId });
+  const run = data.getTestRun;
+  if (!run) {
+    throw new Error(`Test ${testIssueId} has no run in Test Execution ${testExecutionId}`);
+  }
+
+  return {
+    id: run.id,
+    status: run.status?.name || 'TODO',
+    comment: run.comment || '',
+    steps: (run.steps || []).map((step) => ({
+      id: step.id,
+      status: step.status?.name || 'TODO',
+      action: step.action || '',
+      data: step.data || '',
+      result: step.result || '',
+      actualResult: step.actualResult || '',
+      comment: step.comment || '',
+    })),
+  };
+}
+
+/**
+ * Record the result of one step of a test run
+ * @param {string} testRunId - Test run ID
+ * @param {string} stepId - Step ID (from getTestRun)
+ * @param {Object} updateData - { status, actualResult, comment }; omitted fields are left unchanged
+ * @returns {Promise<{warnings: Array<string>}>}
+ */
+export async function updateTestRunStep(testRunId, stepId, updateData) {
+  const mutation = `
+    mutation UpdateTestRunStep($testRunId: String!, $stepId: String!, $updateData: UpdateTestRunStepInput!) {
+      updateTestRunStep(testRunId: $testRunId, stepId: $stepId, updateData: $updateData) {
+        warnings
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { testRunId, stepId, updateData });
+
+  return { warnings: data.updateTestRunStep?.warnings || [] };
+}
+
+/**
+ * Set the overall status of a test run
+ * @param {string} testRunId - Test run ID
+ * @param {string} status - e.g. PASSED, FAILED
+ */
+export async function updateTestRunStatus(testRunId, status) {
+  const mutation = `
+    mutation UpdateTestRunStatus($id: String!, $status: String!) {
+      updateTestRunStatus(id: $id, status: $status)
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { id: testRunId, status });
+
+  return data.updateTestRunStatus;
+}
+
+/**
+ * Set the comment of a test run
+ * @param {string} testRunId - Test run ID
+ * @param {string} comment - Comment text
+ */
+export async function updateTestRunComment(testRunId, comment) {
+  const mutation = `
+    mutation UpdateTestRunComment($id: String!, $comment: String!) {
+      updateTestRunComment(id: $id, comment: $comment)
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { id: testRunId, comment });
+
+  return data.updateTestRunComment;
 }
 
 /**
@@ -453,6 +1039,163 @@ export async function getFolders(projectId, path = '/') {
   return data.getFolder;
 }
 
+/**
+ * Get one level of the folder tree for lazy loading. The subtree returned by
+ * getFolder is cached, so expanding folders below it doesn't query Xray again.
+ * @param {string} projectId - Jira project ID
+ * @param {string} path - Folder path (default: root)
+ * @param {Object} options
+ * @param {boolean} options.refresh - Skip the cache and fetch from Xray
+ * @returns {Promise<{name, path, testsCount, folders: Array<{name, path, testsCount, hasChildren}>}>}
+ */
+export async function getFolderLevel(projectId, path = '/', { refresh = false } = {}) {
+  let folder = refresh ? null : getCachedFolder(projectId, path);
+  if (!folder) {
+    folder = await getFolders(projectId, path);
+    if (!folder) {
+      throw new Error(`Folder ${path} not found`);
+    }
+    cacheFolderSubtree(projectId, folder);
+  }
+
+  return {
+    name: folder.name || '',
+    path: folder.path,
+    testsCount: folder.testsCount || 0,
+    folders: (folder.folders || []).map((child) => ({
+      name: child.name,
+      path: child.path,
+      testsCount: child.testsCount || 0,
+      hasChildren: (child.folders || []).length > 0,
+    })),
+  };
+}
+
+/**
+ * Create a folder in Test Repository (its parent must exist)
+ * @param {string} projectId - Jira project ID
+ * @param {string} path - Full path of the new folder, e.g. "/Auth/Login"
+ * @returns {Promise<{folder: Object, warnings: Array<string>}>}
+ */
+export async function createFolder(projectId, path) {
+  const mutation = `
+    mutation CreateFolder($projectId: String!, $path: String!) {
+      createFolder(projectId: $projectId, path: $path) {
+        folder {
+          name
+          path
+          testsCount
+        }
+        warnings
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { projectId, path });
+  invalidateFolderCache(projectId);
+  return data.createFolder;
+}
+
+/**
+ * Rename a folder in Test Repository
+ * @param {string} projectId - Jira project ID
+ * @param {string} path - Current folder path
+ * @param {string} newName - New folder name (last path segment only)
+ * @returns {Promise<{folder: Object, warnings: Array<string>}>}
+ */
+export async function renameFolder(projectId, path, newName) {
+  const mutation = `
+    mutation RenameFolder($projectId: String!, $path: String!, $newName: String!) {
+      renameFolder(projectId: $projectId, path: $path, newName: $newName) {
+        folder {
+          name
+          path
+          testsCount
+        }
+        warnings
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { projectId, path, newName });
+  invalidateFolderCache(projectId);
+  return data.renameFolder;
+}
+
+/**
+ * Move a folder, with its tests and subfolders, under another folder
+ * @param {string} projectId - Jira project ID
+ * @param {string} path - Folder path to move
+ * @param {string} destinationPath - New parent folder path
+ * @returns {Promise<{folder: Object, warnings: Array<string>}>}
+ */
+export async function moveFolder(projectId, path, destinationPath) {
+  const mutation = `
+    mutation MoveFolder($projectId: String!, $path: String!, $destinationPath: String!) {
+      moveFolder(projectId: $projectId, path: $path, destinationPath: $destinationPath) {
+        folder {
+          name
+          path
+          testsCount
+        }
+        warnings
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { projectId, path, destinationPath });
+  invalidateFolderCache(projectId);
+  return data.moveFolder;
+}
+
+/**
+ * Delete a folder; Xray moves its tests to the parent folder
+ * @param {string} projectId - Jira project ID
+ * @param {string} path - Folder path to delete
+ */
+export async function deleteFolder(projectId, path) {
+  const mutation = `
+    mutation DeleteFolder($projectId: String!, $path: String!) {
+      deleteFolder(projectId: $projectId, path: $path)
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { projectId, path });
+  invalidateFolderCache(projectId);
+  return data.deleteFolder;
+}
+
+/**
+ * Create any folders of a path that don't exist yet, parents first.
+ * addTestsToFolder fails for paths missing from the Test Repository.
+ * @param {string} projectId - Jira project ID
+ * @param {string} path - Folder path, e.g. "/Auth/Login"
+ * @returns {Promise<Array<string>>} Paths of the folders that were created
+ */
+export async function ensureFolderPath(projectId, path) {
+  const segments = path.split('/').map((segment) => segment.trim()).filter(Boolean);
+  if (segments.length === 0) return [];
+
+  // getFolder returns the whole subtree, so one query covers every level
+  let level = (await getFolders(projectId, '/'))?.folders || [];
+  const created = [];
+  let current = '';
+
+  for (const segment of segments) {
+    current = `${current}/${segment}`;
+    const existing = level.find((folder) => folder.name === segment || folder.path === current);
+    if (existing) {
+      level = existing.folders || [];
+      continue;
+    }
+    await createFolder(projectId, current);
+    created.push(current);
+    level = [];
+  }
+
+  return created;
+}
+
 /**
  * Get project ID from project key using Xray GraphQL API
  * Uses getProjectSettings which accepts projectIdOrKey
@@ -477,6 +1220,141 @@ export async function getProjectId(projectKey) {
   throw new Error(`Could not resolve project ID for ${projectKey}`);
 }
 
+// Jira fields for creating a Test Plan, Test Set or Test Execution issue
+function toEntityJira(projectKey, { summary, description }) {
+  const fields = { summary: summary.trim(), project: { key: projectKey } };
+  if (description?.trim()) {
+    fields.description = description.trim();
+  }
+  return { fields };
+}
+
+// Map an entity returned by a create mutation to {issueId, key, summary}
+function toCreatedEntity(entity, summary) {
+  return {
+    issueId: entity.issueId,
+    key: entity.jira?.key,
+    summary: entity.jira?.summary || summary.trim(),
+  };
+}
+
+/**
+ * Create a Test Plan
+ * @param {string} projectKey - Jira project key
+ * @param {Object} details - { summary, description }
+ * @returns {Promise<{issueId, key, summary, warnings}>} - Created test plan
+ */
+export async function createTestPlan(projectKey, details) {
+  const mutation = `
+    mutation CreateTestPlan($jira: JSON!) {
+      createTestPlan(jira: $jira) {
+        testPlan {
+          issueId
+          jira(fields: ["key", "summary"])
+        }
+        warnings
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { jira: toEntityJira(projectKey, details) });
+
+  return {
+    ...toCreatedEntity(data.createTestPlan.testPlan, details.summary),
+    warnings: data.createTestPlan.warnings || [],
+  };
+}
+
+/**
+ * Create a Test Set
+ * @param {string} projectKey - Jira project key
+ * @param {Object} details - { summary, description }
+ * @returns {Promise<{issueId, key, summary, warnings}>} - Created test set
+ */
+export async function createTestSet(projectKey, details) {
+  const mutation = `
+    mutation CreateTestSet($jira: JSON!) {
+      createTestSet(jira: $jira) {
+        testSet {
+          issueId
+          jira(fields: ["key", "summary"])
+        }
+        warnings
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, { jira: toEntityJira(projectKey, details) });
+
+  return {
+    ...toCreatedEntity(data.createTestSet.testSet, details.summary),
+    warnings: data.createTestSet.warnings || [],
+  };
+}
+
+/**
+ * Create a Test Execution
+ * @param {string} projectKey - Jira project key
+ * @param {Object} details - { summary, description, testEnvironments }
+ * @returns {Promise<{issueId, key, summary, warnings, createdTestEnvironments}>} - Created test execution
+ */
+export async function createTestExecution(projectKey, details) {
+  const mutation = `
+    mutation CreateTestExecution($testEnvironments: [String], $jira: JSON!) {
+      createTestExecution(testEnvironments: $testEnvironments, jira: $jira) {
+        testExecution {
+          issueId
+          jira(fields: ["key", "summary"])
+        }
+        warnings
+        createdTestEnvironments
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, {
+    testEnvironments: details.testEnvironments || [],
+    jira: toEntityJira(projectKey, details),
+  });
+
+  return {
+    ...toCreatedEntity(data.createTestExecution.testExecution, details.summary),
+    warnings: data.createTestExecution.warnings || [],
+    createdTestEnvironments: data.createTestExecution.createdTestEnvironments || [],
+  };
+}
+
+/**
+ * Create a Precondition
+ * @param {string} projectKey - Jira project key
+ * @param {Object} details - { summary, description, preconditionType, definition }
+ * @returns {Promise<{issueId, key, summary, warnings}>} - Created precondition
+ */
+export async function createPrecondition(projectKey, details) {
+  const mutation = `
+    mutation CreatePrecondition($preconditionType: UpdatePreconditionTypeInput, $definition: String, $jira: JSON!) {
+      createPrecondition(preconditionType: $preconditionType, definition: $definition, jira: $jira) {
+        precondition {
+          issueId
+          jira(fields: ["key", "summary"])
+        }
+        warnings
+      }
+    }
+  `;
+
+  const data = await executeGraphQL(mutation, {
+    preconditionType: { name: details.preconditionType || 'Manual' },
+    definition: details.definition || '',
+    jira: toEntityJira(projectKey, details),
+  });
+
+  return {
+    ...toCreatedEntity(data.createPrecondition.precondition, details.summary),
+    warnings: data.createPrecondition.warnings || [],
+  };
+}
+
 /**
  * Add tests to a Test Plan
  * @param {string} testPlanId - Test Plan issue ID
@@ -572,6 +1450,7 @@ export async function addTestsToFolder(projectId, folderPath, testIssueIds) {
     testIssueIds,
   });
 
+  invalidateFolderCache(projectId);
   return data.addTestsToFolder;
 }
 
@@ -693,6 +1572,7 @@ export async function removeTestsFromFolder(projectId, folderPath, testIssueIds)
     testIssueIds,
   });
 
+  invalidateFolderCache(projectId);
   return data.removeTestsFromFolder;
 }
 
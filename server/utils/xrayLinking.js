@@ -0,0 +1,200 @@
+import {
+  getProjectId,
+  addTestsToTestPlan,
+  addTestsToTestExecution,
+  addTestsToTestSet,
+  addTestsToFolder,
+  ensureFolderPath,
+  addPreconditionsToTest,
+  importDataset,
+} from './xrayClient.js';
+import { isLocalPreconditionId, resolvePreconditionIds } from './preconditions.js';
+import { hasDataset } from './datasets.js';
+
+/**
+ * Apply each imported test's saved xrayLinking after a bulk import.
+ *
+ * Tests that share a target are linked with a single mutation (one
+ * addTestsToTestPlan call per plan, one addTestsToFolder call per folder).
+ * Preconditions and datasets are added per test, since they target the test;
+ * local preconditions are created in Xray once and shared by every test.
+ * Folders missing from the Test Repository are created before tests move in.
+ */
+
+// Linking targets that accept many tests per call, keyed by xrayLinking field prefix
+const ENTITY_LINKS = [
+  { type: 'testPlan', field: 'testPlan', label: 'Test Plan', link: addTestsToTestPlan },
+  { type: 'testExecution', field: 'testExecution', label: 'Test Execution', link: addTestsToTestExecution },
+  { type: 'testSet', field: 'testSet', label: 'Test Set', link: addTestsToTestSet },
+];
+
+/**
+ * Read linked ids from xrayLinking, including the legacy single-id format
+ * @param {Object} linking - Draft xrayLinking
+ * @param {string} field - Field prefix (e.g. 'testPlan')
+ * @returns {Array<string>}
+ */
+function getLinkIds(linking, field) {
+  if (linking?.[`${field}Ids`]?.length) return linking[`${field}Ids`];
+  return linking?.[`${field}Id`] ? [linking[`${field}Id`]] : [];
+}
+
+// Tests land in the repository root unless a folder is chosen
+function getFolderPath(linking) {
+  const path = linking?.folderPath?.trim();
+  return path && path !== '/' ? path : null;
+}
+
+/**
+ * Group imported tests into one linking call per target
+ * @param {Array<{testIssueId: string, testKey?: string, xrayLinking: Object, dataset?: Object}>} tests
+ * @returns {Array<{type: string, id?: string, label: string, testIssueIds: Array<string>, run?: Function}>}
+ */
+export function buildLinkBatches(tests) {
+  const batches = new Map();
+
+  function addToBatch(key, batch, testIssueId) {
+    if (!batches.has(key)) {
+      batches.set(key, { ...batch, testIssueIds: [] });
+    }
+    const existing = batches.get(key);
+    if (!existing.testIssueIds.includes(testIssueId)) {
+      existing.testIssueIds.push(testIssueId);
+    }
+  }
+
+  for (const { testIssueId, testKey, xrayLinking, dataset } of tests) {
+    if (!testIssueId) continue;
+
+    for (const entity of ENTITY_LINKS) {
+      for (const id of getLinkIds(xrayLinking, entity.field)) {
+        addToBatch(`${entity.type}:${id}`, {
+          type: entity.type,
+          id,
+          label: `${entity.label} ${id}`,
+          run: (testIssueIds) => entity.link(id, testIssueIds),
+        }, testIssueId);
+      }
+    }
+
+    const folderPath = getFolderPath(xrayLinking);
+    if (folderPath) {
+      addToBatch(`folder:${folderPath}`, {
+        type: 'folder',
+        id: folderPath,
+        label: `Folder ${folderPath}`,
+        projectId: xrayLinking.projectId || null,
+      }, testIssueId);
+    }
+
+    const preconditionIds = getLinkIds(xrayLinking, 'precondition');
+    if (preconditionIds.length > 0) {
+      addToBatch(`preconditions:${testIssueId}`, {
+        type: 'preconditions',
+        label: 'Preconditions',
+        run: () => addPreconditionsToTest(testIssueId, preconditionIds),
+      }, testIssueId);
+    }
+
+    if (testKey && hasDataset(dataset)) {
+      addToBatch(`dataset:${testIssueId}`, {
+        type: 'dataset',
+        label: 'Dataset',
+        run: () => importDataset(testKey, dataset),
+      }, testIssueId);
+    }
+  }
+
+  return [...batches.values()];
+}
+
+/**
+ * Link imported tests to their Test Plans, Executions, Sets, folder and preconditions, and upload their datasets
+ * @param {Array<{testIssueId: string, testKey?: string, draftId?: string, xrayLinking: Object, dataset?: Object}>} tests
+ * @param {string} projectKey - Project key, used to resolve the project id for folders
+ * @param {Function} onProgress - Optional callback ({completed, total}) after each batch
+ * @returns {Promise<Array<{testIssueId, testKey, draftId, success, links, warnings}>>} Per-test results
+ */
+export async function linkImportedTests(tests, projectKey, onProgress = null) {
+  const results = new Map(
+    tests
+      .filter((test) => test.testIssueId)
+      .map((test) => [test.testIssueId, {
+        testIssueId: test.testIssueId,
+        testKey: test.testKey,
+        draftId: test.draftId,
+        success: true,
+        links: [],
+        warnings: [],
+      }])
+  );
+
+  // Swap local precondition ids for Xray issue ids before grouping
+  const preconditionCache = new Map();
+  const resolvedTests = [];
+  for (const test of tests) {
+    const preconditionIds = getLinkIds(test.xrayLinking, 'precondition');
+    if (!test.testIssueId || !preconditionIds.some(isLocalPreconditionId)) {
+      resolvedTests.push(test);
+      continue;
+    }
+    const { issueIds, warnings } = await resolvePreconditionIds(preconditionIds, { cache: preconditionCache });
+    if (warnings.length > 0) {
+      const result = results.get(test.testIssueId);
+      result.success = false;
+      result.warnings.push(...warnings);
+    }
+    resolvedTests.push({ ...test, xrayLinking: { ...test.xrayLinking, preconditionIds: issueIds } });
+  }
+
+  const batches = buildLinkBatches(resolvedTests);
+
+  function record(batch, outcome) {
+    for (const testIssueId of batch.testIssueIds) {
+      const result = results.get(testIssueId);
+      result.links.push({ type: batch.type, id: batch.id, success: outcome.success });
+      if (!outcome.success) {
+        result.success = false;
+        result.warnings.push(`${batch.label} linking failed: ${outcome.error}`);
+      } else if (outcome.warning) {
+        result.warnings.push(`${batch.label}: ${outcome.warning}`);
+      }
+    }
+  }
+
+  // Resolve the project id once, only if some folder needs it
+  let projectId;
+  async function resolveProjectId(batch) {
+    if (batch.projectId) return batch.projectId;
+    if (projectId === undefined) {
+      projectId = projectKey ? await getProjectId(projectKey).catch(() => null) : null;
+    }
+    return projectId;
+  }
+
+  // Batches run one at a time to stay within the Xray rate limit
+  for (let i = 0; i < batches.length; i++) {
+    const batch = batches[i];
+    try {
+      let result;
+      if (batch.type === 'folder') {
+        const folderProjectId = await resolveProjectId(batch);
+        if (!folderProjectId) {
+          throw new Error('project id could not be resolved');
+        }
+        await ensureFolderPath(folderProjectId, batch.id);
+        result = await addTestsToFolder(folderProjectId, batch.id, batch.testIssueIds);
+      } else {
+        result = await batch.run(batch.testIssueIds);
+      }
+      const warning = result?.warning || (result?.warnings?.length ? result.warnings.join(', ') : null);
+      record(batch, { success: true, warning });
+    } catch (error) {
+      record(batch, { success: false, error: error.message });
+    }
+
+    onProgress?.({ completed: i + 1, total: batches.length });
+  }
+
+  return [...results.values()];
+}
@@ -342,6 +342,8 @@ function App() {
             <TestCaseBuilder
               config={config}
               activeProject={activeProject}
+              projects={projects.filter(p => !hiddenProjects.includes(p))}
+              projectSettings={projectSettings[activeProject] || null}
               onImportSuccess={handleImportSuccess}
               onImportError={handleImportError}
               showToast={showToast}
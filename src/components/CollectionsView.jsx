@@ -116,11 +116,17 @@ function CollectionsView({
 
     if (draggedItem.collectionId !== newCollectionId) {
       try {
-        await updateDraft(draggedItem.id, { ...draggedItem, collectionId: newCollectionId });
+        await updateDraft(draggedItem.id, { ...draggedItem, collectionId: newCollectionId }, draggedItem.revision);
         onRefresh();
         showToast('Test case moved');
       } catch (error) {
-        showToast('Failed to move test case');
+        if (error.status === 409) {
+          // Changed in another tab; reload it so the next move applies to the latest version
+          onRefresh();
+          showToast('Test case was changed elsewhere, try moving it again');
+        } else {
+          showToast('Failed to move test case');
+        }
       }
     }
 
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import Modal from './Modal';
+
+// Not a <form>: the linking panel is rendered inside the test case form
+function CreateXrayEntityModal({ entityLabel, initialSummary = '', withEnvironments, onCreate, onClose }) {
+  const [summary, setSummary] = useState(initialSummary);
+  const [description, setDescription] = useState('');
+  const [environments, setEnvironments] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleCreate() {
+    if (!summary.trim()) {
+      setError('Summary is required');
+      return;
+    }
+
+    const details = { summary: summary.trim(), description: description.trim() };
+    if (withEnvironments) {
+      details.testEnvironments = environments.split(',').map((env) => env.trim()).filter(Boolean);
+    }
+
+    setCreating(true);
+    setError(null);
+    try {
+      await onCreate(details);
+    } catch (err) {
+      setError(err.message);
+      setCreating(false);
+    }
+  }
+
+  return (
+    <Modal onClose={creating ? () => {} : onClose}>
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+        New {entityLabel}
+      </h3>
+
+      <div className="space-y-4">
+        <div>
+          <label htmlFor="create-entity-summary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Summary <span className="text-red-500">*</span>
+          </label>
+          <input
+            id="create-entity-summary"
+            type="text"
+            value={summary}
+            onChange={(e) => setSummary(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleCreate();
+              }
+            }}
+            className={`input ${error && !summary.trim() ? 'input-error' : ''}`}
+            disabled={creating}
+            autoFocus
+          />
+        </div>
+
+        <div>
+          <label htmlFor="create-entity-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Description
+          </label>
+          <textarea
+            id="create-entity-description"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className="input min-h-[80px]"
+            disabled={creating}
+          />
+        </div>
+
+        {withEnvironments && (
+          <div>
+            <label htmlFor="create-entity-environments" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Test Environments
+            </label>
+            <input
+              id="create-entity-environments"
+              type="text"
+              value={environments}
+              onChange={(e) => setEnvironments(e.target.value)}
+              placeholder="e.g. staging, chrome"
+              className="input"
+              disabled={creating}
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              Comma-separated. New environments are created in Xray.
+            </p>
+          </div>
+        )}
+
+        {error && <p className="text-red-500 text-sm">{error}</p>}
+      </div>
+
+      <div className="flex gap-3 mt-6">
+        <button type="button" onClick={onClose} disabled={creating} className="btn btn-secondary flex-1">
+          Cancel
+        </button>
+        <button type="button" onClick={handleCreate} disabled={creating} className="btn btn-primary flex-1">
+          {creating ? 'Creating...' : `Create ${entityLabel}`}
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default CreateXrayEntityModal;
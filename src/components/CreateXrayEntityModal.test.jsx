@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import CreateXrayEntityModal from './CreateXrayEntityModal';
+
+describe('CreateXrayEntityModal', () => {
+  const defaultProps = {
+    entityLabel: 'Test Plan',
+    onCreate: vi.fn(),
+    onClose: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should prefill the summary from the search text', () => {
+    render(<CreateXrayEntityModal {...defaultProps} initialSummary="Release 2.0" />);
+
+    expect(screen.getByText('New Test Plan')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Summary/)).toHaveValue('Release 2.0');
+    expect(screen.queryByLabelText('Test Environments')).not.toBeInTheDocument();
+  });
+
+  it('should require a summary', () => {
+    render(<CreateXrayEntityModal {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Create Test Plan'));
+
+    expect(screen.getByText('Summary is required')).toBeInTheDocument();
+    expect(defaultProps.onCreate).not.toHaveBeenCalled();
+  });
+
+  it('should submit trimmed details', async () => {
+    defaultProps.onCreate.mockResolvedValueOnce();
+    render(<CreateXrayEntityModal {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Summary/), { target: { value: ' Release 2.0 ' } });
+    fireEvent.change(screen.getByLabelText('Description'), { target: { value: 'Q3 scope' } });
+    fireEvent.click(screen.getByText('Create Test Plan'));
+
+    await waitFor(() => {
+      expect(defaultProps.onCreate).toHaveBeenCalledWith({ summary: 'Release 2.0', description: 'Q3 scope' });
+    });
+  });
+
+  it('should split test environments for executions', async () => {
+    defaultProps.onCreate.mockResolvedValueOnce();
+    render(<CreateXrayEntityModal {...defaultProps} entityLabel="Test Execution" withEnvironments initialSummary="Nightly" />);
+
+    fireEvent.change(screen.getByLabelText('Test Environments'), { target: { value: 'staging, chrome,' } });
+    fireEvent.click(screen.getByText('Create Test Execution'));
+
+    await waitFor(() => {
+      expect(defaultProps.onCreate).toHaveBeenCalledWith({
+        summary: 'Nightly',
+        description: '',
+        testEnvironments: ['staging', 'chrome'],
+      });
+    });
+  });
+
+  it('should show the error and stay open when creation fails', async () => {
+    defaultProps.onCreate.mockRejectedValueOnce(new Error('Project not found'));
+    render(<CreateXrayEntityModal {...defaultProps} initialSummary="Release 2.0" />);
+
+    fireEvent.click(screen.getByText('Create Test Plan'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Project not found')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Create Test Plan')).not.toBeDisabled();
+  });
+});
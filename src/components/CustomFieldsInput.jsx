@@ -0,0 +1,119 @@
+/**
+ * CustomFieldsInput - Renders a project's extra Jira field definitions
+ *
+ * Definitions come from project settings ({ key, label, type, options }).
+ * Values are stored on the draft keyed by the Jira field key and mapped to
+ * Jira's field shapes by the server on import.
+ */
+
+// Supported field types. Built-in Jira fields have a fixed key.
+export const CUSTOM_FIELD_TYPES = {
+  components: { label: 'Components', key: 'components', list: true },
+  fixVersions: { label: 'Fix Versions', key: 'fixVersions', list: true },
+  assignee: { label: 'Assignee', key: 'assignee' },
+  text: { label: 'Text' },
+  number: { label: 'Number' },
+  select: { label: 'Select', hasOptions: true },
+  multiselect: { label: 'Multi-select', list: true, hasOptions: true },
+};
+
+// Jira custom field keys look like customfield_10010
+export const CUSTOM_FIELD_KEY_PATTERN = /^customfield_\d+$/;
+
+// Split a comma-separated input into list items, keeping a trailing empty item while typing
+function parseList(text) {
+  return text.split(',').map((item) => item.trimStart());
+}
+
+function CustomFieldsInput({ definitions = [], values = {}, onChange, disabled }) {
+  if (definitions.length === 0) return null;
+
+  function renderField(definition) {
+    const { key, type, options = [] } = definition;
+    const value = values[key];
+    const inputId = `custom-field-${key}`;
+
+    if (type === 'select' && options.length > 0) {
+      return (
+        <select
+          id={inputId}
+          value={value || ''}
+          onChange={(e) => onChange(key, e.target.value)}
+          disabled={disabled}
+          className="select"
+        >
+          <option value="">None</option>
+          {options.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    }
+
+    if (type === 'multiselect' && options.length > 0) {
+      const selected = Array.isArray(value) ? value : [];
+      return (
+        <div id={inputId} className="flex flex-wrap gap-3">
+          {options.map((option) => (
+            <label key={option} className="inline-flex items-center gap-1.5 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={selected.includes(option)}
+                onChange={(e) => onChange(
+                  key,
+                  e.target.checked ? [...selected, option] : selected.filter((o) => o !== option)
+                )}
+                disabled={disabled}
+              />
+              {option}
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    if (CUSTOM_FIELD_TYPES[type]?.list) {
+      return (
+        <input
+          id={inputId}
+          type="text"
+          value={Array.isArray(value) ? value.join(', ') : ''}
+          onChange={(e) => onChange(key, parseList(e.target.value))}
+          placeholder="Comma-separated names"
+          disabled={disabled}
+          className="input"
+        />
+      );
+    }
+
+    return (
+      <input
+        id={inputId}
+        type={type === 'number' ? 'number' : 'text'}
+        value={value ?? ''}
+        onChange={(e) => onChange(key, e.target.value)}
+        placeholder={type === 'assignee' ? 'Jira account ID' : ''}
+        disabled={disabled}
+        className="input"
+      />
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {definitions.map((definition) => (
+        <div key={definition.key}>
+          <label
+            htmlFor={`custom-field-${definition.key}`}
+            className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1"
+          >
+            {definition.label || CUSTOM_FIELD_TYPES[definition.type]?.label || definition.key}
+          </label>
+          {renderField(definition)}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default CustomFieldsInput;
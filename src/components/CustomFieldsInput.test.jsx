@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import CustomFieldsInput from './CustomFieldsInput';
+
+describe('CustomFieldsInput', () => {
+  it('should render nothing without definitions', () => {
+    const { container } = render(<CustomFieldsInput definitions={[]} values={{}} onChange={vi.fn()} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should render a labelled input per definition', () => {
+    const definitions = [
+      { key: 'components', label: 'Components', type: 'components' },
+      { key: 'customfield_10010', label: 'Story Points', type: 'number' },
+    ];
+    render(<CustomFieldsInput definitions={definitions} values={{ components: ['API', 'UI'] }} onChange={vi.fn()} />);
+
+    expect(screen.getByLabelText('Components')).toHaveValue('API, UI');
+    expect(screen.getByLabelText('Story Points')).toHaveAttribute('type', 'number');
+  });
+
+  it('should split list fields into arrays on change', () => {
+    const onChange = vi.fn();
+    render(
+      <CustomFieldsInput
+        definitions={[{ key: 'fixVersions', label: 'Fix Versions', type: 'fixVersions' }]}
+        values={{}}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText('Fix Versions'), { target: { value: '1.0, 1.1' } });
+
+    expect(onChange).toHaveBeenCalledWith('fixVersions', ['1.0', '1.1']);
+  });
+
+  it('should render select options and report the chosen value', () => {
+    const onChange = vi.fn();
+    render(
+      <CustomFieldsInput
+        definitions={[{ key: 'customfield_1', label: 'Env', type: 'select', options: ['QA', 'Prod'] }]}
+        values={{}}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText('Env'), { target: { value: 'QA' } });
+
+    expect(onChange).toHaveBeenCalledWith('customfield_1', 'QA');
+  });
+
+  it('should toggle multi-select options', () => {
+    const onChange = vi.fn();
+    render(
+      <CustomFieldsInput
+        definitions={[{ key: 'customfield_2', label: 'Browsers', type: 'multiselect', options: ['Chrome', 'Firefox'] }]}
+        values={{ customfield_2: ['Chrome'] }}
+        onChange={onChange}
+      />
+    );
+
+    fireEvent.click(screen.getByLabelText('Firefox'));
+    expect(onChange).toHaveBeenCalledWith('customfield_2', ['Chrome', 'Firefox']);
+
+    fireEvent.click(screen.getByLabelText('Chrome'));
+    expect(onChange).toHaveBeenCalledWith('customfield_2', []);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * DatasetEditor - Parameter columns and iteration rows of a Manual test
+ *
+ * Steps refer to parameters as ${name}. Each row of the dataset is one
+ * iteration of the test in Xray, with a value for every parameter.
+ */
+
+const PARAMETER_PATTERN = /\$\{([^{}]+)\}/g;
+
+export const EMPTY_DATASET = { parameters: [], rows: [] };
+
+// Names of the ${...} parameters used in a text, in order of appearance
+export function getParameters(text) {
+  const names = [...String(text || '').matchAll(PARAMETER_PATTERN)].map((match) => match[1].trim());
+  return [...new Set(names)];
+}
+
+// Names of the parameters used anywhere in the steps
+export function getStepParameters(steps = []) {
+  return [...new Set(steps.flatMap((step) => [step.action, step.data, step.result].flatMap(getParameters)))];
+}
+
+// Parameters used in the steps but missing from the dataset
+export function getUndefinedParameters(steps, dataset) {
+  const defined = new Set((dataset?.parameters || []).map((name) => name.trim()));
+  return getStepParameters(steps).filter((name) => !defined.has(name));
+}
+
+// First problem with the dataset itself, or null when it can be sent to Xray
+export function getDatasetError(dataset) {
+  const parameters = (dataset?.parameters || []).map((name) => name.trim());
+  if (parameters.length === 0) return null;
+  if (parameters.some((name) => !name)) return 'Parameter names cannot be empty';
+  const duplicate = parameters.find((name, index) => parameters.indexOf(name) !== index);
+  if (duplicate) return `Parameter ${duplicate} is defined more than once`;
+  if (!dataset.rows?.length) return 'Add at least one iteration';
+  return null;
+}
+
+function DatasetEditor({ value = EMPTY_DATASET, onChange, usedParameters = [], error, disabled }) {
+  const { parameters, rows } = value;
+  const missing = usedParameters.filter((name) => !parameters.some((parameter) => parameter.trim() === name));
+
+  function addParameters(names) {
+    onChange({
+      parameters: [...parameters, ...names],
+      rows: rows.length > 0
+        ? rows.map((row) => [...row, ...names.map(() => '')])
+        : [[...parameters, ...names].map(() => '')],
+    });
+  }
+
+  function renameParameter(index, name) {
+    onChange({ parameters: parameters.map((current, i) => (i === index ? name : current)), rows });
+  }
+
+  function removeParameter(index) {
+    const remaining = parameters.filter((_, i) => i !== index);
+    onChange({
+      parameters: remaining,
+      rows: remaining.length > 0 ? rows.map((row) => row.filter((_, i) => i !== index)) : [],
+    });
+  }
+
+  function changeCell(rowIndex, columnIndex, cell) {
+    onChange({
+      parameters,
+      rows: rows.map((row, i) => (i === rowIndex ? parameters.map((_, j) => (j === columnIndex ? cell : row[j] ?? '')) : row)),
+    });
+  }
+
+  function addRow() {
+    onChange({ parameters, rows: [...rows, parameters.map(() => '')] });
+  }
+
+  function removeRow(index) {
+    onChange({ parameters, rows: rows.filter((_, i) => i !== index) });
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">Dataset</h4>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Use {'${name}'} in a step, then give each iteration a value for it
+          </p>
+        </div>
+        {!disabled && (
+          <div className="flex gap-2">
+            {missing.length > 0 && (
+              <button type="button" onClick={() => addParameters(missing)} className="btn btn-secondary btn-sm">
+                Add missing parameters
+              </button>
+            )}
+            <button type="button" onClick={() => addParameters([''])} className="btn btn-ghost btn-sm">
+              Add Parameter
+            </button>
+          </div>
+        )}
+      </div>
+
+      {parameters.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr>
+                <th className="w-10" />
+                {parameters.map((name, index) => (
+                  <th key={index} className="p-1 min-w-[10rem]">
+                    <div className="flex items-center gap-1">
+                      <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => renameParameter(index, e.target.value)}
+                        placeholder="name"
+                        disabled={disabled}
+                        aria-label={`Parameter ${index + 1} name`}
+                        className="input font-mono text-sm"
+                      />
+                      {!disabled && (
+                        <button
+                          type="button"
+                          onClick={() => removeParameter(index)}
+                          className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                          title={`Remove parameter ${name || index + 1}`}
+                        >
+                          <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                            <path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                          </svg>
+                        </button>
+                      )}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  <td className="p-1 text-xs text-gray-500 dark:text-gray-400 text-center">{rowIndex + 1}</td>
+                  {parameters.map((name, columnIndex) => (
+                    <td key={columnIndex} className="p-1">
+                      <input
+                        type="text"
+                        value={row[columnIndex] ?? ''}
+                        onChange={(e) => changeCell(rowIndex, columnIndex, e.target.value)}
+                        disabled={disabled}
+                        aria-label={`Iteration ${rowIndex + 1} ${name || `parameter ${columnIndex + 1}`}`}
+                        className="input text-sm"
+                      />
+                    </td>
+                  ))}
+                  {!disabled && (
+                    <td className="p-1">
+                      <button
+                        type="button"
+                        onClick={() => removeRow(rowIndex)}
+                        className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                        title={`Remove iteration ${rowIndex + 1}`}
+                      >
+                        <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                          <path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                        </svg>
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {!disabled && (
+            <button type="button" onClick={addRow} className="btn btn-ghost btn-sm mt-2">
+              Add Iteration
+            </button>
+          )}
+        </div>
+      )}
+
+      {error && <p className="text-red-500 text-sm">{error}</p>}
+    </div>
+  );
+}
+
+export default DatasetEditor;
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import DatasetEditor, { getParameters, getUndefinedParameters, getDatasetError } from './DatasetEditor';
+
+describe('dataset helpers', () => {
+  it('should find each ${param} once, trimmed', () => {
+    expect(getParameters('Sign in as ${user} with ${ password } then ${user}')).toEqual(['user', 'password']);
+    expect(getParameters('Costs $5 {total}')).toEqual([]);
+  });
+
+  it('should report parameters the dataset does not define', () => {
+    const steps = [{ action: 'Open ${page}', data: '${user}', result: 'Shown' }];
+
+    expect(getUndefinedParameters(steps, { parameters: ['page '], rows: [] })).toEqual(['user']);
+    expect(getUndefinedParameters(steps, undefined)).toEqual(['page', 'user']);
+  });
+
+  it('should require named, unique parameters and at least one iteration', () => {
+    expect(getDatasetError({ parameters: [], rows: [] })).toBeNull();
+    expect(getDatasetError({ parameters: ['user', ' '], rows: [['a', 'b']] })).toBe('Parameter names cannot be empty');
+    expect(getDatasetError({ parameters: ['user', 'user'], rows: [['a', 'b']] })).toBe('Parameter user is defined more than once');
+    expect(getDatasetError({ parameters: ['user'], rows: [] })).toBe('Add at least one iteration');
+    expect(getDatasetError({ parameters: ['user'], rows: [['alice']] })).toBeNull();
+  });
+});
+
+describe('DatasetEditor', () => {
+  const dataset = { parameters: ['user', 'role'], rows: [['alice', 'admin']] };
+
+  it('should add the parameters used in the steps with a first iteration', () => {
+    const onChange = vi.fn();
+    render(<DatasetEditor value={{ parameters: [], rows: [] }} onChange={onChange} usedParameters={['user', 'role']} />);
+
+    fireEvent.click(screen.getByText('Add missing parameters'));
+
+    expect(onChange).toHaveBeenCalledWith({ parameters: ['user', 'role'], rows: [['', '']] });
+  });
+
+  it('should only offer to add parameters that are missing', () => {
+    render(<DatasetEditor value={dataset} onChange={vi.fn()} usedParameters={['user']} />);
+
+    expect(screen.queryByText('Add missing parameters')).not.toBeInTheDocument();
+  });
+
+  it('should edit parameter names and iteration values', () => {
+    const onChange = vi.fn();
+    render(<DatasetEditor value={dataset} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText('Parameter 2 name'), { target: { value: 'team' } });
+    expect(onChange).toHaveBeenLastCalledWith({ parameters: ['user', 'team'], rows: [['alice', 'admin']] });
+
+    fireEvent.change(screen.getByLabelText('Iteration 1 role'), { target: { value: 'viewer' } });
+    expect(onChange).toHaveBeenLastCalledWith({ parameters: ['user', 'role'], rows: [['alice', 'viewer']] });
+  });
+
+  it('should add and remove iterations and parameter columns', () => {
+    const onChange = vi.fn();
+    render(<DatasetEditor value={dataset} onChange={onChange} />);
+
+    fireEvent.click(screen.getByText('Add Iteration'));
+    expect(onChange).toHaveBeenLastCalledWith({ parameters: ['user', 'role'], rows: [['alice', 'admin'], ['', '']] });
+
+    fireEvent.click(screen.getByTitle('Remove parameter user'));
+    expect(onChange).toHaveBeenLastCalledWith({ parameters: ['role'], rows: [['admin']] });
+
+    fireEvent.click(screen.getByTitle('Remove iteration 1'));
+    expect(onChange).toHaveBeenLastCalledWith({ parameters: ['user', 'role'], rows: [] });
+  });
+
+  it('should show the dataset error', () => {
+    render(<DatasetEditor value={{ parameters: ['user'], rows: [] }} onChange={vi.fn()} error="Add at least one iteration" />);
+
+    expect(screen.getByText('Add at least one iteration')).toBeInTheDocument();
+  });
+});
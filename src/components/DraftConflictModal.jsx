@@ -0,0 +1,165 @@
+/**
+ * DraftConflictModal - Merge a draft saved in another tab with the edits made here
+ *
+ * Lists each field whose value differs between the two versions and lets the
+ * user keep either side. Fields left untouched in this tab default to the
+ * other tab's value, so only real conflicts need a decision.
+ */
+
+import { useState } from 'react';
+import Modal from './Modal';
+
+const FIELD_LABELS = {
+  summary: 'Summary',
+  description: 'Description',
+  testType: 'Test Type',
+  priority: 'Priority',
+  labels: 'Labels',
+  collectionId: 'Collection',
+  steps: 'Steps',
+  gherkin: 'Gherkin Scenario',
+  definition: 'Definition',
+  dataset: 'Dataset',
+  customFields: 'Custom Fields',
+  xrayLinking: 'Xray Links',
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Fields whose values differ between two versions of a draft
+ * @param {Object} local - This tab's version, as TestCaseForm saves it
+ * @param {Object} server - The stored version, in the same shape
+ * @param {Object} base - The version this tab started editing from, if known
+ * @returns {Array<{ field: string, label: string, changedHere: boolean }>}
+ */
+export function getDraftDifferences(local, server, base = null) {
+  return Object.keys(FIELD_LABELS)
+    .filter((field) => !sameValue(local[field], server[field]))
+    .map((field) => ({
+      field,
+      label: FIELD_LABELS[field],
+      changedHere: !base || !sameValue(local[field], base[field]),
+    }));
+}
+
+function formatValue(field, value, { collections, sharedSteps }) {
+  switch (field) {
+    case 'labels':
+      return value.join(', ');
+    case 'collectionId':
+      return collections.find((c) => c.id === value)?.name || (value ? 'Deleted collection' : '');
+    case 'steps':
+      return value
+        .map((step, i) => (step.sharedStepsId
+          ? `${i + 1}. Shared: ${sharedSteps.find((entry) => entry.id === step.sharedStepsId)?.name || 'Deleted shared steps'}`
+          : `${i + 1}. ${step.action} → ${step.result}`))
+        .join('\n');
+    case 'dataset':
+      return value ? `${value.parameters.join(', ')} (${value.rows.length} row${value.rows.length === 1 ? '' : 's'})` : '';
+    case 'customFields':
+      return Object.entries(value)
+        .map(([key, fieldValue]) => `${key}: ${Array.isArray(fieldValue) ? fieldValue.join(', ') : fieldValue}`)
+        .join('\n');
+    case 'xrayLinking':
+      return [
+        ['Test Plans', value.testPlanDisplays],
+        ['Test Executions', value.testExecutionDisplays],
+        ['Test Sets', value.testSetDisplays],
+        ['Preconditions', value.preconditionDisplays],
+      ]
+        .filter(([, displays]) => displays?.length > 0)
+        .map(([name, displays]) => `${name}: ${displays.map((d) => d.display || d.id).join(', ')}`)
+        .concat(`Folder: ${value.folderPath || '/'}`)
+        .join('\n');
+    default:
+      return value;
+  }
+}
+
+function DraftConflictModal({ local, server, base, collections = [], sharedSteps = [], onResolve, onCancel }) {
+  const differences = getDraftDifferences(local, server, base);
+  const [choices, setChoices] = useState(() => Object.fromEntries(
+    differences.map(({ field, changedHere }) => [field, changedHere ? 'local' : 'server'])
+  ));
+
+  function handleResolve() {
+    const merged = { ...local };
+    for (const { field } of differences) {
+      if (choices[field] === 'server') merged[field] = server[field];
+    }
+    onResolve(merged);
+  }
+
+  function renderOption(field, side, title, value) {
+    const text = formatValue(field, value, { collections, sharedSteps });
+    return (
+      <label
+        className={`block rounded-lg border p-2 cursor-pointer ${
+          choices[field] === side
+            ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+            : 'border-gray-200 dark:border-gray-700'
+        }`}
+      >
+        <span className="flex items-center gap-2 text-xs font-medium text-gray-500 dark:text-gray-400">
+          <input
+            type="radio"
+            name={`conflict-${field}`}
+            checked={choices[field] === side}
+            onChange={() => setChoices((prev) => ({ ...prev, [field]: side }))}
+            aria-label={`${FIELD_LABELS[field]}: ${title}`}
+          />
+          {title}
+        </span>
+        <span className="block mt-1 text-sm text-gray-900 dark:text-white whitespace-pre-wrap break-words">
+          {text || <span className="italic text-gray-400 dark:text-gray-500">Empty</span>}
+        </span>
+      </label>
+    );
+  }
+
+  return (
+    <Modal onClose={onCancel}>
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+        Draft Changed Elsewhere
+      </h3>
+      <p className="text-gray-500 dark:text-gray-400 mb-4">
+        This draft was saved in another tab or window since you opened it. Choose which version of each field to keep.
+      </p>
+
+      {differences.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Both versions have the same content.
+        </p>
+      ) : (
+        <div className="space-y-4 max-h-96 overflow-y-auto mb-4">
+          {differences.map(({ field, label, changedHere }) => (
+            <div key={field}>
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                {label}
+                {!changedHere && (
+                  <span className="ml-2 text-xs font-normal text-gray-400 dark:text-gray-500">not changed in this tab</span>
+                )}
+              </p>
+              <div className="space-y-2">
+                {renderOption(field, 'local', 'This tab', local[field])}
+                {renderOption(field, 'server', 'Other tab', server[field])}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex gap-3">
+        <button onClick={onCancel} className="btn btn-secondary flex-1">
+          Cancel
+        </button>
+        <button onClick={handleResolve} className="btn btn-primary flex-1">
+          Save Merged Draft
+        </button>
+      </div>
+    </Modal>
+  );
+}
+
+export default DraftConflictModal;
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import DraftConflictModal, { getDraftDifferences } from './DraftConflictModal';
+
+describe('DraftConflictModal', () => {
+  const base = {
+    summary: 'Login',
+    description: 'Sign in',
+    labels: [],
+    collectionId: null,
+    steps: [{ action: 'Open app', result: 'App opens' }],
+  };
+  const local = { ...base, summary: 'Login here', description: 'Sign in with SSO' };
+  const server = { ...base, summary: 'Login elsewhere', labels: ['smoke'], collectionId: 'col-1' };
+
+  const defaultProps = {
+    local,
+    server,
+    base,
+    collections: [{ id: 'col-1', name: 'Sprint 1', color: '#6366f1' }],
+    onResolve: vi.fn(),
+    onCancel: vi.fn(),
+  };
+
+  describe('getDraftDifferences', () => {
+    it('should list differing fields and whether this tab changed them', () => {
+      expect(getDraftDifferences(local, server, base)).toEqual([
+        { field: 'summary', label: 'Summary', changedHere: true },
+        { field: 'description', label: 'Description', changedHere: true },
+        { field: 'labels', label: 'Labels', changedHere: false },
+        { field: 'collectionId', label: 'Collection', changedHere: false },
+      ]);
+    });
+
+    it('should treat every difference as changed here without a base', () => {
+      expect(getDraftDifferences(local, server).every((d) => d.changedHere)).toBe(true);
+    });
+  });
+
+  it('should keep this tab for fields changed here and the other tab for the rest', () => {
+    render(<DraftConflictModal {...defaultProps} />);
+
+    expect(screen.getByRole('radio', { name: 'Summary: This tab' })).toBeChecked();
+    expect(screen.getByRole('radio', { name: 'Description: This tab' })).toBeChecked();
+    expect(screen.getByRole('radio', { name: 'Labels: Other tab' })).toBeChecked();
+    expect(screen.getByRole('radio', { name: 'Collection: Other tab' })).toBeChecked();
+    expect(screen.getAllByText('not changed in this tab')).toHaveLength(2);
+  });
+
+  it('should show collection and shared steps names', () => {
+    render(
+      <DraftConflictModal
+        {...defaultProps}
+        server={{ ...server, steps: [{ sharedStepsId: 'shs-1' }] }}
+        sharedSteps={[{ id: 'shs-1', name: 'Log in as admin', steps: [] }]}
+      />
+    );
+
+    expect(screen.getByText('Sprint 1')).toBeInTheDocument();
+    expect(screen.getByText('1. Shared: Log in as admin')).toBeInTheDocument();
+    expect(screen.getByText('1. Open app → App opens')).toBeInTheDocument();
+  });
+
+  it('should resolve with the chosen value of each field', () => {
+    const onResolve = vi.fn();
+    render(<DraftConflictModal {...defaultProps} onResolve={onResolve} />);
+
+    fireEvent.click(screen.getByRole('radio', { name: 'Summary: Other tab' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save Merged Draft' }));
+
+    expect(onResolve).toHaveBeenCalledWith({
+      ...base,
+      summary: 'Login elsewhere',
+      description: 'Sign in with SSO',
+      labels: ['smoke'],
+      collectionId: 'col-1',
+    });
+  });
+
+  it('should say when both versions match', () => {
+    render(<DraftConflictModal {...defaultProps} server={local} />);
+    expect(screen.getByText('Both versions have the same content.')).toBeInTheDocument();
+  });
+
+  it('should call onCancel when Cancel is clicked', () => {
+    const onCancel = vi.fn();
+    render(<DraftConflictModal {...defaultProps} onCancel={onCancel} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
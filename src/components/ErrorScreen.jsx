@@ -1,4 +1,7 @@
 function ErrorScreen({ result, onBackToBuilder, onReconfigure }) {
+  // Per-draft outcome of a chunked bulk import
+  const failedDrafts = (result?.results || []).filter((r) => !r.success);
+
   return (
     <div className="card p-8 text-center">
       <div className="w-18 h-18 mx-auto mb-6 rounded-full bg-gradient-to-br from-red-400 to-red-500 flex items-center justify-center">
@@ -13,7 +16,9 @@ function ErrorScreen({ result, onBackToBuilder, onReconfigure }) {
       <p className="text-gray-500 dark:text-gray-400 mb-6">
         {result?.error?.includes('credentials')
           ? 'Authentication failed. Please check your credentials.'
-          : 'There was a problem importing your test case.'}
+          : result?.partial
+            ? `${result.importedCount} test case${result.importedCount === 1 ? ' was' : 's were'} imported. The failed ones are still in Saved Drafts and can be retried.`
+            : 'There was a problem importing your test case.'}
       </p>
 
       {/* Error details */}
@@ -28,6 +33,15 @@ function ErrorScreen({ result, onBackToBuilder, onReconfigure }) {
         <code className="text-sm text-red-700 dark:text-red-300 block">
           {result?.error || 'Unknown error occurred'}
         </code>
+        {failedDrafts.length > 0 && (
+          <ul className="mt-3 space-y-1 max-h-48 overflow-y-auto">
+            {failedDrafts.map((draft) => (
+              <li key={draft.draftId} className="text-sm text-red-700 dark:text-red-300">
+                <span className="font-medium">{draft.summary || draft.draftId}</span>: {draft.error}
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
 
       <div className="flex gap-3">
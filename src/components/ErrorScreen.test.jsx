@@ -74,4 +74,26 @@ describe('ErrorScreen', () => {
     fireEvent.click(screen.getByText('Reconfigure Credentials'));
     expect(onReconfigure).toHaveBeenCalledTimes(1);
   });
+
+  it('should list failed drafts after a partial bulk import', () => {
+    render(
+      <ErrorScreen
+        {...defaultProps}
+        result={{
+          error: '1 of 3 test cases failed to import',
+          partial: true,
+          importedCount: 2,
+          results: [
+            { draftId: 'a', summary: 'Login', success: true },
+            { draftId: 'b', summary: 'Logout', success: true },
+            { draftId: 'c', summary: 'Signup', success: false, error: 'Xray rejected the batch' },
+          ],
+        }}
+      />
+    );
+
+    expect(screen.getByText('2 test cases were imported. The failed ones are still in Saved Drafts and can be retried.')).toBeInTheDocument();
+    expect(screen.getByText('Signup')).toBeInTheDocument();
+    expect(screen.queryByText('Login')).not.toBeInTheDocument();
+  });
 });
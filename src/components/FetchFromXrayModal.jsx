@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import Modal from './Modal';
+import { fetchFromXray } from '../utils/api';
+
+function FetchFromXrayModal({ activeProject, onClose, onFetched, showToast }) {
+  const [jql, setJql] = useState(`project = '${activeProject}'`);
+  const [fetching, setFetching] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function handleFetch() {
+    setFetching(true);
+    setError(null);
+
+    try {
+      const result = await fetchFromXray(activeProject, jql);
+      const total = result.created + result.updated;
+      showToast(
+        total === 0
+          ? 'No tests matched the query'
+          : `Fetched ${total} test${total === 1 ? '' : 's'} from Xray (${result.created} new, ${result.updated} updated)`
+      );
+      onFetched();
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to fetch tests from Xray');
+    } finally {
+      setFetching(false);
+    }
+  }
+
+  return (
+    <Modal onClose={onClose}>
+      <div className="space-y-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-1">
+            Fetch from Xray
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Pull existing tests into the Imported tab. Tests already fetched are updated in place.
+          </p>
+        </div>
+
+        <div>
+          <label htmlFor="fetch-jql" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            JQL Query
+          </label>
+          <textarea
+            id="fetch-jql"
+            value={jql}
+            onChange={(e) => {
+              setJql(e.target.value);
+              if (error) setError(null);
+            }}
+            rows={3}
+            spellCheck={false}
+            className={`input font-mono text-sm ${error ? 'input-error' : ''}`}
+          />
+          {error && (
+            <p className="text-red-500 text-sm mt-1">{error}</p>
+          )}
+        </div>
+
+        <div className="flex gap-3">
+          <button onClick={onClose} className="btn btn-secondary flex-1">
+            Cancel
+          </button>
+          <button
+            onClick={handleFetch}
+            disabled={fetching || !jql.trim()}
+            className="btn btn-primary flex-1"
+          >
+            {fetching ? <span className="spinner"></span> : 'Fetch Tests'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+export default FetchFromXrayModal;
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FetchFromXrayModal from './FetchFromXrayModal';
+import { fetchFromXray } from '../utils/api';
+
+vi.mock('../utils/api', () => ({
+  fetchFromXray: vi.fn(),
+}));
+
+describe('FetchFromXrayModal', () => {
+  const defaultProps = {
+    activeProject: 'PROJ',
+    onClose: vi.fn(),
+    onFetched: vi.fn(),
+    showToast: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should prefill JQL with the active project', () => {
+    render(<FetchFromXrayModal {...defaultProps} />);
+    expect(screen.getByLabelText('JQL Query')).toHaveValue("project = 'PROJ'");
+  });
+
+  it('should fetch tests and report counts', async () => {
+    fetchFromXray.mockResolvedValueOnce({ success: true, created: 2, updated: 1, ids: ['a', 'b', 'c'] });
+    render(<FetchFromXrayModal {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('JQL Query'), { target: { value: 'labels = smoke' } });
+    fireEvent.click(screen.getByText('Fetch Tests'));
+
+    await waitFor(() => {
+      expect(defaultProps.onFetched).toHaveBeenCalled();
+    });
+    expect(fetchFromXray).toHaveBeenCalledWith('PROJ', 'labels = smoke');
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Fetched 3 tests from Xray (2 new, 1 updated)');
+    expect(defaultProps.onClose).toHaveBeenCalled();
+  });
+
+  it('should show the error and stay open on failure', async () => {
+    fetchFromXray.mockRejectedValueOnce(new Error('Invalid JQL'));
+    render(<FetchFromXrayModal {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Fetch Tests'));
+
+    expect(await screen.findByText('Invalid JQL')).toBeInTheDocument();
+    expect(defaultProps.onClose).not.toHaveBeenCalled();
+  });
+
+  it('should disable fetch when JQL is empty', () => {
+    render(<FetchFromXrayModal {...defaultProps} />);
+    fireEvent.change(screen.getByLabelText('JQL Query'), { target: { value: '  ' } });
+    expect(screen.getByText('Fetch Tests')).toBeDisabled();
+  });
+});
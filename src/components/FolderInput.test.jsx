@@ -1,18 +1,26 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import FolderInput from './FolderInput';
+import * as api from '../utils/api';
+
+vi.mock('../utils/api');
 
 describe('FolderInput', () => {
+  const rootFolder = {
+    name: '',
+    path: '/',
+    testsCount: 0,
+    folders: [
+      { name: 'Tests', path: '/Tests', testsCount: 3, hasChildren: true },
+      { name: 'Integration', path: '/Integration', testsCount: 7, hasChildren: false },
+    ],
+  };
+
   const defaultProps = {
     value: '/Tests',
     onChange: vi.fn(),
-    folders: {
-      path: '/',
-      folders: [
-        { path: '/Tests', folders: [{ path: '/Tests/Unit' }] },
-        { path: '/Integration' },
-      ],
-    },
+    projectKey: 'WCP',
+    rootFolder,
     loading: false,
     error: null,
     required: true,
@@ -20,9 +28,19 @@ describe('FolderInput', () => {
 
   beforeEach(() => {
     vi.clearAllMocks();
-    Element.prototype.scrollIntoView = vi.fn();
+    api.fetchFolders.mockImplementation(async (projectKey, path) => ({
+      success: true,
+      folders: path === '/'
+        ? rootFolder
+        : { name: 'Tests', path: '/Tests', testsCount: 3, folders: [{ name: 'Unit', path: '/Tests/Unit', testsCount: 1, hasChildren: false }] },
+    }));
   });
 
+  function openDropdown() {
+    fireEvent.click(screen.getByRole('button'));
+    return screen.getByRole('combobox');
+  }
+
   it('should render with selected value', () => {
     render(<FolderInput {...defaultProps} />);
     expect(screen.getByText('/Tests')).toBeInTheDocument();
@@ -38,40 +56,58 @@ describe('FolderInput', () => {
     expect(screen.getByText('*')).toBeInTheDocument();
   });
 
+  it('should render a custom label', () => {
+    render(<FolderInput {...defaultProps} label="Move to" />);
+    expect(screen.getByText('Move to')).toBeInTheDocument();
+  });
+
   it('should open dropdown when clicked', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    expect(screen.getByRole('combobox')).toBeInTheDocument();
+    openDropdown();
+    expect(screen.getByRole('tree')).toBeInTheDocument();
   });
 
-  it('should show folder options in dropdown', () => {
+  it('should show the top-level folders with test counts', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
+    openDropdown();
     expect(screen.getByText('/ (Root)')).toBeInTheDocument();
-    expect(screen.getByText('/Tests')).toBeInTheDocument();
-    expect(screen.getByText('/Tests/Unit')).toBeInTheDocument();
-    expect(screen.getByText('/Integration')).toBeInTheDocument();
+    expect(screen.getByText('Tests')).toBeInTheDocument();
+    expect(screen.getByText('Integration')).toBeInTheDocument();
+    expect(screen.getByText('7')).toBeInTheDocument();
+    expect(screen.queryByText('Unit')).not.toBeInTheDocument();
+    expect(api.fetchFolders).not.toHaveBeenCalled();
   });
 
-  it('should filter folders based on input', () => {
-    render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
-    fireEvent.change(input, { target: { value: 'Unit' } });
-    expect(screen.getByText('/Tests/Unit')).toBeInTheDocument();
-    expect(screen.queryByText('/Integration')).not.toBeInTheDocument();
+  it('should reveal the selected folder by loading its parents', async () => {
+    render(<FolderInput {...defaultProps} value="/Tests/Unit" />);
+    openDropdown();
+
+    expect(await screen.findByText('Unit')).toBeInTheDocument();
+    expect(api.fetchFolders).toHaveBeenCalledWith('WCP', '/Tests', { refresh: false });
+  });
+
+  it('should filter loaded folders based on input', async () => {
+    render(<FolderInput {...defaultProps} value="/Tests/Unit" />);
+    const input = openDropdown();
+    await screen.findByText('Unit');
+
+    fireEvent.change(input, { target: { value: 'unit' } });
+
+    expect(screen.getByText('Unit')).toBeInTheDocument();
+    expect(screen.getByText('Tests')).toBeInTheDocument();
+    expect(screen.queryByText('Integration')).not.toBeInTheDocument();
   });
 
   it('should call onChange when folder is selected', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    fireEvent.click(screen.getByText('/Integration'));
+    openDropdown();
+    fireEvent.click(screen.getByText('Integration'));
     expect(defaultProps.onChange).toHaveBeenCalledWith('/Integration');
   });
 
   it('should show loading state', () => {
     render(<FolderInput {...defaultProps} loading={true} />);
-    fireEvent.click(screen.getByRole('button'));
+    openDropdown();
     expect(screen.getByText('Loading folders...')).toBeInTheDocument();
   });
 
@@ -82,57 +118,86 @@ describe('FolderInput', () => {
 
   it('should close dropdown on Escape', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
+    const input = openDropdown();
     fireEvent.keyDown(input, { key: 'Escape' });
-    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    expect(screen.queryByRole('tree')).not.toBeInTheDocument();
   });
 
-  it('should navigate with arrow keys', () => {
+  it('should close dropdown on Escape from the tree', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
-    fireEvent.keyDown(input, { key: 'ArrowDown' });
-    fireEvent.keyDown(input, { key: 'ArrowDown' });
-    fireEvent.keyDown(input, { key: 'ArrowUp' });
-    // Should still be interactive
-    expect(input).toBeInTheDocument();
+    openDropdown();
+    fireEvent.keyDown(screen.getByRole('tree'), { key: 'Escape' });
+    expect(screen.queryByRole('tree')).not.toBeInTheDocument();
   });
 
-  it('should select with Enter key', () => {
+  it('should move focus into the tree with ArrowDown', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
+    const input = openDropdown();
     fireEvent.keyDown(input, { key: 'ArrowDown' });
-    fireEvent.keyDown(input, { key: 'Enter' });
-    expect(defaultProps.onChange).toHaveBeenCalled();
+    expect(screen.getByRole('tree')).toHaveFocus();
+  });
+
+  it('should select with arrow keys and Enter in the tree', () => {
+    render(<FolderInput {...defaultProps} />);
+    openDropdown();
+    const tree = screen.getByRole('tree');
+    fireEvent.keyDown(tree, { key: 'ArrowDown' });
+    fireEvent.keyDown(tree, { key: 'Enter' });
+    expect(defaultProps.onChange).toHaveBeenCalledWith('/Integration');
   });
 
   it('should close on Tab', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
+    const input = openDropdown();
     fireEvent.keyDown(input, { key: 'Tab' });
-    expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+    expect(screen.queryByRole('tree')).not.toBeInTheDocument();
   });
 
   it('should allow custom path starting with /', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
+    const input = openDropdown();
     fireEvent.change(input, { target: { value: '/NewCustomPath' } });
-    expect(screen.getByText(/Use "\/NewCustomPath" as custom path/)).toBeInTheDocument();
+    expect(screen.getByText(/Create "\/NewCustomPath" on import/)).toBeInTheDocument();
+  });
+
+  it('should not offer to create a folder that is already loaded', () => {
+    render(<FolderInput {...defaultProps} />);
+    const input = openDropdown();
+    fireEvent.change(input, { target: { value: '/Integration' } });
+    expect(screen.queryByText(/on import/)).not.toBeInTheDocument();
+  });
+
+  it('should not offer new paths when they are not allowed', () => {
+    render(<FolderInput {...defaultProps} allowNewPath={false} />);
+    const input = openDropdown();
+    fireEvent.change(input, { target: { value: '/NewPath' } });
+    expect(screen.queryByText(/on import/)).not.toBeInTheDocument();
   });
 
   it('should select custom path on click', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
+    const input = openDropdown();
+    fireEvent.change(input, { target: { value: '/NewPath' } });
+    fireEvent.click(screen.getByText(/Create "\/NewPath" on import/));
+    expect(defaultProps.onChange).toHaveBeenCalledWith('/NewPath');
+  });
+
+  it('should select custom path with Enter', () => {
+    render(<FolderInput {...defaultProps} />);
+    const input = openDropdown();
     fireEvent.change(input, { target: { value: '/NewPath' } });
-    fireEvent.click(screen.getByText(/Use "\/NewPath" as custom path/));
+    fireEvent.keyDown(input, { key: 'Enter' });
     expect(defaultProps.onChange).toHaveBeenCalledWith('/NewPath');
   });
 
+  it('should tidy up slashes and spaces in a new path', () => {
+    render(<FolderInput {...defaultProps} />);
+    const input = openDropdown();
+    fireEvent.change(input, { target: { value: '/Auth// Login /' } });
+    fireEvent.click(screen.getByText(/Create "\/Auth\/Login" on import/));
+    expect(defaultProps.onChange).toHaveBeenCalledWith('/Auth/Login');
+  });
+
   it('should open dropdown with Enter on button', () => {
     render(<FolderInput {...defaultProps} />);
     const button = screen.getByRole('button');
@@ -164,53 +229,30 @@ describe('FolderInput', () => {
 
   it('should show no matches message', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
+    const input = openDropdown();
     fireEvent.change(input, { target: { value: 'nonexistent' } });
-    expect(screen.getByText(/No folders match/)).toBeInTheDocument();
-  });
-
-  it('should handle Home key', () => {
-    render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
-    fireEvent.keyDown(input, { key: 'ArrowDown' });
-    fireEvent.keyDown(input, { key: 'ArrowDown' });
-    fireEvent.keyDown(input, { key: 'Home' });
-    // Should reset to first item
-    expect(input).toBeInTheDocument();
-  });
-
-  it('should handle End key', () => {
-    render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const input = screen.getByRole('combobox');
-    fireEvent.keyDown(input, { key: 'End' });
-    // Should go to last item
-    expect(input).toBeInTheDocument();
+    expect(screen.getByText(/No loaded folders match/)).toBeInTheDocument();
   });
 
-  it('should handle empty folders', () => {
-    render(<FolderInput {...defaultProps} folders={null} />);
-    fireEvent.click(screen.getByRole('button'));
-    expect(screen.getByText('/ (Root)')).toBeInTheDocument();
+  it('should load the root level when none is cached', async () => {
+    render(<FolderInput {...defaultProps} rootFolder={null} />);
+    openDropdown();
+    expect(await screen.findByText('Integration')).toBeInTheDocument();
+    expect(api.fetchFolders).toHaveBeenCalledWith('WCP', '/', { refresh: false });
   });
 
-  it('should highlight on mouse enter', () => {
-    render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    const option = screen.getByText('/Integration');
-    fireEvent.mouseEnter(option.closest('[data-option]'));
-    // Should update highlighted index
-    expect(option).toBeInTheDocument();
+  it('should hide the excluded folder and its subfolders', () => {
+    render(<FolderInput {...defaultProps} value="/" excludePath="/Tests" />);
+    openDropdown();
+    expect(screen.queryByText('Tests')).not.toBeInTheDocument();
+    expect(screen.getByText('Integration')).toBeInTheDocument();
   });
 
-  it('should show checkmark for selected value', () => {
+  it('should mark the selected folder', () => {
     render(<FolderInput {...defaultProps} />);
-    fireEvent.click(screen.getByRole('button'));
-    // The selected folder should have a checkmark
-    const selectedOption = screen.getByText('/Tests').closest('[role="option"]');
-    expect(selectedOption).toBeInTheDocument();
+    openDropdown();
+    const selectedOption = screen.getByText('Tests').closest('[role="treeitem"]');
+    expect(selectedOption).toHaveAttribute('aria-selected', 'true');
   });
 
   it('should not render required indicator when not required', () => {
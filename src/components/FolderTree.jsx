@@ -0,0 +1,344 @@
+import { useState, useEffect, useCallback, useMemo, useRef, useId } from 'react';
+import { fetchFolders } from '../utils/api';
+
+const ROOT_PATH = '/';
+
+// "/Auth/Login/OAuth" -> ['/', '/Auth', '/Auth/Login']
+function getAncestors(path) {
+  const segments = path.split('/').filter(Boolean);
+  const ancestors = [ROOT_PATH];
+  for (let i = 1; i < segments.length; i++) {
+    ancestors.push(`/${segments.slice(0, i).join('/')}`);
+  }
+  return ancestors;
+}
+
+const isWithin = (path, folder) => path === folder || path.startsWith(`${folder}/`);
+
+// Add one fetched level to the node map; subfolders stay unloaded until expanded
+function mergeLevel(nodes, level) {
+  const next = { ...nodes };
+  const children = level.folders || [];
+  next[level.path] = {
+    name: level.name,
+    path: level.path,
+    testsCount: level.testsCount || 0,
+    hasChildren: children.length > 0,
+    children: children.map((child) => child.path),
+    loading: false,
+    error: null,
+  };
+  for (const child of children) {
+    next[child.path] = {
+      name: child.name,
+      path: child.path,
+      testsCount: child.testsCount || 0,
+      hasChildren: child.hasChildren ?? (child.folders || []).length > 0,
+      children: nodes[child.path]?.children ?? null,
+      loading: false,
+      error: null,
+    };
+  }
+  return next;
+}
+
+/**
+ * Test Repository folder tree. Subfolders are fetched when a folder is first
+ * expanded, and search only looks at folders that have been loaded so far.
+ */
+function FolderTree({
+  projectKey,
+  rootFolder,
+  selectedPath,
+  onSelect,
+  search = '',
+  excludePath,
+  reloadKey = 0,
+  onPathsChange,
+}) {
+  const [nodes, setNodes] = useState(() => (rootFolder ? mergeLevel({}, rootFolder) : {}));
+  // Start with the selected folder revealed
+  const [expanded, setExpanded] = useState(() => new Set(getAncestors(selectedPath || ROOT_PATH)));
+  const [activePath, setActivePath] = useState(null);
+  const lastReloadKey = useRef(reloadKey);
+  const treeId = useId();
+
+  const loadLevel = useCallback(async (path, refresh = false) => {
+    if (!projectKey) return;
+    setNodes((prev) => ({ ...prev, [path]: { ...prev[path], path, loading: true, error: null } }));
+    try {
+      const result = await fetchFolders(projectKey, path, { refresh });
+      setNodes((prev) => mergeLevel(prev, result.folders));
+    } catch (err) {
+      setNodes((prev) => ({ ...prev, [path]: { ...prev[path], loading: false, error: err.message } }));
+    }
+  }, [projectKey]);
+
+  useEffect(() => {
+    if (rootFolder) {
+      setNodes((prev) => mergeLevel(prev, rootFolder));
+    }
+  }, [rootFolder]);
+
+  // Drop everything that was loaded and fetch the root again, skipping the server cache
+  useEffect(() => {
+    if (reloadKey === lastReloadKey.current) return;
+    lastReloadKey.current = reloadKey;
+    setNodes({});
+    loadLevel(ROOT_PATH, true);
+  }, [reloadKey, loadLevel]);
+
+  // Fetch the root and any expanded folder whose subfolders aren't loaded yet
+  useEffect(() => {
+    if (!nodes[ROOT_PATH]) {
+      loadLevel(ROOT_PATH);
+      return;
+    }
+    for (const path of expanded) {
+      const node = nodes[path];
+      if (node && node.hasChildren && node.children === null && !node.loading && !node.error) {
+        loadLevel(path);
+      }
+    }
+  }, [nodes, expanded, loadLevel]);
+
+  useEffect(() => {
+    onPathsChange?.(Object.keys(nodes));
+  }, [nodes, onPathsChange]);
+
+  const query = search.trim().toLowerCase();
+
+  // Loaded folders whose path matches the search
+  const matches = useMemo(() => {
+    if (!query) return null;
+    return new Set(
+      Object.keys(nodes).filter((path) => path !== ROOT_PATH && path.toLowerCase().includes(query))
+    );
+  }, [nodes, query]);
+
+  // While searching, show the matches and the folders leading to them
+  const visible = useMemo(() => {
+    if (!matches) return null;
+    const set = new Set();
+    for (const path of matches) {
+      set.add(path);
+      getAncestors(path).forEach((ancestor) => set.add(ancestor));
+    }
+    return set;
+  }, [matches]);
+
+  // Depth-first list of the rows currently on screen
+  const rows = useMemo(() => {
+    const list = [];
+    const visit = (path, level) => {
+      const node = nodes[path];
+      if (!node || (excludePath && isWithin(path, excludePath))) return;
+      if (visible && !visible.has(path)) return;
+
+      const isExpanded = visible
+        ? (node.children || []).some((child) => visible.has(child))
+        : expanded.has(path);
+      list.push({ node, level, isExpanded });
+      if (isExpanded) {
+        (node.children || []).forEach((child) => visit(child, level + 1));
+      }
+    };
+    visit(ROOT_PATH, 1);
+    return list;
+  }, [nodes, expanded, visible, excludePath]);
+
+  // Search results move the cursor back to the first match
+  useEffect(() => {
+    setActivePath(null);
+  }, [query]);
+
+  const rowPaths = rows.map((row) => row.node.path);
+  const focusedIndex = [
+    activePath,
+    matches && rowPaths.find((path) => matches.has(path)),
+    selectedPath,
+  ].reduce((found, path) => (found >= 0 ? found : rowPaths.indexOf(path)), -1);
+  const activeIndex = focusedIndex >= 0 ? focusedIndex : 0;
+  const activeId = rows.length > 0 ? `${treeId}-${activeIndex}` : undefined;
+
+  useEffect(() => {
+    if (activeId) {
+      document.getElementById(activeId)?.scrollIntoView?.({ block: 'nearest' });
+    }
+  }, [activeId]);
+
+  function setExpandedPath(path, isOpen) {
+    setExpanded((prev) => {
+      const next = new Set(prev);
+      if (isOpen) next.add(path);
+      else next.delete(path);
+      return next;
+    });
+  }
+
+  function selectRow(row) {
+    setActivePath(row.node.path);
+    onSelect(row.node.path, row.node);
+  }
+
+  function handleKeyDown(e) {
+    const row = rows[activeIndex];
+    if (!row) return;
+    const path = row.node.path;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setActivePath(rowPaths[Math.min(activeIndex + 1, rows.length - 1)]);
+        break;
+
+      case 'ArrowUp':
+        e.preventDefault();
+        setActivePath(rowPaths[Math.max(activeIndex - 1, 0)]);
+        break;
+
+      case 'ArrowRight':
+        e.preventDefault();
+        if (row.node.hasChildren && !row.isExpanded) {
+          setExpandedPath(path, true);
+        } else if (rows[activeIndex + 1]?.level > row.level) {
+          setActivePath(rowPaths[activeIndex + 1]);
+        }
+        break;
+
+      case 'ArrowLeft': {
+        e.preventDefault();
+        if (row.isExpanded && !visible) {
+          setExpandedPath(path, false);
+          break;
+        }
+        const parentIndex = rows.slice(0, activeIndex).map((r) => r.level).lastIndexOf(row.level - 1);
+        if (parentIndex >= 0) setActivePath(rowPaths[parentIndex]);
+        break;
+      }
+
+      case 'Home':
+        e.preventDefault();
+        setActivePath(rowPaths[0]);
+        break;
+
+      case 'End':
+        e.preventDefault();
+        setActivePath(rowPaths[rows.length - 1]);
+        break;
+
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        selectRow(row);
+        break;
+    }
+  }
+
+  const root = nodes[ROOT_PATH];
+
+  if (root?.error && !root.children) {
+    return (
+      <div className="text-center py-4 text-sm">
+        <p className="text-red-500 dark:text-red-400 mb-2">{root.error}</p>
+        <button type="button" onClick={() => loadLevel(ROOT_PATH, true)} className="btn btn-secondary btn-sm">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (visible && rows.length === 0) {
+    return <p className="p-3 text-gray-400 text-sm">No loaded folders match "{search.trim()}"</p>;
+  }
+
+  return (
+    <div
+      role="tree"
+      tabIndex={0}
+      aria-label="Test Repository folders"
+      aria-activedescendant={activeId}
+      onKeyDown={handleKeyDown}
+      className="py-1 outline-none focus-visible:ring-2 focus-visible:ring-primary-500 rounded-lg"
+    >
+      {rows.map((row, index) => {
+        const { node, level, isExpanded } = row;
+        const isSelected = selectedPath === node.path;
+        const name = node.path === ROOT_PATH ? '/ (Root)' : node.name;
+        return (
+          <div key={node.path}>
+            <div
+              id={`${treeId}-${index}`}
+              role="treeitem"
+              aria-level={level}
+              aria-expanded={node.hasChildren ? isExpanded : undefined}
+              aria-selected={isSelected}
+              onClick={() => selectRow(row)}
+              style={{ paddingLeft: `${0.25 + (level - 1) * 1}rem` }}
+              className={`flex items-center gap-1.5 pr-3 py-1.5 rounded-lg cursor-pointer text-sm ${
+                index === activeIndex
+                  ? 'bg-primary-50 dark:bg-primary-900/30'
+                  : isSelected
+                  ? 'bg-gray-100 dark:bg-gray-700/50'
+                  : 'hover:bg-gray-50 dark:hover:bg-gray-700'
+              }`}
+            >
+              {node.hasChildren ? (
+                <button
+                  type="button"
+                  tabIndex={-1}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setExpandedPath(node.path, !isExpanded);
+                  }}
+                  aria-label={`${isExpanded ? 'Collapse' : 'Expand'} ${name}`}
+                  className="p-0.5 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 flex-shrink-0"
+                >
+                  <svg width="12" height="12" viewBox="0 0 12 12" fill="none" className={`transition-transform ${isExpanded ? 'rotate-90' : ''}`}>
+                    <path d="M4.5 3l3 3-3 3" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                </button>
+              ) : (
+                <span className="w-4 flex-shrink-0"></span>
+              )}
+              <svg width="14" height="14" viewBox="0 0 14 14" fill="none" className="text-gray-400 flex-shrink-0">
+                <path d="M2 4h4l1 1h5v6a1 1 0 01-1 1H3a1 1 0 01-1-1V4z" stroke="currentColor" strokeWidth="1.2" strokeLinejoin="round"/>
+              </svg>
+              <span className="flex-1 text-gray-700 dark:text-gray-300 truncate" title={node.path}>{name}</span>
+              {node.testsCount !== undefined && (
+                <span className="text-xs text-gray-500 dark:text-gray-400 tabular-nums" title="Tests in this folder">
+                  {node.testsCount}
+                </span>
+              )}
+              {isSelected && (
+                <svg width="14" height="14" viewBox="0 0 14 14" fill="none" className="text-primary-600 flex-shrink-0">
+                  <path d="M3 7l3 3 5-5" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"/>
+                </svg>
+              )}
+            </div>
+
+            {isExpanded && node.loading && (
+              <div
+                style={{ paddingLeft: `${1.5 + level * 1}rem` }}
+                className="flex items-center gap-2 py-1.5 text-xs text-gray-400"
+              >
+                <span className="animate-spin rounded-full h-3 w-3 border-b-2 border-primary-500"></span>
+                Loading folders...
+              </div>
+            )}
+            {isExpanded && node.error && (
+              <div style={{ paddingLeft: `${1.5 + level * 1}rem` }} className="py-1.5 text-xs">
+                <span className="text-red-500 dark:text-red-400">{node.error}</span>{' '}
+                <button type="button" onClick={() => loadLevel(node.path)} className="text-primary-600 hover:underline">
+                  Retry
+                </button>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default FolderTree;
@@ -0,0 +1,164 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FolderTree from './FolderTree';
+import * as api from '../utils/api';
+
+vi.mock('../utils/api');
+
+describe('FolderTree', () => {
+  const levels = {
+    '/': {
+      name: '',
+      path: '/',
+      testsCount: 1,
+      folders: [
+        { name: 'Auth', path: '/Auth', testsCount: 2, hasChildren: true },
+        { name: 'Billing', path: '/Billing', testsCount: 0, hasChildren: true },
+      ],
+    },
+    '/Auth': {
+      name: 'Auth',
+      path: '/Auth',
+      testsCount: 2,
+      folders: [{ name: 'Login', path: '/Auth/Login', testsCount: 5, hasChildren: false }],
+    },
+    '/Billing': {
+      name: 'Billing',
+      path: '/Billing',
+      testsCount: 0,
+      folders: [{ name: 'Invoices', path: '/Billing/Invoices', testsCount: 4, hasChildren: false }],
+    },
+  };
+
+  const defaultProps = {
+    projectKey: 'WCP',
+    selectedPath: '/',
+    onSelect: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    api.fetchFolders.mockImplementation(async (projectKey, path) => ({ success: true, folders: levels[path] }));
+  });
+
+  // Label of the row aria-activedescendant points at
+  function activeLabel() {
+    const tree = screen.getByRole('tree');
+    const row = document.getElementById(tree.getAttribute('aria-activedescendant'));
+    return row.querySelector('span.truncate').textContent;
+  }
+
+  it('should load the root level with test counts', async () => {
+    render(<FolderTree {...defaultProps} />);
+
+    expect(await screen.findByText('Auth')).toBeInTheDocument();
+    expect(screen.getByText('/ (Root)')).toBeInTheDocument();
+    expect(screen.getByText('2')).toBeInTheDocument();
+    expect(api.fetchFolders).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use a cached root level without fetching', () => {
+    render(<FolderTree {...defaultProps} rootFolder={levels['/']} />);
+
+    expect(screen.getByText('Billing')).toBeInTheDocument();
+    expect(api.fetchFolders).not.toHaveBeenCalled();
+  });
+
+  it('should fetch subfolders only when a folder is expanded', async () => {
+    render(<FolderTree {...defaultProps} rootFolder={levels['/']} />);
+
+    const expand = screen.getByLabelText('Expand Auth');
+    expect(expand.closest('[role="treeitem"]')).toHaveAttribute('aria-expanded', 'false');
+    fireEvent.click(expand);
+
+    expect(await screen.findByText('Login')).toBeInTheDocument();
+    expect(api.fetchFolders).toHaveBeenCalledWith('WCP', '/Auth', { refresh: false });
+    expect(screen.getByText('Login').closest('[role="treeitem"]')).toHaveAttribute('aria-level', '3');
+
+    fireEvent.click(screen.getByLabelText('Collapse Auth'));
+    expect(screen.queryByText('Login')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Expand Auth'));
+    expect(screen.getByText('Login')).toBeInTheDocument();
+    expect(api.fetchFolders).toHaveBeenCalledTimes(1);
+  });
+
+  it('should select a folder on click', () => {
+    render(<FolderTree {...defaultProps} rootFolder={levels['/']} />);
+
+    fireEvent.click(screen.getByText('Billing'));
+
+    expect(defaultProps.onSelect).toHaveBeenCalledWith('/Billing', expect.objectContaining({ name: 'Billing', testsCount: 0 }));
+  });
+
+  it('should navigate with the keyboard', async () => {
+    render(<FolderTree {...defaultProps} rootFolder={levels['/']} />);
+    const tree = screen.getByRole('tree');
+
+    expect(activeLabel()).toBe('/ (Root)');
+    fireEvent.keyDown(tree, { key: 'ArrowDown' });
+    expect(activeLabel()).toBe('Auth');
+
+    // Right expands, then moves to the first subfolder
+    fireEvent.keyDown(tree, { key: 'ArrowRight' });
+    await screen.findByText('Login');
+    fireEvent.keyDown(tree, { key: 'ArrowRight' });
+    expect(activeLabel()).toBe('Login');
+
+    // Left moves to the parent, then collapses it
+    fireEvent.keyDown(tree, { key: 'ArrowLeft' });
+    expect(activeLabel()).toBe('Auth');
+    fireEvent.keyDown(tree, { key: 'ArrowLeft' });
+    expect(screen.queryByText('Login')).not.toBeInTheDocument();
+
+    fireEvent.keyDown(tree, { key: 'End' });
+    expect(activeLabel()).toBe('Billing');
+    fireEvent.keyDown(tree, { key: 'Home' });
+    expect(activeLabel()).toBe('/ (Root)');
+
+    fireEvent.keyDown(tree, { key: 'ArrowDown' });
+    fireEvent.keyDown(tree, { key: 'Enter' });
+    expect(defaultProps.onSelect).toHaveBeenCalledWith('/Auth', expect.any(Object));
+  });
+
+  it('should search only folders that are already loaded', async () => {
+    const { rerender } = render(<FolderTree {...defaultProps} rootFolder={levels['/']} />);
+    fireEvent.click(screen.getByLabelText('Expand Auth'));
+    await screen.findByText('Login');
+
+    rerender(<FolderTree {...defaultProps} rootFolder={levels['/']} search="in" />);
+
+    // /Auth/Login matches; /Billing/Invoices hasn't been loaded
+    expect(screen.getByText('Login')).toBeInTheDocument();
+    expect(screen.getByText('Auth')).toBeInTheDocument();
+    expect(screen.getByText('Billing')).toBeInTheDocument();
+    expect(screen.queryByText('Invoices')).not.toBeInTheDocument();
+    expect(activeLabel()).toBe('Login');
+
+    rerender(<FolderTree {...defaultProps} rootFolder={levels['/']} search="nothing" />);
+    expect(screen.getByText('No loaded folders match "nothing"')).toBeInTheDocument();
+  });
+
+  it('should show a retry when a level fails to load', async () => {
+    api.fetchFolders.mockRejectedValueOnce(new Error('Xray unavailable'));
+    render(<FolderTree {...defaultProps} rootFolder={levels['/']} />);
+
+    fireEvent.click(screen.getByLabelText('Expand Auth'));
+    expect(await screen.findByText('Xray unavailable')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Retry'));
+    expect(await screen.findByText('Login')).toBeInTheDocument();
+  });
+
+  it('should reload from Xray when the reload key changes', async () => {
+    const { rerender } = render(<FolderTree {...defaultProps} />);
+    await screen.findByText('Auth');
+
+    rerender(<FolderTree {...defaultProps} reloadKey={1} />);
+
+    await waitFor(() => {
+      expect(api.fetchFolders).toHaveBeenCalledWith('WCP', '/', { refresh: true });
+    });
+    expect(await screen.findByText('Auth')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,244 @@
+import { useState, useEffect } from 'react';
+import Modal from './Modal';
+import FolderTree from './FolderTree';
+import FolderInput from './FolderInput';
+import { createFolder, renameFolder, moveFolder, deleteFolder } from '../utils/api';
+
+const getName = (path) => path.slice(path.lastIndexOf('/') + 1);
+
+function FoldersView({ activeProject, config, showToast, onFoldersChanged }) {
+  // { path, name, testsCount } of the selected folder, null for the root
+  const [selected, setSelected] = useState(null);
+  const [search, setSearch] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [newPath, setNewPath] = useState('');
+  const [newName, setNewName] = useState('');
+  const [destinationPath, setDestinationPath] = useState('/');
+  const [busy, setBusy] = useState(null);
+  const [showDeleteModal, setShowDeleteModal] = useState(false);
+
+  const selectedPath = selected?.path || null;
+
+  useEffect(() => {
+    setSelected(null);
+    setSearch('');
+  }, [activeProject]);
+
+  function selectFolder(path, folder) {
+    if (path === '/') {
+      setSelected(null);
+      return;
+    }
+    setSelected({ path, name: folder.name, testsCount: folder.testsCount });
+    setNewName(folder.name);
+    setDestinationPath('/');
+  }
+
+  // Keep showing a folder after it was renamed or moved
+  function followFolder(path) {
+    setSelected((prev) => ({ ...prev, path, name: getName(path) }));
+    setNewName(getName(path));
+  }
+
+  // Run a folder change, then reload the tree and let the builder refresh affected drafts
+  async function runChange(action, change, successMessage) {
+    setBusy(action);
+    try {
+      const result = await change();
+      const draftsNote = result.draftsUpdated
+        ? ` (${result.draftsUpdated} draft${result.draftsUpdated > 1 ? 's' : ''} updated)`
+        : '';
+      showToast(`${successMessage}${draftsNote}`);
+      setReloadKey((key) => key + 1);
+      onFoldersChanged?.();
+      return result;
+    } catch (err) {
+      showToast(err.message);
+      return null;
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleCreate(e) {
+    e.preventDefault();
+    const path = newPath.trim();
+    if (!path) return;
+
+    const fullPath = path.startsWith('/') ? path : `${selectedPath || ''}/${path}`;
+    const result = await runChange('create', () => createFolder(activeProject, fullPath), `Folder ${fullPath} created`);
+    if (result) {
+      setNewPath('');
+      setSelected({ path: result.path, name: getName(result.path), testsCount: 0 });
+      setNewName(getName(result.path));
+      setDestinationPath('/');
+    }
+  }
+
+  async function handleRename(e) {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name || name === selected.name) return;
+
+    const result = await runChange('rename', () => renameFolder(activeProject, selectedPath, name), 'Folder renamed');
+    if (result) followFolder(result.path);
+  }
+
+  async function handleMove(e) {
+    e.preventDefault();
+    const result = await runChange('move', () => moveFolder(activeProject, selectedPath, destinationPath), 'Folder moved');
+    if (result) followFolder(result.path);
+  }
+
+  async function handleDelete() {
+    setShowDeleteModal(false);
+    const result = await runChange('delete', () => deleteFolder(activeProject, selectedPath), 'Folder deleted');
+    if (result) setSelected(null);
+  }
+
+  if (!config) {
+    return (
+      <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+        Configure Xray credentials to manage Test Repository folders
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex gap-4 min-h-[400px]">
+      {/* Sidebar - Folder tree */}
+      <div className="w-72 flex-shrink-0">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-medium text-gray-900 dark:text-white">Test Repository</h3>
+          <button
+            onClick={() => setReloadKey((key) => key + 1)}
+            className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300 font-medium"
+          >
+            Refresh
+          </button>
+        </div>
+
+        <form onSubmit={handleCreate} className="flex gap-2 mb-3">
+          <input
+            type="text"
+            value={newPath}
+            onChange={(e) => setNewPath(e.target.value)}
+            placeholder={selectedPath ? `New folder in ${selectedPath}` : 'New folder, e.g. /Auth/Login'}
+            className="input flex-1 text-sm"
+            aria-label="New folder"
+          />
+          <button type="submit" disabled={!newPath.trim() || busy !== null} className="btn btn-primary btn-sm">
+            {busy === 'create' ? <span className="spinner"></span> : 'Add'}
+          </button>
+        </form>
+
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search loaded folders..."
+          className="input text-sm mb-2"
+          aria-label="Search folders"
+        />
+
+        <FolderTree
+          key={activeProject}
+          projectKey={activeProject}
+          selectedPath={selectedPath || '/'}
+          onSelect={selectFolder}
+          search={search}
+          reloadKey={reloadKey}
+        />
+      </div>
+
+      {/* Main area - Actions for the selected folder */}
+      <div className="flex-1 border-l border-gray-200 dark:border-gray-700 pl-4">
+        {!selected ? (
+          <div className="flex items-center justify-center h-full text-gray-400 dark:text-gray-500">
+            <p>Select a folder to rename, move or delete it</p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div>
+              <h3 className="font-medium text-gray-900 dark:text-white">{selected.path}</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {selected.testsCount} test{selected.testsCount === 1 ? '' : 's'} directly in this folder
+              </p>
+            </div>
+
+            <form onSubmit={handleRename}>
+              <label htmlFor="folder-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Name
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="folder-name"
+                  type="text"
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  className="input flex-1"
+                />
+                <button
+                  type="submit"
+                  disabled={!newName.trim() || newName.trim() === selected.name || busy !== null}
+                  className="btn btn-secondary"
+                >
+                  {busy === 'rename' ? 'Renaming...' : 'Rename'}
+                </button>
+              </div>
+            </form>
+
+            <form onSubmit={handleMove}>
+              <div className="flex gap-2 items-end">
+                <div className="flex-1">
+                  <FolderInput
+                    key={selectedPath}
+                    label="Move to"
+                    value={destinationPath}
+                    onChange={setDestinationPath}
+                    projectKey={activeProject}
+                    allowNewPath={false}
+                    excludePath={selectedPath}
+                  />
+                </div>
+                <button type="submit" disabled={busy !== null} className="btn btn-secondary">
+                  {busy === 'move' ? 'Moving...' : 'Move'}
+                </button>
+              </div>
+            </form>
+
+            <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+              <button onClick={() => setShowDeleteModal(true)} disabled={busy !== null} className="btn btn-danger">
+                {busy === 'delete' ? 'Deleting...' : 'Delete Folder'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showDeleteModal && (
+        <Modal onClose={() => setShowDeleteModal(false)}>
+          <div className="text-center">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">
+              Delete {selectedPath}?
+            </h3>
+            <p className="text-gray-500 dark:text-gray-400 mb-6">
+              The folder and its subfolders are removed from the Xray Test Repository.
+              Drafts linked to them will use the parent folder instead.
+            </p>
+            <div className="flex gap-3">
+              <button onClick={() => setShowDeleteModal(false)} className="btn btn-secondary flex-1">
+                Cancel
+              </button>
+              <button onClick={handleDelete} className="btn btn-danger flex-1">
+                Delete
+              </button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+}
+
+export default FoldersView;
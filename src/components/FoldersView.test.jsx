@@ -0,0 +1,168 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import FoldersView from './FoldersView';
+import * as api from '../utils/api';
+
+vi.mock('../utils/api');
+
+describe('FoldersView', () => {
+  // One level per path, as returned by GET /xray/folders/:projectKey
+  const levels = {
+    '/': {
+      name: '',
+      path: '/',
+      testsCount: 0,
+      folders: [
+        { name: 'Auth', path: '/Auth', testsCount: 2, hasChildren: true },
+        { name: 'Billing', path: '/Billing', testsCount: 0, hasChildren: false },
+      ],
+    },
+    '/Auth': {
+      name: 'Auth',
+      path: '/Auth',
+      testsCount: 2,
+      folders: [{ name: 'Login', path: '/Auth/Login', testsCount: 5, hasChildren: false }],
+    },
+  };
+
+  const defaultProps = {
+    activeProject: 'WCP',
+    config: { configured: true },
+    showToast: vi.fn(),
+    onFoldersChanged: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    api.fetchFolders.mockImplementation(async (projectKey, path) => ({
+      success: true,
+      folders: levels[path],
+      projectId: 'proj-1',
+    }));
+  });
+
+  it('should render the folder tree with test counts', async () => {
+    render(<FoldersView {...defaultProps} />);
+
+    expect(await screen.findByText('Auth')).toBeInTheDocument();
+    expect(screen.getByText('2')).toBeInTheDocument();
+    expect(screen.queryByText('Login')).not.toBeInTheDocument();
+    expect(api.fetchFolders).toHaveBeenCalledWith('WCP', '/', { refresh: false });
+  });
+
+  it('should load subfolders when a folder is expanded', async () => {
+    render(<FoldersView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByLabelText('Expand Auth'));
+
+    expect(await screen.findByText('Login')).toBeInTheDocument();
+    expect(screen.getByText('5')).toBeInTheDocument();
+    expect(api.fetchFolders).toHaveBeenCalledWith('WCP', '/Auth', { refresh: false });
+  });
+
+  it('should reload the tree bypassing the server cache on Refresh', async () => {
+    render(<FoldersView {...defaultProps} />);
+    await screen.findByText('Auth');
+
+    fireEvent.click(screen.getByText('Refresh'));
+
+    await waitFor(() => {
+      expect(api.fetchFolders).toHaveBeenCalledWith('WCP', '/', { refresh: true });
+    });
+  });
+
+  it('should ask for credentials when Xray is not configured', () => {
+    render(<FoldersView {...defaultProps} config={null} />);
+
+    expect(screen.getByText(/Configure Xray credentials/)).toBeInTheDocument();
+    expect(api.fetchFolders).not.toHaveBeenCalled();
+  });
+
+  it('should create a folder inside the selected folder', async () => {
+    api.createFolder.mockResolvedValue({ success: true, path: '/Auth/OAuth', created: ['/Auth/OAuth'] });
+    render(<FoldersView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('Auth'));
+    fireEvent.change(screen.getByLabelText('New folder'), { target: { value: 'OAuth' } });
+    fireEvent.click(screen.getByText('Add'));
+
+    await waitFor(() => {
+      expect(api.createFolder).toHaveBeenCalledWith('WCP', '/Auth/OAuth');
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Folder /Auth/OAuth created');
+    expect(defaultProps.onFoldersChanged).toHaveBeenCalled();
+  });
+
+  it('should rename a folder and report updated drafts', async () => {
+    api.renameFolder.mockResolvedValue({ success: true, path: '/Auth/SignIn', draftsUpdated: 3 });
+    render(<FoldersView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByLabelText('Expand Auth'));
+    fireEvent.click(await screen.findByText('Login'));
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'SignIn' } });
+    fireEvent.click(screen.getByText('Rename'));
+
+    await waitFor(() => {
+      expect(api.renameFolder).toHaveBeenCalledWith('WCP', '/Auth/Login', 'SignIn');
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Folder renamed (3 drafts updated)');
+  });
+
+  it('should not offer moving a folder into itself', async () => {
+    render(<FoldersView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('Auth'));
+    fireEvent.click(screen.getByRole('button', { name: '/ (Root)' }));
+
+    const destinations = await screen.findAllByRole('tree');
+    const picker = destinations[destinations.length - 1];
+    await waitFor(() => {
+      expect(within(picker).getByText('Billing')).toBeInTheDocument();
+    });
+    expect(within(picker).queryByText('Auth')).not.toBeInTheDocument();
+  });
+
+  it('should move a folder', async () => {
+    api.moveFolder.mockResolvedValue({ success: true, path: '/Billing/Auth', draftsUpdated: 0 });
+    render(<FoldersView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('Auth'));
+    fireEvent.click(screen.getByRole('button', { name: '/ (Root)' }));
+    const destinations = await screen.findAllByRole('tree');
+    fireEvent.click(await within(destinations[destinations.length - 1]).findByText('Billing'));
+    fireEvent.click(screen.getByText('Move'));
+
+    await waitFor(() => {
+      expect(api.moveFolder).toHaveBeenCalledWith('WCP', '/Auth', '/Billing');
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Folder moved');
+  });
+
+  it('should delete a folder after confirmation', async () => {
+    api.deleteFolder.mockResolvedValue({ success: true, draftsUpdated: 1 });
+    render(<FoldersView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('Billing'));
+    fireEvent.click(screen.getByText('Delete Folder'));
+    fireEvent.click(screen.getByText('Delete'));
+
+    await waitFor(() => {
+      expect(api.deleteFolder).toHaveBeenCalledWith('WCP', '/Billing');
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Folder deleted (1 draft updated)');
+  });
+
+  it('should show Xray errors as a toast', async () => {
+    api.deleteFolder.mockRejectedValue(new Error('Folder /Billing does not exist'));
+    render(<FoldersView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('Billing'));
+    fireEvent.click(screen.getByText('Delete Folder'));
+    fireEvent.click(screen.getByText('Delete'));
+
+    await waitFor(() => {
+      expect(defaultProps.showToast).toHaveBeenCalledWith('Folder /Billing does not exist');
+    });
+    expect(defaultProps.onFoldersChanged).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * GherkinEditor - Scenario editor for Cucumber test cases
+ *
+ * Replaces the step cards when the test type is Cucumber. The value is the
+ * raw Gherkin text sent to Xray as the test definition.
+ */
+
+const GHERKIN_KEYWORDS = ['Scenario Outline:', 'Scenario:', 'Examples:', 'Background:', 'Given', 'When', 'Then', 'And', 'But'];
+
+const SCENARIO_TEMPLATE = `Scenario: Describe the behaviour
+  Given a starting context
+  When an action is performed
+  Then an observable outcome is expected`;
+
+// Check that the Gherkin text contains at least one step line
+export function hasGherkinSteps(gherkin) {
+  if (!gherkin?.trim()) return false;
+  return /^\s*(Given|When|Then|And|But)\s+\S/m.test(gherkin);
+}
+
+function GherkinEditor({ value, onChange, error, disabled }) {
+  const lineCount = value ? value.split('\n').length : 0;
+
+  function handleKeyDown(e) {
+    // Insert two spaces instead of leaving the textarea on Tab
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      const { selectionStart, selectionEnd } = e.target;
+      const next = `${value.substring(0, selectionStart)}  ${value.substring(selectionEnd)}`;
+      onChange(next);
+    }
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+          Scenario {!disabled && <span className="text-red-500">*</span>}
+        </label>
+        {!disabled && !value?.trim() && (
+          <button
+            type="button"
+            onClick={() => onChange(SCENARIO_TEMPLATE)}
+            className="btn btn-ghost btn-sm"
+          >
+            Insert template
+          </button>
+        )}
+      </div>
+
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        rows={Math.max(8, lineCount + 1)}
+        placeholder="Scenario: ...&#10;  Given ...&#10;  When ...&#10;  Then ..."
+        disabled={disabled}
+        spellCheck={false}
+        className={`input font-mono text-sm ${error ? 'input-error' : ''} ${disabled ? 'opacity-60 cursor-not-allowed' : ''}`}
+      />
+
+      {error ? (
+        <p className="text-red-500 text-sm">{error}</p>
+      ) : (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Keywords: {GHERKIN_KEYWORDS.join(', ')}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default GherkinEditor;
@@ -0,0 +1,68 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import GherkinEditor, { hasGherkinSteps } from './GherkinEditor';
+
+describe('GherkinEditor', () => {
+  it('should render the scenario textarea with its value', () => {
+    render(<GherkinEditor value="Scenario: Login" onChange={vi.fn()} />);
+
+    expect(screen.getByDisplayValue('Scenario: Login')).toBeInTheDocument();
+  });
+
+  it('should call onChange when typing', () => {
+    const onChange = vi.fn();
+    render(<GherkinEditor value="" onChange={onChange} />);
+
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Given a user' } });
+
+    expect(onChange).toHaveBeenCalledWith('Given a user');
+  });
+
+  it('should insert a template when empty', () => {
+    const onChange = vi.fn();
+    render(<GherkinEditor value="" onChange={onChange} />);
+
+    fireEvent.click(screen.getByText('Insert template'));
+
+    expect(onChange).toHaveBeenCalledWith(expect.stringContaining('Scenario:'));
+  });
+
+  it('should hide template button when value is present', () => {
+    render(<GherkinEditor value="Scenario: Login" onChange={vi.fn()} />);
+
+    expect(screen.queryByText('Insert template')).not.toBeInTheDocument();
+  });
+
+  it('should insert two spaces on Tab', () => {
+    const onChange = vi.fn();
+    render(<GherkinEditor value="Given" onChange={onChange} />);
+
+    const textarea = screen.getByRole('textbox');
+    textarea.setSelectionRange(0, 0);
+    fireEvent.keyDown(textarea, { key: 'Tab' });
+
+    expect(onChange).toHaveBeenCalledWith('  Given');
+  });
+
+  it('should show error message', () => {
+    render(<GherkinEditor value="" onChange={vi.fn()} error="Scenario is required" />);
+
+    expect(screen.getByText('Scenario is required')).toBeInTheDocument();
+  });
+
+  it('should disable textarea when disabled', () => {
+    render(<GherkinEditor value="Scenario: Login" onChange={vi.fn()} disabled />);
+
+    expect(screen.getByRole('textbox')).toBeDisabled();
+  });
+
+  describe('hasGherkinSteps', () => {
+    it('should require at least one step keyword line', () => {
+      expect(hasGherkinSteps('')).toBe(false);
+      expect(hasGherkinSteps(undefined)).toBe(false);
+      expect(hasGherkinSteps('Scenario: Login')).toBe(false);
+      expect(hasGherkinSteps('Scenario: Login\n  Given a user')).toBe(true);
+      expect(hasGherkinSteps('  Then it works')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * ImportProgressPanel - Live progress of a background bulk import job
+ *
+ * Subscribes to the job's SSE stream and reports the final state through
+ * onFinished. A dropped stream is reopened until the job finishes. The job id
+ * is kept in localStorage by the parent so the panel can reattach after a
+ * page reload.
+ */
+
+import { useState, useEffect } from 'react';
+import { subscribeToImportJob, fetchImportJob } from '../utils/api';
+
+export const IMPORT_JOB_STORAGE_KEY = 'raydrop_import_job';
+
+// Wait before reopening a dropped stream, so a server that is down isn't hammered
+export const RECONNECT_DELAY_MS = 2000;
+
+// Phases shown as progress steps, in order
+const PHASE_STEPS = [
+  { phase: 'queued', label: 'Queued' },
+  { phase: 'authenticating', label: 'Authenticating' },
+  { phase: 'submitted', label: 'Submitted' },
+  { phase: 'working', label: 'Xray processing' },
+  { phase: 'linking', label: 'Linking' },
+  { phase: 'done', label: 'Done' },
+];
+
+function getStepIndex(phase) {
+  const index = PHASE_STEPS.findIndex((step) => step.phase === phase);
+  return index === -1 ? 0 : index;
+}
+
+function ImportProgressPanel({ jobId, onFinished, onLost }) {
+  const [job, setJob] = useState(null);
+
+  useEffect(() => {
+    let finished = false;
+    let closed = false;
+    let unsubscribe = null;
+    let reconnectTimer = null;
+
+    function handleUpdate(snapshot) {
+      setJob(snapshot);
+      if (!finished && (snapshot.phase === 'done' || snapshot.phase === 'failed')) {
+        finished = true;
+        onFinished(snapshot);
+      }
+    }
+
+    function subscribe() {
+      unsubscribe = subscribeToImportJob(jobId, handleUpdate, handleError);
+    }
+
+    // The stream dropped: catch up from the server, then follow the job again
+    async function handleError() {
+      if (finished || closed) return;
+      try {
+        const result = await fetchImportJob(jobId);
+        if (closed) return;
+        handleUpdate(result.job);
+      } catch (error) {
+        if (closed) return;
+        // Jobs live in server memory; any other failure may just be a network blip
+        if (error.status === 404) {
+          onLost();
+          return;
+        }
+      }
+      if (!finished) {
+        reconnectTimer = setTimeout(subscribe, RECONNECT_DELAY_MS);
+      }
+    }
+
+    subscribe();
+    return () => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      unsubscribe?.();
+    };
+  }, [jobId, onFinished, onLost]);
+
+  const phase = job?.phase || 'queued';
+  const isFailed = phase === 'failed';
+  const currentIndex = getStepIndex(phase);
+
+  return (
+    <div
+      className={`p-3 rounded-lg mb-4 border ${isFailed
+        ? 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800'
+        : 'bg-primary-50 dark:bg-primary-900/20 border-primary-200 dark:border-primary-800'}`}
+      role="status"
+    >
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <span className="text-sm font-medium text-gray-900 dark:text-white">
+          {isFailed
+            ? 'Import failed'
+            : job?.total
+              ? `Importing ${job.total} test case${job.total === 1 ? '' : 's'}`
+              : 'Importing test cases'}
+        </span>
+        {!isFailed && phase !== 'done' && <span className="spinner"></span>}
+      </div>
+
+      {!isFailed && (
+        <ol className="flex flex-wrap gap-x-3 gap-y-1 mb-2">
+          {PHASE_STEPS.map((step, index) => (
+            <li
+              key={step.phase}
+              className={`text-xs ${index < currentIndex
+                ? 'text-emerald-600 dark:text-emerald-400'
+                : index === currentIndex
+                  ? 'text-primary-600 dark:text-primary-400 font-semibold'
+                  : 'text-gray-400 dark:text-gray-500'}`}
+            >
+              {index < currentIndex ? '✓ ' : ''}{step.label}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <p className={`text-sm ${isFailed ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}`}>
+        {job?.message || 'Waiting in queue'}
+      </p>
+      {job?.retries > 0 && !isFailed && (
+        <p className="text-xs text-amber-600 dark:text-amber-400 mt-1">
+          Xray is slow or rate-limited: {job.retries} request{job.retries === 1 ? '' : 's'} retried so far
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ImportProgressPanel;
@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import ImportProgressPanel, { RECONNECT_DELAY_MS } from './ImportProgressPanel';
+import { subscribeToImportJob, fetchImportJob } from '../utils/api';
+
+vi.mock('../utils/api', () => ({
+  subscribeToImportJob: vi.fn(),
+  fetchImportJob: vi.fn(),
+}));
+
+describe('ImportProgressPanel', () => {
+  const defaultProps = {
+    jobId: 'job-1',
+    onFinished: vi.fn(),
+    onLost: vi.fn(),
+  };
+
+  let callbacks;
+  const unsubscribe = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    subscribeToImportJob.mockImplementation((id, onUpdate, onError) => {
+      callbacks = { onUpdate, onError };
+      return unsubscribe;
+    });
+  });
+
+  it('should show the queued state before any update arrives', () => {
+    render(<ImportProgressPanel {...defaultProps} />);
+
+    expect(subscribeToImportJob).toHaveBeenCalledWith('job-1', expect.any(Function), expect.any(Function));
+    expect(screen.getByText('Importing test cases')).toBeInTheDocument();
+    expect(screen.getByText('Waiting in queue')).toBeInTheDocument();
+  });
+
+  it('should render progress messages from the stream', () => {
+    render(<ImportProgressPanel {...defaultProps} />);
+
+    act(() => callbacks.onUpdate({ id: 'job-1', phase: 'working', total: 3, message: 'Xray job working (check 2)' }));
+
+    expect(screen.getByText('Importing 3 test cases')).toBeInTheDocument();
+    expect(screen.getByText('Xray job working (check 2)')).toBeInTheDocument();
+    expect(screen.getByText('✓ Submitted')).toBeInTheDocument();
+    expect(defaultProps.onFinished).not.toHaveBeenCalled();
+  });
+
+  it('should call onFinished once when the job completes', () => {
+    render(<ImportProgressPanel {...defaultProps} />);
+    const job = { id: 'job-1', phase: 'done', total: 1, message: 'Import complete' };
+
+    act(() => callbacks.onUpdate(job));
+    act(() => callbacks.onUpdate(job));
+
+    expect(defaultProps.onFinished).toHaveBeenCalledTimes(1);
+    expect(defaultProps.onFinished).toHaveBeenCalledWith(job);
+  });
+
+  it('should show failures', () => {
+    render(<ImportProgressPanel {...defaultProps} />);
+
+    act(() => callbacks.onUpdate({ id: 'job-1', phase: 'failed', message: 'Xray rejected the import' }));
+
+    expect(screen.getByText('Import failed')).toBeInTheDocument();
+    expect(screen.getByText('Xray rejected the import')).toBeInTheDocument();
+  });
+
+  it('should recover the job state when the stream drops', async () => {
+    fetchImportJob.mockResolvedValueOnce({ success: true, job: { id: 'job-1', phase: 'done', total: 1 } });
+    render(<ImportProgressPanel {...defaultProps} />);
+
+    await act(() => callbacks.onError());
+
+    expect(fetchImportJob).toHaveBeenCalledWith('job-1');
+    expect(defaultProps.onFinished).toHaveBeenCalledWith({ id: 'job-1', phase: 'done', total: 1 });
+  });
+
+  it('should reopen the stream while the job is still running', async () => {
+    vi.useFakeTimers();
+    try {
+      fetchImportJob.mockResolvedValueOnce({ success: true, job: { id: 'job-1', phase: 'working', total: 2, message: 'Linking tests (1/2)' } });
+      render(<ImportProgressPanel {...defaultProps} />);
+
+      await act(() => callbacks.onError());
+      expect(screen.getByText('Linking tests (1/2)')).toBeInTheDocument();
+      expect(subscribeToImportJob).toHaveBeenCalledTimes(1);
+
+      act(() => vi.advanceTimersByTime(RECONNECT_DELAY_MS));
+      expect(subscribeToImportJob).toHaveBeenCalledTimes(2);
+
+      act(() => callbacks.onUpdate({ id: 'job-1', phase: 'done', total: 2 }));
+      expect(defaultProps.onFinished).toHaveBeenCalledWith({ id: 'job-1', phase: 'done', total: 2 });
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should keep trying while the server cannot be reached', async () => {
+    vi.useFakeTimers();
+    try {
+      fetchImportJob.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+      render(<ImportProgressPanel {...defaultProps} />);
+
+      await act(() => callbacks.onError());
+      act(() => vi.advanceTimersByTime(RECONNECT_DELAY_MS));
+
+      expect(subscribeToImportJob).toHaveBeenCalledTimes(2);
+      expect(defaultProps.onLost).not.toHaveBeenCalled();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should call onLost when the job no longer exists', async () => {
+    fetchImportJob.mockRejectedValueOnce(Object.assign(new Error('Import job not found'), { status: 404 }));
+    render(<ImportProgressPanel {...defaultProps} />);
+
+    callbacks.onError();
+
+    await waitFor(() => {
+      expect(defaultProps.onLost).toHaveBeenCalled();
+    });
+  });
+
+  it('should close the stream on unmount', () => {
+    const { unmount } = render(<ImportProgressPanel {...defaultProps} />);
+
+    unmount();
+
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+
+  it('should not reopen the stream after unmount', async () => {
+    vi.useFakeTimers();
+    try {
+      fetchImportJob.mockResolvedValueOnce({ success: true, job: { id: 'job-1', phase: 'working' } });
+      const { unmount } = render(<ImportProgressPanel {...defaultProps} />);
+
+      await act(() => callbacks.onError());
+      unmount();
+      vi.advanceTimersByTime(RECONNECT_DELAY_MS);
+
+      expect(subscribeToImportJob).toHaveBeenCalledTimes(1);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should explain retries while the import is slow', () => {
+    render(<ImportProgressPanel {...defaultProps} />);
+
+    act(() => callbacks.onUpdate({
+      id: 'job-1',
+      phase: 'working',
+      retries: 2,
+      message: 'Xray rate limit reached, retrying in 5s (retry 2)',
+    }));
+
+    expect(screen.getByText('Xray rate limit reached, retrying in 5s (retry 2)')).toBeInTheDocument();
+    expect(screen.getByText('Xray is slow or rate-limited: 2 requests retried so far')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * ImportedTestEditor - Edit an imported test and push the changes to Xray
+ *
+ * Only summary, description, labels and (for Manual tests) steps can be
+ * changed. Changes are shown as a diff and confirmed before the update is
+ * sent; the local copy is only replaced once Xray accepts it.
+ */
+
+import { useState } from 'react';
+import Modal from './Modal';
+import TagInput from './TagInput';
+import { updateImportedTest } from '../utils/api';
+
+const emptyStep = { action: '', data: '', result: '' };
+
+function formatStep(step) {
+  if (!step) return '';
+  return [step.action, step.data, step.result].map((v) => v || '-').join(' | ');
+}
+
+/**
+ * Compare the original test with the edited values
+ * @returns {Array<{field: string, before: string, after: string}>}
+ */
+export function getTestChanges(original, edited) {
+  const changes = [];
+
+  if ((original.summary || '') !== edited.summary) {
+    changes.push({ field: 'Summary', before: original.summary || '', after: edited.summary });
+  }
+  if ((original.description || '') !== edited.description) {
+    changes.push({ field: 'Description', before: original.description || '', after: edited.description });
+  }
+
+  const beforeLabels = (original.labels || []).join(', ');
+  const afterLabels = edited.labels.join(', ');
+  if (beforeLabels !== afterLabels) {
+    changes.push({ field: 'Labels', before: beforeLabels, after: afterLabels });
+  }
+
+  if (edited.steps) {
+    const originalSteps = original.steps || [];
+    const count = Math.max(originalSteps.length, edited.steps.length);
+    for (let i = 0; i < count; i++) {
+      const before = formatStep(originalSteps[i]);
+      const after = formatStep(edited.steps[i]);
+      if (before !== after) {
+        changes.push({ field: `Step ${i + 1}`, before, after });
+      }
+    }
+  }
+
+  return changes;
+}
+
+function ImportedTestEditor({ testCase, onCancel, onSaved, showToast }) {
+  const isManual = (testCase.testType || 'Manual') === 'Manual';
+  const [summary, setSummary] = useState(testCase.summary || '');
+  const [description, setDescription] = useState(testCase.description || '');
+  const [labels, setLabels] = useState(testCase.labels || []);
+  const [steps, setSteps] = useState(
+    testCase.steps?.length > 0
+      ? testCase.steps.map(({ action, data, result }) => ({ action: action || '', data: data || '', result: result || '' }))
+      : [{ ...emptyStep }]
+  );
+  const [pendingChanges, setPendingChanges] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  function getEdited() {
+    return { summary, description, labels, steps: isManual ? steps : undefined };
+  }
+
+  function handleStepChange(index, field, value) {
+    setSteps((prev) => prev.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+  }
+
+  function handleReview() {
+    if (!summary.trim() || !description.trim()) {
+      setError('Summary and description are required');
+      return;
+    }
+    if (isManual && steps.some((s) => !s.action.trim() || !s.result.trim())) {
+      setError('Every step needs an action and an expected result');
+      return;
+    }
+    setError(null);
+
+    const changes = getTestChanges(testCase, getEdited());
+    if (changes.length === 0) {
+      showToast('No changes to update');
+      return;
+    }
+    setPendingChanges(changes);
+  }
+
+  async function handleConfirm() {
+    setSaving(true);
+    try {
+      const result = await updateImportedTest(testCase.id, getEdited());
+      if (!result.success) {
+        throw new Error(result.error || 'Update failed');
+      }
+      showToast(`Updated ${result.draft?.testKey || testCase.testKey} in Xray`);
+      setPendingChanges(null);
+      onSaved(result.draft);
+    } catch (err) {
+      setPendingChanges(null);
+      setError(err.message || 'Failed to update test in Xray');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium text-gray-900 dark:text-white">
+          Edit {testCase.testKey}
+        </h3>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          Changes are pushed to the existing Xray test
+        </span>
+      </div>
+
+      <div>
+        <label htmlFor="imported-summary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Summary <span className="text-red-500">*</span>
+        </label>
+        <input
+          id="imported-summary"
+          type="text"
+          value={summary}
+          onChange={(e) => setSummary(e.target.value)}
+          className="input"
+        />
+      </div>
+
+      <div>
+        <label htmlFor="imported-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Description <span className="text-red-500">*</span>
+        </label>
+        <textarea
+          id="imported-description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          rows={3}
+          className="input"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Labels
+        </label>
+        <TagInput tags={labels} onChange={setLabels} placeholder="Search or create..." />
+      </div>
+
+      {isManual && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Test Steps
+            </label>
+            <button
+              type="button"
+              onClick={() => setSteps((prev) => [...prev, { ...emptyStep }])}
+              className="btn btn-ghost btn-sm"
+            >
+              Add Step
+            </button>
+          </div>
+          {steps.map((step, index) => (
+            <div
+              key={index}
+              className="bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-2"
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-600 dark:text-gray-400">Step {index + 1}</span>
+                {steps.length > 1 && (
+                  <button
+                    type="button"
+                    onClick={() => setSteps((prev) => prev.filter((_, i) => i !== index))}
+                    className="text-gray-400 hover:text-red-500 text-sm"
+                    title={`Remove step ${index + 1}`}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={step.action}
+                onChange={(e) => handleStepChange(index, 'action', e.target.value)}
+                rows={2}
+                placeholder="Action"
+                aria-label={`Step ${index + 1} action`}
+                className="input"
+              />
+              <textarea
+                value={step.data}
+                onChange={(e) => handleStepChange(index, 'data', e.target.value)}
+                rows={1}
+                placeholder="Test data"
+                aria-label={`Step ${index + 1} data`}
+                className="input font-mono text-sm"
+              />
+              <textarea
+                value={step.result}
+                onChange={(e) => handleStepChange(index, 'result', e.target.value)}
+                rows={2}
+                placeholder="Expected result"
+                aria-label={`Step ${index + 1} result`}
+                className="input"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <p className="text-red-500 text-sm">{error}</p>
+      )}
+
+      <div className="flex gap-3 pt-4 border-t border-gray-200 dark:border-gray-700">
+        <button type="button" onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button type="button" onClick={handleReview} className="btn btn-primary flex-1">
+          Review Changes
+        </button>
+      </div>
+
+      {pendingChanges && (
+        <Modal onClose={() => !saving && setPendingChanges(null)}>
+          <div className="space-y-4">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+              Update {testCase.testKey} in Xray?
+            </h3>
+            <ul className="space-y-3 max-h-80 overflow-y-auto">
+              {pendingChanges.map((change) => (
+                <li key={change.field} className="text-sm">
+                  <p className="font-medium text-gray-700 dark:text-gray-300">{change.field}</p>
+                  <p className="mt-1 px-2 py-1 rounded bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-400 line-through whitespace-pre-wrap">
+                    {change.before || '(empty)'}
+                  </p>
+                  <p className="mt-1 px-2 py-1 rounded bg-emerald-50 dark:bg-emerald-900/20 text-emerald-700 dark:text-emerald-400 whitespace-pre-wrap">
+                    {change.after || '(removed)'}
+                  </p>
+                </li>
+              ))}
+            </ul>
+            <div className="flex gap-3">
+              <button onClick={() => setPendingChanges(null)} disabled={saving} className="btn btn-secondary flex-1">
+                Back
+              </button>
+              <button onClick={handleConfirm} disabled={saving} className="btn btn-primary flex-1">
+                {saving ? <span className="spinner"></span> : 'Update in Xray'}
+              </button>
+            </div>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+}
+
+export default ImportedTestEditor;
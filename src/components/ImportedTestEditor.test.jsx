@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ImportedTestEditor, { getTestChanges } from './ImportedTestEditor';
+import { updateImportedTest } from '../utils/api';
+
+vi.mock('../utils/api', () => ({
+  fetchLabels: vi.fn().mockResolvedValue({ success: true, labels: [] }),
+  saveLabels: vi.fn(),
+  updateImportedTest: vi.fn(),
+}));
+
+describe('ImportedTestEditor', () => {
+  const testCase = {
+    id: 'draft-1',
+    summary: 'Login works',
+    description: 'Checks login',
+    testType: 'Manual',
+    labels: ['smoke'],
+    steps: [{ action: 'Open app', data: '', result: 'App opens' }],
+    status: 'imported',
+    testIssueId: '10001',
+    testKey: 'PROJ-1',
+  };
+
+  const defaultProps = {
+    testCase,
+    onCancel: vi.fn(),
+    onSaved: vi.fn(),
+    showToast: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('getTestChanges', () => {
+    it('should return no changes for identical values', () => {
+      const edited = { summary: testCase.summary, description: testCase.description, labels: ['smoke'], steps: testCase.steps };
+      expect(getTestChanges(testCase, edited)).toEqual([]);
+    });
+
+    it('should list changed fields and steps', () => {
+      const edited = {
+        summary: 'Login still works',
+        description: testCase.description,
+        labels: ['smoke', 'auth'],
+        steps: [testCase.steps[0], { action: 'Sign in', data: 'user', result: 'Dashboard' }],
+      };
+
+      expect(getTestChanges(testCase, edited)).toEqual([
+        { field: 'Summary', before: 'Login works', after: 'Login still works' },
+        { field: 'Labels', before: 'smoke', after: 'smoke, auth' },
+        { field: 'Step 2', before: '', after: 'Sign in | user | Dashboard' },
+      ]);
+    });
+
+    it('should ignore steps when not editable', () => {
+      const edited = { summary: testCase.summary, description: testCase.description, labels: ['smoke'] };
+      expect(getTestChanges(testCase, edited)).toEqual([]);
+    });
+  });
+
+  it('should show a toast when nothing changed', () => {
+    render(<ImportedTestEditor {...defaultProps} />);
+    fireEvent.click(screen.getByText('Review Changes'));
+    expect(defaultProps.showToast).toHaveBeenCalledWith('No changes to update');
+  });
+
+  it('should show the diff and push changes after confirmation', async () => {
+    updateImportedTest.mockResolvedValueOnce({ success: true, draft: { ...testCase, summary: 'New summary' } });
+    render(<ImportedTestEditor {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText(/Summary/), { target: { value: 'New summary' } });
+    fireEvent.click(screen.getByText('Review Changes'));
+
+    expect(screen.getByText('Update PROJ-1 in Xray?')).toBeInTheDocument();
+    expect(screen.getByText('Login works')).toBeInTheDocument();
+    expect(updateImportedTest).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Update in Xray'));
+
+    await waitFor(() => {
+      expect(defaultProps.onSaved).toHaveBeenCalled();
+    });
+    expect(updateImportedTest).toHaveBeenCalledWith('draft-1', expect.objectContaining({
+      summary: 'New summary',
+      steps: [{ action: 'Open app', data: '', result: 'App opens' }],
+    }));
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Updated PROJ-1 in Xray');
+  });
+
+  it('should show the Xray error when the update fails', async () => {
+    updateImportedTest.mockResolvedValueOnce({ success: false, error: 'Import failed: boom' });
+    render(<ImportedTestEditor {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('Step 1 result'), { target: { value: 'App opens fast' } });
+    fireEvent.click(screen.getByText('Review Changes'));
+    fireEvent.click(screen.getByText('Update in Xray'));
+
+    expect(await screen.findByText('Import failed: boom')).toBeInTheDocument();
+    expect(defaultProps.onSaved).not.toHaveBeenCalled();
+  });
+
+  it('should require an action and result for every step', () => {
+    render(<ImportedTestEditor {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Add Step'));
+    fireEvent.click(screen.getByText('Review Changes'));
+
+    expect(screen.getByText('Every step needs an action and an expected result')).toBeInTheDocument();
+  });
+
+  it('should not render steps for non-Manual tests', () => {
+    render(<ImportedTestEditor {...defaultProps} testCase={{ ...testCase, testType: 'Cucumber', gherkin: 'Scenario: x' }} />);
+    expect(screen.queryByText('Test Steps')).not.toBeInTheDocument();
+  });
+
+  it('should call onCancel', () => {
+    render(<ImportedTestEditor {...defaultProps} />);
+    fireEvent.click(screen.getByText('Cancel'));
+    expect(defaultProps.onCancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,303 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  fetchLocalPreconditions,
+  createLocalPrecondition,
+  updateLocalPrecondition,
+  deleteLocalPrecondition,
+  importLocalPrecondition,
+} from '../utils/api';
+
+const PRECONDITION_TYPES = ['Manual', 'Cucumber', 'Generic'];
+
+const DEFINITION_PLACEHOLDERS = {
+  Manual: 'Steps to bring the system into the required state',
+  Cucumber: 'Given the user is logged in\nAnd the cart is empty',
+  Generic: 'Free-form definition, e.g. a script reference',
+};
+
+const EMPTY_FORM = { summary: '', description: '', preconditionType: 'Manual', definition: '' };
+
+function toForm(precondition) {
+  return {
+    summary: precondition.summary || '',
+    description: precondition.description || '',
+    preconditionType: precondition.preconditionType || 'Manual',
+    definition: precondition.definition || '',
+  };
+}
+
+function PreconditionsView({ activeProject, config, showToast }) {
+  const [preconditions, setPreconditions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // null = nothing selected, 'new' = unsaved precondition, otherwise an id
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const loadPreconditions = useCallback(async () => {
+    if (!activeProject) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await fetchLocalPreconditions(activeProject);
+      setPreconditions(result.preconditions || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [activeProject]);
+
+  useEffect(() => {
+    setSelectedId(null);
+    loadPreconditions();
+  }, [loadPreconditions]);
+
+  const selected = preconditions.find((p) => p.id === selectedId) || null;
+  const isImported = selected?.status === 'imported';
+
+  function selectPrecondition(precondition) {
+    setSelectedId(precondition.id);
+    setForm(toForm(precondition));
+    setFormError(null);
+  }
+
+  function startNew() {
+    setSelectedId('new');
+    setForm(EMPTY_FORM);
+    setFormError(null);
+  }
+
+  function updateField(field, value) {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function handleSave() {
+    if (!form.summary.trim()) {
+      setFormError('Summary is required');
+      return;
+    }
+
+    setBusy('save');
+    setFormError(null);
+    try {
+      if (selectedId === 'new') {
+        const result = await createLocalPrecondition(activeProject, form);
+        setPreconditions((prev) => [result.precondition, ...prev]);
+        setSelectedId(result.id);
+      } else {
+        const result = await updateLocalPrecondition(selectedId, form);
+        setPreconditions((prev) => prev.map((p) => (p.id === selectedId ? result.precondition : p)));
+      }
+      showToast('Precondition saved');
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleDelete() {
+    setBusy('delete');
+    try {
+      await deleteLocalPrecondition(selectedId);
+      setPreconditions((prev) => prev.filter((p) => p.id !== selectedId));
+      setSelectedId(null);
+      showToast('Precondition deleted');
+    } catch (err) {
+      showToast(`Failed to delete precondition: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleImport() {
+    setBusy('import');
+    try {
+      const result = await importLocalPrecondition(selectedId);
+      setPreconditions((prev) => prev.map((p) => (p.id === selectedId ? result.precondition : p)));
+      showToast(`Created ${result.precondition.xrayKey} in Xray`);
+    } catch (err) {
+      showToast(`Failed to create precondition in Xray: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  if (!activeProject) {
+    return (
+      <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+        Select a project to manage its preconditions
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex gap-4 min-h-[400px]">
+      {/* Sidebar - Precondition list */}
+      <div className="w-64 flex-shrink-0">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-medium text-gray-900 dark:text-white">Preconditions</h3>
+          <button
+            onClick={startNew}
+            className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300 font-medium"
+          >
+            + New
+          </button>
+        </div>
+
+        {loading && (
+          <div className="flex justify-center py-4">
+            <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-500"></div>
+          </div>
+        )}
+
+        {error && !loading && (
+          <div className="text-center py-4 text-sm">
+            <p className="text-red-500 dark:text-red-400 mb-2">{error}</p>
+            <button onClick={loadPreconditions} className="btn btn-secondary btn-sm">
+              Retry
+            </button>
+          </div>
+        )}
+
+        {!loading && !error && (
+          <div className="space-y-1">
+            {preconditions.map((precondition) => (
+              <button
+                key={precondition.id}
+                onClick={() => selectPrecondition(precondition)}
+                className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg text-left transition-colors ${
+                  selectedId === precondition.id
+                    ? 'bg-gray-200 dark:bg-gray-700'
+                    : 'hover:bg-gray-100 dark:hover:bg-gray-800'
+                }`}
+              >
+                <span className="flex-1 text-sm text-gray-700 dark:text-gray-300 truncate">{precondition.summary}</span>
+                {precondition.status === 'imported' ? (
+                  <span className="text-xs text-emerald-600 dark:text-emerald-400 flex-shrink-0">{precondition.xrayKey}</span>
+                ) : (
+                  <span className="text-xs text-gray-400 dark:text-gray-500 flex-shrink-0">Local</span>
+                )}
+              </button>
+            ))}
+
+            {preconditions.length === 0 && (
+              <div className="text-center py-4 text-gray-400 dark:text-gray-500 text-sm">
+                <p>No preconditions yet</p>
+                <button onClick={startNew} className="text-primary-500 hover:text-primary-600 mt-1">
+                  Write your first precondition
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Main area - Editor */}
+      <div className="flex-1 border-l border-gray-200 dark:border-gray-700 pl-4">
+        {selectedId === null ? (
+          <div className="flex items-center justify-center h-full text-gray-400 dark:text-gray-500">
+            <p>Select a precondition to edit it, or create a new one</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {isImported && (
+              <p className="text-sm text-emerald-700 dark:text-emerald-400 bg-emerald-50 dark:bg-emerald-900/20 rounded-lg px-3 py-2">
+                Created in Xray as {selected.xrayKey}. Edit it in Xray from now on.
+              </p>
+            )}
+
+            <div>
+              <label htmlFor="precondition-summary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Summary <span className="text-red-500">*</span>
+              </label>
+              <input
+                id="precondition-summary"
+                type="text"
+                value={form.summary}
+                onChange={(e) => updateField('summary', e.target.value)}
+                className={`input ${formError && !form.summary.trim() ? 'input-error' : ''}`}
+                disabled={isImported}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="precondition-type" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Type
+              </label>
+              <select
+                id="precondition-type"
+                value={form.preconditionType}
+                onChange={(e) => updateField('preconditionType', e.target.value)}
+                className="input"
+                disabled={isImported}
+              >
+                {PRECONDITION_TYPES.map((type) => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="precondition-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Description
+              </label>
+              <textarea
+                id="precondition-description"
+                value={form.description}
+                onChange={(e) => updateField('description', e.target.value)}
+                className="input min-h-[60px]"
+                disabled={isImported}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="precondition-definition" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Definition
+              </label>
+              <textarea
+                id="precondition-definition"
+                value={form.definition}
+                onChange={(e) => updateField('definition', e.target.value)}
+                placeholder={DEFINITION_PLACEHOLDERS[form.preconditionType]}
+                className={`input min-h-[120px] ${form.preconditionType === 'Cucumber' ? 'font-mono text-sm' : ''}`}
+                disabled={isImported}
+              />
+            </div>
+
+            {formError && <p className="text-red-500 text-sm">{formError}</p>}
+
+            {!isImported && (
+              <div className="flex gap-3">
+                {selectedId !== 'new' && (
+                  <button onClick={handleDelete} disabled={busy !== null} className="btn btn-ghost">
+                    {busy === 'delete' ? 'Deleting...' : 'Delete'}
+                  </button>
+                )}
+                <div className="flex-1"></div>
+                {selectedId !== 'new' && (
+                  <button
+                    onClick={handleImport}
+                    disabled={busy !== null || !config}
+                    className="btn btn-secondary"
+                    title={config ? undefined : 'Configure Xray credentials first'}
+                  >
+                    {busy === 'import' ? 'Creating...' : 'Create in Xray'}
+                  </button>
+                )}
+                <button onClick={handleSave} disabled={busy !== null} className="btn btn-primary">
+                  {busy === 'save' ? 'Saving...' : 'Save'}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PreconditionsView;
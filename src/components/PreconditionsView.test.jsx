@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PreconditionsView from './PreconditionsView';
+import * as api from '../utils/api';
+
+vi.mock('../utils/api');
+
+describe('PreconditionsView', () => {
+  const localPrecondition = {
+    id: 'abc',
+    summary: 'User is admin',
+    description: '',
+    preconditionType: 'Manual',
+    definition: 'Grant the admin role',
+    status: 'draft',
+  };
+
+  const defaultProps = {
+    activeProject: 'WCP',
+    config: { configured: true },
+    showToast: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    api.fetchLocalPreconditions.mockResolvedValue({ success: true, preconditions: [localPrecondition] });
+  });
+
+  it('should list the project preconditions', async () => {
+    render(<PreconditionsView {...defaultProps} />);
+
+    expect(await screen.findByText('User is admin')).toBeInTheDocument();
+    expect(screen.getByText('Local')).toBeInTheDocument();
+    expect(api.fetchLocalPreconditions).toHaveBeenCalledWith('WCP');
+  });
+
+  it('should require a summary before saving', async () => {
+    render(<PreconditionsView {...defaultProps} />);
+    await screen.findByText('User is admin');
+
+    fireEvent.click(screen.getByText('+ New'));
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(screen.getByText('Summary is required')).toBeInTheDocument();
+    expect(api.createLocalPrecondition).not.toHaveBeenCalled();
+  });
+
+  it('should create a precondition with its type and definition', async () => {
+    api.createLocalPrecondition.mockResolvedValue({
+      success: true,
+      id: 'new-1',
+      precondition: { id: 'new-1', summary: 'Cart is empty', preconditionType: 'Cucumber', status: 'draft' },
+    });
+    render(<PreconditionsView {...defaultProps} />);
+    await screen.findByText('User is admin');
+
+    fireEvent.click(screen.getByText('+ New'));
+    fireEvent.change(screen.getByLabelText(/Summary/), { target: { value: 'Cart is empty' } });
+    fireEvent.change(screen.getByLabelText('Type'), { target: { value: 'Cucumber' } });
+    fireEvent.change(screen.getByLabelText('Definition'), { target: { value: 'Given the cart is empty' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(api.createLocalPrecondition).toHaveBeenCalledWith('WCP', {
+        summary: 'Cart is empty',
+        description: '',
+        preconditionType: 'Cucumber',
+        definition: 'Given the cart is empty',
+      });
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Precondition saved');
+  });
+
+  it('should create a saved precondition in Xray and make it read-only', async () => {
+    api.importLocalPrecondition.mockResolvedValue({
+      success: true,
+      precondition: { ...localPrecondition, status: 'imported', xrayKey: 'WCP-50' },
+    });
+    render(<PreconditionsView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('User is admin'));
+    fireEvent.click(screen.getByText('Create in Xray'));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Created in Xray as WCP-50/)).toBeInTheDocument();
+    });
+    expect(api.importLocalPrecondition).toHaveBeenCalledWith('abc');
+    expect(screen.getByLabelText(/Summary/)).toBeDisabled();
+    expect(screen.queryByText('Save')).not.toBeInTheDocument();
+  });
+
+  it('should delete a precondition', async () => {
+    api.deleteLocalPrecondition.mockResolvedValue({ success: true });
+    render(<PreconditionsView {...defaultProps} />);
+
+    fireEvent.click(await screen.findByText('User is admin'));
+    fireEvent.click(screen.getByText('Delete'));
+
+    await waitFor(() => {
+      expect(screen.queryByText('User is admin')).not.toBeInTheDocument();
+    });
+    expect(api.deleteLocalPrecondition).toHaveBeenCalledWith('abc');
+  });
+});
@@ -0,0 +1,28 @@
+// Default Jira priority scheme, used until a project configures its own list
+export const DEFAULT_PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
+// Resolve the priority list for a project's settings
+export function getProjectPriorities(projectSettings) {
+  return projectSettings?.priorities?.length ? projectSettings.priorities : DEFAULT_PRIORITIES;
+}
+
+function PrioritySelect({ value, onChange, priorities = DEFAULT_PRIORITIES, emptyLabel = 'Default', name = 'priority', className = '' }) {
+  // Keep a stored value selectable even if it was removed from the project list
+  const options = value && !priorities.includes(value) ? [...priorities, value] : priorities;
+
+  return (
+    <select
+      name={name}
+      value={value || ''}
+      onChange={onChange}
+      className={`select ${className}`}
+    >
+      <option value="">{emptyLabel}</option>
+      {options.map((priority) => (
+        <option key={priority} value={priority}>{priority}</option>
+      ))}
+    </select>
+  );
+}
+
+export default PrioritySelect;
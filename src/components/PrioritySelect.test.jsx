@@ -0,0 +1,45 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import PrioritySelect, { DEFAULT_PRIORITIES, getProjectPriorities } from './PrioritySelect';
+
+describe('PrioritySelect', () => {
+  it('should render empty option and default priorities', () => {
+    render(<PrioritySelect value="" onChange={vi.fn()} />);
+
+    expect(screen.getByRole('option', { name: 'Default' })).toBeInTheDocument();
+    DEFAULT_PRIORITIES.forEach((priority) => {
+      expect(screen.getByRole('option', { name: priority })).toBeInTheDocument();
+    });
+  });
+
+  it('should render custom priorities and empty label', () => {
+    render(<PrioritySelect value="" onChange={vi.fn()} priorities={['P1', 'P2']} emptyLabel="All Priorities" />);
+
+    expect(screen.getByRole('option', { name: 'All Priorities' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'P1' })).toBeInTheDocument();
+    expect(screen.queryByRole('option', { name: 'Medium' })).not.toBeInTheDocument();
+  });
+
+  it('should keep a stored value that is no longer in the list', () => {
+    render(<PrioritySelect value="Blocker" onChange={vi.fn()} priorities={['P1']} />);
+
+    expect(screen.getByRole('combobox')).toHaveValue('Blocker');
+  });
+
+  it('should call onChange when selection changes', () => {
+    const onChange = vi.fn();
+    render(<PrioritySelect value="" onChange={onChange} />);
+
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: 'High' } });
+
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  describe('getProjectPriorities', () => {
+    it('should fall back to defaults when project has no list', () => {
+      expect(getProjectPriorities(null)).toEqual(DEFAULT_PRIORITIES);
+      expect(getProjectPriorities({ priorities: [] })).toEqual(DEFAULT_PRIORITIES);
+      expect(getProjectPriorities({ priorities: ['P1'] })).toEqual(['P1']);
+    });
+  });
+});
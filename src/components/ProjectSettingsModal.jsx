@@ -1,6 +1,8 @@
 import { useState } from 'react';
 import Modal from './Modal';
 import ColorPicker, { PASTEL_COLORS } from './ColorPicker';
+import { getProjectPriorities } from './PrioritySelect';
+import { CUSTOM_FIELD_TYPES, CUSTOM_FIELD_KEY_PATTERN } from './CustomFieldsInput';
 import {
   addProject as addProjectApi,
   hideProject as hideProjectApi,
@@ -8,6 +10,10 @@ import {
   saveProjectSettings,
 } from '../utils/api';
 
+// Matches the server's bounds for bulk import chunks
+const DEFAULT_IMPORT_CHUNK_SIZE = 50;
+const MAX_IMPORT_CHUNK_SIZE = 1000;
+
 function ProjectSettingsModal({
   projects,
   hiddenProjects,
@@ -23,6 +29,10 @@ function ProjectSettingsModal({
   const [error, setError] = useState(null);
   const [showHidden, setShowHidden] = useState(false);
   const [editingColor, setEditingColor] = useState(null); // projectKey being edited
+  const [newPriority, setNewPriority] = useState('');
+  const [newField, setNewField] = useState({ type: 'components', key: '', label: '', options: '' });
+  const [fieldError, setFieldError] = useState(null);
+  const [chunkSize, setChunkSize] = useState(projectSettings?.[activeProject]?.importChunkSize?.toString() || '');
 
   const visibleProjects = (projects || []).filter(p => !(hiddenProjects || []).includes(p));
 
@@ -72,6 +82,89 @@ function ProjectSettingsModal({
     }
   }
 
+  async function savePriorities(priorities) {
+    try {
+      const currentSettings = projectSettings?.[activeProject] || {};
+      await saveProjectSettings(activeProject, { ...currentSettings, priorities });
+      onProjectsUpdated();
+    } catch (err) {
+      showToast('Failed to update priorities');
+    }
+  }
+
+  async function handleAddPriority() {
+    const name = newPriority.trim();
+    const priorities = getProjectPriorities(projectSettings?.[activeProject]);
+    if (!name || priorities.includes(name)) return;
+    await savePriorities([...priorities, name]);
+    setNewPriority('');
+  }
+
+  async function handleRemovePriority(name) {
+    const priorities = getProjectPriorities(projectSettings?.[activeProject]);
+    await savePriorities(priorities.filter(p => p !== name));
+  }
+
+  function getCustomFields() {
+    return projectSettings?.[activeProject]?.customFields || [];
+  }
+
+  async function saveCustomFields(customFields) {
+    try {
+      const currentSettings = projectSettings?.[activeProject] || {};
+      await saveProjectSettings(activeProject, { ...currentSettings, customFields });
+      onProjectsUpdated();
+      return true;
+    } catch (err) {
+      showToast('Failed to update Jira fields');
+      return false;
+    }
+  }
+
+  async function handleAddField() {
+    const typeInfo = CUSTOM_FIELD_TYPES[newField.type];
+    const key = typeInfo.key || newField.key.trim();
+
+    if (!typeInfo.key && !CUSTOM_FIELD_KEY_PATTERN.test(key)) {
+      setFieldError('Field key must look like customfield_10010');
+      return;
+    }
+    if (getCustomFields().some(f => f.key === key)) {
+      setFieldError(`${key} is already configured`);
+      return;
+    }
+
+    const definition = { key, label: newField.label.trim() || typeInfo.label, type: newField.type };
+    if (typeInfo.hasOptions) {
+      definition.options = newField.options.split(',').map(o => o.trim()).filter(Boolean);
+    }
+
+    if (await saveCustomFields([...getCustomFields(), definition])) {
+      setNewField({ type: newField.type, key: '', label: '', options: '' });
+      setFieldError(null);
+    }
+  }
+
+  async function handleRemoveField(key) {
+    await saveCustomFields(getCustomFields().filter(f => f.key !== key));
+  }
+
+  async function handleSaveChunkSize() {
+    const value = chunkSize.trim() ? Number(chunkSize) : null;
+    if (value !== null && (!Number.isInteger(value) || value < 1 || value > MAX_IMPORT_CHUNK_SIZE)) {
+      showToast(`Chunk size must be a whole number from 1 to ${MAX_IMPORT_CHUNK_SIZE}`);
+      return;
+    }
+    try {
+      const { importChunkSize, ...currentSettings } = projectSettings?.[activeProject] || {};
+      await saveProjectSettings(activeProject, value ? { ...currentSettings, importChunkSize: value } : currentSettings);
+      onProjectsUpdated();
+      showToast('Import chunk size saved');
+    } catch (err) {
+      showToast('Failed to update import chunk size');
+    }
+  }
+
   function getProjectColor(projectKey) {
     return projectSettings?.[projectKey]?.color || PASTEL_COLORS[0];
   }
@@ -199,6 +292,163 @@ function ProjectSettingsModal({
           )}
         </div>
 
+        {/* Priorities for active project */}
+        {activeProject && (
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Priorities ({activeProject})
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {getProjectPriorities(projectSettings?.[activeProject]).map((priority) => (
+                <span
+                  key={priority}
+                  className="inline-flex items-center gap-1 px-2 py-1 text-sm bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-lg"
+                >
+                  {priority}
+                  <button
+                    onClick={() => handleRemovePriority(priority)}
+                    className="text-gray-400 hover:text-red-500"
+                    title={`Remove ${priority}`}
+                  >
+                    &times;
+                  </button>
+                </span>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newPriority}
+                onChange={(e) => setNewPriority(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddPriority()}
+                placeholder="Add priority (must match Jira)"
+                className="input flex-1"
+              />
+              <button
+                onClick={handleAddPriority}
+                disabled={!newPriority.trim()}
+                className="btn btn-secondary"
+              >
+                Add Priority
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Extra Jira fields for active project */}
+        {activeProject && (
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Jira Fields ({activeProject})
+            </label>
+            {getCustomFields().length === 0 ? (
+              <p className="text-sm text-gray-400">No extra fields configured</p>
+            ) : (
+              <div className="space-y-1">
+                {getCustomFields().map((field) => (
+                  <div
+                    key={field.key}
+                    className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-800 rounded-lg text-sm"
+                  >
+                    <span className="text-gray-900 dark:text-white">
+                      {field.label}
+                      <span className="ml-2 text-xs text-gray-400">
+                        {field.key} &middot; {CUSTOM_FIELD_TYPES[field.type]?.label || field.type}
+                      </span>
+                    </span>
+                    <button
+                      onClick={() => handleRemoveField(field.key)}
+                      className="text-gray-400 hover:text-red-500"
+                      title={`Remove ${field.label}`}
+                    >
+                      &times;
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              <select
+                value={newField.type}
+                onChange={(e) => {
+                  setNewField({ ...newField, type: e.target.value });
+                  setFieldError(null);
+                }}
+                aria-label="Field type"
+                className="select"
+              >
+                {Object.entries(CUSTOM_FIELD_TYPES).map(([type, info]) => (
+                  <option key={type} value={type}>{info.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={newField.label}
+                onChange={(e) => setNewField({ ...newField, label: e.target.value })}
+                placeholder="Label (optional)"
+                className="input"
+              />
+              {!CUSTOM_FIELD_TYPES[newField.type].key && (
+                <input
+                  type="text"
+                  value={newField.key}
+                  onChange={(e) => {
+                    setNewField({ ...newField, key: e.target.value });
+                    setFieldError(null);
+                  }}
+                  placeholder="customfield_10010"
+                  className={`input ${fieldError ? 'input-error' : ''}`}
+                />
+              )}
+              {CUSTOM_FIELD_TYPES[newField.type].hasOptions && (
+                <input
+                  type="text"
+                  value={newField.options}
+                  onChange={(e) => setNewField({ ...newField, options: e.target.value })}
+                  placeholder="Options, comma-separated"
+                  className="input"
+                />
+              )}
+            </div>
+            <div className="flex justify-end">
+              <button onClick={handleAddField} className="btn btn-secondary">
+                Add Field
+              </button>
+            </div>
+            {fieldError && (
+              <p className="text-red-500 text-sm">{fieldError}</p>
+            )}
+          </div>
+        )}
+
+        {/* Bulk import chunking for active project */}
+        {activeProject && (
+          <div className="space-y-2">
+            <label htmlFor="import-chunk-size" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Import Chunk Size ({activeProject})
+            </label>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Bulk imports are sent to Xray in chunks of this many tests. Each chunk is marked imported as soon as it succeeds.
+            </p>
+            <div className="flex gap-2">
+              <input
+                id="import-chunk-size"
+                type="number"
+                min="1"
+                max={MAX_IMPORT_CHUNK_SIZE}
+                value={chunkSize}
+                onChange={(e) => setChunkSize(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleSaveChunkSize()}
+                placeholder={`${DEFAULT_IMPORT_CHUNK_SIZE} (default)`}
+                className="input flex-1"
+              />
+              <button onClick={handleSaveChunkSize} className="btn btn-secondary">
+                Save Chunk Size
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Hidden projects */}
         {hiddenProjects && hiddenProjects.length > 0 && (
           <div className="space-y-2">
@@ -51,6 +51,118 @@ describe('ProjectSettingsModal', () => {
     expect(screen.getByText('Active')).toBeInTheDocument();
   });
 
+  it('should list default priorities for the active project', () => {
+    render(<ProjectSettingsModal {...defaultProps} />);
+
+    expect(screen.getByText('Priorities (PROJ1)')).toBeInTheDocument();
+    expect(screen.getByText('Highest')).toBeInTheDocument();
+    expect(screen.getByText('Lowest')).toBeInTheDocument();
+  });
+
+  it('should add a priority to the active project', async () => {
+    saveProjectSettings.mockResolvedValueOnce({ success: true });
+    render(<ProjectSettingsModal {...defaultProps} />);
+
+    fireEvent.change(screen.getByPlaceholderText('Add priority (must match Jira)'), { target: { value: 'Blocker' } });
+    fireEvent.keyDown(screen.getByPlaceholderText('Add priority (must match Jira)'), { key: 'Enter' });
+
+    await waitFor(() => {
+      expect(saveProjectSettings).toHaveBeenCalledWith('PROJ1', expect.objectContaining({
+        priorities: ['Highest', 'High', 'Medium', 'Low', 'Lowest', 'Blocker'],
+      }));
+    });
+    expect(defaultProps.onProjectsUpdated).toHaveBeenCalled();
+  });
+
+  it('should remove a priority from the active project', async () => {
+    saveProjectSettings.mockResolvedValueOnce({ success: true });
+    const props = {
+      ...defaultProps,
+      projectSettings: {
+        ...defaultProps.projectSettings,
+        PROJ1: { ...defaultProps.projectSettings.PROJ1, priorities: ['P1', 'P2'] },
+      },
+    };
+    render(<ProjectSettingsModal {...props} />);
+
+    fireEvent.click(screen.getByTitle('Remove P1'));
+
+    await waitFor(() => {
+      expect(saveProjectSettings).toHaveBeenCalledWith('PROJ1', expect.objectContaining({ priorities: ['P2'] }));
+    });
+  });
+
+  it('should add a custom Jira field to the active project', async () => {
+    saveProjectSettings.mockResolvedValueOnce({ success: true });
+    render(<ProjectSettingsModal {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('Field type'), { target: { value: 'number' } });
+    fireEvent.change(screen.getByPlaceholderText('Label (optional)'), { target: { value: 'Story Points' } });
+    fireEvent.change(screen.getByPlaceholderText('customfield_10010'), { target: { value: 'customfield_10016' } });
+    fireEvent.click(screen.getByText('Add Field'));
+
+    await waitFor(() => {
+      expect(saveProjectSettings).toHaveBeenCalledWith('PROJ1', expect.objectContaining({
+        customFields: [{ key: 'customfield_10016', label: 'Story Points', type: 'number' }],
+      }));
+    });
+  });
+
+  it('should reject an invalid custom field key', () => {
+    render(<ProjectSettingsModal {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('Field type'), { target: { value: 'text' } });
+    fireEvent.change(screen.getByPlaceholderText('customfield_10010'), { target: { value: 'storyPoints' } });
+    fireEvent.click(screen.getByText('Add Field'));
+
+    expect(screen.getByText('Field key must look like customfield_10010')).toBeInTheDocument();
+    expect(saveProjectSettings).not.toHaveBeenCalled();
+  });
+
+  it('should save the import chunk size', async () => {
+    saveProjectSettings.mockResolvedValueOnce({ success: true });
+    render(<ProjectSettingsModal {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('Import Chunk Size (PROJ1)'), { target: { value: '25' } });
+    fireEvent.click(screen.getByText('Save Chunk Size'));
+
+    await waitFor(() => {
+      expect(saveProjectSettings).toHaveBeenCalledWith('PROJ1', expect.objectContaining({ importChunkSize: 25 }));
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Import chunk size saved');
+  });
+
+  it('should reject an invalid import chunk size', () => {
+    render(<ProjectSettingsModal {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('Import Chunk Size (PROJ1)'), { target: { value: '0' } });
+    fireEvent.click(screen.getByText('Save Chunk Size'));
+
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Chunk size must be a whole number from 1 to 1000');
+    expect(saveProjectSettings).not.toHaveBeenCalled();
+  });
+
+  it('should remove a custom Jira field', async () => {
+    saveProjectSettings.mockResolvedValueOnce({ success: true });
+    const props = {
+      ...defaultProps,
+      projectSettings: {
+        ...defaultProps.projectSettings,
+        PROJ1: {
+          ...defaultProps.projectSettings.PROJ1,
+          customFields: [{ key: 'components', label: 'Components', type: 'components' }],
+        },
+      },
+    };
+    render(<ProjectSettingsModal {...props} />);
+
+    fireEvent.click(screen.getByTitle('Remove Components'));
+
+    await waitFor(() => {
+      expect(saveProjectSettings).toHaveBeenCalledWith('PROJ1', expect.objectContaining({ customFields: [] }));
+    });
+  });
+
   it('should call onClose when Close button is clicked', () => {
     const onClose = vi.fn();
     render(<ProjectSettingsModal {...defaultProps} onClose={onClose} />);
@@ -0,0 +1,360 @@
+import { useState, useEffect, useCallback } from 'react';
+import SearchableMultiSelect from './SearchableMultiSelect';
+import { fetchTestExecutions, importExecutionResults } from '../utils/api';
+
+const FORMAT_OPTIONS = [
+  { value: '', label: 'Detect from file' },
+  { value: 'junit', label: 'JUnit XML' },
+  { value: 'testng', label: 'TestNG XML' },
+  { value: 'xray', label: 'Xray JSON' },
+];
+
+const STATUS_COLORS = {
+  PASSED: 'text-emerald-600 dark:text-emerald-400',
+  FAILED: 'text-red-600 dark:text-red-400',
+};
+
+// Same rules as the server, so the detected format can be shown before importing
+function detectFormat(content) {
+  const text = content.trimStart();
+  if (text.startsWith('{')) return 'xray';
+  if (/<testng-results[\s>]/.test(text)) return 'testng';
+  if (/<testsuites?[\s>]/.test(text)) return 'junit';
+  return null;
+}
+
+const formatLabel = (format) => FORMAT_OPTIONS.find((option) => option.value === format)?.label;
+
+function ResultsImportView({ projects = [], activeProject, config, showToast }) {
+  const [projectKey, setProjectKey] = useState(activeProject || '');
+  const [file, setFile] = useState(null); // { name, content, detectedFormat }
+  const [format, setFormat] = useState('');
+  const [executionMode, setExecutionMode] = useState('existing');
+  // Selected Test Execution as a SearchableMultiSelect display: { id, display: 'KEY: summary' }
+  const [execution, setExecution] = useState(null);
+  const [executionOptions, setExecutionOptions] = useState([]);
+  const [executionsLoading, setExecutionsLoading] = useState(false);
+  const [summary, setSummary] = useState('');
+  const [description, setDescription] = useState('');
+  const [testPlanKey, setTestPlanKey] = useState('');
+  const [environments, setEnvironments] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [formError, setFormError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    setProjectKey(activeProject || '');
+  }, [activeProject]);
+
+  useEffect(() => {
+    setExecution(null);
+    if (!config || !projectKey) return;
+
+    let cancelled = false;
+    setExecutionsLoading(true);
+    fetchTestExecutions(projectKey)
+      .then((data) => {
+        if (!cancelled) setExecutionOptions(data.testExecutions || []);
+      })
+      .catch(() => {
+        if (!cancelled) setExecutionOptions([]);
+      })
+      .finally(() => {
+        if (!cancelled) setExecutionsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [config, projectKey]);
+
+  const searchTestExecutions = useCallback(
+    async (term) => (await fetchTestExecutions(projectKey, term)).testExecutions,
+    [projectKey]
+  );
+
+  async function handleFileChange(e) {
+    const selectedFile = e.target.files?.[0];
+    setResult(null);
+    setFormError(null);
+    if (!selectedFile) {
+      setFile(null);
+      return;
+    }
+    const content = await selectedFile.text();
+    setFile({ name: selectedFile.name, content, detectedFormat: detectFormat(content) });
+  }
+
+  async function handleImport(e) {
+    e.preventDefault();
+    const effectiveFormat = format || file?.detectedFormat;
+    if (!file) {
+      setFormError('Choose a results file');
+      return;
+    }
+    if (!effectiveFormat) {
+      setFormError('Could not detect the file format. Choose it from the list.');
+      return;
+    }
+    if (executionMode === 'existing' && !execution) {
+      setFormError('Choose a Test Execution');
+      return;
+    }
+    if (executionMode === 'new' && !summary.trim()) {
+      setFormError('Enter a summary for the new Test Execution');
+      return;
+    }
+
+    setImporting(true);
+    setFormError(null);
+    setResult(null);
+    try {
+      const response = await importExecutionResults({
+        projectKey,
+        format: effectiveFormat,
+        content: file.content,
+        testExecution: executionMode === 'existing'
+          ? { key: execution.display.split(':')[0] }
+          : { summary: summary.trim(), description },
+        testPlanKey: testPlanKey.trim() || undefined,
+        testEnvironments: environments.split(',').map((env) => env.trim()).filter(Boolean),
+      });
+      setResult(response);
+      showToast(`Results imported into ${response.testExecution.key}`);
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  }
+
+  if (!config) {
+    return (
+      <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+        Configure Xray credentials to import test results
+      </p>
+    );
+  }
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-2">
+      <form onSubmit={handleImport} className="space-y-4">
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div>
+            <label htmlFor="results-project" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Project
+            </label>
+            <select
+              id="results-project"
+              value={projectKey}
+              onChange={(e) => setProjectKey(e.target.value)}
+              className="input"
+            >
+              {projects.map((key) => (
+                <option key={key} value={key}>{key}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="results-format" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Format
+            </label>
+            <select
+              id="results-format"
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="input"
+            >
+              {FORMAT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label htmlFor="results-file" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Results file <span className="text-red-500">*</span>
+          </label>
+          <input
+            id="results-file"
+            type="file"
+            accept=".xml,.json"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-gray-700 dark:text-gray-300"
+          />
+          {file && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {file.detectedFormat
+                ? `Detected ${formatLabel(file.detectedFormat)}`
+                : 'Format not recognized'}
+            </p>
+          )}
+        </div>
+
+        <fieldset>
+          <legend className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Test Execution</legend>
+          <div className="flex gap-4 mb-3 text-sm text-gray-700 dark:text-gray-300">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="execution-mode"
+                checked={executionMode === 'existing'}
+                onChange={() => setExecutionMode('existing')}
+              />
+              Existing
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="execution-mode"
+                checked={executionMode === 'new'}
+                onChange={() => setExecutionMode('new')}
+              />
+              Create new
+            </label>
+          </div>
+
+          {executionMode === 'existing' ? (
+            <SearchableMultiSelect
+              label="Test Execution"
+              values={execution ? [execution.id] : []}
+              savedDisplays={execution ? [execution] : []}
+              onChange={(ids, displays) => setExecution(displays[displays.length - 1] || null)}
+              options={executionOptions}
+              loading={executionsLoading}
+              placeholder="Type to search test executions..."
+              emptyMessage="No test executions in this project"
+              onSearch={searchTestExecutions}
+            />
+          ) : (
+            <div className="space-y-3">
+              <div>
+                <label htmlFor="results-summary" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Summary <span className="text-red-500">*</span>
+                </label>
+                <input
+                  id="results-summary"
+                  type="text"
+                  value={summary}
+                  onChange={(e) => setSummary(e.target.value)}
+                  placeholder="e.g. Nightly CI run"
+                  className="input"
+                />
+              </div>
+              <div>
+                <label htmlFor="results-description" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                  Description
+                </label>
+                <textarea
+                  id="results-description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  className="input min-h-[60px]"
+                />
+              </div>
+            </div>
+          )}
+        </fieldset>
+
+        <div className="grid gap-4 sm:grid-cols-2">
+          <div>
+            <label htmlFor="results-test-plan" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Test Plan key
+            </label>
+            <input
+              id="results-test-plan"
+              type="text"
+              value={testPlanKey}
+              onChange={(e) => setTestPlanKey(e.target.value)}
+              placeholder="Optional, e.g. PROJ-12"
+              className="input"
+            />
+          </div>
+          <div>
+            <label htmlFor="results-environments" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Test environments
+            </label>
+            <input
+              id="results-environments"
+              type="text"
+              value={environments}
+              onChange={(e) => setEnvironments(e.target.value)}
+              placeholder="Optional, comma separated"
+              className="input"
+            />
+          </div>
+        </div>
+
+        {formError && <p className="text-red-500 text-sm">{formError}</p>}
+
+        <button type="submit" disabled={importing || !projectKey} className="btn btn-primary">
+          {importing ? 'Importing...' : 'Import Results'}
+        </button>
+      </form>
+
+      <div className="lg:border-l border-gray-200 dark:border-gray-700 lg:pl-6">
+        {!result ? (
+          <div className="flex items-center justify-center h-full text-center text-gray-400 dark:text-gray-500 py-8">
+            <p>Import a JUnit XML, TestNG XML or Xray JSON file to record its results in Xray</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div>
+              <h3 className="font-medium text-gray-900 dark:text-white">
+                {result.testExecution.created ? 'Created' : 'Updated'} {result.testExecution.key}
+              </h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {result.matched} matched existing test{result.matched === 1 ? '' : 's'}, {result.created} created
+              </p>
+            </div>
+
+            {result.warnings?.length > 0 && (
+              <ul className="text-sm text-amber-700 dark:text-amber-400 list-disc pl-5">
+                {result.warnings.map((warning) => (
+                  <li key={warning}>{warning}</li>
+                ))}
+              </ul>
+            )}
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-2 pr-2 font-medium">Test</th>
+                  <th className="py-2 pr-2 font-medium">Status</th>
+                  <th className="py-2 font-medium">Outcome</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.tests.map((test) => (
+                  <tr key={test.issueId} className="border-b border-gray-100 dark:border-gray-800">
+                    <td className="py-2 pr-2">
+                      <span className="font-medium text-gray-900 dark:text-white">{test.key}</span>{' '}
+                      <span className="text-gray-600 dark:text-gray-400">{test.summary}</span>
+                    </td>
+                    <td className={`py-2 pr-2 ${STATUS_COLORS[test.status] || 'text-gray-500 dark:text-gray-400'}`}>
+                      {test.status}
+                    </td>
+                    <td className="py-2">
+                      <span
+                        className={`px-2 py-0.5 text-xs rounded-full ${
+                          test.outcome === 'created'
+                            ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300'
+                            : 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-300'
+                        }`}
+                      >
+                        {test.outcome === 'created' ? 'Created' : 'Matched'}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ResultsImportView;
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ResultsImportView from './ResultsImportView';
+import * as api from '../utils/api';
+
+vi.mock('../utils/api');
+
+describe('ResultsImportView', () => {
+  const defaultProps = {
+    projects: ['WCP', 'OTHER'],
+    activeProject: 'WCP',
+    config: { jiraBaseUrl: 'https://test.atlassian.net' },
+    showToast: vi.fn(),
+  };
+
+  const junit = '<testsuite name="login"><testcase classname="auth" name="login works"/></testsuite>';
+
+  const importResult = {
+    success: true,
+    format: 'junit',
+    testExecution: { issueId: '300', key: 'WCP-300', created: true },
+    tests: [
+      { issueId: '10', key: 'WCP-10', summary: 'Valid login', status: 'PASSED', outcome: 'matched' },
+      { issueId: '11', key: 'WCP-11', summary: 'auth.login works', status: 'FAILED', outcome: 'created' },
+    ],
+    matched: 1,
+    created: 1,
+    warnings: [],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    api.fetchTestExecutions.mockResolvedValue({
+      success: true,
+      testExecutions: [{ issueId: '200', key: 'WCP-200', summary: 'Sprint 4 regression' }],
+    });
+    api.importExecutionResults.mockResolvedValue(importResult);
+  });
+
+  function chooseFile(content, name = 'results.xml') {
+    const file = new File([content], name);
+    // jsdom's File has no text()
+    file.text = () => Promise.resolve(content);
+    fireEvent.change(screen.getByLabelText(/Results file/), { target: { files: [file] } });
+  }
+
+  it('should ask for credentials when Xray is not configured', () => {
+    render(<ResultsImportView {...defaultProps} config={null} />);
+
+    expect(screen.getByText('Configure Xray credentials to import test results')).toBeInTheDocument();
+    expect(api.fetchTestExecutions).not.toHaveBeenCalled();
+  });
+
+  it('should detect the format of the chosen file', async () => {
+    render(<ResultsImportView {...defaultProps} />);
+
+    chooseFile(junit);
+
+    expect(await screen.findByText('Detected JUnit XML')).toBeInTheDocument();
+    await waitFor(() => expect(api.fetchTestExecutions).toHaveBeenCalledWith('WCP'));
+  });
+
+  it('should import into an existing Test Execution and report the outcome', async () => {
+    render(<ResultsImportView {...defaultProps} />);
+    await waitFor(() => expect(api.fetchTestExecutions).toHaveBeenCalled());
+
+    chooseFile(junit);
+    await screen.findByText('Detected JUnit XML');
+
+    fireEvent.focus(screen.getByPlaceholderText('Type to search test executions...'));
+    fireEvent.click(await screen.findByText('WCP-200'));
+    fireEvent.change(screen.getByLabelText('Test environments'), { target: { value: 'Chrome, staging ,' } });
+    fireEvent.click(screen.getByText('Import Results'));
+
+    await waitFor(() => {
+      expect(api.importExecutionResults).toHaveBeenCalledWith({
+        projectKey: 'WCP',
+        format: 'junit',
+        content: junit,
+        testExecution: { key: 'WCP-200' },
+        testPlanKey: undefined,
+        testEnvironments: ['Chrome', 'staging'],
+      });
+    });
+    expect(await screen.findByText('Created WCP-300')).toBeInTheDocument();
+    expect(screen.getByText('1 matched existing test, 1 created')).toBeInTheDocument();
+    expect(screen.getByText('Matched')).toBeInTheDocument();
+    expect(screen.getByText('Created')).toBeInTheDocument();
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Results imported into WCP-300');
+  });
+
+  it('should create a new Test Execution in the chosen project', async () => {
+    render(<ResultsImportView {...defaultProps} />);
+
+    fireEvent.change(screen.getByLabelText('Project'), { target: { value: 'OTHER' } });
+    chooseFile('{"tests":[{"testKey":"OTHER-1","status":"PASSED"}]}', 'results.json');
+    await screen.findByText('Detected Xray JSON');
+    fireEvent.click(screen.getByLabelText('Create new'));
+    fireEvent.change(screen.getByLabelText(/Summary/), { target: { value: ' Nightly CI ' } });
+    fireEvent.change(screen.getByLabelText('Test Plan key'), { target: { value: 'OTHER-5' } });
+    fireEvent.click(screen.getByText('Import Results'));
+
+    await waitFor(() => {
+      expect(api.importExecutionResults).toHaveBeenCalledWith(expect.objectContaining({
+        projectKey: 'OTHER',
+        format: 'xray',
+        testExecution: { summary: 'Nightly CI', description: '' },
+        testPlanKey: 'OTHER-5',
+      }));
+    });
+  });
+
+  it('should require a file and a Test Execution before importing', async () => {
+    render(<ResultsImportView {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Import Results'));
+    expect(await screen.findByText('Choose a results file')).toBeInTheDocument();
+
+    chooseFile(junit);
+    await screen.findByText('Detected JUnit XML');
+    fireEvent.click(screen.getByText('Import Results'));
+    expect(await screen.findByText('Choose a Test Execution')).toBeInTheDocument();
+    expect(api.importExecutionResults).not.toHaveBeenCalled();
+  });
+
+  it('should show import errors from the server', async () => {
+    api.importExecutionResults.mockRejectedValueOnce(new Error('Validation failed'));
+    render(<ResultsImportView {...defaultProps} />);
+
+    chooseFile(junit);
+    await screen.findByText('Detected JUnit XML');
+    fireEvent.click(screen.getByLabelText('Create new'));
+    fireEvent.change(screen.getByLabelText(/Summary/), { target: { value: 'Nightly CI' } });
+    fireEvent.click(screen.getByText('Import Results'));
+
+    expect(await screen.findByText('Validation failed')).toBeInTheDocument();
+  });
+});
@@ -1,17 +1,23 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useCallback } from 'react';
 import Modal from './Modal';
+import ImportProgressPanel, { IMPORT_JOB_STORAGE_KEY } from './ImportProgressPanel';
 import StepProgressBar, { getCompletedSteps, getCurrentStep } from './StepProgressBar';
+import PrioritySelect, { DEFAULT_PRIORITIES } from './PrioritySelect';
 import { bulkImportDrafts, updateDraft } from '../utils/api';
 
-function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuccess, onImportError, onRefresh, showToast, collections = [], onCollectionsChange, config }) {
+function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuccess, onImportError, onRefresh, showToast, collections = [], onCollectionsChange, config, priorities = DEFAULT_PRIORITIES }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [sortOrder, setSortOrder] = useState('newest');
   const [selectedIds, setSelectedIds] = useState(new Set());
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [deleteTargetId, setDeleteTargetId] = useState(null);
   const [showBulkDeleteModal, setShowBulkDeleteModal] = useState(false);
-  const [bulkImporting, setBulkImporting] = useState(false);
+  // Background import job being followed; restored from localStorage after a reload
+  const [importJobId, setImportJobId] = useState(() => localStorage.getItem(IMPORT_JOB_STORAGE_KEY));
+  const [submittingImport, setSubmittingImport] = useState(false);
+  const bulkImporting = submittingImport || Boolean(importJobId);
   const [filterCollection, setFilterCollection] = useState('all');
+  const [filterPriority, setFilterPriority] = useState('');
   const [showCollectionMenu, setShowCollectionMenu] = useState(null);
 
   const isImportedView = filterStatus === 'imported';
@@ -36,6 +42,11 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
       }
     }
 
+    // Filter by priority
+    if (filterPriority) {
+      result = result.filter((tc) => tc.priority === filterPriority);
+    }
+
     // Filter by search
     if (searchQuery.trim()) {
       const query = searchQuery.toLowerCase();
@@ -67,7 +78,7 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
     });
 
     return result;
-  }, [testCases, searchQuery, sortOrder, filterStatus, filterCollection]);
+  }, [testCases, searchQuery, sortOrder, filterStatus, filterCollection, filterPriority]);
 
   // Get collection by ID
   function getCollection(collectionId) {
@@ -80,11 +91,17 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
     if (!tc) return;
 
     try {
-      await updateDraft(tcId, { ...tc, collectionId: collectionId || null });
+      await updateDraft(tcId, { ...tc, collectionId: collectionId || null }, tc.revision);
       onRefresh();
       setShowCollectionMenu(null);
     } catch (error) {
-      showToast?.('Failed to update collection');
+      if (error.status === 409) {
+        // Changed in another tab; reload it so the next assignment applies to the latest version
+        onRefresh();
+        showToast?.('Test case was changed elsewhere, try again');
+      } else {
+        showToast?.('Failed to update collection');
+      }
     }
   }
 
@@ -134,30 +151,50 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
     const selected = testCases.filter((tc) => selectedIds.has(tc.id) && tc.isComplete && tc.status !== 'imported');
     if (selected.length === 0) return;
 
-    setBulkImporting(true);
+    setSubmittingImport(true);
 
     try {
       const result = await bulkImportDrafts(selected.map((tc) => tc.id));
+      setSubmittingImport(false);
 
-      setBulkImporting(false);
-
-      if (result.success) {
+      if (result.success && result.importJobId) {
         setSelectedIds(new Set());
-        onImportSuccess({
-          ...result,
-          testCasesCount: selected.length,
-          draftIds: result.draftIds,
-          isBulkImport: true,
-        });
+        localStorage.setItem(IMPORT_JOB_STORAGE_KEY, result.importJobId);
+        setImportJobId(result.importJobId);
       } else {
         onImportError(result);
       }
     } catch (error) {
-      setBulkImporting(false);
+      setSubmittingImport(false);
       onImportError({ success: false, error: error.message || 'Bulk import failed' });
     }
   }
 
+  function clearImportJob() {
+    localStorage.removeItem(IMPORT_JOB_STORAGE_KEY);
+    setImportJobId(null);
+  }
+
+  const handleImportJobFinished = useCallback((job) => {
+    clearImportJob();
+    onRefresh?.();
+    if (job.phase === 'done') {
+      onImportSuccess({
+        ...job.result,
+        testCasesCount: job.total,
+        draftIds: job.draftIds,
+        isBulkImport: true,
+      });
+    } else {
+      onImportError({ success: false, ...job.result, error: job.error || 'Bulk import failed' });
+    }
+  }, [onImportSuccess, onImportError, onRefresh]);
+
+  const handleImportJobLost = useCallback(() => {
+    clearImportJob();
+    showToast('Import job is no longer available');
+  }, [showToast]);
+
   function formatDate(timestamp) {
     return new Date(timestamp).toLocaleDateString('en-US', {
       month: 'short',
@@ -208,29 +245,41 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
     filterStatus === 'imported' ? tc.status === 'imported' : tc.status !== 'imported'
   );
 
+  // Background import progress, shown even when the list is empty
+  const importProgressPanel = importJobId && !isImportedView && (
+    <ImportProgressPanel
+      jobId={importJobId}
+      onFinished={handleImportJobFinished}
+      onLost={handleImportJobLost}
+    />
+  );
+
   if (!hasTestCases) {
     return (
-      <div className="text-center py-12">
-        <svg width="48" height="48" viewBox="0 0 48 48" fill="none" className="mx-auto mb-4 text-gray-300 dark:text-gray-600">
-          {isImportedView ? (
-            <path d="M12 24l8 8 16-16" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" strokeDasharray="4 4"/>
-          ) : (
-            <>
-              <rect x="8" y="6" width="32" height="36" rx="4" stroke="currentColor" strokeWidth="2" strokeDasharray="4 4"/>
-              <path d="M18 20h12M18 26h8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
-            </>
-          )}
-        </svg>
-        <p className="text-gray-500 dark:text-gray-400 font-medium">
-          {isImportedView ? 'No imported test cases yet' : 'No saved drafts yet'}
-        </p>
-        <p className="text-gray-400 dark:text-gray-500 text-sm mt-1">
-          {isImportedView
-            ? 'Test cases will appear here after you import them to Xray'
-            : 'Create a test case and click "Save" to store it locally'
-          }
-        </p>
-      </div>
+      <>
+        {importProgressPanel}
+        <div className="text-center py-12">
+          <svg width="48" height="48" viewBox="0 0 48 48" fill="none" className="mx-auto mb-4 text-gray-300 dark:text-gray-600">
+            {isImportedView ? (
+              <path d="M12 24l8 8 16-16" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" strokeDasharray="4 4"/>
+            ) : (
+              <>
+                <rect x="8" y="6" width="32" height="36" rx="4" stroke="currentColor" strokeWidth="2" strokeDasharray="4 4"/>
+                <path d="M18 20h12M18 26h8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+              </>
+            )}
+          </svg>
+          <p className="text-gray-500 dark:text-gray-400 font-medium">
+            {isImportedView ? 'No imported test cases yet' : 'No saved drafts yet'}
+          </p>
+          <p className="text-gray-400 dark:text-gray-500 text-sm mt-1">
+            {isImportedView
+              ? 'Test cases will appear here after you import them to Xray'
+              : 'Create a test case and click "Save" to store it locally'
+            }
+          </p>
+        </div>
+      </>
     );
   }
 
@@ -255,6 +304,16 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
             </select>
           )}
 
+          {/* Priority Filter */}
+          <PrioritySelect
+            value={filterPriority}
+            onChange={(e) => setFilterPriority(e.target.value)}
+            priorities={priorities}
+            emptyLabel="All Priorities"
+            name="filterPriority"
+            className="w-full sm:w-36"
+          />
+
           {/* Search */}
           <div className="relative flex-1 sm:flex-none">
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none" className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400">
@@ -316,6 +375,8 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
         </div>
       )}
 
+      {importProgressPanel}
+
       {/* Bulk actions bar */}
       {selectedIds.size > 0 && (
         <div className="flex items-center justify-between p-3 bg-primary-50 dark:bg-primary-900/20 rounded-lg mb-4 animate-slide-down">
@@ -441,7 +502,14 @@ function SavedTestCases({ testCases, filterStatus, onEdit, onDelete, onImportSuc
                 </div>
                 <div className="flex items-center gap-3 text-sm text-gray-500 dark:text-gray-400">
                   <span>{tc.testType || 'Manual'}</span>
-                  <span>{tc.steps?.length || 0} step{tc.steps?.length !== 1 ? 's' : ''}</span>
+                  {tc.priority && <span>{tc.priority}</span>}
+                  {tc.testType === 'Cucumber' ? (
+                    <span>Gherkin scenario</span>
+                  ) : tc.testType === 'Generic' ? (
+                    <span>Generic definition</span>
+                  ) : (
+                    <span>{tc.steps?.length || 0} step{tc.steps?.length !== 1 ? 's' : ''}</span>
+                  )}
                   <span>{formatDate(tc.updatedAt)}</span>
                   {tc.status === 'imported' && tc.importedAt && (
                     <span className="text-blue-500">Imported {formatDate(tc.importedAt)}</span>
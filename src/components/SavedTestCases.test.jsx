@@ -54,9 +54,22 @@ describe('SavedTestCases', () => {
     showToast: vi.fn(),
   };
 
+  const doneJob = {
+    id: 'job-1',
+    phase: 'done',
+    message: 'Import complete',
+    total: 1,
+    draftIds: ['1'],
+    result: { success: true, testKeys: ['PROJ-1'] },
+  };
+
   beforeEach(() => {
     vi.clearAllMocks();
-    api.bulkImportDrafts.mockResolvedValue({ success: true, draftIds: ['1'] });
+    api.bulkImportDrafts.mockResolvedValue({ success: true, importJobId: 'job-1' });
+    api.subscribeToImportJob.mockImplementation((id, onUpdate) => {
+      onUpdate(doneJob);
+      return vi.fn();
+    });
   });
 
   it('should not render internal titles (uses page header from parent)', () => {
@@ -93,6 +106,19 @@ describe('SavedTestCases', () => {
     expect(screen.queryByText('Test Case 1')).not.toBeInTheDocument();
   });
 
+  it('should filter test cases by priority', () => {
+    const testCases = [
+      { ...mockTestCases[0], priority: 'High' },
+      { ...mockTestCases[1], priority: 'Low' },
+    ];
+    render(<SavedTestCases {...defaultProps} testCases={testCases} />);
+
+    fireEvent.change(screen.getByDisplayValue('All Priorities'), { target: { value: 'High' } });
+
+    expect(screen.getByText('Test Case 1')).toBeInTheDocument();
+    expect(screen.queryByText('Test Case 2')).not.toBeInTheDocument();
+  });
+
   it('should filter test cases by search query', () => {
     render(<SavedTestCases {...defaultProps} />);
 
@@ -115,7 +141,7 @@ describe('SavedTestCases', () => {
   it('should sort test cases', () => {
     render(<SavedTestCases {...defaultProps} />);
 
-    const sortSelect = screen.getByRole('combobox');
+    const sortSelect = screen.getByDisplayValue('Newest');
     fireEvent.change(sortSelect, { target: { value: 'name' } });
 
     // After A-Z sort, both Test Case 1 and 2 should be present in sorted order
@@ -212,8 +238,76 @@ describe('SavedTestCases', () => {
 
     await waitFor(() => {
       expect(api.bulkImportDrafts).toHaveBeenCalledWith(['1']);
-      expect(onImportSuccess).toHaveBeenCalled();
+      expect(onImportSuccess).toHaveBeenCalledWith(expect.objectContaining({
+        testKeys: ['PROJ-1'],
+        testCasesCount: 1,
+        draftIds: ['1'],
+        isBulkImport: true,
+      }));
+    });
+    expect(localStorage.removeItem).toHaveBeenCalledWith('raydrop_import_job');
+  });
+
+  it('should show live progress of the import job', async () => {
+    api.subscribeToImportJob.mockImplementation((id, onUpdate) => {
+      onUpdate({ id, phase: 'working', message: 'Xray job working (check 2)', total: 1 });
+      return vi.fn();
+    });
+    render(<SavedTestCases {...defaultProps} />);
+
+    fireEvent.click(screen.getAllByTitle('Select for import')[0]);
+    fireEvent.click(screen.getByText('Import Selected'));
+
+    expect(await screen.findByText('Xray job working (check 2)')).toBeInTheDocument();
+    expect(screen.getByText('Importing 1 test case')).toBeInTheDocument();
+    expect(api.subscribeToImportJob).toHaveBeenCalledWith('job-1', expect.any(Function), expect.any(Function));
+    expect(localStorage.setItem).toHaveBeenCalledWith('raydrop_import_job', 'job-1');
+  });
+
+  it('should reattach to a running import job after reload', () => {
+    localStorage.getItem.mockImplementation((key) => (key === 'raydrop_import_job' ? 'job-9' : null));
+    api.subscribeToImportJob.mockImplementation((id, onUpdate) => {
+      onUpdate({ id, phase: 'submitted', message: 'Submitted to Xray', total: 3 });
+      return vi.fn();
+    });
+
+    render(<SavedTestCases {...defaultProps} />);
+
+    expect(api.subscribeToImportJob).toHaveBeenCalledWith('job-9', expect.any(Function), expect.any(Function));
+    expect(screen.getByText('Submitted to Xray')).toBeInTheDocument();
+  });
+
+  it('should call onImportError when the import job fails', async () => {
+    api.subscribeToImportJob.mockImplementation((id, onUpdate) => {
+      onUpdate({ id, phase: 'failed', message: 'Bad payload', error: 'Bad payload', total: 1 });
+      return vi.fn();
+    });
+    const onImportError = vi.fn();
+    render(<SavedTestCases {...defaultProps} onImportError={onImportError} />);
+
+    fireEvent.click(screen.getAllByTitle('Select for import')[0]);
+    fireEvent.click(screen.getByText('Import Selected'));
+
+    await waitFor(() => {
+      expect(onImportError).toHaveBeenCalledWith(expect.objectContaining({ success: false, error: 'Bad payload' }));
+    });
+  });
+
+  it('should forget an import job the server no longer knows', async () => {
+    localStorage.getItem.mockImplementation((key) => (key === 'raydrop_import_job' ? 'job-gone' : null));
+    api.subscribeToImportJob.mockImplementation((id, onUpdate, onError) => {
+      onError();
+      return vi.fn();
+    });
+    api.fetchImportJob.mockRejectedValueOnce(Object.assign(new Error('Import job not found'), { status: 404 }));
+    const showToast = vi.fn();
+
+    render(<SavedTestCases {...defaultProps} showToast={showToast} />);
+
+    await waitFor(() => {
+      expect(showToast).toHaveBeenCalledWith('Import job is no longer available');
     });
+    expect(localStorage.removeItem).toHaveBeenCalledWith('raydrop_import_job');
   });
 
   it('should call onImportError on bulk import failure', async () => {
@@ -250,7 +344,7 @@ describe('SavedTestCases', () => {
   });
 
   it('should show loading state during bulk import', async () => {
-    api.bulkImportDrafts.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve({ success: true, draftIds: ['1'] }), 100)));
+    api.bulkImportDrafts.mockImplementationOnce(() => new Promise(resolve => setTimeout(() => resolve({ success: true, importJobId: 'job-1' }), 100)));
 
     render(<SavedTestCases {...defaultProps} />);
 
@@ -1,5 +1,9 @@
 import { useState, useEffect, useRef } from 'react';
 
+// Server-side search waits for a pause in typing and at least this many characters
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_SEARCH_LENGTH = 2;
+
 function SearchableMultiSelect({
   label,
   values = [],
@@ -11,10 +15,16 @@ function SearchableMultiSelect({
   placeholder = 'Type to search...',
   savedDisplays = [],
   emptyMessage = 'No items available',
+  onSearch,
+  onCreateNew,
+  createLabel = 'Create new…',
 }) {
   const [inputValue, setInputValue] = useState('');
   const [showDropdown, setShowDropdown] = useState(false);
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const searchRequestRef = useRef(0);
   const containerRef = useRef(null);
   const inputRef = useRef(null);
   const listRef = useRef(null);
@@ -45,6 +55,33 @@ function SearchableMultiSelect({
     return () => document.removeEventListener('keydown', handleEscapeKey);
   }, [showDropdown]);
 
+  // Query the server as the user types, so entities beyond the loaded list can be found
+  useEffect(() => {
+    const term = inputValue.trim();
+    const requestId = ++searchRequestRef.current;
+
+    if (!onSearch || term.length < MIN_SEARCH_LENGTH) {
+      setSearchResults(null);
+      setSearching(false);
+      return;
+    }
+
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const results = await onSearch(term);
+        if (requestId === searchRequestRef.current) setSearchResults(results || []);
+      } catch {
+        // Fall back to filtering the loaded options
+        if (requestId === searchRequestRef.current) setSearchResults(null);
+      } finally {
+        if (requestId === searchRequestRef.current) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [inputValue, onSearch]);
+
   // Reset highlight when dropdown opens or options change
   useEffect(() => {
     if (showDropdown) {
@@ -74,16 +111,21 @@ function SearchableMultiSelect({
     return false;
   };
 
-  // Merge saved displays with loaded options for showing selected items
-  const allItems = options.length > 0 ? options : (savedDisplays || []).map(d => ({
+  // Merge saved displays with loaded options for showing selected items.
+  // Saved displays also cover selections picked from search results.
+  const savedItems = (savedDisplays || []).map(d => ({
     issueId: d.id,
     key: d.display.split(':')[0],
     summary: d.display.split(': ').slice(1).join(': '),
   }));
+  const allItems = options.length > 0
+    ? [...options, ...savedItems.filter((saved) => !options.some((opt) => opt.issueId === saved.issueId || opt.key === saved.issueId))]
+    : savedItems;
 
-  // Filter options based on input (only unselected ones)
-  const filteredOptions = allItems.filter((opt) => {
+  // Filter options based on input (only unselected ones); server results are already filtered
+  const filteredOptions = (searchResults || allItems).filter((opt) => {
     if (isSelected(opt)) return false;
+    if (searchResults) return true;
     const searchTerm = inputValue.toLowerCase();
     const optText = `${opt.key}: ${opt.summary}`.toLowerCase();
     return optText.includes(searchTerm);
@@ -259,7 +301,7 @@ function SearchableMultiSelect({
             </div>
           ) : visibleOptions.length === 0 ? (
             <p className="text-gray-400 text-sm p-3">
-              {inputValue ? 'No matches found' : (allItems.length === 0 ? emptyMessage : 'All items selected')}
+              {searching ? 'Searching...' : inputValue ? 'No matches found' : (allItems.length === 0 ? emptyMessage : 'All items selected')}
             </p>
           ) : (
             <div className="py-1">
@@ -289,8 +331,26 @@ function SearchableMultiSelect({
                   Type to filter {filteredOptions.length - 50} more items...
                 </p>
               )}
+              {searching && (
+                <p className="text-gray-400 text-xs p-2 border-t border-gray-100 dark:border-gray-700">
+                  Searching...
+                </p>
+              )}
             </div>
           )}
+          {onCreateNew && !loading && (
+            <button
+              type="button"
+              onClick={() => {
+                closeDropdown();
+                onCreateNew(inputValue.trim());
+                setInputValue('');
+              }}
+              className="w-full text-left px-3 py-2 text-sm font-medium text-primary-600 dark:text-primary-400 border-t border-gray-100 dark:border-gray-700 hover:bg-primary-50 dark:hover:bg-primary-900/30"
+            >
+              + {createLabel}
+            </button>
+          )}
         </div>
       )}
 
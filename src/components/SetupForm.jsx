@@ -1,6 +1,14 @@
 import { useState } from 'react';
 import { saveConfig } from '../utils/api';
 
+// Xray Cloud hosts offered as suggestions; any URL (e.g. a local mock) is accepted
+const XRAY_HOSTS = [
+  { url: 'https://xray.cloud.getxray.app', label: 'Global' },
+  { url: 'https://us.xray.cloud.getxray.app', label: 'US' },
+  { url: 'https://eu.xray.cloud.getxray.app', label: 'EU' },
+  { url: 'https://au.xray.cloud.getxray.app', label: 'Australia' },
+];
+
 function SetupForm({ onComplete, onCancel, initialConfig, isEditing }) {
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
@@ -8,6 +16,7 @@ function SetupForm({ onComplete, onCancel, initialConfig, isEditing }) {
     xrayClientId: initialConfig?.xrayClientId || '',
     xrayClientSecret: initialConfig?.xrayClientSecret || '',
     jiraBaseUrl: initialConfig?.jiraBaseUrl || '',
+    xrayBaseUrl: initialConfig?.xrayBaseUrl || '',
   });
 
   function handleChange(e) {
@@ -41,6 +50,14 @@ function SetupForm({ onComplete, onCancel, initialConfig, isEditing }) {
       }
     }
 
+    if (formData.xrayBaseUrl.trim()) {
+      try {
+        new URL(formData.xrayBaseUrl);
+      } catch {
+        newErrors.xrayBaseUrl = 'Please enter a valid URL';
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   }
@@ -121,6 +138,33 @@ function SetupForm({ onComplete, onCancel, initialConfig, isEditing }) {
               <p className="text-red-500 text-sm mt-1">{errors.xrayClientSecret}</p>
             )}
           </div>
+
+          <div>
+            <label htmlFor="xray-base-url" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Xray Base URL
+            </label>
+            <input
+              id="xray-base-url"
+              type="url"
+              name="xrayBaseUrl"
+              value={formData.xrayBaseUrl}
+              onChange={handleChange}
+              list="xray-hosts"
+              placeholder={XRAY_HOSTS[0].url}
+              className={`input ${errors.xrayBaseUrl ? 'input-error' : ''}`}
+            />
+            <datalist id="xray-hosts">
+              {XRAY_HOSTS.map((host) => (
+                <option key={host.url} value={host.url}>{host.label}</option>
+              ))}
+            </datalist>
+            {errors.xrayBaseUrl && (
+              <p className="text-red-500 text-sm mt-1">{errors.xrayBaseUrl}</p>
+            )}
+            <p className="text-gray-400 text-xs mt-1">
+              Leave empty for the global host. Use a regional host or a local mock server if needed.
+            </p>
+          </div>
         </div>
 
         {/* Jira Configuration */}
@@ -131,6 +131,7 @@ describe('SetupForm', () => {
         xrayClientId: 'test-id',
         xrayClientSecret: 'test-secret',
         jiraBaseUrl: 'https://test.atlassian.net/',
+        xrayBaseUrl: '',
       });
       expect(mockOnComplete).toHaveBeenCalled();
     });
@@ -265,4 +266,32 @@ describe('SetupForm', () => {
       expect(screen.getByPlaceholderText('Enter your Xray Client Secret')).toHaveValue('my-secret');
     });
   });
+
+  it('should send a custom Xray base URL', async () => {
+    api.saveConfig.mockResolvedValueOnce({ success: true });
+    render(<SetupForm onComplete={mockOnComplete} />);
+
+    fireEvent.change(screen.getByPlaceholderText('Enter your Xray Client ID'), { target: { value: 'test-id', name: 'xrayClientId' } });
+    fireEvent.change(screen.getByPlaceholderText('Enter your Xray Client Secret'), { target: { value: 'test-secret', name: 'xrayClientSecret' } });
+    fireEvent.change(screen.getByPlaceholderText('https://your-domain.atlassian.net/'), { target: { value: 'https://test.atlassian.net/', name: 'jiraBaseUrl' } });
+    fireEvent.change(screen.getByLabelText('Xray Base URL'), { target: { value: 'http://localhost:4010', name: 'xrayBaseUrl' } });
+    fireEvent.click(screen.getByText('Validate & Save Configuration'));
+
+    await waitFor(() => {
+      expect(api.saveConfig).toHaveBeenCalledWith(expect.objectContaining({ xrayBaseUrl: 'http://localhost:4010' }));
+    });
+  });
+
+  it('should reject an invalid Xray base URL', () => {
+    render(<SetupForm onComplete={mockOnComplete} />);
+
+    fireEvent.change(screen.getByPlaceholderText('Enter your Xray Client ID'), { target: { value: 'test-id', name: 'xrayClientId' } });
+    fireEvent.change(screen.getByPlaceholderText('Enter your Xray Client Secret'), { target: { value: 'test-secret', name: 'xrayClientSecret' } });
+    fireEvent.change(screen.getByPlaceholderText('https://your-domain.atlassian.net/'), { target: { value: 'https://test.atlassian.net/', name: 'jiraBaseUrl' } });
+    fireEvent.change(screen.getByLabelText('Xray Base URL'), { target: { value: 'not a url', name: 'xrayBaseUrl' } });
+    fireEvent.submit(screen.getByText('Validate & Save Configuration').closest('form'));
+
+    expect(screen.getByText('Please enter a valid URL')).toBeInTheDocument();
+    expect(api.saveConfig).not.toHaveBeenCalled();
+  });
 });
@@ -0,0 +1,100 @@
+/**
+ * SharedStepsBlock - Linked shared steps in a test case's step list
+ *
+ * Shows the library entry read-only, so edits made in the library apply to
+ * every draft that links it. Unlinking copies the steps into the draft.
+ */
+
+import { useSortable } from '@dnd-kit/sortable';
+import { CSS } from '@dnd-kit/utilities';
+
+function SharedStepsBlock({ step, index, sharedSteps, error, onUnlink, onRemove, disabled }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id: step.id, disabled });
+
+  const style = {
+    transform: CSS.Transform.toString(transform),
+    transition,
+  };
+
+  return (
+    <div
+      ref={setNodeRef}
+      style={style}
+      className={`bg-primary-50 dark:bg-primary-900/20 rounded-lg border border-primary-200 dark:border-primary-800 p-4
+        ${isDragging ? 'opacity-50 shadow-lg' : ''}`}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-2 min-w-0">
+          {!disabled && (
+            <button
+              type="button"
+              className="cursor-grab active:cursor-grabbing p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+              {...attributes}
+              {...listeners}
+            >
+              <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                <path d="M5 4h.5M5 8h.5M5 12h.5M10.5 4h.5M10.5 8h.5M10.5 12h.5" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+              </svg>
+            </button>
+          )}
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
+            Step {index + 1}
+          </span>
+          <span className="text-xs px-2 py-0.5 bg-primary-100 dark:bg-primary-900/30 text-primary-600 dark:text-primary-400 rounded-full">
+            Shared
+          </span>
+          <span className="text-sm text-gray-900 dark:text-white truncate">
+            {sharedSteps?.name || 'Deleted shared steps'}
+          </span>
+        </div>
+
+        {!disabled && (
+          <div className="flex items-center gap-1">
+            {sharedSteps && (
+              <button type="button" onClick={() => onUnlink(step.id)} className="btn btn-ghost btn-sm">
+                Unlink
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => onRemove(step.id)}
+              className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+              title="Remove shared steps"
+            >
+              <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                <path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+              </svg>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {sharedSteps && (
+        <ol className="space-y-1 text-sm text-gray-700 dark:text-gray-300 list-decimal list-inside">
+          {sharedSteps.steps.map((sharedStep, i) => (
+            <li key={i}>
+              {sharedStep.action}
+              <span className="text-gray-500 dark:text-gray-400"> → {sharedStep.result}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+      {sharedSteps?.callTestKey && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Imported as a call to {sharedSteps.callTestKey}
+        </p>
+      )}
+
+      {error && <p className="text-red-500 text-sm mt-1">{error}</p>}
+    </div>
+  );
+}
+
+export default SharedStepsBlock;
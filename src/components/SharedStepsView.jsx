@@ -0,0 +1,276 @@
+/**
+ * SharedStepsView - Project library of steps that drafts link as one block
+ *
+ * Saving an entry updates every draft that links it and has not been imported yet.
+ */
+
+import { useState, useEffect } from 'react';
+import { createSharedSteps, updateSharedSteps, deleteSharedSteps } from '../utils/api';
+
+const emptyStep = () => ({ id: crypto.randomUUID(), action: '', data: '', result: '' });
+
+const EMPTY_FORM = { name: '', callTestKey: '', steps: [] };
+
+function toForm(sharedSteps) {
+  return {
+    name: sharedSteps.name || '',
+    callTestKey: sharedSteps.callTestKey || '',
+    steps: sharedSteps.steps.map((step) => ({ ...step, id: crypto.randomUUID() })),
+  };
+}
+
+// Check the form before sending it; mirrors the server validation
+export function getSharedStepsError(form) {
+  if (!form.name.trim()) return 'Name is required';
+  if (form.steps.length === 0) return 'At least one step is required';
+  const incomplete = form.steps.findIndex((step) => !step.action.trim() || !step.result.trim());
+  if (incomplete !== -1) return `Step ${incomplete + 1} needs an action and an expected result`;
+  return null;
+}
+
+function SharedStepsView({ activeProject, sharedSteps, onSharedStepsChange, showToast }) {
+  // null = nothing selected, 'new' = unsaved entry, otherwise an id
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formError, setFormError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    setSelectedId(null);
+  }, [activeProject]);
+
+  function selectSharedSteps(entry) {
+    setSelectedId(entry.id);
+    setForm(toForm(entry));
+    setFormError(null);
+  }
+
+  function startNew() {
+    setSelectedId('new');
+    setForm({ ...EMPTY_FORM, steps: [emptyStep()] });
+    setFormError(null);
+  }
+
+  function updateStep(id, field, value) {
+    setForm((prev) => ({
+      ...prev,
+      steps: prev.steps.map((step) => (step.id === id ? { ...step, [field]: value } : step)),
+    }));
+  }
+
+  function removeStep(id) {
+    setForm((prev) => ({ ...prev, steps: prev.steps.filter((step) => step.id !== id) }));
+  }
+
+  async function handleSave() {
+    const error = getSharedStepsError(form);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+
+    const payload = {
+      name: form.name,
+      callTestKey: form.callTestKey,
+      steps: form.steps.map(({ id, ...step }) => step),
+    };
+
+    setBusy('save');
+    setFormError(null);
+    try {
+      const result = selectedId === 'new'
+        ? await createSharedSteps(payload)
+        : await updateSharedSteps(selectedId, payload);
+      onSharedStepsChange(result.sharedSteps);
+      setSelectedId(result.sharedStep.id);
+      showToast('Shared steps saved');
+    } catch (err) {
+      setFormError(err.message);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  async function handleDelete() {
+    setBusy('delete');
+    try {
+      const result = await deleteSharedSteps(selectedId);
+      onSharedStepsChange(result.sharedSteps);
+      setSelectedId(null);
+      showToast('Shared steps deleted');
+    } catch (err) {
+      showToast(`Failed to delete shared steps: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  if (!activeProject) {
+    return (
+      <p className="text-center py-8 text-gray-500 dark:text-gray-400">
+        Select a project to manage its shared steps
+      </p>
+    );
+  }
+
+  return (
+    <div className="flex gap-4 min-h-[400px]">
+      {/* Sidebar - Library */}
+      <div className="w-64 flex-shrink-0">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-medium text-gray-900 dark:text-white">Shared Steps</h3>
+          <button
+            onClick={startNew}
+            className="text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 dark:hover:text-primary-300 font-medium"
+          >
+            + New
+          </button>
+        </div>
+
+        <div className="space-y-1">
+          {sharedSteps.map((entry) => (
+            <button
+              key={entry.id}
+              onClick={() => selectSharedSteps(entry)}
+              className={`w-full flex items-center gap-2 px-3 py-2 rounded-lg text-left transition-colors ${
+                selectedId === entry.id
+                  ? 'bg-gray-200 dark:bg-gray-700'
+                  : 'hover:bg-gray-100 dark:hover:bg-gray-800'
+              }`}
+            >
+              <span className="flex-1 text-sm text-gray-700 dark:text-gray-300 truncate">{entry.name}</span>
+              <span className="text-xs text-gray-400 dark:text-gray-500 flex-shrink-0">
+                {entry.callTestKey || `${entry.steps.length} step${entry.steps.length === 1 ? '' : 's'}`}
+              </span>
+            </button>
+          ))}
+
+          {sharedSteps.length === 0 && (
+            <div className="text-center py-4 text-gray-400 dark:text-gray-500 text-sm">
+              <p>No shared steps yet</p>
+              <button onClick={startNew} className="text-primary-500 hover:text-primary-600 mt-1">
+                Write your first shared steps
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Main area - Editor */}
+      <div className="flex-1 border-l border-gray-200 dark:border-gray-700 pl-4">
+        {selectedId === null ? (
+          <div className="flex items-center justify-center h-full text-gray-400 dark:text-gray-500">
+            <p>Select shared steps to edit them, or create new ones</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <div>
+              <label htmlFor="shared-steps-name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Name <span className="text-red-500">*</span>
+              </label>
+              <input
+                id="shared-steps-name"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Log in as admin"
+                className={`input ${formError && !form.name.trim() ? 'input-error' : ''}`}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="shared-steps-call-test" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Call test in Xray
+              </label>
+              <input
+                id="shared-steps-call-test"
+                type="text"
+                value={form.callTestKey}
+                onChange={(e) => setForm((prev) => ({ ...prev, callTestKey: e.target.value }))}
+                placeholder="e.g. PROJ-12"
+                className="input font-mono"
+              />
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                When set, linked blocks are imported as one step that calls this test; otherwise the steps are copied into each test
+              </p>
+            </div>
+
+            <div className="space-y-3">
+              {form.steps.map((step, index) => (
+                <div
+                  key={step.id}
+                  className="bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-2"
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Step {index + 1}</span>
+                    {form.steps.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => removeStep(step.id)}
+                        className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                        title="Remove step"
+                      >
+                        <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                          <path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                        </svg>
+                      </button>
+                    )}
+                  </div>
+                  <textarea
+                    value={step.action}
+                    onChange={(e) => updateStep(step.id, 'action', e.target.value)}
+                    rows={2}
+                    placeholder="What action to perform"
+                    aria-label={`Step ${index + 1} action`}
+                    className="input"
+                  />
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    <textarea
+                      value={step.data}
+                      onChange={(e) => updateStep(step.id, 'data', e.target.value)}
+                      rows={2}
+                      placeholder="Input data (optional)"
+                      aria-label={`Step ${index + 1} data`}
+                      className="input"
+                    />
+                    <textarea
+                      value={step.result}
+                      onChange={(e) => updateStep(step.id, 'result', e.target.value)}
+                      rows={2}
+                      placeholder="Expected outcome"
+                      aria-label={`Step ${index + 1} expected result`}
+                      className="input"
+                    />
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setForm((prev) => ({ ...prev, steps: [...prev.steps, emptyStep()] }))}
+                className="btn btn-secondary btn-sm"
+              >
+                Add Step
+              </button>
+            </div>
+
+            {formError && <p className="text-red-500 text-sm">{formError}</p>}
+
+            <div className="flex gap-3">
+              {selectedId !== 'new' && (
+                <button onClick={handleDelete} disabled={busy !== null} className="btn btn-ghost">
+                  {busy === 'delete' ? 'Deleting...' : 'Delete'}
+                </button>
+              )}
+              <div className="flex-1"></div>
+              <button onClick={handleSave} disabled={busy !== null} className="btn btn-primary">
+                {busy === 'save' ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SharedStepsView;
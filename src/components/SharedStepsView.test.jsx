@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import SharedStepsView from './SharedStepsView';
+import * as api from '../utils/api';
+
+vi.mock('../utils/api');
+
+describe('SharedStepsView', () => {
+  const login = {
+    id: 'shs-1',
+    name: 'Login',
+    steps: [{ action: 'Sign in', data: 'admin', result: 'Signed in' }],
+    callTestKey: '',
+  };
+
+  const defaultProps = {
+    activeProject: 'TEST',
+    sharedSteps: [login],
+    onSharedStepsChange: vi.fn(),
+    showToast: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should list the library', () => {
+    render(<SharedStepsView {...defaultProps} />);
+
+    expect(screen.getByText('Login')).toBeInTheDocument();
+    expect(screen.getByText('1 step')).toBeInTheDocument();
+  });
+
+  it('should create shared steps', async () => {
+    const created = { id: 'shs-2', name: 'Logout', steps: [{ action: 'Sign out', data: '', result: 'Signed out' }], callTestKey: '' };
+    api.createSharedSteps.mockResolvedValueOnce({ success: true, sharedStep: created, sharedSteps: [login, created] });
+    render(<SharedStepsView {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('+ New'));
+    fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'Logout' } });
+    fireEvent.change(screen.getByLabelText('Step 1 action'), { target: { value: 'Sign out' } });
+    fireEvent.change(screen.getByLabelText('Step 1 expected result'), { target: { value: 'Signed out' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(defaultProps.onSharedStepsChange).toHaveBeenCalledWith([login, created]);
+    });
+    expect(api.createSharedSteps).toHaveBeenCalledWith({
+      name: 'Logout',
+      callTestKey: '',
+      steps: [{ action: 'Sign out', data: '', result: 'Signed out' }],
+    });
+  });
+
+  it('should update the selected shared steps', async () => {
+    api.updateSharedSteps.mockResolvedValueOnce({ success: true, sharedStep: login, sharedSteps: [login] });
+    render(<SharedStepsView {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Login'));
+    fireEvent.change(screen.getByLabelText('Call test in Xray'), { target: { value: 'TEST-12' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => {
+      expect(api.updateSharedSteps).toHaveBeenCalledWith('shs-1', {
+        name: 'Login',
+        callTestKey: 'TEST-12',
+        steps: [{ action: 'Sign in', data: 'admin', result: 'Signed in' }],
+      });
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Shared steps saved');
+  });
+
+  it('should not save steps without an expected result', () => {
+    render(<SharedStepsView {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('+ New'));
+    fireEvent.change(screen.getByLabelText(/Name/), { target: { value: 'Logout' } });
+    fireEvent.change(screen.getByLabelText('Step 1 action'), { target: { value: 'Sign out' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    expect(screen.getByText('Step 1 needs an action and an expected result')).toBeInTheDocument();
+    expect(api.createSharedSteps).not.toHaveBeenCalled();
+  });
+
+  it('should report shared steps that drafts still link', async () => {
+    api.deleteSharedSteps.mockRejectedValueOnce(new Error('Shared steps are used by 2 drafts'));
+    render(<SharedStepsView {...defaultProps} />);
+
+    fireEvent.click(screen.getByText('Login'));
+    fireEvent.click(screen.getByText('Delete'));
+
+    await waitFor(() => {
+      expect(defaultProps.showToast).toHaveBeenCalledWith('Failed to delete shared steps: Shared steps are used by 2 drafts');
+    });
+    expect(defaultProps.onSharedStepsChange).not.toHaveBeenCalled();
+  });
+});
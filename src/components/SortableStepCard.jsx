@@ -1,7 +1,33 @@
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
+import { getParameters } from './DatasetEditor';
 
-function SortableStepCard({ step, index, errors, canRemove, onChange, onRemove, disabled }) {
+// ${...} parameters used in a step field, red when the dataset does not define them
+function ParameterChips({ text, parameters }) {
+  const names = getParameters(text);
+  if (!parameters || names.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1 mt-1">
+      {names.map((name) => {
+        const defined = parameters.includes(name);
+        return (
+          <span
+            key={name}
+            title={defined ? undefined : `${name} is not defined in the dataset`}
+            className={`px-1.5 py-0.5 rounded text-xs font-mono ${defined
+              ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300'
+              : 'bg-red-100 text-red-700 dark:bg-red-900/30 dark:text-red-300'}`}
+          >
+            {`\${${name}}`}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+function SortableStepCard({ step, index, errors, canRemove, onChange, onRemove, disabled, parameters }) {
   const {
     attributes,
     listeners,
@@ -18,6 +44,7 @@ function SortableStepCard({ step, index, errors, canRemove, onChange, onRemove,
 
   const actionError = errors[`step_${index}_action`];
   const resultError = errors[`step_${index}_result`];
+  const parametersError = errors[`step_${index}_parameters`];
 
   return (
     <div
@@ -73,6 +100,7 @@ function SortableStepCard({ step, index, errors, canRemove, onChange, onRemove,
             disabled={disabled}
             className={`input ${actionError ? 'input-error' : ''} ${disabled ? 'opacity-60 cursor-not-allowed' : ''}`}
           />
+          <ParameterChips text={step.action} parameters={parameters} />
           {actionError && (
             <p className="text-red-500 text-sm mt-1">{actionError}</p>
           )}
@@ -91,6 +119,7 @@ function SortableStepCard({ step, index, errors, canRemove, onChange, onRemove,
               disabled={disabled}
               className={`input ${disabled ? 'opacity-60 cursor-not-allowed' : ''}`}
             />
+            <ParameterChips text={step.data} parameters={parameters} />
           </div>
 
           <div>
@@ -105,11 +134,16 @@ function SortableStepCard({ step, index, errors, canRemove, onChange, onRemove,
               disabled={disabled}
               className={`input ${resultError ? 'input-error' : ''} ${disabled ? 'opacity-60 cursor-not-allowed' : ''}`}
             />
+            <ParameterChips text={step.result} parameters={parameters} />
             {resultError && (
               <p className="text-red-500 text-sm mt-1">{resultError}</p>
             )}
           </div>
         </div>
+
+        {parametersError && (
+          <p className="text-red-500 text-sm">{parametersError}</p>
+        )}
       </div>
     </div>
   );
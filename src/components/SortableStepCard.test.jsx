@@ -205,4 +205,21 @@ describe('SortableStepCard', () => {
 
     expect(screen.queryByText('*')).not.toBeInTheDocument();
   });
+
+  it('should highlight parameters and flag the ones missing from the dataset', () => {
+    render(
+      <DndWrapper>
+        <SortableStepCard
+          {...defaultProps}
+          step={{ ...defaultStep, action: 'Sign in as ${user}', data: '${password}' }}
+          parameters={['user']}
+          errors={{ step_0_parameters: 'Define password in the dataset' }}
+        />
+      </DndWrapper>
+    );
+
+    expect(screen.getByText('${user}', { selector: 'span' })).not.toHaveAttribute('title');
+    expect(screen.getByText('${password}', { selector: 'span' })).toHaveAttribute('title', 'password is not defined in the dataset');
+    expect(screen.getByText('Define password in the dataset')).toBeInTheDocument();
+  });
 });
@@ -8,6 +8,8 @@
  * 4. Imported - Final state after import
  */
 
+import { hasGherkinSteps } from './GherkinEditor';
+
 const STEPS = [
   { id: 1, label: 'Details', shortLabel: 'Details' },
   { id: 2, label: 'Test Steps', shortLabel: 'Steps' },
@@ -146,9 +148,18 @@ export function getCompletedSteps(testCase) {
   }
 
   // Step 2: Test Steps - has at least one valid step
-  if (testCase.steps?.length > 0) {
+  // (Cucumber: a Gherkin scenario, Generic: a definition)
+  if (testCase.testType === 'Cucumber') {
+    if (hasGherkinSteps(testCase.gherkin)) {
+      completed.push(2);
+    }
+  } else if (testCase.testType === 'Generic') {
+    if (testCase.definition?.trim()) {
+      completed.push(2);
+    }
+  } else if (testCase.steps?.length > 0) {
     const hasValidStep = testCase.steps.some(
-      step => step.action?.trim() && step.result?.trim()
+      step => step.sharedStepsId || (step.action?.trim() && step.result?.trim())
     );
     if (hasValidStep) {
       completed.push(2);
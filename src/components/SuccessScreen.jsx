@@ -15,6 +15,11 @@ function SuccessScreen({ result, config, onCreateAnother, onPostImportDelete, on
   const displayKeys = isBulkImport ? testKeys : (testKey ? [testKey] : []);
   const jiraBaseUrl = config?.jiraBaseUrl || 'https://your-domain.atlassian.net';
 
+  // Per-test linking outcome from bulk import
+  const linkResults = result?.linkResults || [];
+  const linkedCount = linkResults.filter((link) => link.success).length;
+  const linkWarnings = result?.linkWarnings || [];
+
   function handleDelete() {
     const ids = isBulkImport ? result.draftIds : result.draftId;
     onPostImportDelete(ids);
@@ -89,6 +94,29 @@ function SuccessScreen({ result, config, onCreateAnother, onPostImportDelete, on
             <span className="text-gray-900 dark:text-white">{count} test case{count > 1 ? 's' : ''}</span>
           </div>
         )}
+        {linkResults.length > 0 && (
+          <div className="flex items-center justify-between py-2 border-b border-gray-200 dark:border-gray-700">
+            <span className="text-gray-500 dark:text-gray-400 text-sm">Linking</span>
+            <span className={`badge ${linkedCount === linkResults.length ? 'badge-success' : 'badge-warning'}`}>
+              {linkedCount}/{linkResults.length} linked
+            </span>
+          </div>
+        )}
+        {linkWarnings.length > 0 && (
+          <ul className="py-2 border-b border-gray-200 dark:border-gray-700 space-y-1">
+            {linkWarnings.map((warning) => (
+              <li key={warning} className="text-xs text-amber-600 dark:text-amber-400">{warning}</li>
+            ))}
+          </ul>
+        )}
+        {result?.retries > 0 && (
+          <div className="flex items-center justify-between py-2 border-b border-gray-200 dark:border-gray-700">
+            <span className="text-gray-500 dark:text-gray-400 text-sm">Retries</span>
+            <span className="text-gray-900 dark:text-white text-sm" title="Xray was slow or rate-limited, so some requests were sent again">
+              {result.retries} request{result.retries === 1 ? '' : 's'} retried
+            </span>
+          </div>
+        )}
         <div className="flex items-center justify-between py-2 border-b border-gray-200 dark:border-gray-700">
           <span className="text-gray-500 dark:text-gray-400 text-sm">Status</span>
           <span className="badge badge-success">Imported</span>
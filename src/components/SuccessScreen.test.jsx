@@ -215,4 +215,32 @@ describe('SuccessScreen', () => {
       expect(screen.queryByText('Script output text here')).not.toBeInTheDocument();
     });
   });
+
+  it('should summarize linking results for bulk import', () => {
+    const result = {
+      success: true,
+      isBulkImport: true,
+      draftIds: ['d1', 'd2'],
+      testKeys: ['TEST-1', 'TEST-2'],
+      linkResults: [
+        { testIssueId: '1', testKey: 'TEST-1', success: true, links: [], warnings: [] },
+        { testIssueId: '2', testKey: 'TEST-2', success: false, links: [], warnings: ['Test Set 5 linking failed: Not found'] },
+      ],
+      linkWarnings: ['TEST-2: Test Set 5 linking failed: Not found'],
+    };
+    render(<SuccessScreen {...defaultProps} result={result} />);
+
+    expect(screen.getByText('1/2 linked')).toBeInTheDocument();
+    expect(screen.getByText('TEST-2: Test Set 5 linking failed: Not found')).toBeInTheDocument();
+  });
+
+  it('should not show linking info for single import', () => {
+    render(<SuccessScreen {...defaultProps} />);
+    expect(screen.queryByText('Linking')).not.toBeInTheDocument();
+  });
+
+  it('should show how many requests were retried', () => {
+    render(<SuccessScreen {...defaultProps} result={{ ...defaultProps.result, retries: 3 }} />);
+    expect(screen.getByText('3 requests retried')).toBeInTheDocument();
+  });
 });
@@ -2,7 +2,13 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import TestCaseForm from './TestCaseForm';
 import SavedTestCases from './SavedTestCases';
 import CollectionsView from './CollectionsView';
+import PreconditionsView from './PreconditionsView';
+import SharedStepsView from './SharedStepsView';
+import FoldersView from './FoldersView';
+import ResultsImportView from './ResultsImportView';
 import Modal from './Modal';
+import FetchFromXrayModal from './FetchFromXrayModal';
+import { getProjectPriorities } from './PrioritySelect';
 import {
   fetchDrafts,
   createDraft,
@@ -11,16 +17,18 @@ import {
   fetchCollections,
   createCollection,
   deleteCollection,
+  fetchSharedSteps,
   fetchTestPlans,
   fetchTestExecutions,
   fetchTestSets,
   fetchPreconditions,
+  fetchLocalPreconditions,
   fetchFolders,
 } from '../utils/api';
 
 const STORAGE_KEY = 'raydrop_saved_test_cases';
 
-function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError, showToast }) {
+function TestCaseBuilder({ config, activeProject, projects = [], projectSettings = null, onImportSuccess, onImportError, showToast }) {
   const [activeTab, setActiveTab] = useState('create');
   const [savedTestCases, setSavedTestCases] = useState([]);
   const [editingId, setEditingId] = useState(null);
@@ -30,6 +38,10 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [collections, setCollections] = useState([]);
+  const [sharedSteps, setSharedSteps] = useState([]);
+  const [showFetchModal, setShowFetchModal] = useState(false);
+  const priorities = getProjectPriorities(projectSettings);
+  const customFieldDefinitions = projectSettings?.customFields || [];
 
   // Xray entities cache
   const [xrayEntitiesCache, setXrayEntitiesCache] = useState({
@@ -38,6 +50,7 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
     testExecutions: [],
     testSets: [],
     preconditions: [],
+    localPreconditions: [],
     folders: null,
     projectId: null,
     loading: {
@@ -82,6 +95,16 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
     }
   }, []);
 
+  // Load the shared steps library from API
+  const loadSharedSteps = useCallback(async () => {
+    try {
+      const result = await fetchSharedSteps();
+      setSharedSteps(result.sharedSteps || []);
+    } catch (err) {
+      console.error('Failed to load shared steps:', err);
+    }
+  }, []);
+
   // Load Xray entities for a project (with caching)
   const loadXrayEntities = useCallback(async (projectKey, forceRefresh = false) => {
     if (!projectKey) return;
@@ -180,9 +203,23 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
       }
     };
 
+    // Local preconditions can be linked before they exist in Xray
+    const loadLocalPreconditions = async () => {
+      try {
+        const { preconditions } = await fetchLocalPreconditions(projectKey);
+        setXrayEntitiesCache((prev) => ({
+          ...prev,
+          localPreconditions: preconditions || [],
+        }));
+      } catch (err) {
+        console.error('Failed to load local preconditions:', err);
+      }
+    };
+
     const loadFolders = async () => {
       try {
-        const result = await fetchFolders(projectKey);
+        // Only the root level; FolderInput loads deeper folders as they're expanded
+        const result = await fetchFolders(projectKey, '/', { refresh: forceRefresh });
         setXrayEntitiesCache((prev) => ({
           ...prev,
           folders: result.folders,
@@ -203,6 +240,7 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
       loadTestExecutions(),
       loadTestSets(),
       loadPreconditions(),
+      loadLocalPreconditions(),
       loadFolders(),
     ]);
 
@@ -212,11 +250,20 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
     }));
   }, [xrayEntitiesCache.projectKey, xrayEntitiesCache.loaded]);
 
+  // Add an entity created from the linking panel, so it is listed without a refresh
+  const addXrayEntity = useCallback((type, entity) => {
+    setXrayEntitiesCache((prev) => ({
+      ...prev,
+      [type]: [entity, ...(prev[type] || []).filter((existing) => existing.issueId !== entity.issueId)],
+    }));
+  }, []);
+
   // Load drafts and collections when activeProject changes
   useEffect(() => {
     if (activeProject) {
       loadDrafts();
       loadCollections();
+      loadSharedSteps();
       // Reset editing state when project changes
       setEditingId(null);
       setHasUnsavedChanges(false);
@@ -227,6 +274,7 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
         testExecutions: [],
         testSets: [],
         preconditions: [],
+        localPreconditions: [],
         folders: null,
         projectId: null,
         loading: {
@@ -308,19 +356,24 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
     checkMigration();
   }, []);
 
+  // Resolves with the stored draft, so the form can send its revision with the next save
   const handleSaveDraft = useCallback(async (testCase) => {
     try {
+      // The form sends the revision of the draft its edits were made on
+      const { revision, ...fields } = testCase;
       // Always save as draft status when using Save Draft button
       // Include projectKey from activeProject
-      const draftData = { ...testCase, status: 'draft', projectKey: activeProject };
+      const draftData = { ...fields, status: 'draft', projectKey: activeProject };
+      let saved = null;
 
       if (editingId) {
         // Update existing
-        const result = await updateDraft(editingId, draftData);
+        const result = await updateDraft(editingId, draftData, revision);
         if (result.success) {
           setSavedTestCases((prev) =>
             prev.map((tc) => (tc.id === editingId ? result.draft : tc))
           );
+          saved = result.draft;
           // No toast here - TestCaseForm shows a modal instead
         } else {
           showToast(result.error || 'Failed to update draft');
@@ -331,13 +384,17 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
         if (result.success) {
           setSavedTestCases((prev) => [result.draft, ...prev]);
           setEditingId(result.id);
+          saved = result.draft;
           // No toast here - TestCaseForm shows a modal instead
         } else {
           showToast(result.error || 'Failed to save draft');
         }
       }
       setHasUnsavedChanges(false);
+      return saved;
     } catch (err) {
+      // Changed in another tab: TestCaseForm offers to merge with the stored draft
+      if (err.status === 409) throw err;
       console.error('Error saving draft:', err);
       showToast('Failed to save draft');
     }
@@ -435,7 +492,15 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
   }, [pendingAction]);
 
   const handleUnsavedSave = useCallback(async (testCase) => {
-    await handleSaveDraft(testCase);
+    try {
+      await handleSaveDraft(testCase);
+    } catch (err) {
+      // Stay on the form so the changes can be merged from there
+      setShowUnsavedModal(false);
+      setPendingAction(null);
+      showToast('This draft was changed in another tab. Click Update Draft to merge your changes.');
+      return;
+    }
     setShowUnsavedModal(false);
 
     if (pendingAction) {
@@ -450,7 +515,7 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
       }
       setPendingAction(null);
     }
-  }, [pendingAction, handleSaveDraft]);
+  }, [pendingAction, handleSaveDraft, showToast]);
 
   const getTestCaseToEdit = useCallback(() => {
     if (!editingId) return null;
@@ -462,6 +527,12 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
     loadDrafts();
   }, [loadDrafts]);
 
+  // Folder changes rewrite drafts' folder paths and make the cached tree stale
+  const handleFoldersChanged = useCallback(() => {
+    refreshDrafts();
+    setXrayEntitiesCache((prev) => ({ ...prev, loaded: false }));
+  }, [refreshDrafts]);
+
   // Check if viewing an imported TC
   const viewingImportedTC = activeTab === 'imported' && editingId && getTestCaseToEdit()?.status === 'imported';
 
@@ -493,6 +564,26 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
           title: 'Collections',
           subtitle: 'Organize test cases into collections',
         };
+      case 'shared-steps':
+        return {
+          title: 'Shared Steps',
+          subtitle: 'Reuse steps across test cases and update them in one place',
+        };
+      case 'preconditions':
+        return {
+          title: 'Preconditions',
+          subtitle: 'Write preconditions locally and create them in Xray when needed',
+        };
+      case 'folders':
+        return {
+          title: 'Folders',
+          subtitle: 'Organize the Xray Test Repository for this project',
+        };
+      case 'results':
+        return {
+          title: 'Results',
+          subtitle: 'Import CI test results into an Xray Test Execution',
+        };
       default:
         return {
           title: 'Test Cases',
@@ -587,6 +678,62 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
             </span>
           )}
         </button>
+        <button
+          onClick={() => handleTabChange('shared-steps')}
+          className={`flex-1 flex items-center justify-center gap-1 sm:gap-2 px-2 sm:px-4 py-3 text-sm font-medium transition-colors
+            ${activeTab === 'shared-steps'
+              ? 'text-primary-600 border-b-2 border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+              : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'
+            }`}
+        >
+          <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
+            <path d="M4 4h7a1 1 0 011 1v7a1 1 0 01-1 1H4a1 1 0 01-1-1V5a1 1 0 011-1z" stroke="currentColor" strokeWidth="1.5"/>
+            <path d="M6 2h8a1 1 0 011 1v8" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+          </svg>
+          <span className="hidden sm:inline">Shared Steps</span>
+        </button>
+        <button
+          onClick={() => handleTabChange('preconditions')}
+          className={`flex-1 flex items-center justify-center gap-1 sm:gap-2 px-2 sm:px-4 py-3 text-sm font-medium transition-colors
+            ${activeTab === 'preconditions'
+              ? 'text-primary-600 border-b-2 border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+              : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'
+            }`}
+        >
+          <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
+            <path d="M5 3h8a1 1 0 011 1v10a1 1 0 01-1 1H5a1 1 0 01-1-1V4a1 1 0 011-1z" stroke="currentColor" strokeWidth="1.5"/>
+            <path d="M7 7h4M7 10h4" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+          </svg>
+          <span className="hidden sm:inline">Preconditions</span>
+        </button>
+        <button
+          onClick={() => handleTabChange('folders')}
+          className={`flex-1 flex items-center justify-center gap-1 sm:gap-2 px-2 sm:px-4 py-3 text-sm font-medium transition-colors
+            ${activeTab === 'folders'
+              ? 'text-primary-600 border-b-2 border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+              : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'
+            }`}
+        >
+          <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
+            <path d="M2 5h5l2 2h7v7a1 1 0 01-1 1H3a1 1 0 01-1-1V5z" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+            <path d="M6 11h6" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+          </svg>
+          <span className="hidden sm:inline">Folders</span>
+        </button>
+        <button
+          onClick={() => handleTabChange('results')}
+          className={`flex-1 flex items-center justify-center gap-1 sm:gap-2 px-2 sm:px-4 py-3 text-sm font-medium transition-colors
+            ${activeTab === 'results'
+              ? 'text-primary-600 border-b-2 border-primary-500 bg-primary-50 dark:bg-primary-900/20'
+              : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'
+            }`}
+        >
+          <svg width="18" height="18" viewBox="0 0 18 18" fill="none">
+            <path d="M9 2v9M5.5 7.5L9 11l3.5-3.5" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+            <path d="M3 12v2a1 1 0 001 1h10a1 1 0 001-1v-2" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round"/>
+          </svg>
+          <span className="hidden sm:inline">Results</span>
+        </button>
         <button
           onClick={() => handleTabChange('imported')}
           className={`flex-1 flex items-center justify-center gap-1 sm:gap-2 px-2 sm:px-4 py-3 text-sm font-medium transition-colors
@@ -640,7 +787,11 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
             onCreateCollection={handleCreateCollection}
             xrayEntitiesCache={xrayEntitiesCache}
             onLoadXrayEntities={loadXrayEntities}
+            onXrayEntityCreated={addXrayEntity}
             onRefresh={refreshDrafts}
+            priorities={priorities}
+            customFieldDefinitions={customFieldDefinitions}
+            sharedSteps={sharedSteps}
           />
         )}
 
@@ -656,6 +807,7 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
             showToast={showToast}
             collections={collections}
             config={config}
+            priorities={priorities}
           />
         )}
 
@@ -676,21 +828,39 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
               onCreateCollection={handleCreateCollection}
               xrayEntitiesCache={xrayEntitiesCache}
               onLoadXrayEntities={loadXrayEntities}
+              onXrayEntityCreated={addXrayEntity}
               onRefresh={refreshDrafts}
+              priorities={priorities}
+              sharedSteps={sharedSteps}
             />
           ) : (
-            <SavedTestCases
-              testCases={savedTestCases}
-              filterStatus="imported"
-              onEdit={handleEdit}
-              onDelete={handleDelete}
-              onImportSuccess={onImportSuccess}
-              onImportError={onImportError}
-              onRefresh={refreshDrafts}
-              showToast={showToast}
-              collections={collections}
-              config={config}
-            />
+            <>
+              <div className="flex justify-end mb-4">
+                <button
+                  onClick={() => setShowFetchModal(true)}
+                  disabled={!config}
+                  className="btn btn-secondary btn-sm"
+                >
+                  <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                    <path d="M8 2v9M4 7l4 4 4-4M3 14h10" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round"/>
+                  </svg>
+                  Fetch from Xray
+                </button>
+              </div>
+              <SavedTestCases
+                testCases={savedTestCases}
+                filterStatus="imported"
+                onEdit={handleEdit}
+                onDelete={handleDelete}
+                onImportSuccess={onImportSuccess}
+                onImportError={onImportError}
+                onRefresh={refreshDrafts}
+                showToast={showToast}
+                collections={collections}
+                config={config}
+                priorities={priorities}
+              />
+            </>
           )
         )}
 
@@ -706,8 +876,53 @@ function TestCaseBuilder({ config, activeProject, onImportSuccess, onImportError
             showToast={showToast}
           />
         )}
+
+        {activeTab === 'shared-steps' && (
+          <SharedStepsView
+            activeProject={activeProject}
+            sharedSteps={sharedSteps}
+            onSharedStepsChange={setSharedSteps}
+            showToast={showToast}
+          />
+        )}
+
+        {activeTab === 'preconditions' && (
+          <PreconditionsView
+            activeProject={activeProject}
+            config={config}
+            showToast={showToast}
+          />
+        )}
+
+        {activeTab === 'folders' && (
+          <FoldersView
+            activeProject={activeProject}
+            config={config}
+            showToast={showToast}
+            onFoldersChanged={handleFoldersChanged}
+          />
+        )}
+
+        {activeTab === 'results' && (
+          <ResultsImportView
+            projects={projects}
+            activeProject={activeProject}
+            config={config}
+            showToast={showToast}
+          />
+        )}
       </div>
 
+      {/* Fetch from Xray Modal */}
+      {showFetchModal && (
+        <FetchFromXrayModal
+          activeProject={activeProject}
+          onClose={() => setShowFetchModal(false)}
+          onFetched={refreshDrafts}
+          showToast={showToast}
+        />
+      )}
+
       {/* Unsaved Changes Modal */}
       {showUnsavedModal && (
         <UnsavedChangesModal
@@ -5,10 +5,11 @@ import * as api from '../utils/api';
 
 vi.mock('../utils/api');
 vi.mock('./TestCaseForm', () => ({
-  default: ({ editingTestCase, onSaveDraft, onCreateNew, setHasUnsavedChanges, xrayEntitiesCache, onLoadXrayEntities }) => (
+  default: ({ editingTestCase, onSaveDraft, onCreateNew, setHasUnsavedChanges, xrayEntitiesCache, onLoadXrayEntities, sharedSteps }) => (
     <div data-testid="test-case-form">
+      <span data-testid="shared-steps">{sharedSteps?.map((entry) => entry.name).join(', ')}</span>
       <span data-testid="editing">{editingTestCase?.id || 'new'}</span>
-      <button onClick={() => onSaveDraft({ summary: 'Test' })}>Save Draft Mock</button>
+      <button onClick={() => onSaveDraft({ summary: 'Test', revision: editingTestCase?.revision })}>Save Draft Mock</button>
       <button onClick={onCreateNew}>Create New Mock</button>
       <button onClick={() => setHasUnsavedChanges?.(true)}>Set Unsaved</button>
       <button onClick={() => onLoadXrayEntities?.('TEST', false)}>Load Xray Entities</button>
@@ -54,7 +55,7 @@ describe('TestCaseBuilder', () => {
   };
 
   const mockDrafts = [
-    { id: 'tc-1', summary: 'Test 1', status: 'draft', projectKey: 'TEST' },
+    { id: 'tc-1', summary: 'Test 1', status: 'draft', projectKey: 'TEST', revision: 2 },
     { id: 'tc-2', summary: 'Test 2', status: 'imported', projectKey: 'TEST' },
   ];
 
@@ -79,7 +80,9 @@ describe('TestCaseBuilder', () => {
     api.fetchTestExecutions.mockResolvedValue({ success: true, testExecutions: [] });
     api.fetchTestSets.mockResolvedValue({ success: true, testSets: [] });
     api.fetchPreconditions.mockResolvedValue({ success: true, preconditions: [] });
+    api.fetchLocalPreconditions.mockResolvedValue({ success: true, preconditions: [] });
     api.fetchFolders.mockResolvedValue({ success: true, folders: { path: '/', folders: [] } });
+    api.fetchSharedSteps.mockResolvedValue({ success: true, sharedSteps: [] });
     localStorage.clear();
   });
 
@@ -322,6 +325,18 @@ describe('TestCaseBuilder', () => {
     });
   });
 
+  it('should pass the shared steps library to the form', async () => {
+    api.fetchSharedSteps.mockResolvedValue({
+      success: true,
+      sharedSteps: [{ id: 'shs-1', name: 'Login', steps: [{ action: 'Sign in', data: '', result: 'Signed in' }] }],
+    });
+    render(<TestCaseBuilder {...defaultProps} />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('shared-steps')).toHaveTextContent('Login');
+    });
+  });
+
   it('should filter drafts by project', async () => {
     render(<TestCaseBuilder {...defaultProps} activeProject="TEST" />);
     await waitFor(() => {
@@ -383,10 +398,10 @@ describe('TestCaseBuilder', () => {
       expect(screen.getByTestId('editing')).toHaveTextContent('tc-1');
     });
 
-    // Save the draft
+    // Save the draft, on the revision the form loaded
     fireEvent.click(screen.getByText('Save Draft Mock'));
     await waitFor(() => {
-      expect(api.updateDraft).toHaveBeenCalled();
+      expect(api.updateDraft).toHaveBeenCalledWith('tc-1', expect.objectContaining({ summary: 'Test' }), 2);
     });
   });
 
@@ -558,7 +573,7 @@ describe('TestCaseBuilder', () => {
         expect(api.fetchTestExecutions).toHaveBeenCalledWith('TEST');
         expect(api.fetchTestSets).toHaveBeenCalledWith('TEST');
         expect(api.fetchPreconditions).toHaveBeenCalledWith('TEST');
-        expect(api.fetchFolders).toHaveBeenCalledWith('TEST');
+        expect(api.fetchFolders).toHaveBeenCalledWith('TEST', '/', { refresh: false });
       });
     });
 
@@ -14,6 +14,7 @@ import {
   verticalListSortingStrategy,
 } from '@dnd-kit/sortable';
 import SortableStepCard from './SortableStepCard';
+import SharedStepsBlock from './SharedStepsBlock';
 import TagInput from './TagInput';
 import CollectionInput from './CollectionInput';
 import SummaryInput from './SummaryInput';
@@ -21,10 +22,85 @@ import Modal from './Modal';
 import XrayLinkingPanel from './XrayLinkingPanel';
 import StepProgressBar, { getCompletedSteps } from './StepProgressBar';
 import TestCasePreview from './TestCasePreview';
+import ImportedTestEditor from './ImportedTestEditor';
+import TestRunView from './TestRunView';
+import GherkinEditor, { hasGherkinSteps } from './GherkinEditor';
+import DatasetEditor, { EMPTY_DATASET, getStepParameters, getUndefinedParameters, getDatasetError } from './DatasetEditor';
+import PrioritySelect, { DEFAULT_PRIORITIES } from './PrioritySelect';
+import CustomFieldsInput from './CustomFieldsInput';
+import DraftConflictModal from './DraftConflictModal';
 import { createDraft, updateDraft, importDraft, linkTestToEntities } from '../utils/api';
 
 const emptyStep = { action: '', data: '', result: '' };
 
+const TEST_TYPES = ['Manual', 'Cucumber', 'Generic'];
+
+// Step 2 heading per test type
+const STEP2_TITLES = {
+  Manual: 'Test Steps',
+  Cucumber: 'Gherkin Scenario',
+  Generic: 'Test Definition',
+};
+
+function getEmptyXrayLinking() {
+  return {
+    testPlanIds: [],
+    testPlanDisplays: [],
+    testExecutionIds: [],
+    testExecutionDisplays: [],
+    testSetIds: [],
+    testSetDisplays: [],
+    folderPath: '/',
+    projectId: null,
+    preconditionIds: [],
+    preconditionDisplays: [],
+  };
+}
+
+// Form state for a saved draft
+function toFormData(testCase) {
+  return {
+    summary: testCase.summary || '',
+    description: testCase.description || '',
+    testType: testCase.testType || 'Manual',
+    priority: testCase.priority || '',
+    labels: testCase.labels || [],
+    collectionId: testCase.collectionId || '',
+    steps: testCase.steps?.length > 0
+      ? testCase.steps.map((s) => ({ ...s, id: s.id || crypto.randomUUID() }))
+      : [{ ...emptyStep, id: crypto.randomUUID() }],
+    gherkin: testCase.gherkin || '',
+    definition: testCase.definition || '',
+    dataset: testCase.dataset || EMPTY_DATASET,
+    customFields: testCase.customFields || {},
+  };
+}
+
+// Draft fields as the form sends them to the API
+function toTestCaseData(formData, xrayLinking) {
+  return {
+    summary: formData.summary,
+    description: formData.description,
+    testType: formData.testType,
+    priority: formData.priority || '',
+    labels: formData.labels,
+    collectionId: formData.collectionId || null,
+    steps: formData.steps.map(({ id, ...rest }) => rest), // Remove id for API
+    gherkin: formData.testType === 'Cucumber' ? formData.gherkin : '',
+    definition: formData.testType === 'Generic' ? formData.definition : '',
+    dataset: formData.testType === 'Manual' && formData.dataset.parameters.length > 0
+      ? { ...formData.dataset, parameters: formData.dataset.parameters.map((name) => name.trim()) }
+      : null,
+    customFields: formData.customFields,
+    xrayLinking: xrayLinking, // Persist Xray linking selections
+  };
+}
+
+// A saved draft in the shape the form sends, so it compares field by field with the form's data
+function toComparableDraft(draft) {
+  return toTestCaseData(toFormData(draft), { ...getEmptyXrayLinking(), ...draft.xrayLinking });
+}
+
 function TestCaseForm({
   config,
   activeProject,
@@ -40,7 +116,11 @@ function TestCaseForm({
   onCreateCollection,
   xrayEntitiesCache = null,
   onLoadXrayEntities = null,
+  onXrayEntityCreated = null,
   onRefresh = null,
+  priorities = DEFAULT_PRIORITIES,
+  customFieldDefinitions = [],
+  sharedSteps = [],
 }) {
   const [formData, setFormData] = useState({
     summary: '',
@@ -50,6 +130,10 @@ function TestCaseForm({
     labels: [],
     collectionId: '',
     steps: [{ ...emptyStep, id: crypto.randomUUID() }],
+    gherkin: '',
+    definition: '',
+    dataset: EMPTY_DATASET,
+    customFields: {},
   });
   const [xrayLinking, setXrayLinking] = useState({
     testPlanIds: [],
@@ -68,14 +152,44 @@ function TestCaseForm({
   const [loading, setLoading] = useState(false);
   const [showResetModal, setShowResetModal] = useState(false);
   const [showSavedModal, setShowSavedModal] = useState(false);
+  // { local, server } when the draft was saved in another tab since it was loaded
+  const [conflict, setConflict] = useState(null);
   const [hasChanges, setHasChanges] = useState(false);
   const [showXrayValidation, setShowXrayValidation] = useState(false);
+  // Id of the imported TC currently being edited for an Xray update
+  const [editingImportedId, setEditingImportedId] = useState(null);
+  // Id of the imported TC whose run is being recorded
+  const [runningImportedId, setRunningImportedId] = useState(null);
 
-  // Check if TC is imported (read-only)
+  // Check if TC is imported (read-only unless explicitly edited)
   const isReadOnly = editingTestCase?.status === 'imported';
 
-  // Render preview layout for imported test cases
+  // Render preview layout (or the update editor) for imported test cases
   if (isReadOnly && editingTestCase) {
+    if (editingImportedId === editingTestCase.id) {
+      return (
+        <ImportedTestEditor
+          testCase={editingTestCase}
+          onCancel={() => setEditingImportedId(null)}
+          onSaved={() => {
+            setEditingImportedId(null);
+            onRefresh?.();
+          }}
+          showToast={showToast}
+        />
+      );
+    }
+
+    if (runningImportedId === editingTestCase.id) {
+      return (
+        <TestRunView
+          testCase={editingTestCase}
+          onClose={() => setRunningImportedId(null)}
+          showToast={showToast}
+        />
+      );
+    }
+
     return (
       <TestCasePreview
         testCase={editingTestCase}
@@ -83,82 +197,42 @@ function TestCaseForm({
         activeProject={activeProject}
         xrayEntitiesCache={xrayEntitiesCache}
         onLoadXrayEntities={onLoadXrayEntities}
+        onXrayEntityCreated={onXrayEntityCreated}
         onLinksUpdated={onRefresh}
+        onEdit={editingTestCase.testIssueId ? () => setEditingImportedId(editingTestCase.id) : null}
+        onRun={editingTestCase.testIssueId && (editingTestCase.testType || 'Manual') === 'Manual'
+          ? () => setRunningImportedId(editingTestCase.id)
+          : null}
         showToast={showToast}
       />
     );
   }
 
-  // Migrate old single-select state to new multi-select arrays
-  function migrateXrayLinking(linking) {
-    if (!linking) return getEmptyXrayLinking();
-
-    const migrated = { ...linking };
-
-    // Migrate testPlanId -> testPlanIds
-    if (linking.testPlanId && !linking.testPlanIds?.length) {
-      migrated.testPlanIds = [linking.testPlanId];
-      migrated.testPlanDisplays = linking.testPlanDisplay
-        ? [{ id: linking.testPlanId, display: linking.testPlanDisplay }]
-        : [];
-    }
-    if (!migrated.testPlanIds) migrated.testPlanIds = [];
-    if (!migrated.testPlanDisplays) migrated.testPlanDisplays = [];
-
-    // Migrate testExecutionId -> testExecutionIds
-    if (linking.testExecutionId && !linking.testExecutionIds?.length) {
-      migrated.testExecutionIds = [linking.testExecutionId];
-      migrated.testExecutionDisplays = linking.testExecutionDisplay
-        ? [{ id: linking.testExecutionId, display: linking.testExecutionDisplay }]
-        : [];
-    }
-    if (!migrated.testExecutionIds) migrated.testExecutionIds = [];
-    if (!migrated.testExecutionDisplays) migrated.testExecutionDisplays = [];
-
-    // Migrate testSetId -> testSetIds
-    if (linking.testSetId && !linking.testSetIds?.length) {
-      migrated.testSetIds = [linking.testSetId];
-      migrated.testSetDisplays = linking.testSetDisplay
-        ? [{ id: linking.testSetId, display: linking.testSetDisplay }]
-        : [];
-    }
-    if (!migrated.testSetIds) migrated.testSetIds = [];
-    if (!migrated.testSetDisplays) migrated.testSetDisplays = [];
-
-    // Ensure other arrays exist
-    if (!migrated.preconditionIds) migrated.preconditionIds = [];
-    if (!migrated.preconditionDisplays) migrated.preconditionDisplays = [];
-    if (!migrated.folderPath) migrated.folderPath = '/';
-
-    return migrated;
-  }
-
-  function getEmptyXrayLinking() {
-    return {
-      testPlanIds: [],
-      testPlanDisplays: [],
-      testExecutionIds: [],
-      testExecutionDisplays: [],
-      testSetIds: [],
-      testSetDisplays: [],
-      folderPath: '/',
-      projectId: null,
-      preconditionIds: [],
-      preconditionDisplays: [],
-    };
-  }
-
   // Check if Step 1 (Details) is valid
   function isStep1Valid() {
     return formData.summary?.trim() && formData.description?.trim();
   }
 
-  // Check if Step 2 (Test Steps) is valid
+  // Check if Step 2 (Test Steps or Gherkin scenario) is valid
   function isStep2Valid() {
+    if (formData.testType === 'Cucumber') return hasGherkinSteps(formData.gherkin);
+    if (formData.testType === 'Generic') return Boolean(formData.definition?.trim());
     if (!formData.steps?.length) return false;
     return formData.steps.every(
-      (step) => step.action?.trim() && step.result?.trim()
-    );
+      (step) => (step.sharedStepsId ? findSharedSteps(step) : step.action?.trim() && step.result?.trim())
+    ) && getUndefinedParameters(getExpandedSteps(), formData.dataset).length === 0 && !getDatasetError(formData.dataset);
+  }
+
+  // Library entry a linked step points to, or undefined once it was deleted
+  function findSharedSteps(step) {
+    return sharedSteps.find((entry) => entry.id === step.sharedStepsId);
+  }
+
+  // Steps with linked shared steps replaced by the library entry's steps
+  function getExpandedSteps() {
+    return formData.steps.flatMap((step) => (
+      step.sharedStepsId ? findSharedSteps(step)?.steps || [] : [step]
+    ));
   }
 
   // Check if Step 3 (Xray Links) is valid
@@ -221,6 +295,10 @@ function TestCaseForm({
   const [loadedTestCaseId, setLoadedTestCaseId] = useState(null);
   // Track if we just saved a new draft (to prevent form reset on first save)
   const [justSavedNewDraft, setJustSavedNewDraft] = useState(false);
+  // Stored version the form's edits were made on. Its revision is sent with
+  // updates and it is the base of a merge; refreshing the saved list leaves it
+  // alone, so a save from another tab is detected instead of overwritten.
+  const [loadedDraft, setLoadedDraft] = useState(null);
 
   // Load editing test case
   useEffect(() => {
@@ -234,31 +312,24 @@ function TestCaseForm({
         if (justSavedNewDraft && loadedTestCaseId === null) {
           // Just mark this test case as loaded, preserve current form state and step
           setLoadedTestCaseId(editingTestCase.id);
+          setLoadedDraft(editingTestCase);
           setJustSavedNewDraft(false);
         } else {
           // Loading a different test case - load its data
-          setFormData({
-            summary: editingTestCase.summary || '',
-            description: editingTestCase.description || '',
-            testType: editingTestCase.testType || 'Manual',
-            priority: editingTestCase.priority || '',
-            labels: editingTestCase.labels || [],
-            collectionId: editingTestCase.collectionId || '',
-            steps: editingTestCase.steps?.length > 0
-              ? editingTestCase.steps.map((s) => ({ ...s, id: s.id || crypto.randomUUID() }))
-              : [{ ...emptyStep, id: crypto.randomUUID() }],
-          });
+          setFormData(toFormData(editingTestCase));
           // Load saved Xray linking data with migration
-          setXrayLinking(migrateXrayLinking(editingTestCase.xrayLinking));
+          setXrayLinking({ ...getEmptyXrayLinking(), ...editingTestCase.xrayLinking });
           setErrors({});
           setHasChanges(false);
           setCurrentStep(1);
           setLoadedTestCaseId(editingTestCase.id);
+          setLoadedDraft(editingTestCase);
         }
       }
     } else {
       resetForm();
       setLoadedTestCaseId(null);
+      setLoadedDraft(null);
     }
   }, [editingTestCase, loadedTestCaseId, justSavedNewDraft]);
 
@@ -271,6 +342,10 @@ function TestCaseForm({
       labels: [],
       collectionId: '',
       steps: [{ ...emptyStep, id: crypto.randomUUID() }],
+      gherkin: '',
+      definition: '',
+      dataset: EMPTY_DATASET,
+      customFields: {},
     });
     setXrayLinking(getEmptyXrayLinking());
     setErrors({});
@@ -291,6 +366,21 @@ function TestCaseForm({
     }
   }
 
+  function handleGherkinChange(gherkin) {
+    setFormData((prev) => ({ ...prev, gherkin }));
+    setHasUnsavedChanges(true);
+    setHasChanges(true);
+    if (errors.gherkin) {
+      setErrors((prev) => ({ ...prev, gherkin: null }));
+    }
+  }
+
+  function handleCustomFieldChange(key, value) {
+    setFormData((prev) => ({ ...prev, customFields: { ...prev.customFields, [key]: value } }));
+    setHasUnsavedChanges(true);
+    setHasChanges(true);
+  }
+
   function handleLabelsChange(labels) {
     setFormData((prev) => ({ ...prev, labels }));
     setHasUnsavedChanges(true);
@@ -309,11 +399,21 @@ function TestCaseForm({
     // Clear step error when user types
     const stepIndex = formData.steps.findIndex((s) => s.id === id);
     const errorKey = `step_${stepIndex}_${field}`;
-    if (errors[errorKey]) {
-      setErrors((prev) => ({ ...prev, [errorKey]: null }));
+    if (errors[errorKey] || errors[`step_${stepIndex}_parameters`]) {
+      setErrors((prev) => ({ ...prev, [errorKey]: null, [`step_${stepIndex}_parameters`]: null }));
     }
   }
 
+  function handleDatasetChange(dataset) {
+    setFormData((prev) => ({ ...prev, dataset }));
+    setHasUnsavedChanges(true);
+    setHasChanges(true);
+    // Defining a parameter can resolve errors on any step
+    setErrors((prev) => Object.fromEntries(
+      Object.entries(prev).filter(([key]) => key !== 'dataset' && !/^step_\d+_parameters$/.test(key))
+    ));
+  }
+
   function addStep() {
     setFormData((prev) => ({
       ...prev,
@@ -323,6 +423,30 @@ function TestCaseForm({
     setHasChanges(true);
   }
 
+  function insertSharedSteps(sharedStepsId) {
+    if (!sharedStepsId) return;
+    setFormData((prev) => ({
+      ...prev,
+      steps: [...prev.steps, { id: crypto.randomUUID(), sharedStepsId }],
+    }));
+    setHasUnsavedChanges(true);
+    setHasChanges(true);
+  }
+
+  // Replace a linked block with editable copies of its steps
+  function unlinkSharedSteps(id) {
+    setFormData((prev) => ({
+      ...prev,
+      steps: prev.steps.flatMap((step) => (
+        step.id === id
+          ? findSharedSteps(step).steps.map((sharedStep) => ({ ...emptyStep, ...sharedStep, id: crypto.randomUUID() }))
+          : [step]
+      )),
+    }));
+    setHasUnsavedChanges(true);
+    setHasChanges(true);
+  }
+
   function removeStep(id) {
     if (formData.steps.length <= 1) return;
     setFormData((prev) => ({
@@ -361,14 +485,7 @@ function TestCaseForm({
       newErrors.description = 'Description is required';
     }
 
-    formData.steps.forEach((step, index) => {
-      if (!step.action.trim()) {
-        newErrors[`step_${index}_action`] = 'Action is required';
-      }
-      if (!step.result.trim()) {
-        newErrors[`step_${index}_result`] = 'Expected Result is required';
-      }
-    });
+    Object.assign(newErrors, getStep2Errors());
 
     // Validate Xray linking fields (required for import)
     const xrayValid =
@@ -386,17 +503,54 @@ function TestCaseForm({
     return Object.keys(newErrors).length === 0;
   }
 
+  // Collect Step 2 errors for the current test type
+  function getStep2Errors() {
+    const newErrors = {};
+    if (formData.testType === 'Cucumber') {
+      if (!hasGherkinSteps(formData.gherkin)) {
+        newErrors.gherkin = 'Scenario needs at least one Given/When/Then step';
+      }
+      return newErrors;
+    }
+    if (formData.testType === 'Generic') {
+      if (!formData.definition?.trim()) {
+        newErrors.definition = 'Definition is required';
+      }
+      return newErrors;
+    }
+    formData.steps.forEach((step, index) => {
+      if (step.sharedStepsId) {
+        const entry = findSharedSteps(step);
+        if (!entry) {
+          newErrors[`step_${index}_shared`] = 'These shared steps were deleted from the library';
+          return;
+        }
+        const undefinedParameters = getUndefinedParameters(entry.steps, formData.dataset);
+        if (undefinedParameters.length > 0) {
+          newErrors[`step_${index}_parameters`] = `Define ${undefinedParameters.join(', ')} in the dataset`;
+        }
+        return;
+      }
+      if (!step.action?.trim()) {
+        newErrors[`step_${index}_action`] = 'Action is required';
+      }
+      if (!step.result?.trim()) {
+        newErrors[`step_${index}_result`] = 'Expected Result is required';
+      }
+      const undefinedParameters = getUndefinedParameters([step], formData.dataset);
+      if (undefinedParameters.length > 0) {
+        newErrors[`step_${index}_parameters`] = `Define ${undefinedParameters.join(', ')} in the dataset`;
+      }
+    });
+    const datasetError = getDatasetError(formData.dataset);
+    if (datasetError) {
+      newErrors.dataset = datasetError;
+    }
+    return newErrors;
+  }
+
   function getTestCaseData() {
-    return {
-      summary: formData.summary,
-      description: formData.description,
-      testType: 'Manual', // Fixed for now
-      priority: 'Medium', // Fixed for now
-      labels: formData.labels,
-      collectionId: formData.collectionId || null,
-      steps: formData.steps.map(({ id, ...rest }) => rest), // Remove id for API
-      xrayLinking: xrayLinking, // Persist Xray linking selections
-    };
+    return toTestCaseData(formData, xrayLinking);
   }
 
   function hasFormData() {
@@ -404,21 +558,48 @@ function TestCaseForm({
       formData.summary.trim() ||
       formData.description.trim() ||
       formData.labels.length > 0 ||
-      formData.steps.some((s) => s.action.trim() || s.data.trim() || s.result.trim())
+      formData.gherkin.trim() ||
+      formData.definition.trim() ||
+      formData.steps.some((s) => s.sharedStepsId || s.action?.trim() || s.data?.trim() || s.result?.trim())
     );
   }
 
-  function handleSaveDraft() {
+  async function handleSaveDraft() {
     // If this is a new draft (no editingId yet), mark it so we don't reset form on save
     if (!editingId) {
       setJustSavedNewDraft(true);
     }
-    onSaveDraft(getTestCaseData());
+    await saveDraft({ ...getTestCaseData(), revision: loadedDraft?.revision });
+  }
+
+  async function saveDraft(testCase) {
+    try {
+      const saved = await onSaveDraft(testCase);
+      if (saved) setLoadedDraft(saved);
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      showConflict(testCase, err.data.draft);
+      return;
+    }
     setHasChanges(false);
     setHasUnsavedChanges(false);
     setShowSavedModal(true);
   }
 
+  function showConflict(testCase, storedDraft) {
+    setConflict({ local: testCase, server: storedDraft });
+  }
+
+  // Load the merged draft into the form and save it over the stored revision
+  async function resolveConflict(merged) {
+    const { server } = conflict;
+    setConflict(null);
+    setFormData(toFormData(merged));
+    setXrayLinking({ ...getEmptyXrayLinking(), ...merged.xrayLinking });
+    setLoadedDraft(server);
+    await saveDraft({ ...merged, revision: server.revision });
+  }
+
   async function handleImport(e) {
     e.preventDefault();
 
@@ -440,12 +621,13 @@ function TestCaseForm({
 
       // If editing, update the draft first; if new, create it
       if (editingId) {
-        const updateResult = await updateDraft(editingId, getTestCaseData());
+        const updateResult = await updateDraft(editingId, getTestCaseData(), loadedDraft?.revision);
         if (!updateResult.success) {
           onImportError({ success: false, error: updateResult.error || 'Failed to save draft' });
           setLoading(false);
           return;
         }
+        setLoadedDraft(updateResult.draft);
       } else {
         const createResult = await createDraft(getTestCaseData());
         if (!createResult.success) {
@@ -460,6 +642,10 @@ function TestCaseForm({
       const result = await importDraft(draftId);
 
       if (result.success) {
+        if (result.warnings?.length) {
+          showToast(`Imported with warnings: ${result.warnings.join(', ')}`);
+        }
+
         // Link to Xray entities if we have testIssueId
         if (result.testIssueId) {
           try {
@@ -489,6 +675,11 @@ function TestCaseForm({
         onImportError(result);
       }
     } catch (error) {
+      if (error.status === 409) {
+        // Merge first; the user imports again once the merged draft is saved
+        showConflict(getTestCaseData(), error.data.draft);
+        return;
+      }
       onImportError({
         success: false,
         error: error.message || 'Import failed',
@@ -527,18 +718,9 @@ function TestCaseForm({
       if (isStep2Valid()) {
         setCurrentStep(3);
       } else {
-        // Validate steps and show errors
-        const newErrors = {};
-        formData.steps.forEach((step, index) => {
-          if (!step.action?.trim()) {
-            newErrors[`step_${index}_action`] = 'Action is required';
-          }
-          if (!step.result?.trim()) {
-            newErrors[`step_${index}_result`] = 'Expected Result is required';
-          }
-        });
-        setErrors(newErrors);
-        showToast('Please complete all test steps');
+        // Validate steps (or scenario) and show errors
+        setErrors(getStep2Errors());
+        showToast(formData.testType === 'Manual' ? 'Please complete all test steps' : `Please complete the ${STEP2_TITLES[formData.testType].toLowerCase()}`);
       }
     }
   }
@@ -637,31 +819,29 @@ function TestCaseForm({
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                 Test Type
-                <span className="ml-2 text-xs text-gray-400">(Coming soon)</span>
               </label>
               <select
                 name="testType"
-                value="Manual"
-                disabled
-                className="select opacity-60 cursor-not-allowed"
+                value={formData.testType}
+                onChange={handleChange}
+                className="select"
               >
-                <option value="Manual">Manual</option>
+                {TEST_TYPES.map((type) => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
               </select>
             </div>
 
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
                 Priority
-                <span className="ml-2 text-xs text-gray-400">(Coming soon)</span>
               </label>
-              <select
-                name="priority"
-                value="Medium"
-                disabled
-                className="select opacity-60 cursor-not-allowed"
-              >
-                <option value="Medium">Medium</option>
-              </select>
+              <PrioritySelect
+                value={formData.priority}
+                onChange={handleChange}
+                priorities={priorities}
+                emptyLabel="Default (Jira)"
+              />
             </div>
           </div>
 
@@ -676,6 +856,13 @@ function TestCaseForm({
             />
           </div>
 
+          {/* Project-specific Jira fields */}
+          <CustomFieldsInput
+            definitions={customFieldDefinitions}
+            values={formData.customFields}
+            onChange={handleCustomFieldChange}
+          />
+
           {/* Collection selector */}
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -733,15 +920,62 @@ function TestCaseForm({
         <>
         <div className="space-y-4">
           <div className="flex items-center justify-between">
-            <h3 className="font-medium text-gray-900 dark:text-white">Test Steps</h3>
-            <button type="button" onClick={addStep} className="btn btn-secondary btn-sm">
-              <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
-                <path d="M8 3v10M3 8h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
-              </svg>
-              Add Step
-            </button>
+            <h3 className="font-medium text-gray-900 dark:text-white">
+              {STEP2_TITLES[formData.testType] || STEP2_TITLES.Manual}
+            </h3>
+            {formData.testType === 'Manual' && (
+              <div className="flex items-center gap-2">
+                {sharedSteps.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => insertSharedSteps(e.target.value)}
+                    aria-label="Insert shared steps"
+                    className="input py-1 text-sm w-auto"
+                  >
+                    <option value="">Insert shared steps...</option>
+                    {sharedSteps.map((entry) => (
+                      <option key={entry.id} value={entry.id}>{entry.name}</option>
+                    ))}
+                  </select>
+                )}
+                <button type="button" onClick={addStep} className="btn btn-secondary btn-sm">
+                  <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
+                    <path d="M8 3v10M3 8h10" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
+                  </svg>
+                  Add Step
+                </button>
+              </div>
+            )}
           </div>
 
+          {formData.testType === 'Cucumber' ? (
+            <GherkinEditor
+              value={formData.gherkin}
+              onChange={handleGherkinChange}
+              error={errors.gherkin}
+            />
+          ) : formData.testType === 'Generic' ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Definition <span className="text-red-500">*</span>
+              </label>
+              <input
+                type="text"
+                name="definition"
+                value={formData.definition}
+                onChange={handleChange}
+                placeholder="e.g. com.example.tests.LoginTest"
+                className={`input font-mono ${errors.definition ? 'input-error' : ''}`}
+              />
+              {errors.definition ? (
+                <p className="text-red-500 text-sm mt-1">{errors.definition}</p>
+              ) : (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Identifies the automated test, such as a test class path or script name
+                </p>
+              )}
+            </div>
+          ) : (
           <DndContext
             sensors={sensors}
             collisionDetection={closestCenter}
@@ -753,19 +987,42 @@ function TestCaseForm({
             >
               <div className="space-y-3">
                 {formData.steps.map((step, index) => (
-                  <SortableStepCard
-                    key={step.id}
-                    step={step}
-                    index={index}
-                    errors={errors}
-                    canRemove={formData.steps.length > 1}
-                    onChange={handleStepChange}
-                    onRemove={removeStep}
-                  />
+                  step.sharedStepsId ? (
+                    <SharedStepsBlock
+                      key={step.id}
+                      step={step}
+                      index={index}
+                      sharedSteps={findSharedSteps(step)}
+                      error={errors[`step_${index}_shared`] || errors[`step_${index}_parameters`]}
+                      onUnlink={unlinkSharedSteps}
+                      onRemove={removeStep}
+                    />
+                  ) : (
+                    <SortableStepCard
+                      key={step.id}
+                      step={step}
+                      index={index}
+                      errors={errors}
+                      canRemove={formData.steps.length > 1}
+                      onChange={handleStepChange}
+                      onRemove={removeStep}
+                      parameters={formData.dataset.parameters.map((name) => name.trim())}
+                    />
+                  )
                 ))}
               </div>
             </SortableContext>
           </DndContext>
+          )}
+
+          {formData.testType === 'Manual' && (
+            <DatasetEditor
+              value={formData.dataset}
+              onChange={handleDatasetChange}
+              usedParameters={getStepParameters(getExpandedSteps())}
+              error={errors.dataset}
+            />
+          )}
         </div>
 
         {/* Step 2 Actions */}
@@ -820,6 +1077,7 @@ function TestCaseForm({
                 showValidation={showXrayValidation}
                 xrayEntitiesCache={xrayEntitiesCache}
                 onLoadXrayEntities={onLoadXrayEntities}
+                onXrayEntityCreated={onXrayEntityCreated}
               />
             )}
 
@@ -889,6 +1147,19 @@ function TestCaseForm({
         </Modal>
       )}
 
+      {/* Draft Conflict Modal */}
+      {conflict && (
+        <DraftConflictModal
+          local={conflict.local}
+          server={toComparableDraft(conflict.server)}
+          base={loadedDraft ? toComparableDraft(loadedDraft) : null}
+          collections={collections}
+          sharedSteps={sharedSteps}
+          onResolve={resolveConflict}
+          onCancel={() => setConflict(null)}
+        />
+      )}
+
       {/* Draft Saved Modal */}
       {showSavedModal && (
         <Modal onClose={() => setShowSavedModal(false)}>
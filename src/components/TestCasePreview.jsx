@@ -6,7 +6,10 @@ function TestCasePreview({
   activeProject,
   xrayEntitiesCache,
   onLoadXrayEntities,
+  onXrayEntityCreated,
   onLinksUpdated,
+  onEdit = null,
+  onRun = null,
   showToast,
 }) {
   const jiraBaseUrl = config?.jiraBaseUrl || 'https://your-domain.atlassian.net';
@@ -114,6 +117,32 @@ function TestCasePreview({
                 })}
               </span>
             )}
+
+            {/* Record step results in a Test Execution */}
+            {onRun && (
+              <button
+                onClick={onRun}
+                className={`btn btn-secondary btn-sm ${testCase.importedAt ? '' : 'ml-auto'}`}
+              >
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                  <path d="M5 3l8 5-8 5V3z" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+                </svg>
+                Run
+              </button>
+            )}
+
+            {/* Edit and push changes back to Xray */}
+            {onEdit && (
+              <button
+                onClick={onEdit}
+                className={`btn btn-secondary btn-sm ${testCase.importedAt || onRun ? '' : 'ml-auto'}`}
+              >
+                <svg width="14" height="14" viewBox="0 0 16 16" fill="none">
+                  <path d="M11 2l3 3-8 8H3v-3l8-8z" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round"/>
+                </svg>
+                Edit
+              </button>
+            )}
           </div>
         </div>
 
@@ -191,7 +220,33 @@ function TestCasePreview({
         </div>
       </div>
 
-      {/* Test Steps Card */}
+      {/* Gherkin Scenario Card (Cucumber tests) */}
+      {testCase.testType === 'Cucumber' ? (
+      <div className="bg-white dark:bg-slate-900 rounded-2xl border border-gray-200 dark:border-slate-700/50 overflow-hidden">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-slate-700/50">
+          <h2 className="text-base font-semibold text-gray-900 dark:text-white">Gherkin Scenario</h2>
+        </div>
+        <div className="p-6">
+          {testCase.gherkin ? (
+            <pre className="px-4 py-3 rounded-xl bg-gray-50 dark:bg-slate-800/40 border border-gray-200 dark:border-slate-700/50 text-sm font-mono text-gray-900 dark:text-slate-300 whitespace-pre-wrap">{testCase.gherkin}</pre>
+          ) : (
+            <div className="flex items-center justify-center py-8 text-gray-400 dark:text-slate-500 text-sm">
+              No scenario defined
+            </div>
+          )}
+        </div>
+      </div>
+      ) : testCase.testType === 'Generic' ? (
+      <div className="bg-white dark:bg-slate-900 rounded-2xl border border-gray-200 dark:border-slate-700/50 overflow-hidden">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-slate-700/50">
+          <h2 className="text-base font-semibold text-gray-900 dark:text-white">Test Definition</h2>
+        </div>
+        <div className="p-6">
+          <StepField label="Definition" value={testCase.definition} placeholder="No definition" isMono />
+        </div>
+      </div>
+      ) : (
+      /* Test Steps Card */
       <div className="bg-white dark:bg-slate-900 rounded-2xl border border-gray-200 dark:border-slate-700/50 overflow-hidden">
         <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200 dark:border-slate-700/50">
           <div className="flex items-center gap-3">
@@ -246,6 +301,7 @@ function TestCasePreview({
           </div>
         </div>
       </div>
+      )}
 
       {/* Xray Links Section */}
       <XrayLinksEditor
@@ -253,6 +309,7 @@ function TestCasePreview({
         activeProject={activeProject}
         xrayEntitiesCache={xrayEntitiesCache}
         onLoadXrayEntities={onLoadXrayEntities}
+        onXrayEntityCreated={onXrayEntityCreated}
         onLinksUpdated={onLinksUpdated}
         showToast={showToast}
         config={config}
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import TestCasePreview from './TestCasePreview';
 
 vi.mock('./XrayLinksEditor', () => ({
@@ -72,6 +72,29 @@ describe('TestCasePreview', () => {
     expect(screen.queryByText(/Imported on/)).not.toBeInTheDocument();
   });
 
+  it('should not render Edit button without onEdit', () => {
+    render(<TestCasePreview {...defaultProps} />);
+    expect(screen.queryByRole('button', { name: /Edit/ })).not.toBeInTheDocument();
+  });
+
+  it('should call onEdit when Edit button is clicked', () => {
+    const onEdit = vi.fn();
+    render(<TestCasePreview {...defaultProps} onEdit={onEdit} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Edit/ }));
+
+    expect(onEdit).toHaveBeenCalled();
+  });
+
+  it('should call onRun when Run button is clicked', () => {
+    const onRun = vi.fn();
+    render(<TestCasePreview {...defaultProps} onRun={onRun} />);
+
+    fireEvent.click(screen.getByRole('button', { name: /Run/ }));
+
+    expect(onRun).toHaveBeenCalled();
+  });
+
   it('should render description', () => {
     render(<TestCasePreview {...defaultProps} />);
     expect(screen.getByText('Test Description')).toBeInTheDocument();
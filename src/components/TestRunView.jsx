@@ -0,0 +1,264 @@
+/**
+ * TestRunView - Record a manual run of an imported test in Xray
+ *
+ * The run belongs to one of the Test Executions the test is linked to.
+ * Steps are shown as authored in the draft and matched to the run's steps
+ * by position. Only the fields that changed are sent to Xray on save.
+ */
+
+import { useState, useEffect } from 'react';
+import { fetchTestRun, updateTestRun } from '../utils/api';
+
+export const RUN_STATUSES = ['TODO', 'EXECUTING', 'PASSED', 'FAILED'];
+
+const STATUS_STYLES = {
+  TODO: 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-300',
+  EXECUTING: 'bg-amber-100 text-amber-700 dark:bg-amber-500/20 dark:text-amber-400',
+  PASSED: 'bg-emerald-100 text-emerald-700 dark:bg-emerald-500/20 dark:text-emerald-400',
+  FAILED: 'bg-red-100 text-red-700 dark:bg-red-500/20 dark:text-red-400',
+};
+
+/**
+ * Overall run status implied by the step statuses
+ * @param {Array<{status: string}>} steps
+ * @returns {string}
+ */
+export function deriveRunStatus(steps) {
+  if (steps.some((step) => step.status === 'FAILED')) return 'FAILED';
+  if (steps.length > 0 && steps.every((step) => step.status === 'PASSED')) return 'PASSED';
+  if (steps.every((step) => step.status === 'TODO')) return 'TODO';
+  return 'EXECUTING';
+}
+
+const STEP_FIELDS = ['status', 'actualResult', 'comment'];
+
+function TestRunView({ testCase, onClose, showToast }) {
+  const executionIds = testCase.xrayLinking?.testExecutionIds || [];
+  const executionDisplays = testCase.xrayLinking?.testExecutionDisplays || [];
+  const [executionId, setExecutionId] = useState(executionIds[0] || '');
+  const [run, setRun] = useState(null); // Run as last loaded or saved
+  const [steps, setSteps] = useState([]);
+  const [status, setStatus] = useState('TODO');
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!executionId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setRun(null);
+    fetchTestRun(executionId, testCase.testIssueId)
+      .then(({ testRun }) => {
+        if (cancelled) return;
+        setRun(testRun);
+        setSteps(testRun.steps);
+        setStatus(testRun.status);
+        setComment(testRun.comment);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to load test run');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [executionId, testCase.testIssueId]);
+
+  function handleStepChange(index, field, value) {
+    const next = steps.map((step, i) => (i === index ? { ...step, [field]: value } : step));
+    setSteps(next);
+    if (field === 'status') {
+      setStatus(deriveRunStatus(next));
+    }
+  }
+
+  function getChanges() {
+    const changes = {};
+    const changedSteps = steps
+      .map((step, index) => {
+        const changed = STEP_FIELDS.filter((field) => step[field] !== run.steps[index][field]);
+        return changed.length > 0
+          ? { id: step.id, ...Object.fromEntries(changed.map((field) => [field, step[field]])) }
+          : null;
+      })
+      .filter(Boolean);
+    if (changedSteps.length > 0) changes.steps = changedSteps;
+    if (status !== run.status) changes.status = status;
+    if (comment !== run.comment) changes.comment = comment;
+    return changes;
+  }
+
+  async function handleSave() {
+    const changes = getChanges();
+    if (Object.keys(changes).length === 0) {
+      showToast('No changes to save');
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      await updateTestRun(run.id, changes);
+      setRun({ ...run, steps, status, comment });
+      showToast(`Test run of ${testCase.testKey} saved`);
+    } catch (err) {
+      setError(err.message || 'Failed to save test run');
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const draftSteps = testCase.steps || [];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-medium text-gray-900 dark:text-white">
+          Run {testCase.testKey}
+        </h3>
+        <button type="button" onClick={onClose} className="btn btn-ghost btn-sm">
+          Back to test
+        </button>
+      </div>
+
+      {executionIds.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Link this test to a Test Execution to record a run.
+        </p>
+      ) : (
+        <>
+          <div>
+            <label htmlFor="run-execution" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Test Execution
+            </label>
+            <select
+              id="run-execution"
+              value={executionId}
+              onChange={(e) => setExecutionId(e.target.value)}
+              className="input"
+            >
+              {executionIds.map((id) => (
+                <option key={id} value={id}>
+                  {executionDisplays.find((display) => display.id === id)?.display || id}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {loading && (
+            <div className="flex items-center justify-center py-8">
+              <span className="spinner" />
+            </div>
+          )}
+
+          {error && <p className="text-red-500 text-sm">{error}</p>}
+
+          {run && !loading && (
+            <>
+              {run.steps.length !== draftSteps.length && (
+                <p className="text-sm text-amber-700 dark:text-amber-400">
+                  The test in Xray has {run.steps.length} step{run.steps.length === 1 ? '' : 's'} and this draft
+                  has {draftSteps.length}. Steps are matched by position.
+                </p>
+              )}
+
+              {steps.map((step, index) => {
+                const draftStep = draftSteps[index] || step;
+                return (
+                  <div
+                    key={step.id}
+                    className="bg-gray-50 dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 p-4 space-y-2"
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-medium text-gray-600 dark:text-gray-400">Step {index + 1}</span>
+                      <select
+                        value={step.status}
+                        onChange={(e) => handleStepChange(index, 'status', e.target.value)}
+                        aria-label={`Step ${index + 1} status`}
+                        className={`text-xs font-medium rounded-full px-2 py-1 border-0 ${STATUS_STYLES[step.status] || STATUS_STYLES.TODO}`}
+                      >
+                        {RUN_STATUSES.map((value) => (
+                          <option key={value} value={value}>{value}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <p className="text-sm text-gray-900 dark:text-white whitespace-pre-wrap">{draftStep.action}</p>
+                    {draftStep.data && (
+                      <p className="text-sm font-mono text-gray-600 dark:text-gray-400 whitespace-pre-wrap">{draftStep.data}</p>
+                    )}
+                    <p className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-wrap">
+                      <span className="font-medium">Expected:</span> {draftStep.result}
+                    </p>
+                    <textarea
+                      value={step.actualResult}
+                      onChange={(e) => handleStepChange(index, 'actualResult', e.target.value)}
+                      rows={2}
+                      placeholder="Actual result"
+                      aria-label={`Step ${index + 1} actual result`}
+                      className="input"
+                    />
+                    <textarea
+                      value={step.comment}
+                      onChange={(e) => handleStepChange(index, 'comment', e.target.value)}
+                      rows={1}
+                      placeholder="Comment"
+                      aria-label={`Step ${index + 1} comment`}
+                      className="input"
+                    />
+                  </div>
+                );
+              })}
+
+              <div className="grid gap-4 sm:grid-cols-[12rem_1fr]">
+                <div>
+                  <label htmlFor="run-status" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Run status
+                  </label>
+                  <select
+                    id="run-status"
+                    value={status}
+                    onChange={(e) => setStatus(e.target.value)}
+                    className="input"
+                  >
+                    {RUN_STATUSES.map((value) => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="run-comment" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                    Run comment
+                  </label>
+                  <textarea
+                    id="run-comment"
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    rows={2}
+                    className="input"
+                  />
+                </div>
+              </div>
+
+              <div className="flex justify-end gap-2">
+                <button type="button" onClick={onClose} className="btn btn-secondary">
+                  Cancel
+                </button>
+                <button type="button" onClick={handleSave} disabled={saving} className="btn btn-primary">
+                  {saving ? 'Saving...' : 'Save Run'}
+                </button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TestRunView;
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import TestRunView, { deriveRunStatus } from './TestRunView';
+import * as api from '../utils/api';
+
+vi.mock('../utils/api');
+
+describe('deriveRunStatus', () => {
+  it('should fail the run when any step failed', () => {
+    expect(deriveRunStatus([{ status: 'PASSED' }, { status: 'FAILED' }, { status: 'TODO' }])).toBe('FAILED');
+  });
+
+  it('should pass the run only when every step passed', () => {
+    expect(deriveRunStatus([{ status: 'PASSED' }, { status: 'PASSED' }])).toBe('PASSED');
+    expect(deriveRunStatus([{ status: 'PASSED' }, { status: 'TODO' }])).toBe('EXECUTING');
+    expect(deriveRunStatus([{ status: 'TODO' }])).toBe('TODO');
+  });
+});
+
+describe('TestRunView', () => {
+  const testCase = {
+    id: 'tc-1',
+    testKey: 'WCP-10',
+    testIssueId: '1001',
+    steps: [
+      { id: 's1', action: 'Open the login page', data: '', result: 'Form is shown' },
+      { id: 's2', action: 'Submit credentials', data: 'user / secret', result: 'User is signed in' },
+    ],
+    xrayLinking: {
+      testExecutionIds: ['7001', '7002'],
+      testExecutionDisplays: [
+        { id: '7001', display: 'WCP-70: Sprint 4 regression' },
+        { id: '7002', display: 'WCP-71: Release smoke' },
+      ],
+    },
+  };
+
+  const testRun = {
+    id: 'run-1',
+    status: 'TODO',
+    comment: '',
+    steps: [
+      { id: 'xs1', status: 'TODO', action: 'Open login', data: '', result: 'Form shown', actualResult: '', comment: '' },
+      { id: 'xs2', status: 'TODO', action: 'Submit', data: '', result: 'Signed in', actualResult: '', comment: '' },
+    ],
+  };
+
+  const defaultProps = {
+    testCase,
+    onClose: vi.fn(),
+    showToast: vi.fn(),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    api.fetchTestRun.mockResolvedValue({ success: true, testRun });
+    api.updateTestRun.mockResolvedValue({ success: true, stepsUpdated: 1, warnings: [] });
+  });
+
+  it('should load the run of the first linked execution and show the draft steps', async () => {
+    render(<TestRunView {...defaultProps} />);
+
+    expect(await screen.findByText('Open the login page')).toBeInTheDocument();
+    expect(screen.getByText('user / secret')).toBeInTheDocument();
+    expect(api.fetchTestRun).toHaveBeenCalledWith('7001', '1001');
+    expect(screen.getByLabelText('Test Execution')).toHaveValue('7001');
+  });
+
+  it('should load the run of another execution when it is chosen', async () => {
+    render(<TestRunView {...defaultProps} />);
+    await screen.findByText('Open the login page');
+
+    fireEvent.change(screen.getByLabelText('Test Execution'), { target: { value: '7002' } });
+
+    await waitFor(() => expect(api.fetchTestRun).toHaveBeenCalledWith('7002', '1001'));
+  });
+
+  it('should send only the changed steps with the derived run status', async () => {
+    render(<TestRunView {...defaultProps} />);
+    await screen.findByText('Open the login page');
+
+    fireEvent.change(screen.getByLabelText('Step 2 status'), { target: { value: 'FAILED' } });
+    fireEvent.change(screen.getByLabelText('Step 2 actual result'), { target: { value: 'Error 500' } });
+    expect(screen.getByLabelText('Run status')).toHaveValue('FAILED');
+    fireEvent.change(screen.getByLabelText('Run comment'), { target: { value: 'Login is broken' } });
+    fireEvent.click(screen.getByText('Save Run'));
+
+    await waitFor(() => {
+      expect(api.updateTestRun).toHaveBeenCalledWith('run-1', {
+        steps: [{ id: 'xs2', status: 'FAILED', actualResult: 'Error 500' }],
+        status: 'FAILED',
+        comment: 'Login is broken',
+      });
+    });
+    expect(defaultProps.showToast).toHaveBeenCalledWith('Test run of WCP-10 saved');
+
+    // Saved values become the new baseline
+    fireEvent.click(screen.getByText('Save Run'));
+    expect(defaultProps.showToast).toHaveBeenCalledWith('No changes to save');
+    expect(api.updateTestRun).toHaveBeenCalledTimes(1);
+  });
+
+  it('should warn when Xray and the draft have a different number of steps', async () => {
+    api.fetchTestRun.mockResolvedValueOnce({ success: true, testRun: { ...testRun, steps: testRun.steps.slice(0, 1) } });
+    render(<TestRunView {...defaultProps} />);
+
+    expect(await screen.findByText(/The test in Xray has 1 step and this draft/)).toBeInTheDocument();
+  });
+
+  it('should show errors from Xray', async () => {
+    api.fetchTestRun.mockRejectedValueOnce(new Error('Test 1001 has no run in Test Execution 7001'));
+    render(<TestRunView {...defaultProps} />);
+
+    expect(await screen.findByText('Test 1001 has no run in Test Execution 7001')).toBeInTheDocument();
+  });
+
+  it('should ask to link a Test Execution first', () => {
+    render(<TestRunView {...defaultProps} testCase={{ ...testCase, xrayLinking: {} }} />);
+
+    expect(screen.getByText('Link this test to a Test Execution to record a run.')).toBeInTheDocument();
+    expect(api.fetchTestRun).not.toHaveBeenCalled();
+  });
+});
@@ -1,14 +1,48 @@
-import { useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import SearchableMultiSelect from './SearchableMultiSelect';
 import FolderInput from './FolderInput';
+import CreateXrayEntityModal from './CreateXrayEntityModal';
+import {
+  fetchTestPlans,
+  fetchTestExecutions,
+  fetchTestSets,
+  fetchPreconditions,
+  createTestPlan,
+  createTestExecution,
+  createTestSet,
+} from '../utils/api';
+
+const LOCAL_PRECONDITION_PREFIX = 'local:';
+
+// Local preconditions not yet in Xray, shaped like Xray options so they can be selected now
+// and created on the first import that references them
+function toLocalPreconditionOptions(localPreconditions = []) {
+  return localPreconditions
+    .filter((precondition) => precondition.status !== 'imported')
+    .map((precondition) => ({
+      issueId: `${LOCAL_PRECONDITION_PREFIX}${precondition.id}`,
+      key: 'Local',
+      summary: precondition.summary,
+    }));
+}
+
+// Entities that can be created from the linking panel, keyed by cache field
+const CREATABLE_ENTITIES = {
+  testPlans: { label: 'Test Plan', create: createTestPlan, resultKey: 'testPlan', field: 'testPlan' },
+  testExecutions: { label: 'Test Execution', create: createTestExecution, resultKey: 'testExecution', field: 'testExecution', withEnvironments: true },
+  testSets: { label: 'Test Set', create: createTestSet, resultKey: 'testSet', field: 'testSet' },
+};
+
+function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEntitiesCache, onLoadXrayEntities, onXrayEntityCreated, hideHint, hideHeader }) {
+  const [createDialog, setCreateDialog] = useState(null); // { type, summary }
 
-function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEntitiesCache, onLoadXrayEntities, hideHint, hideHeader }) {
   // Use cache if available, otherwise use local state
   const cache = xrayEntitiesCache || {
     testPlans: [],
     testExecutions: [],
     testSets: [],
     preconditions: [],
+    localPreconditions: [],
     folders: null,
     projectId: null,
     loading: {
@@ -48,6 +82,49 @@ function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEnt
     }
   }, [onLoadXrayEntities, projectKey]);
 
+  // Server-side search, so entities past the loaded list can still be found by typing
+  const searchTestPlans = useCallback(
+    async (term) => (await fetchTestPlans(projectKey, term)).testPlans,
+    [projectKey]
+  );
+  const searchTestExecutions = useCallback(
+    async (term) => (await fetchTestExecutions(projectKey, term)).testExecutions,
+    [projectKey]
+  );
+  const searchTestSets = useCallback(
+    async (term) => (await fetchTestSets(projectKey, term)).testSets,
+    [projectKey]
+  );
+  const searchPreconditions = useCallback(
+    async (term) => {
+      const localMatches = toLocalPreconditionOptions(cache.localPreconditions).filter((opt) =>
+        opt.summary.toLowerCase().includes(term.toLowerCase())
+      );
+      return [...localMatches, ...(await fetchPreconditions(projectKey, term)).preconditions];
+    },
+    [projectKey, cache.localPreconditions]
+  );
+
+  // Create the entity in Xray, select it, and add it to the shared cache
+  async function handleCreateEntity(details) {
+    const entity = CREATABLE_ENTITIES[createDialog.type];
+    const result = await entity.create(projectKey, details);
+    const created = result[entity.resultKey];
+
+    onChange({
+      ...value,
+      [`${entity.field}Ids`]: [...(value[`${entity.field}Ids`] || []), created.issueId],
+      [`${entity.field}Displays`]: [
+        ...(value[`${entity.field}Displays`] || []),
+        { id: created.issueId, display: `${created.key}: ${created.summary}` },
+      ],
+    });
+    onXrayEntityCreated?.(createDialog.type, { issueId: created.issueId, key: created.key, summary: created.summary });
+    setCreateDialog(null);
+  }
+
+  const openCreateDialog = (type) => (summary) => setCreateDialog({ type, summary });
+
   const isLoadingAny = cache.loading.testPlans || cache.loading.testExecutions ||
     cache.loading.testSets || cache.loading.preconditions || cache.loading.folders;
 
@@ -138,6 +215,9 @@ function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEnt
           required
           placeholder="Type to search test plans..."
           emptyMessage="Click Refresh to load test plans"
+          onSearch={projectKey ? searchTestPlans : undefined}
+          onCreateNew={projectKey ? openCreateDialog('testPlans') : undefined}
+          createLabel="Create new test plan…"
         />
 
         <SearchableMultiSelect
@@ -153,6 +233,9 @@ function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEnt
           required
           placeholder="Type to search test executions..."
           emptyMessage="Click Refresh to load test executions"
+          onSearch={projectKey ? searchTestExecutions : undefined}
+          onCreateNew={projectKey ? openCreateDialog('testExecutions') : undefined}
+          createLabel="Create new test execution…"
         />
 
         <SearchableMultiSelect
@@ -168,12 +251,16 @@ function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEnt
           required
           placeholder="Type to search test sets..."
           emptyMessage="Click Refresh to load test sets"
+          onSearch={projectKey ? searchTestSets : undefined}
+          onCreateNew={projectKey ? openCreateDialog('testSets') : undefined}
+          createLabel="Create new test set…"
         />
 
         <FolderInput
           value={value.folderPath}
           onChange={(v) => onChange({ ...value, folderPath: v })}
-          folders={cache.folders}
+          projectKey={projectKey}
+          rootFolder={cache.folders}
           loading={cache.loading.folders}
           error={isRequiredMissing('folderPath') ? 'Required' : cache.errors.folders}
           required
@@ -187,11 +274,12 @@ function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEnt
         onChange={(ids, displays) => {
           onChange({ ...value, preconditionIds: ids, preconditionDisplays: displays });
         }}
-        options={cache.preconditions}
+        options={[...toLocalPreconditionOptions(cache.localPreconditions), ...cache.preconditions]}
         loading={cache.loading.preconditions}
         error={cache.errors.preconditions}
         placeholder="Type to search preconditions..."
         emptyMessage="Click Refresh to load preconditions"
+        onSearch={projectKey ? searchPreconditions : undefined}
       />
 
       {/* Hint - hidden when editing imported test case */}
@@ -206,6 +294,16 @@ function XrayLinkingPanel({ projectKey, value, onChange, showValidation, xrayEnt
           </span>
         </div>
       )}
+
+      {createDialog && (
+        <CreateXrayEntityModal
+          entityLabel={CREATABLE_ENTITIES[createDialog.type].label}
+          initialSummary={createDialog.summary}
+          withEnvironments={CREATABLE_ENTITIES[createDialog.type].withEnvironments}
+          onCreate={handleCreateEntity}
+          onClose={() => setCreateDialog(null)}
+        />
+      )}
     </div>
   );
 }
@@ -18,10 +18,12 @@ describe('XrayLinkingPanel', () => {
       { issueId: '5', key: 'WCP-400', summary: 'Precondition 1' },
     ],
     folders: {
+      name: '',
       path: '/',
+      testsCount: 0,
       folders: [
-        { path: '/Smoke Tests' },
-        { path: '/Regression' },
+        { name: 'Smoke Tests', path: '/Smoke Tests', testsCount: 4, hasChildren: false },
+        { name: 'Regression', path: '/Regression', testsCount: 9, hasChildren: false },
       ],
     },
     projectId: 'proj-1',
@@ -206,8 +208,8 @@ describe('XrayLinkingPanel', () => {
     fireEvent.click(folderInput);
 
     await waitFor(() => {
-      expect(screen.getByText('/Smoke Tests')).toBeInTheDocument();
-      expect(screen.getByText('/Regression')).toBeInTheDocument();
+      expect(screen.getByText('Smoke Tests')).toBeInTheDocument();
+      expect(screen.getByText('Regression')).toBeInTheDocument();
     });
   });
 
@@ -386,10 +388,10 @@ describe('XrayLinkingPanel', () => {
     fireEvent.click(folderInput);
 
     await waitFor(() => {
-      expect(screen.getByText('/Smoke Tests')).toBeInTheDocument();
+      expect(screen.getByText('Smoke Tests')).toBeInTheDocument();
     });
 
-    fireEvent.click(screen.getByText('/Smoke Tests'));
+    fireEvent.click(screen.getByText('Smoke Tests'));
     expect(onChange).toHaveBeenCalledWith(expect.objectContaining({
       folderPath: '/Smoke Tests',
     }));
@@ -422,4 +424,102 @@ describe('XrayLinkingPanel', () => {
     render(<XrayLinkingPanel {...defaultProps} />);
     expect(screen.getByText(/Select Test Plans, Executions, and Sets/)).toBeInTheDocument();
   });
+
+  it('should search Xray for test plans beyond the loaded list', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, testPlans: [{ issueId: '900', key: 'WCP-900', summary: 'Checkout plan' }] }),
+    });
+    const onChange = vi.fn();
+    render(<XrayLinkingPanel {...defaultProps} onChange={onChange} />);
+    const input = screen.getByPlaceholderText('Type to search test plans...');
+
+    fireEvent.change(input, { target: { value: 'check' } });
+
+    await waitFor(() => {
+      expect(screen.getByText('WCP-900')).toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenCalledWith('/api/xray/test-plans/WCP?search=check');
+
+    fireEvent.click(screen.getByText('WCP-900'));
+
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({
+      testPlanIds: ['900'],
+      testPlanDisplays: [{ id: '900', display: 'WCP-900: Checkout plan' }],
+    }));
+  });
+
+  it('should keep filtering loaded options when the search request fails', async () => {
+    fetch.mockRejectedValueOnce(new Error('Network error'));
+    render(<XrayLinkingPanel {...defaultProps} />);
+    const input = screen.getByPlaceholderText('Type to search test plans...');
+
+    fireEvent.change(input, { target: { value: 'Plan 2' } });
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalled();
+    });
+    await waitFor(() => {
+      expect(screen.queryByText('Searching...')).not.toBeInTheDocument();
+    });
+    expect(screen.getByText('WCP-101')).toBeInTheDocument();
+    expect(screen.queryByText('WCP-100')).not.toBeInTheDocument();
+  });
+
+  it('should create a test plan from the dropdown and select it', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ success: true, testPlan: { issueId: '901', key: 'WCP-901', summary: 'Release 2.0', warnings: [] } }),
+    });
+    const onChange = vi.fn();
+    const onXrayEntityCreated = vi.fn();
+    render(<XrayLinkingPanel {...defaultProps} onChange={onChange} onXrayEntityCreated={onXrayEntityCreated} />);
+
+    fireEvent.focus(screen.getByPlaceholderText('Type to search test plans...'));
+    fireEvent.click(screen.getByText('+ Create new test plan…'));
+    fireEvent.change(screen.getByLabelText(/Summary/), { target: { value: 'Release 2.0' } });
+    fireEvent.click(screen.getByText('Create Test Plan'));
+
+    await waitFor(() => {
+      expect(onXrayEntityCreated).toHaveBeenCalledWith('testPlans', { issueId: '901', key: 'WCP-901', summary: 'Release 2.0' });
+    });
+    expect(fetch).toHaveBeenCalledWith('/api/xray/test-plans/WCP', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ summary: 'Release 2.0', description: '' }),
+    }));
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({
+      testPlanIds: ['901'],
+      testPlanDisplays: [{ id: '901', display: 'WCP-901: Release 2.0' }],
+    }));
+    expect(screen.queryByText('New Test Plan')).not.toBeInTheDocument();
+  });
+
+  it('should not offer creating preconditions', () => {
+    render(<XrayLinkingPanel {...defaultProps} />);
+
+    fireEvent.focus(screen.getByPlaceholderText('Type to search preconditions...'));
+
+    expect(screen.queryByText(/Create new/)).not.toBeInTheDocument();
+  });
+
+  it('should offer local preconditions that are not in Xray yet', () => {
+    const onChange = vi.fn();
+    const cache = {
+      ...defaultCache,
+      localPreconditions: [
+        { id: 'abc', summary: 'User is admin', status: 'draft' },
+        { id: 'def', summary: 'Cart is empty', status: 'imported', xrayKey: 'WCP-401' },
+      ],
+    };
+    render(<XrayLinkingPanel {...defaultProps} onChange={onChange} xrayEntitiesCache={cache} />);
+
+    fireEvent.focus(screen.getByPlaceholderText('Type to search preconditions...'));
+    expect(screen.queryByText(': Cart is empty')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText(': User is admin'));
+
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({
+      preconditionIds: ['local:abc'],
+      preconditionDisplays: [{ id: 'local:abc', display: 'Local: User is admin' }],
+    }));
+  });
 });
@@ -106,6 +106,7 @@ function XrayLinksEditor({
   activeProject,
   xrayEntitiesCache,
   onLoadXrayEntities,
+  onXrayEntityCreated,
   onLinksUpdated,
   showToast,
   config,
@@ -361,6 +362,7 @@ function XrayLinksEditor({
             showValidation={false}
             xrayEntitiesCache={xrayEntitiesCache}
             onLoadXrayEntities={onLoadXrayEntities}
+            onXrayEntityCreated={onXrayEntityCreated}
             hideHint
             hideHeader
           />
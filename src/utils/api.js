@@ -6,7 +6,16 @@ const API_BASE = '/api';
 async function handleResponse(response) {
   const data = await response.json();
   if (!response.ok) {
-    throw new Error(data.error || `Request failed with status ${response.status}`);
+    const message = data.error || `Request failed with status ${response.status}`;
+    // Schema validation failures list the failing paths in details
+    const paths = Array.isArray(data.details) && data.details.every((detail) => typeof detail === 'string')
+      ? data.details
+      : [];
+    const error = new Error(paths.length > 0 ? `${message}: ${paths.join('; ')}` : message);
+    // Lets callers act on the status, e.g. read the stored draft off a 409
+    error.status = response.status;
+    error.data = data;
+    throw error;
   }
   return data;
 }
@@ -61,11 +70,13 @@ export async function createDraft(draft) {
 
 /**
  * Update existing draft
+ * @param {number} revision - Revision the edits were made on; a newer stored
+ *   revision fails with status 409 and the stored draft in error.data.draft
  */
-export async function updateDraft(id, draft) {
+export async function updateDraft(id, draft, revision) {
   const response = await fetch(`${API_BASE}/drafts/${id}`, {
     method: 'PUT',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', 'If-Match': `"${revision || 0}"` },
     body: JSON.stringify({ draft }),
   });
   return handleResponse(response);
@@ -104,6 +115,52 @@ export async function importDraft(id) {
   return handleResponse(response);
 }
 
+/**
+ * Get the current state of a background import job
+ */
+export async function fetchImportJob(id) {
+  const response = await fetch(`${API_BASE}/import-jobs/${id}`);
+  return handleResponse(response);
+}
+
+/**
+ * Follow a background import job over Server-Sent Events
+ * @param {string} id - Import job id
+ * @param {Function} onUpdate - Called with each job snapshot
+ * @param {Function} onError - Called if the stream drops before the job finishes.
+ *   The stream is closed then; the caller decides whether to open a new one
+ * @returns {Function} Closes the stream
+ */
+export function subscribeToImportJob(id, onUpdate, onError) {
+  const source = new EventSource(`${API_BASE}/import-jobs/${id}/events`);
+
+  source.onmessage = (event) => {
+    const job = JSON.parse(event.data);
+    onUpdate(job);
+    if (job.phase === 'done' || job.phase === 'failed') {
+      source.close();
+    }
+  };
+  source.onerror = () => {
+    source.close();
+    onError?.();
+  };
+
+  return () => source.close();
+}
+
+/**
+ * Push edits of an imported test to its existing Xray issue
+ */
+export async function updateImportedTest(id, changes) {
+  const response = await fetch(`${API_BASE}/drafts/${id}/update-xray`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ changes }),
+  });
+  return handleResponse(response);
+}
+
 /**
  * Bulk import drafts
  */
@@ -116,6 +173,18 @@ export async function bulkImportDrafts(ids) {
   return handleResponse(response);
 }
 
+/**
+ * Pull existing Xray tests matching a JQL query into local imported drafts
+ */
+export async function fetchFromXray(projectKey, jql) {
+  const response = await fetch(`${API_BASE}/drafts/fetch-from-xray`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ projectKey, jql }),
+  });
+  return handleResponse(response);
+}
+
 /**
  * Migrate localStorage data to file system
  */
@@ -198,6 +267,50 @@ export async function deleteCollection(id) {
   return handleResponse(response);
 }
 
+// ============ Shared Steps ============
+
+/**
+ * Get the shared steps library of the active project
+ */
+export async function fetchSharedSteps() {
+  const response = await fetch(`${API_BASE}/settings/shared-steps`);
+  return handleResponse(response);
+}
+
+/**
+ * Add shared steps ({name, steps, callTestKey}) to the library
+ */
+export async function createSharedSteps(sharedSteps) {
+  const response = await fetch(`${API_BASE}/settings/shared-steps`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(sharedSteps),
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Update shared steps; drafts that link them pick up the change
+ */
+export async function updateSharedSteps(id, sharedSteps) {
+  const response = await fetch(`${API_BASE}/settings/shared-steps/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(sharedSteps),
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Delete shared steps that no draft links to
+ */
+export async function deleteSharedSteps(id) {
+  const response = await fetch(`${API_BASE}/settings/shared-steps/${id}`, {
+    method: 'DELETE',
+  });
+  return handleResponse(response);
+}
+
 // ============ Project Management ============
 
 /**
@@ -272,43 +385,87 @@ export async function saveProjectSettings(projectKey, settings) {
 
 // ============ Xray Entity Management ============
 
+// Entity lists accept an optional search term, matched against summary or key
+function withSearch(url, search) {
+  return search ? `${url}?search=${encodeURIComponent(search)}` : url;
+}
+
+/**
+ * Fetch Test Plans for a project, optionally only those matching a search term
+ */
+export async function fetchTestPlans(projectKey, search) {
+  const response = await fetch(withSearch(`${API_BASE}/xray/test-plans/${projectKey}`, search));
+  return handleResponse(response);
+}
+
+/**
+ * Fetch Test Executions for a project, optionally only those matching a search term
+ */
+export async function fetchTestExecutions(projectKey, search) {
+  const response = await fetch(withSearch(`${API_BASE}/xray/test-executions/${projectKey}`, search));
+  return handleResponse(response);
+}
+
 /**
- * Fetch Test Plans for a project
+ * Fetch Test Sets for a project, optionally only those matching a search term
  */
-export async function fetchTestPlans(projectKey) {
-  const response = await fetch(`${API_BASE}/xray/test-plans/${projectKey}`);
+export async function fetchTestSets(projectKey, search) {
+  const response = await fetch(withSearch(`${API_BASE}/xray/test-sets/${projectKey}`, search));
   return handleResponse(response);
 }
 
 /**
- * Fetch Test Executions for a project
+ * Fetch Preconditions for a project, optionally only those matching a search term
  */
-export async function fetchTestExecutions(projectKey) {
-  const response = await fetch(`${API_BASE}/xray/test-executions/${projectKey}`);
+export async function fetchPreconditions(projectKey, search) {
+  const response = await fetch(withSearch(`${API_BASE}/xray/preconditions/${projectKey}`, search));
+  return handleResponse(response);
+}
+
+/**
+ * Create a Test Plan in a project from { summary, description }
+ */
+export async function createTestPlan(projectKey, details) {
+  const response = await fetch(`${API_BASE}/xray/test-plans/${projectKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(details),
+  });
   return handleResponse(response);
 }
 
 /**
- * Fetch Test Sets for a project
+ * Create a Test Execution in a project from { summary, description, testEnvironments }
  */
-export async function fetchTestSets(projectKey) {
-  const response = await fetch(`${API_BASE}/xray/test-sets/${projectKey}`);
+export async function createTestExecution(projectKey, details) {
+  const response = await fetch(`${API_BASE}/xray/test-executions/${projectKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(details),
+  });
   return handleResponse(response);
 }
 
 /**
- * Fetch Preconditions for a project
+ * Create a Test Set in a project from { summary, description }
  */
-export async function fetchPreconditions(projectKey) {
-  const response = await fetch(`${API_BASE}/xray/preconditions/${projectKey}`);
+export async function createTestSet(projectKey, details) {
+  const response = await fetch(`${API_BASE}/xray/test-sets/${projectKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(details),
+  });
   return handleResponse(response);
 }
 
 /**
- * Fetch Folders for a project
+ * Fetch one level of the folder tree: the folder at `path` and its direct subfolders
+ * @param {Object} options - { refresh } bypasses the server-side folder cache
  */
-export async function fetchFolders(projectKey, path = '/') {
-  const response = await fetch(`${API_BASE}/xray/folders/${projectKey}?path=${encodeURIComponent(path)}`);
+export async function fetchFolders(projectKey, path = '/', { refresh = false } = {}) {
+  const params = new URLSearchParams({ path });
+  if (refresh) params.set('refresh', 'true');
+  const response = await fetch(`${API_BASE}/xray/folders/${projectKey}?${params}`);
   return handleResponse(response);
 }
 
@@ -347,3 +504,145 @@ export async function updateDraftXrayLinks(id, xrayLinking) {
   });
   return handleResponse(response);
 }
+
+// ============ Local Preconditions ============
+
+/**
+ * Fetch local preconditions for a project
+ */
+export async function fetchLocalPreconditions(projectKey) {
+  const response = await fetch(`${API_BASE}/preconditions?project=${encodeURIComponent(projectKey)}`);
+  return handleResponse(response);
+}
+
+/**
+ * Create a local precondition in a project
+ */
+export async function createLocalPrecondition(projectKey, precondition) {
+  const response = await fetch(`${API_BASE}/preconditions?project=${encodeURIComponent(projectKey)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ precondition }),
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Update a local precondition
+ */
+export async function updateLocalPrecondition(id, precondition) {
+  const response = await fetch(`${API_BASE}/preconditions/${id}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ precondition }),
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Delete a local precondition
+ */
+export async function deleteLocalPrecondition(id) {
+  const response = await fetch(`${API_BASE}/preconditions/${id}`, {
+    method: 'DELETE',
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Create a local precondition in Xray
+ */
+export async function importLocalPrecondition(id) {
+  const response = await fetch(`${API_BASE}/preconditions/${id}/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+  });
+  return handleResponse(response);
+}
+
+// ============ Test Repository Folders ============
+
+/**
+ * Create a folder (and any missing parents) in the Test Repository
+ */
+export async function createFolder(projectKey, path) {
+  const response = await fetch(`${API_BASE}/xray/folders/${projectKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path }),
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Rename a folder in the Test Repository
+ */
+export async function renameFolder(projectKey, path, newName) {
+  const response = await fetch(`${API_BASE}/xray/folders/${projectKey}/rename`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, newName }),
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Move a folder under another folder in the Test Repository
+ */
+export async function moveFolder(projectKey, path, destinationPath) {
+  const response = await fetch(`${API_BASE}/xray/folders/${projectKey}/move`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ path, destinationPath }),
+  });
+  return handleResponse(response);
+}
+
+/**
+ * Delete a folder from the Test Repository
+ */
+export async function deleteFolder(projectKey, path) {
+  const response = await fetch(`${API_BASE}/xray/folders/${projectKey}?path=${encodeURIComponent(path)}`, {
+    method: 'DELETE',
+  });
+  return handleResponse(response);
+}
+
+// ============ Execution Results ============
+
+/**
+ * Import a JUnit, TestNG or Xray JSON results file into a Test Execution
+ * @param {Object} options - { projectKey, format, content, testExecution: {key} | {summary, description}, testPlanKey, testEnvironments }
+ */
+export async function importExecutionResults(options) {
+  const response = await fetch(`${API_BASE}/results/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(options),
+  });
+  return handleResponse(response);
+}
+
+// ============ Test Runs ============
+
+/**
+ * Get the run of a test in a Test Execution, with its step results
+ */
+export async function fetchTestRun(testExecutionId, testIssueId) {
+  const response = await fetch(`${API_BASE}/xray/test-runs/${testExecutionId}/${testIssueId}`);
+  return handleResponse(response);
+}
+
+/**
+ * Record step results, status and comment of a test run
+ * @param {string} testRunId - Test run ID
+ * @param {Object} changes - { status, comment, steps: [{ id, status, actualResult, comment }] }; only changed fields
+ */
+export async function updateTestRun(testRunId, changes) {
+  const response = await fetch(`${API_BASE}/xray/test-runs/${testRunId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes),
+  });
+  return handleResponse(response);
+}
@@ -10,6 +10,10 @@ import {
   updateDraftStatus,
   importDraft,
   bulkImportDrafts,
+  fetchImportJob,
+  subscribeToImportJob,
+  updateImportedTest,
+  fetchFromXray,
   migrateDrafts,
   fetchFunctionalAreas,
   saveFunctionalAreas,
@@ -18,6 +22,8 @@ import {
   fetchCollections,
   createCollection,
   deleteCollection,
+  updateSharedSteps,
+  deleteSharedSteps,
   fetchProjects,
   addProject,
   hideProject,
@@ -26,6 +32,7 @@ import {
   fetchProjectSettings,
   saveProjectSettings,
   fetchTestPlans,
+  createTestPlan,
   fetchTestExecutions,
   fetchTestSets,
   fetchPreconditions,
@@ -132,6 +139,24 @@ describe('API utilities', () => {
     });
   });
 
+  describe('updateDraft', () => {
+    it('should include the failing schema paths in the error', async () => {
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({
+          success: false,
+          error: 'Invalid draft',
+          details: ['/draft/summary must be string', '/draft/labels/0 must be string'],
+        }),
+      });
+
+      await expect(updateDraft('123', { summary: 1, labels: [2] })).rejects.toThrow(
+        'Invalid draft: /draft/summary must be string; /draft/labels/0 must be string'
+      );
+    });
+  });
+
   describe('createDraft', () => {
     it('should create draft successfully', async () => {
       const draft = { summary: 'Test', description: 'Test desc' };
@@ -155,15 +180,30 @@ describe('API utilities', () => {
       const mockResponse = { success: true, draft };
       fetch.mockResolvedValueOnce(mockSuccessResponse(mockResponse));
 
-      const result = await updateDraft('123', draft);
+      const result = await updateDraft('123', draft, 4);
 
       expect(fetch).toHaveBeenCalledWith('/api/drafts/123', {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'If-Match': '"4"' },
         body: JSON.stringify({ draft }),
       });
       expect(result).toEqual(mockResponse);
     });
+
+    it('should hand the stored draft to the caller on a conflict', async () => {
+      const stored = { id: '123', summary: 'Changed elsewhere', revision: 5 };
+      fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 409,
+        json: () => Promise.resolve({ success: false, error: 'Draft was changed in another tab or window', draft: stored }),
+      });
+
+      const error = await updateDraft('123', { summary: 'Mine' }, 4).catch((err) => err);
+
+      expect(error.message).toBe('Draft was changed in another tab or window');
+      expect(error.status).toBe(409);
+      expect(error.data.draft).toEqual(stored);
+    });
   });
 
   describe('deleteDraft', () => {
@@ -228,6 +268,93 @@ describe('API utilities', () => {
     });
   });
 
+  describe('fetchImportJob', () => {
+    it('should fetch the job by id', async () => {
+      const mockResponse = { success: true, job: { id: 'job-1', phase: 'working' } };
+      fetch.mockResolvedValueOnce(mockSuccessResponse(mockResponse));
+
+      const result = await fetchImportJob('job-1');
+
+      expect(fetch).toHaveBeenCalledWith('/api/import-jobs/job-1');
+      expect(result).toEqual(mockResponse);
+    });
+
+    it('should throw for an unknown job', async () => {
+      fetch.mockResolvedValueOnce(mockErrorResponse(404, 'Import job not found'));
+
+      await expect(fetchImportJob('missing')).rejects.toThrow('Import job not found');
+    });
+  });
+
+  describe('subscribeToImportJob', () => {
+    let source;
+
+    beforeEach(() => {
+      global.EventSource = vi.fn(function (url) {
+        source = { url, close: vi.fn() };
+        return source;
+      });
+    });
+
+    it('should forward job updates and close once finished', () => {
+      const onUpdate = vi.fn();
+      subscribeToImportJob('job-1', onUpdate);
+
+      expect(source.url).toBe('/api/import-jobs/job-1/events');
+
+      source.onmessage({ data: JSON.stringify({ id: 'job-1', phase: 'working' }) });
+      expect(onUpdate).toHaveBeenCalledWith({ id: 'job-1', phase: 'working' });
+      expect(source.close).not.toHaveBeenCalled();
+
+      source.onmessage({ data: JSON.stringify({ id: 'job-1', phase: 'done' }) });
+      expect(source.close).toHaveBeenCalled();
+    });
+
+    it('should close the stream and report errors', () => {
+      const onError = vi.fn();
+      const unsubscribe = subscribeToImportJob('job-1', vi.fn(), onError);
+
+      source.onerror();
+      expect(source.close).toHaveBeenCalled();
+      expect(onError).toHaveBeenCalled();
+
+      unsubscribe();
+      expect(source.close).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('updateImportedTest', () => {
+    it('should post changes for the draft', async () => {
+      const mockResponse = { success: true, draft: { id: 'd1' } };
+      fetch.mockResolvedValueOnce(mockSuccessResponse(mockResponse));
+
+      const result = await updateImportedTest('d1', { summary: 'New' });
+
+      expect(fetch).toHaveBeenCalledWith('/api/drafts/d1/update-xray', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ changes: { summary: 'New' } }),
+      });
+      expect(result).toEqual(mockResponse);
+    });
+  });
+
+  describe('fetchFromXray', () => {
+    it('should post project and JQL', async () => {
+      const mockResponse = { success: true, created: 1, updated: 0, ids: ['d1'] };
+      fetch.mockResolvedValueOnce(mockSuccessResponse(mockResponse));
+
+      const result = await fetchFromXray('PROJ', 'labels = smoke');
+
+      expect(fetch).toHaveBeenCalledWith('/api/drafts/fetch-from-xray', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ projectKey: 'PROJ', jql: 'labels = smoke' }),
+      });
+      expect(result).toEqual(mockResponse);
+    });
+  });
+
   describe('migrateDrafts', () => {
     it('should migrate drafts successfully', async () => {
       const testCases = [{ id: '1', summary: 'Test' }];
@@ -345,6 +472,29 @@ describe('API utilities', () => {
     });
   });
 
+  describe('updateSharedSteps', () => {
+    it('should update shared steps by id', async () => {
+      const sharedSteps = { name: 'Login', steps: [{ action: 'Sign in', data: '', result: 'Signed in' }], callTestKey: '' };
+      fetch.mockResolvedValueOnce(mockSuccessResponse({ success: true }));
+
+      await updateSharedSteps('shs-1', sharedSteps);
+
+      expect(fetch).toHaveBeenCalledWith('/api/settings/shared-steps/shs-1', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(sharedSteps),
+      });
+    });
+  });
+
+  describe('deleteSharedSteps', () => {
+    it('should surface the drafts that still link the shared steps', async () => {
+      fetch.mockResolvedValueOnce(mockErrorResponse(409, 'Shared steps are used by 2 drafts'));
+
+      await expect(deleteSharedSteps('shs-1')).rejects.toThrow('Shared steps are used by 2 drafts');
+    });
+  });
+
   describe('fetchProjects', () => {
     it('should fetch projects successfully', async () => {
       const mockResponse = { success: true, projects: [{ key: 'WCP', color: '#3b82f6' }] };
@@ -458,6 +608,14 @@ describe('API utilities', () => {
       expect(result).toEqual(mockResponse);
     });
 
+    it('should pass an encoded search term', async () => {
+      fetch.mockResolvedValueOnce(mockSuccessResponse({ success: true, testPlans: [] }));
+
+      await fetchTestPlans('WCP', 'login & logout');
+
+      expect(fetch).toHaveBeenCalledWith('/api/xray/test-plans/WCP?search=login%20%26%20logout');
+    });
+
     it('should throw error on failed response', async () => {
       fetch.mockResolvedValueOnce(mockErrorResponse(500, 'Failed to fetch test plans'));
 
@@ -465,6 +623,22 @@ describe('API utilities', () => {
     });
   });
 
+  describe('createTestPlan', () => {
+    it('should post the new test plan details', async () => {
+      const mockResponse = { success: true, testPlan: { issueId: '9', key: 'WCP-9', summary: 'Release' } };
+      fetch.mockResolvedValueOnce(mockSuccessResponse(mockResponse));
+
+      const result = await createTestPlan('WCP', { summary: 'Release', description: '' });
+
+      expect(fetch).toHaveBeenCalledWith('/api/xray/test-plans/WCP', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ summary: 'Release', description: '' }),
+      });
+      expect(result).toEqual(mockResponse);
+    });
+  });
+
   describe('fetchTestExecutions', () => {
     it('should fetch test executions for a project', async () => {
       const mockResponse = {
@@ -536,6 +710,14 @@ describe('API utilities', () => {
       expect(fetch).toHaveBeenCalledWith('/api/xray/folders/WCP?path=%2FSmoke');
       expect(result).toEqual(mockResponse);
     });
+
+    it('should ask the server to bypass its folder cache on refresh', async () => {
+      fetch.mockResolvedValueOnce(mockSuccessResponse({ success: true, folders: { path: '/', folders: [] } }));
+
+      await fetchFolders('WCP', '/', { refresh: true });
+
+      expect(fetch).toHaveBeenCalledWith('/api/xray/folders/WCP?path=%2F&refresh=true');
+    });
   });
 
   describe('linkTestToEntities', () => {